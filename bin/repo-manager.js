@@ -7,11 +7,20 @@ const { Command, InvalidArgumentError } = require('commander');
 const Engine = require('../lib/engine/Engine');
 const Context = require('../lib/engine/Context');
 const Inventory = require('../lib/control/Inventory');
-const { formatReport, formatGitHubAnnotations } = require('../lib/interfaces/cli');
+const Fleet = require('../lib/control/Fleet');
+const Report = require('../lib/engine/Report');
+const Cache = require('../lib/engine/Cache');
+const { formatReport, formatGitHubAnnotations, formatDiff, formatFleet } = require('../lib/interfaces/cli');
+const { formatReport: formatMarkdown, formatDiff: formatMarkdownDiff } = require('../lib/interfaces/markdown');
 const { formatReport: formatJson } = require('../lib/interfaces/json');
+const { formatReport: formatSarif } = require('../lib/interfaces/sarif');
+const { formatReport: formatHtml, formatFleet: formatHtmlFleet } = require('../lib/interfaces/html');
 const pkg = require('../package.json');
 
-const FORMATS = new Set(['cli', 'json', 'github']);
+const FORMATS = new Set(['cli', 'json', 'github', 'sarif', 'html', 'markdown']);
+const RENDER_FORMATS = new Set(['html', 'markdown']);
+const DIFF_FORMATS = new Set(['cli', 'json', 'markdown']);
+const FLEET_FORMATS = new Set(['cli', 'json', 'html']);
 
 function commaList(value) {
   return value.split(',').map(item => item.trim()).filter(Boolean);
@@ -30,6 +39,47 @@ function format(value) {
   return value;
 }
 
+function diffFormat(value) {
+  if (!DIFF_FORMATS.has(value)) throw new InvalidArgumentError(`Format must be one of: ${[...DIFF_FORMATS].join(', ')}`);
+  return value;
+}
+
+function renderFormat(value) {
+  if (!RENDER_FORMATS.has(value)) throw new InvalidArgumentError(`Format must be one of: ${[...RENDER_FORMATS].join(', ')}`);
+  return value;
+}
+
+function fleetFormat(value) {
+  if (!FLEET_FORMATS.has(value)) throw new InvalidArgumentError(`Format must be one of: ${[...FLEET_FORMATS].join(', ')}`);
+  return value;
+}
+
+function concurrency(value) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1 || parsed > 32) {
+    throw new InvalidArgumentError('Concurrency must be an integer between 1 and 32');
+  }
+  return parsed;
+}
+
+function readJson(filePath, label = 'report') {
+  const resolved = path.resolve(filePath);
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${filePath}: ${error.message}`, { cause: error });
+  }
+}
+
+// Individual reports are listed relative to the fleet report's directory.
+function readFleetReports(fleet, directory) {
+  const reports = {};
+  for (const entry of fleet.repositories) {
+    if (entry.report) reports[entry.fullName] = readJson(path.join(directory, entry.report));
+  }
+  return reports;
+}
+
 function writeOutput(output, outputPath) {
   if (!outputPath) {
     console.log(output);
@@ -41,16 +91,26 @@ function writeOutput(output, outputPath) {
   console.error(`Output written to ${resolved}`);
 }
 
-function renderReport(report, outputFormat, verbose = false) {
+function renderReport(report, outputFormat, { verbose = false, plan = null } = {}) {
   if (outputFormat === 'json') return formatJson(report);
+  if (outputFormat === 'html') return formatHtml(report, { plan });
+  if (outputFormat === 'markdown') return formatMarkdown(report);
   if (outputFormat === 'github') return formatGitHubAnnotations(report);
+  if (outputFormat === 'sarif') return formatSarif(report);
   return formatReport(report, { verbose });
 }
 
+function cacheDirectory(options) {
+  const directory = options.cacheDir || process.env.REPO_MANAGER_CACHE_DIR;
+  return directory ? path.resolve(directory) : null;
+}
+
 function engineOptions(options) {
   return {
     projectRoot: path.resolve(options.project || process.cwd()),
     config: options.policy || '.repo-manager.json',
+    allowPlugins: options.allowPlugins === true,
+    cacheDir: cacheDirectory(options),
   };
 }
 
@@ -65,16 +125,21 @@ program
   .alias('evaluate')
   .description('Evaluate a repository against its versioned policy')
   .option('-o, --only <checkers>', 'Run only specific checkers (comma-separated)', commaList)
-  .option('-f, --format <format>', 'Output format: cli, json, github', format, 'cli')
+  .option('-f, --format <format>', 'Output format: cli, json, github, sarif, html, markdown', format, 'cli')
   .option('-v, --verbose', 'Show detailed findings', false)
   .option('--output <file>', 'Write output to a file')
   .option('--project <path>', 'Project root path', process.cwd())
   .option('--policy <path>', 'Policy file relative to the project root', '.repo-manager.json')
   .option('--fail-below <score>', 'Override the minimum score gate', score)
+  .option('--base <ref>', 'Gate only on findings introduced since the merge base with this ref')
+  .option('--allow-plugins', 'Load third-party checker plugins declared by the policy', false)
+  .option('--cache-dir <dir>', 'Persistent cache directory (default: REPO_MANAGER_CACHE_DIR)')
   .action(async options => {
     try {
       const engine = new Engine(engineOptions(options));
-      const report = await engine.run(options.only);
+      const report = options.base
+        ? await engine.runChange(options.base, options.only)
+        : await engine.run(options.only);
       if (options.failBelow !== undefined) {
         const gate = report.gates.find(item => item.id === 'minimum-score');
         if (gate) {
@@ -85,7 +150,8 @@ program
         }
         report.status = report.gates.every(item => item.passed) ? 'pass' : 'fail';
       }
-      writeOutput(renderReport(report, options.format, options.verbose), options.output);
+      const plan = options.format === 'html' ? await engine.planReport(report) : null;
+      writeOutput(renderReport(report, options.format, { verbose: options.verbose, plan }), options.output);
       if (report.status === 'fail') process.exitCode = 1;
     } catch (error) {
       console.error(`Error: ${error.message}`);
@@ -100,6 +166,8 @@ program
   .option('--output <file>', 'Write the plan to a file')
   .option('--project <path>', 'Project root path', process.cwd())
   .option('--policy <path>', 'Policy file relative to the project root', '.repo-manager.json')
+  .option('--allow-plugins', 'Load third-party checker plugins declared by the policy', false)
+  .option('--cache-dir <dir>', 'Persistent cache directory (default: REPO_MANAGER_CACHE_DIR)')
   .action(async options => {
     try {
       const engine = new Engine(engineOptions(options));
@@ -142,6 +210,8 @@ program
   .option('--audit-log <file>', 'Append the execution record to a JSONL audit log')
   .option('--project <path>', 'Project root path', process.cwd())
   .option('--policy <path>', 'Policy file relative to the project root', '.repo-manager.json')
+  .option('--allow-plugins', 'Load third-party checker plugins declared by the policy', false)
+  .option('--cache-dir <dir>', 'Persistent cache directory (default: REPO_MANAGER_CACHE_DIR)')
   .action(async options => {
     try {
       const engine = new Engine(engineOptions(options));
@@ -163,11 +233,15 @@ program
   .description('Evaluate the repository and fail when any policy gate fails')
   .option('--project <path>', 'Project root path', process.cwd())
   .option('--policy <path>', 'Policy file relative to the project root', '.repo-manager.json')
-  .option('-f, --format <format>', 'Output format: cli, json, github', format, 'cli')
+  .option('-f, --format <format>', 'Output format: cli, json, github, sarif, html, markdown', format, 'cli')
+  .option('--allow-plugins', 'Load third-party checker plugins declared by the policy', false)
+  .option('--cache-dir <dir>', 'Persistent cache directory (default: REPO_MANAGER_CACHE_DIR)')
   .action(async options => {
     try {
-      const report = await new Engine(engineOptions(options)).run();
-      console.log(renderReport(report, options.format, true));
+      const engine = new Engine(engineOptions(options));
+      const report = await engine.run();
+      const plan = options.format === 'html' ? await engine.planReport(report) : null;
+      console.log(renderReport(report, options.format, { verbose: true, plan }));
       if (report.status !== 'pass') process.exitCode = 1;
     } catch (error) {
       console.error(`Error: ${error.message}`);
@@ -175,6 +249,52 @@ program
     }
   });
 
+program
+  .command('diff <before> <after>')
+  .description('Compare two compliance report JSON files')
+  .option('-f, --format <format>', 'Output format: cli, json, markdown', diffFormat, 'cli')
+  .option('--output <file>', 'Write output to a file')
+  .action(async (beforePath, afterPath, options) => {
+    try {
+      const diff = Report.diff(readJson(beforePath), readJson(afterPath));
+      let output;
+      if (options.format === 'json') output = JSON.stringify(diff, null, 2);
+      else if (options.format === 'markdown') output = formatMarkdownDiff(diff);
+      else output = formatDiff(diff);
+      writeOutput(output, options.output);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('render <report>')
+  .description('Render a saved compliance or fleet report as HTML or a compliance report as Markdown')
+  .option('-f, --format <format>', 'Output format: html, markdown', renderFormat, 'html')
+  .option('--plan <file>', 'Include a remediation plan summary from a plan JSON file (html)')
+  .option('--output <file>', 'Write output to a file')
+  .action(async (reportPath, options) => {
+    try {
+      const document = readJson(reportPath);
+      let output;
+      if (options.format === 'markdown') {
+        if (document.kind !== 'RepositoryComplianceReport') throw new Error(`${reportPath} is not a compliance report`);
+        output = formatMarkdown(document);
+      } else if (document.kind === 'RepositoryFleetReport') {
+        output = formatHtmlFleet(document, { reports: readFleetReports(document, path.dirname(path.resolve(reportPath))) });
+      } else if (document.kind === 'RepositoryComplianceReport') {
+        output = formatHtml(document, { plan: options.plan ? readJson(options.plan, 'plan') : null });
+      } else {
+        throw new Error(`${reportPath} is not a compliance or fleet report`);
+      }
+      writeOutput(output, options.output);
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
 program
   .command('inventory')
   .description('Produce normalized local or GitHub organization repository inventory')
@@ -205,6 +325,75 @@ program
     }
   });
 
+program
+  .command('evaluate-org')
+  .description('Evaluate every repository in an inventory and write a fleet report')
+  .requiredOption('--inventory <file>', 'RepositoryInventory JSON produced by the inventory command')
+  .option('--mirror <dir>', 'Read repositories from <dir>/<owner>/<name> or <dir>/<name>')
+  .option('--clone', 'Shallow-clone each repository from GitHub into a temporary directory', false)
+  .option('--profiles <file>', 'Policy profile assignments for the fleet')
+  .option('--output-dir <dir>', 'Directory for individual reports and fleet.json', 'compliance-reports')
+  .option('--concurrency <n>', 'Repositories evaluated at once (1-32)', concurrency, 4)
+  .option('-o, --only <checkers>', 'Run only specific checkers (comma-separated)', commaList)
+  .option('-f, --format <format>', 'Output format: cli, json, html', fleetFormat, 'cli')
+  .option('--output <file>', 'Write output to a file')
+  .option('--policy <path>', 'Policy file relative to each repository without a profile', '.repo-manager.json')
+  .option('--include-archived', 'Evaluate archived and disabled repositories', false)
+  .option('--allow-plugins', 'Load third-party checker plugins declared by the policy', false)
+  .option('--cache-dir <dir>', 'Persistent cache directory (default: REPO_MANAGER_CACHE_DIR)')
+  .action(async options => {
+    try {
+      if (Boolean(options.mirror) === options.clone) throw new Error('Choose exactly one of --mirror or --clone');
+      const fleet = await Fleet.evaluate(readJson(options.inventory, 'inventory'), {
+        mirrorDir: options.mirror || null,
+        clone: options.clone,
+        outputDir: options.outputDir,
+        profiles: Fleet.loadProfiles(options.profiles),
+        concurrency: options.concurrency,
+        includeArchived: options.includeArchived,
+        only: options.only,
+        token: process.env.GITHUB_TOKEN || null,
+        config: options.policy,
+        allowPlugins: options.allowPlugins === true,
+        cacheDir: cacheDirectory(options),
+      });
+      const output = JSON.stringify(fleet, null, 2);
+      fs.writeFileSync(path.join(path.resolve(options.outputDir), 'fleet.json'), `${output}\n`, 'utf8');
+      let rendered = output;
+      if (options.format === 'cli') rendered = formatFleet(fleet);
+      else if (options.format === 'html') rendered = formatHtmlFleet(fleet, { reports: readFleetReports(fleet, options.outputDir) });
+      writeOutput(rendered, options.output);
+      if (fleet.status !== 'pass') process.exitCode = 1;
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+
+const cacheCommand = program
+  .command('cache')
+  .description('Inspect or clear the persistent check cache');
+
+for (const [name, description, action] of [
+  ['stats', 'Show entry count, size, and expired entries', directory => Cache.stats(directory)],
+  ['clear', 'Remove every cache entry', directory => Cache.clear(directory)],
+]) {
+  cacheCommand
+    .command(name)
+    .description(description)
+    .option('--cache-dir <dir>', 'Persistent cache directory (default: REPO_MANAGER_CACHE_DIR)')
+    .action(options => {
+      try {
+        const directory = cacheDirectory(options);
+        if (!directory) throw new Error('Pass --cache-dir or set REPO_MANAGER_CACHE_DIR');
+        console.log(JSON.stringify(action(directory), null, 2));
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+      }
+    });
+}
+
 program
   .command('config')
   .description('Show the validated effective policy and detected repository context')
@@ -222,7 +411,9 @@ program
         githubAvailable: context.github !== null,
         githubError: context.githubError,
         policySource: context.policySource,
+        policyChain: context.policyChain,
         policy: context.config,
+        provenance: context.policyProvenance,
       }, null, 2));
     } catch (error) {
       console.error(`Error: ${error.message}`);
@@ -21,6 +21,8 @@ module.exports = [
                 setInterval: 'readonly',
                 clearTimeout: 'readonly',
                 clearInterval: 'readonly',
+                fetch: 'readonly',
+                AbortSignal: 'readonly',
 
                 // Jest globals
                 describe: 'readonly',
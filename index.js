@@ -8,5 +8,6 @@ const Policy = require('./lib/policy/Policy');
 const Planner = require('./lib/control/Planner');
 const Executor = require('./lib/control/Executor');
 const Inventory = require('./lib/control/Inventory');
+const Fleet = require('./lib/control/Fleet');
 
-module.exports = { Engine, Checker, Context, Report, Policy, Planner, Executor, Inventory };
+module.exports = { Engine, Checker, Context, Report, Policy, Planner, Executor, Inventory, Fleet };
@@ -3,6 +3,9 @@
 const Checker = require('../engine/Checker');
 
 const REPOSITORY_ADMIN_ROLE_ID = 5;
+// Points of the default-branch controls, which go unchecked when protection
+// cannot be read.
+const REMOTE_CONTROL_POINTS = 60;
 
 class BranchProtectionChecker extends Checker {
   constructor() {
@@ -14,8 +17,9 @@ class BranchProtectionChecker extends Checker {
     });
   }
 
-  _finding(findings, id, severity, message, fix) {
-    findings.push({ id, severity, message, file: null, fix });
+  // `penalty` is the points the failed control would have earned.
+  _finding(findings, id, severity, message, fix, penalty = 0) {
+    findings.push({ id, severity, message, file: null, fix, penalty });
   }
 
   async _getAllBranchRules(github, parameters) {
@@ -46,13 +50,13 @@ class BranchProtectionChecker extends Checker {
     const hasCi = workflowFiles.length > 0;
 
     if (hasCodeowners) score += 20;
-    else this._finding(findings, 'bp-001', 'high', 'CODEOWNERS file is missing', 'Create .github/CODEOWNERS');
+    else this._finding(findings, 'bp-001', 'high', 'CODEOWNERS file is missing', 'Create .github/CODEOWNERS', 20);
 
     if (hasPullRequestTemplate) score += 10;
-    else this._finding(findings, 'bp-002', 'medium', 'Pull request template is missing', 'Create .github/PULL_REQUEST_TEMPLATE.md');
+    else this._finding(findings, 'bp-002', 'medium', 'Pull request template is missing', 'Create .github/PULL_REQUEST_TEMPLATE.md', 10);
 
     if (hasCi) score += 10;
-    else this._finding(findings, 'bp-003', 'high', 'No CI workflows were found', 'Add a required CI workflow');
+    else this._finding(findings, 'bp-003', 'high', 'No CI workflows were found', 'Add a required CI workflow', 10);
 
     const owner = context.gitInfo && context.gitInfo.owner;
     const repo = context.gitInfo && context.gitInfo.repo;
@@ -68,6 +72,7 @@ class BranchProtectionChecker extends Checker {
         'medium',
         'Branch protection could not be verified without authenticated GitHub repository context',
         'Run with a GitHub App or GITHUB_TOKEN that can read repository administration settings',
+        REMOTE_CONTROL_POINTS,
       );
       return this.createResult(score, findings, {
         applicable: true,
@@ -113,6 +118,7 @@ class BranchProtectionChecker extends Checker {
           ? `Default branch "${defaultBranch}" is not protected`
           : `Branch protection could not be read: ${protectionError ? protectionError.message : 'unknown error'}`,
         `Protect ${defaultBranch} using the organization baseline`,
+        REMOTE_CONTROL_POINTS,
       );
       return this.createResult(score, findings, {
         applicable: true,
@@ -244,7 +250,7 @@ class BranchProtectionChecker extends Checker {
 
     const booleanControl = (desiredKey, actualKey, points, id, severity, label) => {
       if (desired[desiredKey] === false || actual[actualKey]) score += points;
-      else this._finding(findings, id, severity, `${label} is not enforced on ${defaultBranch}`, `Enable ${label.toLowerCase()} on ${defaultBranch}`);
+      else this._finding(findings, id, severity, `${label} is not enforced on ${defaultBranch}`, `Enable ${label.toLowerCase()} on ${defaultBranch}`, points);
     };
 
     const prohibitedBooleanControl = (prohibitKey, actualKey, points, id, label) => {
@@ -255,6 +261,7 @@ class BranchProtectionChecker extends Checker {
         'high',
         `${label} must remain disabled on ${defaultBranch}`,
         `Disable ${label.toLowerCase()} on ${defaultBranch}`,
+        points,
       );
     };
 
@@ -286,6 +293,7 @@ class BranchProtectionChecker extends Checker {
         details.length > 0
           ? `Require the configured status-check contexts and App sources on ${defaultBranch}`
           : `Enable required status checks on ${defaultBranch}`,
+        12,
       );
     }
     booleanControl('requireStrictStatusChecks', 'strictStatusChecks', 6, 'bp-011', 'medium', 'Strict status checks');
@@ -320,6 +328,7 @@ class BranchProtectionChecker extends Checker {
         'high',
         messages.join('; '),
         fixes.join('; '),
+        12,
       );
     }
 
@@ -1,21 +1,84 @@
 'use strict';
 
 const Checker = require('../engine/Checker');
+const Suppressions = require('../policy/Suppressions');
+const yaml = require('../utils/yaml');
+const Workflow = require('../utils/workflow');
+const Semver = require('../utils/semver');
+const WorkflowPermissions = require('../policy/WorkflowPermissions');
+const ActionPolicy = require('../policy/ActionPolicy');
+const ActionResolver = require('../policy/ActionResolver');
+const WorkflowScaffold = require('../control/WorkflowScaffold');
+
+const { YamlError } = yaml;
+
+// Events that run a workflow for code changes.
+const CODE_CHANGE_TRIGGERS = new Set(['push', 'pull_request', 'pull_request_target', 'merge_group']);
+const UNTRUSTED_EXPRESSION = /\$\{\{\s*(?:github\.event\.|inputs\.)/;
+const SEVERITY_PENALTIES = Object.freeze({ critical: 25, high: 15, medium: 10, low: 5 });
+
+// Pull request code and artifacts reachable from a privileged trigger.
+const UNTRUSTED_REF = /github\.event\.pull_request\.(?:head\.(?:sha|ref|repo\.full_name)|merge_commit_sha)|github\.head_ref|github\.event\.workflow_run\.head_(?:sha|branch|commit\.id|repository\.full_name)|refs\/pull\//;
+const UNTRUSTED_FETCH = /\bgh\s+pr\s+checkout\b|\bgit\s+(?:fetch|checkout|switch|pull)\b.*(?:pull\/|\$\{\{[^}]*(?:head\.(?:sha|ref)|head_ref|head_sha|head_branch))/;
+const WORKFLOW_RUN_ARTIFACTS = /github\.event\.workflow_run\.id/;
+// Commands and actions that execute code from the checked-out tree.
+const BUILD_COMMAND = new RegExp([
+  '\\b(?:npm|pnpm|yarn|bun)\\s+(?:install|ci|i|run|test|build|exec|x)\\b',
+  '\\bnpx\\s',
+  '\\bmake\\b',
+  '\\bpip3?\\s+install\\b',
+  '\\bpython3?\\s+(?:setup\\.py|-m\\s+(?:pip|build|pytest))',
+  '\\bpytest\\b',
+  '\\b(?:mvn|gradlew?)\\b',
+  '\\bcargo\\s+(?:build|check|test|run|clippy|doc|bench|semver-checks)\\b',
+  '\\bgo\\s+(?:build|test|run|generate)\\b',
+  '\\bbundle\\s+(?:install|exec)\\b',
+  '\\brake\\b',
+  '(?:^|[\\s;&|])\\.\\/[\\w.-]',
+  '\\b(?:ba)?sh\\s+[\\w./-]+\\.sh\\b',
+].join('|'));
+const SAFE_INSTALL = /\b(?:npm|pnpm|yarn)\s+(?:ci|install|i)\b.*--ignore-scripts\b/;
+const BUILD_ACTIONS = ['github/codeql-action/autobuild', 'docker/build-push-action'];
+const SECRET_EXPRESSION = /\$\{\{[^}]*\bsecrets\./;
+// Job or step conditions that limit a run to pull requests from the same
+// repository, which cannot come from a fork.
+const SAME_REPOSITORY_GUARD = /head\.repo\.full_name\s*==\s*github\.repository\b|github\.repository\s*==\s*github\.event\.pull_request\.head\.repo\.full_name|head\.repo\.fork\s*==\s*false|!\s*github\.event\.pull_request\.head\.repo\.fork\b/;
+const TEST_COMMAND = /\b(?:(?:npm|pnpm|yarn|bun)\s+(?:run\s+)?test|npx\s+jest|pytest|go\s+test|cargo\s+test|make\s+test|mvn\s+(?:test|verify))\b/;
+
+function actionName(reference) {
+  return String(reference || '').split('@')[0].toLowerCase();
+}
+
+function isGuarded(condition) {
+  return SAME_REPOSITORY_GUARD.test(String(yaml.scalar(condition) ?? ''));
+}
+
+function stepLabel(step) {
+  return step.name || yaml.scalar(step.uses) || `step ${step.index + 1}`;
+}
+
+// Local actions and Docker images are not fetched by ref; everything else
+// must reference a full commit SHA.
+function isPinned(reference) {
+  if (reference.startsWith('./') || reference.startsWith('docker://')) return true;
+  const at = reference.lastIndexOf('@');
+  return at > 0 && /^[a-f0-9]{40}$/i.test(reference.slice(at + 1));
+}
 
 class CicdChecker extends Checker {
   constructor() {
     super({
       name: 'cicd',
-      version: '2.1.0',
+      version: '2.8.0',
       description: 'Checks CI/CD configuration: workflows, triggers, pinned actions, permissions, security, matrix testing',
       defaultWeight: 20,
+      fixableFindingIds: ['ci-001', 'ci-003', 'ci-004', 'ci-007'],
     });
   }
 
   async check(context) {
     const startTime = Date.now();
     const findings = [];
-    let score = 100;
 
     // 1. Check for .github/workflows/ directory with at least one .yml file
     const workflowFiles = context.listFiles('.github/workflows').filter(
@@ -36,83 +99,119 @@ class CicdChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a GitHub Actions workflow in .github/workflows/',
+        penalty: 100,
       });
       return this.createResult(0, findings, { workflowCount: 0 }, startTime);
     }
 
     // 2. Parse each workflow file
     let hasTriggersAcrossAll = false;
-    let hasPermissionsAcrossAll = false;
-    let hasMatrixTesting = false;
+    let matrixEvidence = null;
     let hasTestStep = false;
+    let parseErrors = 0;
+    const allowlisted = [];
+    const cicdPolicy = context.config.cicd || {};
+    const allowedPrivileged = new Set(cicdPolicy.allowedPrivilegedWorkflows || []);
+    const actionPolicy = {
+      allowed: ActionPolicy.compileAllowed(cicdPolicy.allowedActions),
+      tags: ActionPolicy.loadTagMap(context.policyRoot, cicdPolicy.actionTagMap),
+    };
 
     for (const workflowPath of filesToAudit) {
       const wf = workflowPath.split('/').pop();
       const content = context.readFile(workflowPath);
       if (!content) continue;
 
-      // Check for triggers
-      if (/on:\s*(pull_request|push|\[)/m.test(content)) {
-        hasTriggersAcrossAll = true;
-      }
-
-      // Check for permissions block
-      if (/^permissions:/m.test(content)) {
-        hasPermissionsAcrossAll = true;
-      }
-
-      // Check for unpinned actions
-      const unpinnedPattern = /uses:\s+([^\s@]+)@([^\s#]+)/g;
-      let match;
-      while ((match = unpinnedPattern.exec(content)) !== null) {
-        if (match[1].startsWith('./') || match[1].startsWith('docker://') || /^[a-f0-9]{40}$/i.test(match[2])) continue;
-        const lines = content.substring(0, match.index).split('\n');
+      let workflow;
+      try {
+        workflow = Workflow.parse(content);
+      } catch (error) {
+        if (!(error instanceof YamlError)) throw error;
+        parseErrors++;
         findings.push({
-          id: 'ci-004',
+          id: 'ci-008',
           severity: 'medium',
-          message: `Action is not pinned to an immutable commit in ${wf}: ${match[0].trim()}`,
+          message: `Workflow ${wf} could not be parsed: ${error.message}`,
           file: workflowPath,
-          line: lines.length,
-          fixable: true,
-          fix: 'Pin the action to a full commit SHA and keep the release tag in a comment',
+          line: error.line,
+          fixable: false,
+          fix: 'Fix the YAML syntax so the workflow can be analysed',
+          penalty: 10,
         });
-        score -= 10;
-      }
-
-      // Workflow security audit: check for command injection patterns
-      // ${{ github.event. in run: blocks is a command injection risk
-      const lines = content.split('\n');
-      let inRunBlock = false;
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        if (/^\s*run:\s*/.test(line)) {
-          inRunBlock = true;
-        } else if (/^\s*\w+:/.test(line) && !/^\s*run:/.test(line)) {
-          inRunBlock = false;
-        }
+        continue;
+      }
+      if (!workflow) continue;
 
-        if (inRunBlock && /\$\{\{\s*(?:github\.event\.|inputs\.)/.test(line)) {
-          findings.push({
-            id: 'ci-005',
-            severity: 'high',
-            message: `Command injection risk in ${wf}: untrusted expression interpolated in run block`,
-            file: workflowPath,
-            line: i + 1,
-            fixable: false,
-            fix: 'Pass expression values through an environment variable and validate them before use',
-          });
-          score -= 15;
+      if (workflow.triggers.some(trigger => CODE_CHANGE_TRIGGERS.has(trigger.event))) {
+        hasTriggersAcrossAll = true;
+      }
+
+      if (workflow.kind === 'workflow') {
+        for (const finding of this._auditPermissions(workflow, workflowPath, cicdPolicy)) {
+          findings.push({ ...finding, penalty: SEVERITY_PENALTIES[finding.severity] });
         }
       }
 
-      // Matrix testing detection
-      if (/strategy:\s*\n\s*matrix:/m.test(content) || /strategy:.*matrix/m.test(content)) {
-        hasMatrixTesting = true;
+      if (workflow.kind === 'workflow') {
+        if (allowedPrivileged.has(workflowPath)) {
+          allowlisted.push(workflowPath);
+        } else {
+          for (const finding of this._auditPrivilegedTriggers(workflow, workflowPath)) {
+            findings.push({ ...finding, penalty: SEVERITY_PENALTIES[finding.severity] });
+          }
+        }
       }
 
-      // Test step detection
-      if (/name:.*test/im.test(content) || /run:.*npm\s+test/m.test(content)) {
-        hasTestStep = true;
+      for (const job of workflow.jobs) {
+        // Check for unpinned actions and reusable workflows
+        for (const uses of [job.uses, ...job.steps.map(step => step.uses)]) {
+          const reference = yaml.scalar(uses);
+          if (typeof reference !== 'string') continue;
+          if (!isPinned(reference)) {
+            findings.push({
+              id: 'ci-004',
+              severity: 'medium',
+              message: `Action is not pinned to an immutable commit in ${wf}: uses: ${reference}`,
+              file: workflowPath,
+              line: uses.line,
+              fixable: true,
+              fix: 'Pin the action to a full commit SHA and keep the release tag in a comment',
+              penalty: 10,
+            });
+          }
+          for (const finding of this._auditActionReference(reference, uses.line, workflow.lines[uses.line - 1], workflowPath, actionPolicy)) {
+            findings.push({ ...finding, penalty: SEVERITY_PENALTIES[finding.severity] });
+          }
+        }
+
+        // Workflow security audit: ${{ github.event.* }} or ${{ inputs.* }}
+        // interpolated into a run script is a command injection risk. Values
+        // passed through env: are not.
+        for (const step of job.steps) {
+          for (const line of Workflow.contentLines(step.run)) {
+            if (!UNTRUSTED_EXPRESSION.test(workflow.lines[line - 1] || '')) continue;
+            const waiver = Suppressions.inline(workflow.lines, line - 1, 'ci-005', workflowPath);
+            findings.push({
+              id: 'ci-005',
+              severity: 'high',
+              message: `Command injection risk in ${wf}: untrusted expression interpolated in run block`,
+              file: workflowPath,
+              line,
+              fixable: false,
+              fix: 'Pass expression values through an environment variable and validate them before use',
+              ...(waiver ? { inlineSuppression: waiver } : {}),
+              penalty: 15,
+            });
+          }
+        }
+
+        if (job.matrix && !matrixEvidence) matrixEvidence = { file: workflowPath, line: job.matrix.key };
+
+        const names = [workflow.name, job.name, ...job.steps.map(step => step.name)];
+        if (names.some(name => name && /test/i.test(name)) ||
+            job.steps.some(step => TEST_COMMAND.test(yaml.scalar(step.run) || ''))) {
+          hasTestStep = true;
+        }
       }
     }
 
@@ -125,35 +224,21 @@ class CicdChecker extends Checker {
         line: null,
         fixable: false,
         fix: 'Add trigger configuration to at least one workflow',
+        penalty: 15,
       });
-      score -= 15;
-    }
-
-    if (!hasPermissionsAcrossAll) {
-      findings.push({
-        id: 'ci-003',
-        severity: 'low',
-        message: 'No "permissions:" block found in any workflow',
-        file: '.github/workflows/',
-        line: null,
-        fixable: true,
-        fix: 'Add explicit permissions to workflows for least-privilege',
-      });
-      score -= 5;
     }
 
     // Matrix testing bonus
-    if (hasMatrixTesting) {
+    if (matrixEvidence) {
       findings.push({
         id: 'ci-006',
         severity: 'info',
         message: 'Matrix testing detected — testing across multiple configurations',
-        file: '.github/workflows/',
-        line: null,
+        file: matrixEvidence.file,
+        line: matrixEvidence.line,
         fixable: false,
         fix: null,
       });
-      score += 5;
     }
 
     // Test step check
@@ -166,11 +251,474 @@ class CicdChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a test step (e.g., npm test) to your CI workflow',
+        penalty: 10,
+      });
+    }
+
+    // Matrix testing earns a bonus on top of the deductions
+    const score = 100 - Checker.penalty(findings) + (matrixEvidence ? 5 : 0);
+    return this.createResult(score, findings, { workflowCount: workflowFiles.length, auditedFiles: filesToAudit.length, parseErrors, allowlistedPrivilegedWorkflows: allowlisted }, startTime);
+  }
+
+  async plan(context, findings) {
+    const operations = [];
+    const unsupported = [];
+    const Planner = require('../control/Planner');
+
+    // Workflow edits are collected per file so that pinning and adding
+    // permissions to the same workflow yield a single write.
+    const edits = new Map();
+    const editFor = (file) => {
+      if (!edits.has(file)) {
+        const current = context.readFile(file);
+        edits.set(file, { current, lines: current === null ? null : current.split('\n'), findingIds: new Set(), changes: [] });
+      }
+      return edits.get(file);
+    };
+
+    const pins = new Map();
+    const resolver = findings.some(finding => ['ci-001', 'ci-004', 'ci-007'].includes(finding.id)) ? ActionResolver.create(context) : null;
+    let scaffold = null;
+    for (const finding of findings) {
+      if (finding.id === 'ci-004') {
+        if (!pins.has(finding.file)) pins.set(finding.file, new Set());
+        pins.get(finding.file).add(finding.line);
+      } else if (finding.id === 'ci-001' || finding.id === 'ci-007') {
+        scaffold = scaffold || finding;
+      } else if (finding.id !== 'ci-003') {
+        unsupported.push({ id: finding.id, reason: 'No safe automatic remediation' });
+      }
+    }
+
+    for (const [file, lineNumbers] of pins) {
+      const edit = editFor(file);
+      let pinned = 0;
+      for (const line of [...lineNumbers].sort((a, b) => a - b)) {
+        const reason = edit.lines ? await this._pinLine(edit.lines, line, resolver) : 'The workflow no longer exists';
+        if (reason) unsupported.push({ id: 'ci-004', file, line, reason });
+        else pinned++;
+      }
+      if (pinned === 0) continue;
+      edit.findingIds.add('ci-004');
+      edit.changes.push(`pin ${pinned} action ${pinned === 1 ? 'reference' : 'references'} to commit SHAs`);
+    }
+
+    // Permissions are inserted after pinning, which rewrites lines in place
+    // without moving them.
+    for (const finding of findings.filter(candidate => candidate.id === 'ci-003')) {
+      const edit = editFor(finding.file);
+      const reason = edit.lines ? this._addPermissions(edit) : 'The workflow no longer exists';
+      if (reason) {
+        unsupported.push({ id: 'ci-003', file: finding.file, reason });
+        continue;
+      }
+      edit.findingIds.add('ci-003');
+      edit.changes.push('add a read-only top-level permissions block');
+    }
+
+    for (const [file, edit] of edits) {
+      if (edit.changes.length === 0) continue;
+      const description = edit.changes.join(' and ');
+      operations.push({
+        id: `cicd:update-workflow:${file}`,
+        checker: this.name,
+        findingId: [...edit.findingIds].sort().join(', '),
+        type: 'write-file',
+        path: file,
+        description: `${description[0].toUpperCase()}${description.slice(1)} in ${file}`,
+        beforeHash: Planner.hash(edit.current),
+        content: edit.lines.join('\n'),
+      });
+    }
+
+    if (scaffold) {
+      const workflow = await this._scaffoldWorkflow(context, resolver);
+      if (workflow.reason) {
+        unsupported.push({ id: scaffold.id, reason: workflow.reason });
+      } else {
+        operations.push({
+          id: `cicd:create-workflow:${workflow.path}`,
+          checker: this.name,
+          findingId: scaffold.id,
+          type: 'write-file',
+          path: workflow.path,
+          description: `Create a CI workflow that runs ${workflow.test} on Node.js ${workflow.versions.join(', ')}`,
+          beforeHash: null,
+          content: workflow.content,
+        });
+      }
+    }
+    return { checker: this.name, operations, unsupported };
+  }
+
+  // Resolves `name@ref` to `{ sha }`, or `{ reason }` when no resolver can.
+  async _resolvePin(resolver, name, ref, reference) {
+    if (resolver.sources.length === 0) {
+      return { reason: `No SHA resolver is available for ${reference}; configure cicd.actionTagMap or provide a GitHub token` };
+    }
+    let resolved;
+    try {
+      resolved = await resolver.resolve(name, ref);
+    } catch (error) {
+      return { reason: `Could not resolve ${reference}: ${error.message}` };
+    }
+    return resolved ? { sha: resolved.sha } : { reason: `No commit found for ${reference} via ${resolver.sources.join(', ')}` };
+  }
+
+  // Rewrites the `uses:` reference on a 1-based line in place to
+  // `owner/repo@<sha> # <tag>`, keeping any existing comment after the tag.
+  // Returns the reason when the line cannot be pinned.
+  async _pinLine(lines, line, resolver) {
+    const text = lines[line - 1];
+    const match = text === undefined ? null : /^(\s*(?:-\s+)?(?:\{\s*)?uses\s*:\s*["']?)([^\s"'#,}]+)(.*)$/.exec(text);
+    if (!match) return 'The uses: reference is not on a single line that can be rewritten';
+    const [, prefix, reference, rest] = match;
+    const parsed = ActionPolicy.parseReference(reference);
+    if (!parsed || !parsed.ref) return `uses: ${reference} has no tag or branch to resolve`;
+    const resolved = await this._resolvePin(resolver, parsed.name, parsed.ref, reference);
+    if (resolved.reason) return resolved.reason;
+
+    const carriageReturn = rest.endsWith('\r') ? '\r' : '';
+    const body = carriageReturn ? rest.slice(0, -1) : rest;
+    const comment = /\s#\s?/.exec(body);
+    const target = `${reference.slice(0, reference.lastIndexOf('@'))}@${resolved.sha}`;
+    lines[line - 1] = comment
+      ? `${prefix}${target}${body.slice(0, comment.index)} # ${parsed.ref} ${body.slice(comment.index + comment[0].length)}`.trimEnd() + carriageReturn
+      : `${prefix}${target}${body.trimEnd()} # ${parsed.ref}${carriageReturn}`;
+    return null;
+  }
+
+  // Inserts `permissions: contents: read` after the workflow's `on:` block.
+  // Workflows whose unscoped jobs appear to need a write scope, or whose token
+  // use cannot be inferred, are left for a person to scope. Returns the reason
+  // when the block is not added.
+  _addPermissions(edit) {
+    let workflow;
+    try {
+      workflow = Workflow.parse(edit.current);
+    } catch (error) {
+      if (!(error instanceof YamlError)) throw error;
+      return `The workflow could not be parsed: ${error.message}`;
+    }
+    if (!workflow || workflow.kind !== 'workflow' || workflow.permissions) return 'The workflow has no top-level block to add permissions to';
+    const uncovered = workflow.jobs.filter(job => !job.permissions);
+    const single = uncovered.length === 1;
+    const label = `${single ? 'job' : 'jobs'} ${uncovered.map(job => job.id).join(', ')}`;
+    const needs = WorkflowPermissions.writeNeeds(uncovered);
+    if (!needs) return `Cannot infer how ${label} ${single ? 'uses' : 'use'} the token; declare permissions by hand`;
+    if (needs.size > 0) {
+      const scopes = [...needs].sort().map(scope => `${scope}: write`).join(', ');
+      return `Unscoped ${label} ${single ? 'needs' : 'need'} ${scopes}; declare permissions by hand`;
+    }
+
+    const lines = edit.lines;
+    const on = Workflow.entryOf(workflow.ast, 'on');
+    const jobs = Workflow.entryOf(workflow.ast, 'jobs');
+    const anchor = on || jobs;
+    if (!anchor || !/^[^\s{#-]/.test(lines[anchor.key - 1])) return 'The workflow is not a block mapping that can be edited in place';
+    const eol = lines[0].endsWith('\r') ? '\r' : '';
+    const indent = jobs && jobs.value.line > jobs.key ? /^\s*/.exec(lines[jobs.value.line - 1])[0] : '  ';
+    const block = [`permissions:${eol}`, `${indent}contents: read${eol}`];
+    if (on) {
+      const after = on.value.endLine;
+      lines.splice(after, 0, ...((lines[after] || '').trim() === '' ? [eol, ...block] : block));
+    } else {
+      const before = jobs.key - 1;
+      lines.splice(before, 0, ...((lines[before - 1] || '').trim() === '' ? [...block, eol] : block));
+    }
+    return null;
+  }
+
+  // Builds a CI workflow for a Node.js project from its package.json: a matrix
+  // over the Node.js lines its engines range accepts, its test script, and
+  // actions pinned through the resolver. Returns `{ reason }` when it cannot.
+  async _scaffoldWorkflow(context, resolver) {
+    const packageJson = context.packageJson;
+    if (!packageJson) return { reason: 'A CI workflow can only be scaffolded for a Node.js project with a package.json' };
+    const target = ['.github/workflows/ci.yml', '.github/workflows/test.yml'].find(file => !context.fileExists(file));
+    if (!target) return { reason: 'ci.yml and test.yml already exist in .github/workflows; add the test step by hand' };
+    const range = (packageJson.engines || {}).node;
+    const versions = WorkflowScaffold.nodeVersions(range);
+    if (!versions || versions.length === 0) return { reason: `engines.node range "${range}" matches no Node.js release line` };
+    const fileExists = file => context.fileExists(file);
+    const manager = WorkflowScaffold.packageManager(packageJson, fileExists);
+    const test = WorkflowScaffold.testCommand(packageJson, manager);
+    if (!test) return { reason: 'package.json has no test script for the workflow to run' };
+
+    // The newest release the tag map lists, so the pins start current.
+    const tagMap = ActionPolicy.loadTagMap(context.policyRoot, (context.config.cicd || {}).actionTagMap);
+    const actions = {};
+    for (const [key, action] of Object.entries(WorkflowScaffold.ACTIONS)) {
+      const known = tagMap && tagMap.get(action.name);
+      const tag = (known && ActionPolicy.newestTag([...known.keys()])) || action.tag;
+      const reference = `${action.name}@${tag}`;
+      const resolved = await this._resolvePin(resolver, action.name, tag, reference);
+      if (resolved.reason) return { reason: resolved.reason };
+      actions[key] = `${action.name}@${resolved.sha} # ${tag}`;
+    }
+    return {
+      path: target,
+      test,
+      versions,
+      content: WorkflowScaffold.render({
+        branch: context.repositoryIdentity().defaultBranch || 'main',
+        versions,
+        manager,
+        install: WorkflowScaffold.installCommand(manager, fileExists),
+        test,
+        actions,
+      }),
+    };
+  }
+
+  // Least-privilege audit of GITHUB_TOKEN permissions. Each `permissions:`
+  // declaration is checked once: for write-all, for scopes above what the
+  // policy allows for the workflow's triggers, and for write scopes that no
+  // step of the jobs it covers appears to use.
+  _auditPermissions(workflow, workflowPath, cicdPolicy) {
+    const findings = [];
+    const wf = workflowPath.split('/').pop();
+    const events = workflow.triggers.map(trigger => trigger.event);
+    const privileged = events.filter(event => WorkflowPermissions.PRIVILEGED_TRIGGERS.has(event));
+    const allowed = WorkflowPermissions.allowedFor(events, cicdPolicy);
+
+    const uncovered = workflow.permissions ? [] : workflow.jobs.filter(job => !job.permissions);
+    if (uncovered.length > 0) {
+      const partial = uncovered.length < workflow.jobs.length;
+      findings.push({
+        id: 'ci-003',
+        severity: privileged.length > 0 ? 'high' : 'low',
+        message: (partial
+          ? `No "permissions:" block for ${uncovered.length === 1 ? 'job' : 'jobs'} ${uncovered.map(job => job.id).join(', ')} in ${wf}`
+          : `No "permissions:" block found in ${wf}`) +
+          (privileged.length > 0 ? ` (triggered by ${privileged.join(', ')})` : ''),
+        file: workflowPath,
+        line: partial ? uncovered[0].line : null,
+        fixable: true,
+        fix: 'Add explicit permissions to workflows for least-privilege',
       });
-      score -= 10;
     }
 
-    return this.createResult(score, findings, { workflowCount: workflowFiles.length, auditedFiles: filesToAudit.length }, startTime);
+    const declarations = [];
+    if (workflow.permissions) {
+      declarations.push({ scope: wf, entry: workflow.permissions, jobs: workflow.jobs.filter(job => !job.permissions) });
+    }
+    for (const job of workflow.jobs) {
+      if (job.permissions) declarations.push({ scope: `job ${job.id} in ${wf}`, entry: job.permissions, jobs: [job] });
+    }
+
+    for (const declaration of declarations) {
+      const permissions = WorkflowPermissions.read(declaration.entry);
+      if (permissions.all === 'write') {
+        findings.push({
+          id: 'ci-009',
+          severity: 'high',
+          message: `GITHUB_TOKEN is granted write-all permissions for ${declaration.scope}`,
+          file: workflowPath,
+          line: permissions.line,
+          fixable: false,
+          fix: 'Replace write-all with the individual scopes the jobs need',
+        });
+        continue;
+      }
+
+      if (allowed) {
+        const excess = WorkflowPermissions.SCOPES.filter(scope => {
+          const level = WorkflowPermissions.levelOf(permissions, scope);
+          return WorkflowPermissions.LEVELS[level] > WorkflowPermissions.LEVELS[allowed.get(scope)];
+        });
+        if (excess.length > 0) {
+          const declared = permissions.scopes.get(excess[0]);
+          findings.push({
+            id: 'ci-010',
+            severity: 'medium',
+            message: `Permissions for ${declaration.scope} exceed the policy for ${events.join(', ')}: ` +
+              excess.map(scope => `${scope}: ${WorkflowPermissions.levelOf(permissions, scope)}`).join(', '),
+            file: workflowPath,
+            line: declared ? declared.line : permissions.line,
+            current: Object.fromEntries(excess.map(scope => [scope, WorkflowPermissions.levelOf(permissions, scope)])),
+            expected: Object.fromEntries(excess.map(scope => [scope, allowed.get(scope)])),
+            fixable: false,
+            fix: 'Reduce the permissions to those allowed by cicd.allowedPermissions',
+          });
+        }
+      }
+
+      const needs = declaration.jobs.length > 0 ? WorkflowPermissions.writeNeeds(declaration.jobs) : null;
+      if (!needs) continue;
+      for (const [scope, { level, line }] of permissions.scopes) {
+        if (level !== 'write' || needs.has(scope) || !WorkflowPermissions.isInferable(scope)) continue;
+        findings.push({
+          id: 'ci-011',
+          severity: 'low',
+          message: `${scope}: write is granted for ${declaration.scope} but no step appears to need it`,
+          file: workflowPath,
+          line,
+          fixable: false,
+          fix: `Lower ${scope} to read or remove it`,
+        });
+      }
+    }
+    return findings;
+  }
+
+  // "Pwn request" audit: workflows on pull_request_target or workflow_run run
+  // with a privileged token and secrets, so fetching the pull request's code
+  // or the triggering run's artifacts is dangerous, and building that code
+  // or handing secrets to later steps hands them to the contributor.
+  _auditPrivilegedTriggers(workflow, workflowPath) {
+    const findings = [];
+    const wf = workflowPath.split('/').pop();
+    const privileged = [...new Set(workflow.triggers.map(trigger => trigger.event))]
+      .filter(event => WorkflowPermissions.PRIVILEGED_TRIGGERS.has(event));
+    if (privileged.length === 0) return findings;
+
+    for (const job of workflow.jobs) {
+      if (isGuarded(job.if)) continue;
+      let untrusted = null;
+      let executes = false;
+      let exposes = false;
+      for (const step of job.steps) {
+        if (!untrusted) {
+          untrusted = isGuarded(step.if) ? null : this._untrustedSource(step, workflow.lines);
+          if (untrusted) {
+            findings.push({
+              id: 'ci-012',
+              severity: 'high',
+              message: `Job ${job.id} in ${wf} ${untrusted.description} on ${privileged.join(', ')}`,
+              file: workflowPath,
+              line: untrusted.line,
+              fixable: false,
+              fix: 'Use the pull_request trigger for untrusted code, or restrict the job to same-repository pull requests',
+            });
+          }
+          continue;
+        }
+
+        const uses = actionName(yaml.scalar(step.uses));
+        const buildLine = Workflow.contentLines(step.run).find(line => {
+          const text = workflow.lines[line - 1] || '';
+          return BUILD_COMMAND.test(text) && !SAFE_INSTALL.test(text);
+        });
+        if (!executes && (buildLine || uses.startsWith('./') || BUILD_ACTIONS.some(action => uses === action))) {
+          executes = true;
+          findings.push({
+            id: 'ci-013',
+            severity: 'critical',
+            message: `Job ${job.id} in ${wf} runs code from the untrusted checkout with a privileged token: ${stepLabel(step)}`,
+            file: workflowPath,
+            line: buildLine || step.line,
+            fixable: false,
+            fix: 'Build untrusted code in a pull_request workflow without secrets and pass results through artifacts',
+          });
+        }
+
+        if (!exposes && !uses.startsWith('actions/checkout') &&
+            [step.env, step.with, job.env, workflow.env].some(node => Workflow.mentions(node, SECRET_EXPRESSION))) {
+          exposes = true;
+          findings.push({
+            id: 'ci-014',
+            severity: 'high',
+            message: `Job ${job.id} in ${wf} passes secrets to a step after fetching untrusted code: ${stepLabel(step)}`,
+            file: workflowPath,
+            line: step.line,
+            fixable: false,
+            fix: 'Move steps that need secrets to a job that does not check out pull request code',
+          });
+        }
+      }
+    }
+    return findings;
+  }
+
+  _untrustedSource(step, lines) {
+    const uses = actionName(yaml.scalar(step.uses));
+    if (uses === 'actions/checkout') {
+      for (const key of ['ref', 'repository']) {
+        const value = yaml.get(step.with, key);
+        if (UNTRUSTED_REF.test(String(yaml.scalar(value) ?? ''))) {
+          return { line: value.line, description: 'checks out pull request code' };
+        }
+      }
+      return null;
+    }
+    if (/(?:^|\/)(?:action-)?download-artifact$/.test(uses) && Workflow.mentions(step.with, WORKFLOW_RUN_ARTIFACTS)) {
+      return { line: step.line, description: 'downloads artifacts from the triggering workflow run' };
+    }
+    const line = Workflow.contentLines(step.run).find(number => UNTRUSTED_FETCH.test(lines[number - 1] || ''));
+    return line ? { line, description: 'fetches pull request code' } : null;
+  }
+
+  // Checks a `uses:` reference against cicd.allowedActions and, for SHA pins,
+  // against the offline tag map: the `# vX` comment must name the tag the SHA
+  // belongs to, and a newer release on the same major line marks it stale.
+  _auditActionReference(reference, line, lineText, workflowPath, { allowed, tags }) {
+    const findings = [];
+    const parsed = ActionPolicy.parseReference(reference);
+    if (!parsed) return findings;
+    const wf = workflowPath.split('/').pop();
+    const finding = (id, severity, message, fix, extra = {}) => findings.push({
+      id, severity, message, file: workflowPath, line, fixable: false, fix, ...extra,
+    });
+
+    const entry = allowed ? ActionPolicy.findAllowed(allowed, parsed) : null;
+    if (allowed && !entry) {
+      finding('ci-015', 'high', `Action publisher is not allowed by policy in ${wf}: uses: ${reference}`,
+        'Use an action allowed by cicd.allowedActions or add it to the allowlist after review');
+      return findings;
+    }
+
+    const pinned = ActionPolicy.isSha(parsed.ref);
+    const comment = pinned ? ActionPolicy.pinComment(lineText) : null;
+    const known = tags ? tags.get(parsed.name) : null;
+    const sha = pinned ? parsed.ref.toLowerCase() : null;
+    const shaTags = known && pinned ? [...known].filter(([, value]) => value === sha).map(([tag]) => tag) : [];
+    let version = pinned ? comment : parsed.ref;
+
+    if (known && pinned) {
+      if (comment && known.has(comment) && known.get(comment) !== sha) {
+        finding('ci-017', 'high',
+          `Pinned SHA does not match ${comment} in ${wf}: uses: ${reference}` +
+            (shaTags.length > 0 ? ` (the SHA is ${shaTags.join(', ')})` : ''),
+          'Re-pin the action to the SHA of the tag named in the comment',
+          { current: sha, expected: known.get(comment) });
+      } else if (shaTags.length === 0) {
+        finding('ci-017', 'high', `Pinned SHA is not a known release of ${parsed.name} in ${wf}: uses: ${reference}`,
+          'Pin the action to the SHA of a released tag listed in the action tag map', { current: sha });
+      } else if (comment && !shaTags.includes(comment)) {
+        finding('ci-017', 'high', `Pin comment ${comment} does not match ${shaTags.join(', ')} in ${wf}: uses: ${reference}`,
+          'Correct the version comment to the tag the SHA belongs to', { current: comment, expected: shaTags[0] });
+      }
+
+      // The map, not the comment, says which release a SHA is. A SHA can
+      // carry several tags, such as v4 and v4.2.2; the newest one counts.
+      version = ActionPolicy.newestTag(shaTags);
+      const current = Semver.coerce(version);
+      if (current) {
+        const newer = ActionPolicy.newestTag([...known.keys()].filter(tag => {
+          const candidate = Semver.coerce(tag);
+          return candidate && candidate.major === current.major && Semver.compareParsed(candidate, current) > 0;
+        }));
+        if (newer) {
+          finding('ci-018', 'low', `Pinned ${parsed.name} ${version} is older than ${newer} in ${wf}`,
+            `Update the pin to ${newer} (${known.get(newer)})`, { current: version, expected: newer });
+        }
+      }
+    }
+
+    if (entry && entry.minimumVersion) {
+      const current = Semver.coerce(version);
+      const minimum = Semver.coerce(entry.minimumVersion);
+      if (!current) {
+        finding('ci-016', 'medium',
+          `Cannot verify that ${parsed.name} meets the minimum version ${entry.minimumVersion} in ${wf}: uses: ${reference}`,
+          'Reference a release tag, or pin a SHA with its tag in a comment');
+      } else if (Semver.compareParsed(current, minimum) < 0) {
+        finding('ci-016', 'medium', `Action ${parsed.name} ${version} is below the minimum version ${entry.minimumVersion} in ${wf}`,
+          `Upgrade to ${entry.minimumVersion} or later`, { current: version, expected: entry.minimumVersion });
+      }
+    }
+    return findings;
   }
 }
 
@@ -1,13 +1,15 @@
 'use strict';
 
 const Checker = require('../engine/Checker');
+const Python = require('../utils/python');
+const Workspaces = require('../utils/workspaces');
 
 class DependenciesChecker extends Checker {
   constructor() {
     super({
       name: 'dependencies',
-      version: '2.1.0',
-      description: 'Checks dependency hygiene: lock files, license metadata, runtime declaration, direct count, registries',
+      version: '2.4.0',
+      description: 'Checks dependency hygiene: lock files, license metadata, runtime declaration, direct count, registries, Python pins',
       defaultWeight: 10,
     });
   }
@@ -15,18 +17,53 @@ class DependenciesChecker extends Checker {
   async check(context) {
     const startTime = Date.now();
     const findings = [];
-    let score = 100;
 
-    if (!context.packageJson) {
+    const nodeRoots = this._roots(context, 'node', Boolean(context.packageJson));
+    const pythonRoots = this._roots(context, 'python', Python.isProject(context));
+    if (nodeRoots.length === 0 && pythonRoots.length === 0) {
       findings.push({
         id: 'dep-000',
         severity: 'info',
-        message: 'Node.js dependency checks are not applicable',
+        message: 'Dependency checks are not applicable: no package.json or Python project found',
         file: null,
       });
       return this.createResult(100, findings, { applicable: false }, startTime);
     }
 
+    // Every Node.js and Python root is checked; penalties add up. Workspace
+    // packages of a Node.js root add their average penalty.
+    const ecosystems = [];
+    const packages = [];
+    for (const root of nodeRoots) {
+      const project = context.forRoot(root);
+      const rootFindings = [];
+      this._checkNode(project, rootFindings);
+      const workspaces = Workspaces.evaluate(project, pkg => this._checkPackage(pkg));
+      rootFindings.push(...workspaces.findings);
+      findings.push(...Checker.rebase(rootFindings, root));
+      packages.push(...workspaces.packages.map(pkg => ({ ...pkg, path: root === '.' ? pkg.path : `${root}/${pkg.path}` })));
+      ecosystems.push({ name: 'node', root });
+    }
+    for (const root of pythonRoots) {
+      const rootFindings = [];
+      const metadata = this._checkPython(context.forRoot(root), rootFindings);
+      findings.push(...Checker.rebase(rootFindings, root));
+      ecosystems.push({ name: 'python', root, ...metadata });
+    }
+
+    return this.createResult(100 - Checker.penalty(findings), findings, { ecosystems, packages }, startTime);
+  }
+
+  // Detected roots of `name`. The project root is included whenever `atRoot`
+  // says its manifest is present, even if the context was given an explicit
+  // ecosystem list.
+  _roots(context, name, atRoot) {
+    const roots = context.ecosystemRoots(name);
+    return atRoot && !roots.includes('.') ? ['.', ...roots] : roots;
+  }
+
+  // Lock file and package.json discipline of one Node.js root.
+  _checkNode(context, findings) {
     // 1. Lock file exists
     const hasLockFile =
       context.fileExists('package-lock.json') ||
@@ -41,8 +78,8 @@ class DependenciesChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Run npm install or yarn install to generate a lock file',
+        penalty: 15,
       });
-      score -= 15;
     }
 
     // 2. package.json has license field
@@ -55,8 +92,8 @@ class DependenciesChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a "license" field to package.json',
+        penalty: 10,
       });
-      score -= 10;
     }
 
     // 3. Count direct dependencies
@@ -71,8 +108,8 @@ class DependenciesChecker extends Checker {
         line: null,
         fixable: false,
         fix: 'Review dependencies and remove unused ones',
+        penalty: 10,
       });
-      score -= 10;
     } else if (depCount > 50) {
       findings.push({
         id: 'dep-004',
@@ -82,8 +119,8 @@ class DependenciesChecker extends Checker {
         line: null,
         fixable: false,
         fix: 'Consider reducing dependency count',
+        penalty: 5,
       });
-      score -= 5;
     }
 
     // 4. package.json has engines field
@@ -96,8 +133,8 @@ class DependenciesChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add an "engines" field to specify Node.js version requirements',
+        penalty: 5,
       });
-      score -= 5;
     }
 
     // 5. npm vulnerability ownership belongs to SecurityChecker so a CVE is
@@ -121,14 +158,159 @@ class DependenciesChecker extends Checker {
               line: null,
               fixable: true,
               fix: `Update dependencies that reference ${registry}`,
+              penalty: 5,
             });
-            score -= 5;
           }
         }
       }
     }
+  }
+
+  // License and engines of one workspace package, for Workspaces.evaluate.
+  _checkPackage(pkg) {
+    const findings = [];
+    const file = `${pkg.path}/package.json`;
+    if (!pkg.packageJson.license) {
+      findings.push({
+        id: 'dep-002',
+        severity: 'medium',
+        message: `${pkg.name}: package.json is missing the "license" field`,
+        file,
+        line: null,
+        fixable: false,
+        fix: `Add a "license" field to ${file}`,
+        penalty: 10,
+      });
+    }
+    if (!pkg.packageJson.engines) {
+      findings.push({
+        id: 'dep-005',
+        severity: 'low',
+        message: `${pkg.name}: package.json is missing the "engines" field`,
+        file,
+        line: null,
+        fixable: false,
+        fix: `Add an "engines" field to ${file}`,
+        penalty: 5,
+      });
+    }
+    return findings;
+  }
+
+  // Lock and pin discipline plus pyproject.toml metadata. Returns the files
+  // it read.
+  _checkPython(context, findings) {
+    const pyproject = Python.readPyproject(context);
+    if (pyproject && pyproject.error) {
+      findings.push({
+        id: 'dep-015',
+        severity: 'medium',
+        message: `pyproject.toml could not be parsed: ${pyproject.error.message}`,
+        file: 'pyproject.toml',
+        line: pyproject.error.line,
+        fixable: false,
+        fix: 'Fix the TOML syntax error in pyproject.toml',
+        penalty: 10,
+      });
+    }
+    const project = pyproject && !pyproject.error ? Python.projectMetadata(pyproject) : null;
+    const lockFile = Python.lockFile(context);
+    const requirementFiles = Python.requirementFiles(context);
+
+    // 1. Dependencies are locked, by a lock file or exact requirement pins
+    if (lockFile) {
+      let locked = null;
+      try {
+        locked = Python.lockedPackages(context);
+      } catch (error) {
+        findings.push({
+          id: 'dep-015',
+          severity: 'medium',
+          message: error.message,
+          file: lockFile,
+          line: error.cause && error.cause.line ? error.cause.line : null,
+          fixable: false,
+          fix: `Regenerate ${lockFile} with the tool that owns it`,
+          penalty: 10,
+        });
+      }
+      const lockedNames = new Set(locked ? locked.packages.map(pkg => pkg.name) : []);
+      const missing = locked && project ? project.dependencies.filter(name => !lockedNames.has(name)) : [];
+      if (missing.length > 0) {
+        findings.push({
+          id: 'dep-012',
+          severity: 'medium',
+          message: `${lockFile} is out of date with pyproject.toml: ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} not locked`,
+          file: lockFile,
+          line: null,
+          fixable: false,
+          fix: `Regenerate ${lockFile} after changing pyproject.toml dependencies`,
+          penalty: 10,
+        });
+      }
+    } else {
+      for (const file of requirementFiles) {
+        const { requirements } = Python.parseRequirements(context.readFile(file) || '');
+        const unpinned = requirements.filter(requirement => !requirement.pinned);
+        if (unpinned.length === 0) continue;
+        const names = unpinned.map(requirement => requirement.name || requirement.specifier);
+        findings.push({
+          id: 'dep-011',
+          severity: 'medium',
+          message: `${unpinned.length} requirement${unpinned.length > 1 ? 's' : ''} in ${file} ${unpinned.length > 1 ? 'are' : 'is'} not pinned to an exact version: ${names.join(', ')}`,
+          file,
+          line: unpinned[0].line,
+          fixable: false,
+          fix: 'Pin each requirement with == (for example with pip-compile) or adopt a lock file',
+          penalty: 10,
+        });
+      }
+      if (requirementFiles.length === 0 && project && project.dependencies.length > 0) {
+        findings.push({
+          id: 'dep-010',
+          severity: 'high',
+          message: 'Python dependencies are not locked (poetry.lock, uv.lock, pdm.lock, Pipfile.lock, or pinned requirements.txt)',
+          file: 'pyproject.toml',
+          line: null,
+          fixable: false,
+          fix: 'Commit the lock file of your project tool, for example with uv lock or poetry lock',
+          penalty: 15,
+        });
+      }
+    }
+
+    // 2. pyproject.toml declares the supported Python versions and a license
+    if (project) {
+      const line = pyproject.lines.get(project.table) || null;
+      if (!project.requiresPython) {
+        findings.push({
+          id: 'dep-013',
+          severity: 'low',
+          message: project.table === 'project'
+            ? 'pyproject.toml is missing "requires-python" in [project]'
+            : 'pyproject.toml is missing a "python" constraint in [tool.poetry.dependencies]',
+          file: 'pyproject.toml',
+          line,
+          fixable: false,
+          fix: 'Declare the supported Python versions, for example requires-python = ">=3.10"',
+          penalty: 5,
+        });
+      }
+      if (!project.license) {
+        findings.push({
+          id: 'dep-014',
+          severity: 'medium',
+          message: `pyproject.toml is missing a license in [${project.table}]`,
+          file: 'pyproject.toml',
+          line,
+          fixable: false,
+          fix: 'Add license = "MIT" (or another SPDX expression) to pyproject.toml',
+          penalty: 10,
+        });
+      }
+    }
 
-    return this.createResult(score, findings, {}, startTime);
+    return { lockFile, requirementFiles };
   }
 }
 
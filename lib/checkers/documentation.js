@@ -3,14 +3,24 @@
 const fs = require('fs');
 const path = require('path');
 const Checker = require('../engine/Checker');
+const Templates = require('../control/Templates');
+const Workspaces = require('../utils/workspaces');
+
+// Documents the planner can create from a template, by finding.
+const TEMPLATED_DOCUMENTS = Object.freeze({
+  'doc-001': 'README.md',
+  'doc-007': 'CHANGELOG.md',
+  'doc-009': 'CONTRIBUTING.md',
+});
 
 class DocumentationChecker extends Checker {
   constructor() {
     super({
       name: 'documentation',
-      version: '2.1.0',
+      version: '2.4.0',
       description: 'Checks documentation completeness: README quality, CHANGELOG, CONTRIBUTING, LICENSE, JSDoc coverage',
       defaultWeight: 25,
+      fixableFindingIds: Object.keys(TEMPLATED_DOCUMENTS),
     });
   }
 
@@ -30,6 +40,7 @@ class DocumentationChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a README.md with project description, installation, and usage sections',
+        penalty: 35,
       });
     } else {
       score += 10;
@@ -45,6 +56,7 @@ class DocumentationChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add a ## Installation section to README.md',
+          penalty: 5,
         });
       }
 
@@ -59,6 +71,7 @@ class DocumentationChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add a ## Usage section to README.md',
+          penalty: 5,
         });
       }
 
@@ -73,6 +86,7 @@ class DocumentationChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add a ## License section to README.md',
+          penalty: 5,
         });
       }
 
@@ -87,6 +101,7 @@ class DocumentationChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Expand README.md with more detailed project information',
+          penalty: 5,
         });
       }
 
@@ -101,6 +116,7 @@ class DocumentationChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add status badges (CI, coverage, version) to README.md',
+          penalty: 3,
         });
       }
 
@@ -129,6 +145,7 @@ class DocumentationChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add code examples with triple backtick blocks to README.md',
+          penalty: 2,
         });
       }
 
@@ -148,6 +165,7 @@ class DocumentationChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a CHANGELOG.md following Keep a Changelog format',
+        penalty: 15,
       });
     } else if (/Keep a Changelog/i.test(changelog)) {
       score += 15;
@@ -161,6 +179,7 @@ class DocumentationChecker extends Checker {
         line: null,
         fixable: false,
         fix: 'Add Keep a Changelog header to CHANGELOG.md',
+        penalty: 8,
       });
     }
 
@@ -175,6 +194,7 @@ class DocumentationChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a CONTRIBUTING.md with contribution guidelines',
+        penalty: 15,
       });
     } else if (contributing.length > 50) {
       score += 15;
@@ -188,6 +208,7 @@ class DocumentationChecker extends Checker {
         line: null,
         fixable: false,
         fix: 'Expand CONTRIBUTING.md with detailed guidelines',
+        penalty: 10,
       });
     }
 
@@ -203,6 +224,7 @@ class DocumentationChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a LICENSE file',
+        penalty: 25,
       });
     }
 
@@ -218,15 +240,92 @@ class DocumentationChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a "description" field to package.json',
+        penalty: 5,
       });
     }
 
-    // 6. JSDoc coverage (for Node projects)
-    if (context.projectType === 'node') {
-      score += this._checkJsDocCoverage(context, findings);
+    // 6. JSDoc coverage (for the first Node.js package)
+    const [nodeRoot] = context.ecosystemRoots('node');
+    if (nodeRoot) {
+      score += this._checkJsDocCoverage(context.forRoot(nodeRoot), findings);
+    }
+
+    // 7. Workspace packages of each Node.js root: README and description
+    const packages = [];
+    for (const root of context.ecosystemRoots('node')) {
+      const project = context.forRoot(root);
+      const workspaces = Workspaces.evaluate(project, pkg => this._checkPackage(project, pkg));
+      score -= workspaces.penalty;
+      findings.push(...Checker.rebase(workspaces.findings, root));
+      packages.push(...workspaces.packages.map(pkg => ({ ...pkg, path: root === '.' ? pkg.path : `${root}/${pkg.path}` })));
+    }
+
+    return this.createResult(score, findings, { packages }, startTime);
+  }
+
+  // README and description of one workspace package, for Workspaces.evaluate.
+  _checkPackage(context, pkg) {
+    const findings = [];
+    const readme = context.readFile(`${pkg.path}/README.md`);
+    if (!readme) {
+      findings.push({
+        id: 'doc-017',
+        severity: 'medium',
+        message: `${pkg.name}: README.md is missing`,
+        file: `${pkg.path}/README.md`,
+        line: null,
+        fixable: false,
+        fix: 'Add a README.md describing what the package does and how to use it',
+        penalty: 10,
+      });
     }
+    if (!pkg.packageJson.description) {
+      findings.push({
+        id: 'doc-012',
+        severity: 'low',
+        message: `${pkg.name}: package.json is missing the "description" field`,
+        file: `${pkg.path}/package.json`,
+        line: null,
+        fixable: false,
+        fix: `Add a "description" field to ${pkg.path}/package.json`,
+        penalty: 5,
+      });
+    }
+    return findings;
+  }
+
+  async plan(context, findings) {
+    const operations = [];
+    const unsupported = [];
+    const Planner = require('../control/Planner');
+    let view = null;
 
-    return this.createResult(score, findings, {}, startTime);
+    for (const finding of findings) {
+      const file = TEMPLATED_DOCUMENTS[finding.id];
+      if (!file) {
+        unsupported.push({ id: finding.id, reason: 'No safe automatic remediation' });
+        continue;
+      }
+      view = view || Templates.viewFor(context);
+      let document;
+      try {
+        document = Templates.renderDocument(context, file, view);
+      } catch (error) {
+        unsupported.push({ id: finding.id, reason: error.message });
+        continue;
+      }
+      operations.push({
+        id: `documentation:create-${file.toLowerCase().replace(/\.md$/, '')}`,
+        checker: this.name,
+        findingId: finding.id,
+        type: 'write-file',
+        path: file,
+        description: `Create ${file} from the ${document.source === 'builtin' ? 'built-in' : document.source} template`,
+        beforeHash: Planner.hash(context.readFile(file)),
+        content: document.content,
+      });
+    }
+    return { checker: this.name, operations, unsupported };
   }
 
   _checkJsDocCoverage(context, findings) {
@@ -265,6 +364,7 @@ class DocumentationChecker extends Checker {
         });
         return 5;
       } else {
+        const earned = Math.min(4, Math.round(coverage * 10));
         findings.push({
           id: 'doc-016',
           severity: 'low',
@@ -273,8 +373,9 @@ class DocumentationChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add JSDoc comments to exported functions and classes',
+          penalty: 5 - earned,
         });
-        return Math.min(4, Math.round(coverage * 10));
+        return earned;
       }
     }
     return 5;
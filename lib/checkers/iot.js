@@ -6,7 +6,7 @@ class IotChecker extends Checker {
   constructor() {
     super({
       name: 'iot',
-      version: '2.0.0',
+      version: '2.1.0',
       description: 'Checks IoT project structure: platformio, firmware version, hardware docs',
       defaultWeight: 10,
     });
@@ -15,15 +15,13 @@ class IotChecker extends Checker {
   async check(context) {
     const startTime = Date.now();
     const findings = [];
-    let score = 0;
 
-    // Detect IoT project
-    const hasPlatformio = context.fileExists('platformio.ini');
+    // Detect IoT project: PlatformIO roots anywhere, or firmware at the top
+    const platformioRoots = context.ecosystemRoots('platformio');
     const hasFirmwareVersion = context.fileExists('firmware_version.json');
-    const rootFiles = context.listFiles('.');
-    const hasInoFiles = rootFiles.some((f) => f.endsWith('.ino'));
+    const hasInoFiles = context.listFiles('.').some((f) => f.endsWith('.ino'));
 
-    const isIot = hasPlatformio || hasFirmwareVersion || hasInoFiles;
+    const isIot = platformioRoots.length > 0 || hasFirmwareVersion || hasInoFiles;
 
     if (!isIot) {
       findings.push({
@@ -38,8 +36,25 @@ class IotChecker extends Checker {
       return this.createResult(100, findings, { isIot: false, applicable: false }, startTime);
     }
 
-    // IoT checks
-    if (hasPlatformio) {
+    // Each firmware project is scored on its own and the scores averaged, so
+    // a finding costs its share of the average.
+    const roots = platformioRoots.length > 0 ? platformioRoots : ['.'];
+    let total = 0;
+    for (const root of roots) {
+      const rootFindings = [];
+      total += this._checkRoot(context, root, rootFindings);
+      const shared = rootFindings.map(finding => ({ ...finding, penalty: finding.penalty / roots.length }));
+      findings.push(...Checker.rebase(shared, root));
+    }
+
+    return this.createResult(total / roots.length, findings, { isIot: true, roots }, startTime);
+  }
+
+  _checkRoot(context, root, findings) {
+    const project = context.forRoot(root);
+    let score = 0;
+
+    if (project.fileExists('platformio.ini')) {
       score += 25;
     } else {
       findings.push({
@@ -50,10 +65,11 @@ class IotChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a platformio.ini configuration file',
+        penalty: 25,
       });
     }
 
-    if (hasFirmwareVersion) {
+    if (project.fileExists('firmware_version.json')) {
       score += 25;
     } else {
       findings.push({
@@ -64,11 +80,12 @@ class IotChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a firmware_version.json to track firmware versions',
+        penalty: 25,
       });
     }
 
-    // README has hardware section
-    const readme = context.readFile('README.md');
+    // README has hardware section, next to the firmware or at the top
+    const readme = project.readFile('README.md') || context.readFile('README.md');
     if (readme && /hardware|firmware/i.test(readme)) {
       score += 25;
     } else {
@@ -80,11 +97,12 @@ class IotChecker extends Checker {
         line: null,
         fixable: false,
         fix: 'Add a Hardware or Firmware section to README.md',
+        penalty: 25,
       });
     }
 
     // src/ directory exists
-    if (context.fileExists('src') || context.listFiles('src').length > 0) {
+    if (project.fileExists('src') || project.listFiles('src').length > 0) {
       score += 25;
     } else {
       findings.push({
@@ -95,10 +113,11 @@ class IotChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a src/ directory for source code',
+        penalty: 25,
       });
     }
 
-    return this.createResult(score, findings, { isIot: true }, startTime);
+    return score;
   }
 }
 
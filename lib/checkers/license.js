@@ -1,6 +1,7 @@
 'use strict';
 
 const Checker = require('../engine/Checker');
+const Python = require('../utils/python');
 
 const SPDX_IDENTIFIERS = [
   'MIT', 'Apache-2.0', 'ISC', 'BSD-2-Clause', 'BSD-3-Clause',
@@ -30,7 +31,7 @@ class LicenseChecker extends Checker {
   constructor() {
     super({
       name: 'license',
-      version: '2.1.0',
+      version: '2.2.0',
       description: 'Checks license compliance: LICENSE file, SPDX identifier, content matching, dependency conflicts',
       defaultWeight: 5,
     });
@@ -46,6 +47,8 @@ class LicenseChecker extends Checker {
       context.readFile('LICENSE.md') ||
       context.readFile('LICENSE.txt');
 
+    // A missing LICENSE also forfeits the content check below.
+    let missingLicense = null;
     if (licenseContent) {
       score += 30;
       findings.push({
@@ -58,7 +61,7 @@ class LicenseChecker extends Checker {
         fix: null,
       });
     } else {
-      findings.push({
+      missingLicense = {
         id: 'lic-001',
         severity: 'high',
         message: 'LICENSE file is missing',
@@ -66,10 +69,14 @@ class LicenseChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a LICENSE file to the project root',
-      });
+        penalty: 30,
+      };
+      findings.push(missingLicense);
     }
 
-    if (!context.packageJson) {
+    const manifest = this._manifest(context);
+    if (!manifest) {
+      if (missingLicense) missingLicense.penalty = 100;
       return this.createResult(
         licenseContent ? 100 : 0,
         findings,
@@ -78,20 +85,44 @@ class LicenseChecker extends Checker {
       );
     }
 
-    // 2. package.json has license field (20 pts)
-    const declaredLicense = context.packageJson && context.packageJson.license;
+    // 2. The package manifest declares a license (20 pts)
+    const declaredLicense = manifest.license;
     if (declaredLicense) {
       score += 20;
       findings.push({
         id: 'lic-002',
         severity: 'info',
-        message: `package.json declares license: ${declaredLicense}`,
-        file: 'package.json',
-        line: null,
+        message: `${manifest.file} declares license: ${declaredLicense}`,
+        file: manifest.file,
+        line: manifest.line,
         fixable: false,
         fix: null,
       });
-    } else if (context.packageJson) {
+    } else if (manifest.licenseFile) {
+      // A PEP 621 `license = { file = "..." }` table names the text, not an
+      // identifier, so the SPDX and content checks below cannot apply.
+      score += 20;
+      findings.push({
+        id: 'lic-002',
+        severity: 'info',
+        message: `${manifest.file} points to license file: ${manifest.licenseFile}`,
+        file: manifest.file,
+        line: manifest.line,
+        fixable: false,
+        fix: null,
+      });
+      findings.push({
+        id: 'lic-003',
+        severity: 'medium',
+        message: `${manifest.file} names a license file instead of an SPDX identifier`,
+        file: manifest.file,
+        line: manifest.line,
+        fixable: false,
+        fix: 'Declare the license as an SPDX expression, for example license = "MIT"',
+        // The SPDX and content checks cannot run.
+        penalty: 35,
+      });
+    } else if (manifest.file === 'package.json') {
       findings.push({
         id: 'lic-002',
         severity: 'high',
@@ -100,6 +131,20 @@ class LicenseChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a "license" field to package.json (e.g., "MIT")',
+        // The SPDX, content, and dependency checks need a declared license.
+        penalty: 70,
+      });
+    } else {
+      findings.push({
+        id: 'lic-002',
+        severity: 'high',
+        message: `pyproject.toml is missing a license in [${manifest.table}]`,
+        file: 'pyproject.toml',
+        line: manifest.line,
+        fixable: false,
+        fix: 'Add license = "MIT" (or another SPDX expression) to pyproject.toml',
+        // The SPDX and content checks need a declared license.
+        penalty: 55,
       });
     }
 
@@ -113,8 +158,8 @@ class LicenseChecker extends Checker {
           id: 'lic-003',
           severity: 'info',
           message: `License "${declaredLicense}" is a recognized SPDX identifier`,
-          file: 'package.json',
-          line: null,
+          file: manifest.file,
+          line: manifest.line,
           fixable: false,
           fix: null,
         });
@@ -123,17 +168,21 @@ class LicenseChecker extends Checker {
           id: 'lic-003',
           severity: 'medium',
           message: `License "${declaredLicense}" is not a recognized SPDX identifier`,
-          file: 'package.json',
-          line: null,
+          file: manifest.file,
+          line: manifest.line,
           fixable: false,
           fix: 'Use a standard SPDX license identifier (e.g., MIT, Apache-2.0, ISC)',
+          penalty: 20,
         });
       }
     }
 
     // 4. LICENSE file content matches declared license (15 pts)
+    const keywords = declaredLicense
+      ? LICENSE_KEYWORDS[declaredLicense] || LICENSE_KEYWORDS[declaredLicense.replace(/-only$/, '')] || []
+      : [];
+    if (missingLicense && declaredLicense) missingLicense.penalty += keywords.length > 0 ? 15 : 7;
     if (licenseContent && declaredLicense) {
-      const keywords = LICENSE_KEYWORDS[declaredLicense] || LICENSE_KEYWORDS[declaredLicense.replace(/-only$/, '')] || [];
       if (keywords.length > 0) {
         const matches = keywords.some((kw) => licenseContent.includes(kw));
         if (matches) {
@@ -155,7 +204,8 @@ class LicenseChecker extends Checker {
             file: 'LICENSE',
             line: null,
             fixable: false,
-            fix: 'Ensure the LICENSE file content matches the license declared in package.json',
+            fix: `Ensure the LICENSE file content matches the license declared in ${manifest.file}`,
+            penalty: 15,
           });
         }
       } else {
@@ -164,8 +214,18 @@ class LicenseChecker extends Checker {
       }
     }
 
-    // 5. No conflicting licenses in dependencies (15 pts)
-    if (context.packageJson && declaredLicense) {
+    // 5. No conflicting licenses in dependencies (15 pts). Only npm
+    // dependencies carry license metadata on disk; Python lock files record
+    // none, so for pyproject.toml the check is skipped and the score scaled
+    // to the 85 points the other checks can earn.
+    const metadata = { declaredLicense: declaredLicense || null, manifest: manifest.file };
+    if (manifest.file !== 'package.json') {
+      metadata.dependencyLicenses = 'skipped';
+      const scale = 100 / 85;
+      for (const finding of findings) finding.penalty = (finding.penalty || 0) * scale;
+      score *= scale;
+    } else if (declaredLicense) {
+      metadata.dependencyLicenses = 'checked';
       const isPermissive = !COPYLEFT_LICENSES.includes(declaredLicense);
       if (isPermissive) {
         const deps = Object.keys(context.packageJson.dependencies || {});
@@ -179,6 +239,7 @@ class LicenseChecker extends Checker {
             line: null,
             fixable: false,
             fix: 'Review copyleft dependencies for license compatibility',
+            penalty: 10,
           });
           score += 5; // partial credit — info-level only
         } else {
@@ -189,7 +250,27 @@ class LicenseChecker extends Checker {
       }
     }
 
-    return this.createResult(score, findings, { declaredLicense: declaredLicense || null }, startTime);
+    return this.createResult(score, findings, metadata, startTime);
+  }
+
+  // The manifest that declares the project license: package.json, or the
+  // [project] or [tool.poetry] table of pyproject.toml. Returns
+  // `{ file, table, line, license, licenseFile }` or null when neither exists.
+  _manifest(context) {
+    if (context.packageJson) {
+      return { file: 'package.json', table: null, line: null, license: context.packageJson.license || null, licenseFile: null };
+    }
+    const pyproject = Python.readPyproject(context);
+    const project = pyproject && !pyproject.error ? Python.projectMetadata(pyproject) : null;
+    if (!project) return null;
+    const license = project.license || {};
+    return {
+      file: 'pyproject.toml',
+      table: project.table,
+      line: pyproject.lines.get(license.key) || pyproject.lines.get(project.table) || null,
+      license: license.value || null,
+      licenseFile: license.file || null,
+    };
   }
 
   _findCopyleftDeps(context, deps) {
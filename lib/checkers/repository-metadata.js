@@ -28,7 +28,7 @@ class RepositoryMetadataChecker extends Checker {
 
     const desired = context.config.repositoryMetadata || {};
     let score = 0;
-    const fail = (id, severity, message, fix) => findings.push({ id, severity, message, file: null, fix });
+    const fail = (id, severity, message, fix) => findings.push({ id, severity, message, file: null, fix, penalty: 20 });
 
     if (desired.requireDescription === false || (repository.description && repository.description.trim())) score += 20;
     else fail('meta-001', 'medium', 'GitHub repository description is missing', 'Set a concise repository description');
@@ -3,20 +3,95 @@
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const crypto = require('crypto');
 // Safe: execSync receives a hardcoded npm audit command and a credential-free
 // environment; no candidate value is interpolated into the command string.
 const childProcess = require('child_process');
 const Checker = require('../engine/Checker');
-
-const SECRET_PATTERNS = [
-  { name: 'AWS Key', pattern: /AKIA[0-9A-Z]{16}/ },
-  { name: 'GitHub Token', pattern: /gh[ps]_[A-Za-z0-9_]{36,}/ },
-  { name: 'Generic Secret', pattern: /(?:secret|token|password|api_key|apikey)\s*[:=]\s*['"][^'"]{8,}/i },
-  { name: 'Private Key', pattern: /-----BEGIN (?:RSA |EC )?PRIVATE KEY-----/ },
-  { name: 'Connection String', pattern: /(?:mongodb|postgres|mysql|redis):\/\/[^\s'"]+/ },
+const SecretRules = require('../policy/SecretRules');
+const Suppressions = require('../policy/Suppressions');
+const Templates = require('../control/Templates');
+const OsvDatabase = require('../policy/OsvDatabase');
+const Python = require('../utils/python');
+const AdvisorySource = require('../policy/AdvisorySource');
+const Lockfiles = require('../utils/lockfiles');
+
+const SCANNABLE_EXTENSIONS = [
+  '.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx', '.json', '.yml', '.yaml', '.toml', '.xml',
+  '.cfg', '.conf', '.ini', '.properties', '.env', '.tf', '.tfvars', '.hcl',
+  '.py', '.go', '.rb', '.java', '.kt', '.cs', '.php', '.rs', '.swift',
+  '.sh', '.bash', '.zsh', '.ps1', '.pem', '.key',
 ];
+const SCANNABLE_NAMES = ['.npmrc', '.pypirc', '.netrc', '.dockercfg'];
+
+const HISTORY_COMMIT_MARKER = '\x01commit ';
+const HISTORY_MAX_BUFFER = 256 * 1024 * 1024;
+const HISTORY_BLOB_PREFIX = 16;
+const HISTORY_MAX_SAVED_BLOBS = 100000;
+
+function isScannableFile(file) {
+  const name = path.posix.basename(file);
+  return SCANNABLE_EXTENSIONS.includes(path.extname(name).toLowerCase()) ||
+    SCANNABLE_NAMES.includes(name) ||
+    name.startsWith('.env');
+}
+
+function git(projectRoot, args, input = null) {
+  return childProcess.execFileSync('git', args, {
+    cwd: projectRoot,
+    encoding: 'utf8',
+    maxBuffer: HISTORY_MAX_BUFFER,
+    input: input === null ? undefined : input,
+    stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+  });
+}
 
-const SCANNABLE_EXTENSIONS = ['.js', '.ts', '.json', '.yml', '.yaml', '.cfg', '.conf'];
+// Parses `git log -p --full-index --unified=0` output into the lines each
+// commit added, grouped by the post-image blob of every file it touched.
+function parseHistory(output) {
+  const commits = [];
+  let commit = null;
+  let file = null;
+  let lineNumber = 0;
+  let inHunk = false;
+  for (const line of output.split('\n')) {
+    if (line.startsWith(HISTORY_COMMIT_MARKER)) {
+      const [sha, authorDate] = line.slice(HISTORY_COMMIT_MARKER.length).split('\0');
+      commit = { sha, authorDate, files: [] };
+      commits.push(commit);
+      file = null;
+      inHunk = false;
+    } else if (!commit) {
+      continue;
+    } else if (line.startsWith('diff --git ')) {
+      file = { path: null, blob: null, added: [] };
+      commit.files.push(file);
+      inHunk = false;
+    } else if (!file) {
+      continue;
+    } else if (!inHunk && line.startsWith('index ')) {
+      file.blob = line.slice(6).split(' ')[0].split('..')[1] || null;
+    } else if (!inHunk && line.startsWith('+++ ')) {
+      const target = line.slice(4);
+      file.path = target.startsWith('b/') ? target.slice(2) : null;
+    } else if (line.startsWith('@@ ')) {
+      const match = /\+(\d+)/.exec(line);
+      lineNumber = match ? Number(match[1]) : 0;
+      inHunk = true;
+    } else if (inHunk && line.startsWith('+')) {
+      file.added.push({ line: lineNumber, text: line.slice(1) });
+      lineNumber += 1;
+    }
+  }
+  return commits;
+}
+
+function npmAuditRegistry() {
+  return process.env.REPO_MANAGER_NPM_AUDIT_REGISTRY ||
+    process.env.NPM_CONFIG_REGISTRY ||
+    process.env.npm_config_registry ||
+    'https://registry.npmjs.org/';
+}
 
 function npmAuditEnvironment(auditHome) {
   const environment = {};
@@ -32,18 +107,13 @@ function npmAuditEnvironment(auditHome) {
   ]) {
     if (process.env[name] !== undefined) environment[name] = process.env[name];
   }
-  const registry =
-    process.env.REPO_MANAGER_NPM_AUDIT_REGISTRY ||
-    process.env.NPM_CONFIG_REGISTRY ||
-    process.env.npm_config_registry ||
-    'https://registry.npmjs.org/';
   return {
     ...environment,
     HOME: auditHome,
     USERPROFILE: auditHome,
     NPM_CONFIG_USERCONFIG: path.join(auditHome, 'user.npmrc'),
     NPM_CONFIG_GLOBALCONFIG: path.join(auditHome, 'global.npmrc'),
-    NPM_CONFIG_REGISTRY: registry,
+    NPM_CONFIG_REGISTRY: npmAuditRegistry(),
     NPM_CONFIG_IGNORE_SCRIPTS: 'true',
     NPM_CONFIG_OMIT: '',
     NPM_CONFIG_CACHE: path.join(auditHome, 'cache'),
@@ -125,17 +195,16 @@ class SecurityChecker extends Checker {
   constructor() {
     super({
       name: 'security',
-      version: '2.4.0',
-      description: 'Checks security posture: secrets, gitignore, SECURITY.md, dependency updates, Docker security, npm audit',
+      version: '2.11.0',
+      description: 'Checks security posture: secrets, gitignore, SECURITY.md, dependency updates, Docker security, npm, yarn, and pnpm audits, OSV advisories',
       defaultWeight: 30,
-      fixableFindingIds: ['sec-003', 'sec-004'],
+      fixableFindingIds: ['sec-001', 'sec-003', 'sec-004'],
     });
   }
 
   async check(context) {
     const startTime = Date.now();
     const findings = [];
-    let score = 100;
 
     // 1. SECURITY.md exists and has content (>50 chars)
     const securityMd = context.readFile('SECURITY.md');
@@ -148,8 +217,8 @@ class SecurityChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a SECURITY.md with vulnerability reporting instructions',
+        penalty: 15,
       });
-      score -= 15;
     } else if (securityMd.length <= 50) {
       findings.push({
         id: 'sec-002',
@@ -159,8 +228,8 @@ class SecurityChecker extends Checker {
         line: null,
         fixable: false,
         fix: 'Add detailed vulnerability reporting instructions',
+        penalty: 10,
       });
-      score -= 10;
     }
 
     // 2. .gitignore exists and covers .env
@@ -174,8 +243,8 @@ class SecurityChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Create a .gitignore with common patterns',
+        penalty: 15,
       });
-      score -= 15;
     } else if (!gitignore.split('\n').some((line) => line.trim() === '.env' || line.trim() === '.env*')) {
       findings.push({
         id: 'sec-004',
@@ -185,8 +254,8 @@ class SecurityChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add .env to .gitignore',
+        penalty: 10,
       });
-      score -= 10;
     }
 
     // 3. Scan for .env files in project root
@@ -204,14 +273,16 @@ class SecurityChecker extends Checker {
         line: null,
         fixable: true,
         fix: `Remove ${envFile} from version control and add to .gitignore`,
+        penalty: 25,
       });
-      score -= 25;
     }
 
     // 4. File-level secret scanning across all scannable files
-    this._scanForSecrets(context, findings);
-    const secretFindings = findings.filter((f) => f.id === 'sec-010');
-    score -= secretFindings.length * 25;
+    const secretRules = SecretRules.compile(context.config.security || {});
+    const currentSecrets = this._scanForSecrets(context, findings, secretRules);
+
+    // 4b. Secrets introduced anywhere in the configured git history
+    const history = this._scanHistory(context, findings, currentSecrets, secretRules);
 
     // 5. Dependabot or Renovate config exists
     const hasDependabot = context.fileExists('.github/dependabot.yml') || context.fileExists('.github/dependabot.yaml');
@@ -229,8 +300,8 @@ class SecurityChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add .github/dependabot.yml or renovate.json',
+        penalty: 5,
       });
-      score -= 5;
     }
 
     // 6. If packageJson exists: check for license field
@@ -243,14 +314,17 @@ class SecurityChecker extends Checker {
         line: null,
         fixable: true,
         fix: 'Add a "license" field to package.json',
+        penalty: 10,
       });
-      score -= 10;
     }
 
-    // 7. Real npm audit integration (shared cache with dependencies checker)
-    if (context.packageJson && context.fileExists('package-lock.json')) {
-      const auditResult = await context.cache.getOrSet('npm-audit', async () => {
+    // 7. Real npm audit integration (shared cache with dependencies checker),
+    // replaced by lock file matching when advisories are read offline
+    const offline = AdvisorySource.isOffline(context);
+    if (context.packageJson && context.fileExists('package-lock.json') && !offline) {
+      const auditResult = await context.cache.getOrSet(this.auditCacheKey(context), async () => {
         const auditHome = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-npm-audit-'));
+        let parsed;
         try {
           // Audit a manifest-only copy so candidate project .npmrc settings
           // cannot filter workspaces or otherwise change audit semantics. The
@@ -263,13 +337,14 @@ class SecurityChecker extends Checker {
             timeout: 30000,
             env: npmAuditEnvironment(auditHome),
           });
-          return JSON.parse(output);
+          parsed = JSON.parse(output);
         } catch (e) {
-          try { return JSON.parse(e.stdout || '{}'); } catch { return null; }
+          try { parsed = JSON.parse(e.stdout || '{}'); } catch { parsed = null; }
         } finally {
           fs.rmSync(auditHome, { recursive: true, force: true });
         }
-      });
+        return parsed && parsed.vulnerabilities ? parsed : null;
+      }, { persist: true, ttlSeconds: (context.config.cache || {}).networkTtlSeconds });
 
       if (!auditResult || !auditResult.vulnerabilities) {
         findings.push({
@@ -278,8 +353,8 @@ class SecurityChecker extends Checker {
           message: 'npm audit could not produce a vulnerability result',
           file: 'package-lock.json',
           fix: 'Verify registry access and run npm audit --json',
+          penalty: 30,
         });
-        score -= 30;
       } else {
         const vulns = auditResult.vulnerabilities;
         let criticalCount = 0;
@@ -298,8 +373,8 @@ class SecurityChecker extends Checker {
             line: null,
             fixable: true,
             fix: 'Run npm audit fix or update vulnerable packages',
+            penalty: criticalCount * 25,
           });
-          score -= criticalCount * 25;
         }
 
         if (highCount > 0) {
@@ -311,35 +386,217 @@ class SecurityChecker extends Checker {
             line: null,
             fixable: true,
             fix: 'Run npm audit fix or update vulnerable packages',
+            penalty: highCount * 15,
           });
-          score -= highCount * 15;
         }
       }
     }
 
+    // 7a. yarn and pnpm lock files of every Node.js root against the advisory
+    // source; package-lock.json projects are audited by npm above unless
+    // advisories are read offline
+    const lockfiles = [];
+    const loaded = {};
+    const lockFiles = offline ? [Lockfiles.NPM_LOCK_FILE, ...Lockfiles.LOCK_FILES] : Lockfiles.LOCK_FILES;
+    let advisorySource = null;
+    for (const root of context.ecosystemRoots('node')) {
+      const project = context.forRoot(root);
+      if (!lockFiles.some(file => project.fileExists(file))) continue;
+      if (!offline && project.fileExists(Lockfiles.NPM_LOCK_FILE)) continue;
+      const rootFindings = [];
+      advisorySource = advisorySource || AdvisorySource.create(context, {
+        registry: npmAuditRegistry(),
+        osvDatabase: () => this._osvDatabase(context, loaded),
+      });
+      const lockfile = await this._auditLockfile(project, rootFindings, advisorySource, { npm: offline });
+      findings.push(...Checker.rebase(rootFindings, root));
+      if (lockfile) lockfiles.push({ root, ...lockfile });
+    }
+
+    // 7b. Python dependencies of every Python root against a local OSV snapshot
+    for (const root of context.ecosystemRoots('python')) {
+      const rootFindings = [];
+      this._auditPython(context.forRoot(root), rootFindings, loaded);
+      findings.push(...Checker.rebase(rootFindings, root));
+    }
+    const osv = loaded.database
+      ? { location: loaded.database.location, snapshot: loaded.database.snapshot, advisories: loaded.database.advisories }
+      : null;
+
     // 8. Docker security checks
-    this._checkDockerSecurity(context, findings);
-    const dockerFindings = findings.filter((f) => f.id && f.id.startsWith('sec-020'));
-    for (const df of dockerFindings) {
-      if (df.severity === 'critical') score -= 25;
-      else if (df.severity === 'high') score -= 15;
-      else if (df.severity === 'medium') score -= 10;
+    this._checkDockerSecurity(context, findings, secretRules);
+
+    const metadata = { envFilesFound: envFiles.length };
+    if (history) metadata.history = history;
+    if (osv) metadata.osv = osv;
+    if (lockfiles.length > 0) metadata.lockfiles = lockfiles;
+    return this.createResult(100 - Checker.penalty(findings), findings, metadata, startTime);
+  }
+
+  // Audits the dependency graph of a yarn.lock or pnpm-lock.yaml, or of
+  // package-lock.json when `npm` is set, against `source`, reporting
+  // vulnerable packages under the npm audit finding ids. Returns
+  // `{ file, manager, packages, source }` when a lock file was read.
+  async _auditLockfile(context, findings, source, { npm = false } = {}) {
+    let graph;
+    try {
+      graph = Lockfiles.read(context, { npm });
+    } catch (error) {
+      const file = (npm ? [Lockfiles.NPM_LOCK_FILE, ...Lockfiles.LOCK_FILES] : Lockfiles.LOCK_FILES).find(name => context.fileExists(name));
+      findings.push({
+        id: 'sec-013',
+        severity: 'high',
+        message: `Dependency audit could not read ${file}: ${error.message}`,
+        file,
+        line: error.cause && error.cause.line ? error.cause.line : null,
+        fixable: false,
+        fix: `Regenerate ${file} with the package manager that owns it`,
+        penalty: 30,
+      });
+      return null;
     }
+    if (!graph) return null;
 
-    return this.createResult(score, findings, { envFilesFound: envFiles.length }, startTime);
+    const key = context.cacheKey(this, {
+      purpose: 'lockfile-audit',
+      files: [graph.file],
+      extra: { source: source.name, location: source.location },
+    });
+    // Only registry answers are persisted; an offline advisory file can
+    // change without changing the key.
+    const vulnerable = await context.cache.getOrSet(key, async () => {
+      try {
+        return await AdvisorySource.audit(source, graph);
+      } catch {
+        return null;
+      }
+    }, { persist: source.name === 'registry', ttlSeconds: (context.config.cache || {}).networkTtlSeconds });
+    const lockfile = { file: graph.file, manager: graph.manager, packages: graph.packages.length, source: source.name };
+
+    if (!vulnerable) {
+      findings.push({
+        id: 'sec-013',
+        severity: 'high',
+        message: `Dependency audit of ${graph.file} could not produce a vulnerability result`,
+        file: graph.file,
+        line: null,
+        fixable: false,
+        fix: 'Verify registry access, or set security.advisorySource to "file" with an offline advisory export',
+        penalty: 30,
+      });
+      return lockfile;
+    }
+
+    // Offline findings name the snapshot they were matched against.
+    const matched = source.snapshot ? ` by the OSV snapshot of ${source.snapshot.slice(0, 10)}` : '';
+    const penalties = { critical: 25, high: 15 };
+    for (const [level, id] of [['critical', 'sec-011'], ['high', 'sec-012']]) {
+      const affected = vulnerable.filter(pkg => {
+        const severities = pkg.advisories.map(advisory => advisory.severity);
+        return level === 'critical' ? severities.includes('critical') : !severities.includes('critical') && severities.includes('high');
+      });
+      if (affected.length === 0) continue;
+      const listed = affected.map(pkg => `${pkg.id} (${pkg.advisories.filter(advisory => advisory.severity === level).map(advisory => advisory.id).join(', ')})`);
+      findings.push({
+        id,
+        severity: level,
+        message: `${affected.length} ${level === 'critical' ? 'critical' : 'high-severity'} CVE${affected.length > 1 ? 's' : ''} found in ${graph.file}${matched}: ${listed.join('; ')}`,
+        file: graph.file,
+        line: null,
+        fixable: false,
+        fix: `Upgrade the affected packages and regenerate ${graph.file}`,
+        penalty: affected.length * penalties[level],
+      });
+    }
+    return lockfile;
   }
 
-  _scanForSecrets(context, findings) {
+  // The OSV export configured as `security.osvDatabase`, read once into
+  // `loaded.database` and shared by the Python and offline npm audits.
+  _osvDatabase(context, loaded) {
+    loaded.database = loaded.database || OsvDatabase.load(context.policyRoot, context.config.security.osvDatabase, {
+      normalize: (ecosystem, name) => (ecosystem.toLowerCase() === 'pypi' ? Python.normalizeName(name) : name),
+    });
+    return loaded.database;
+  }
+
+  // Matches locked Python dependencies against the OSV export configured as
+  // `security.osvDatabase`.
+  _auditPython(context, findings, loaded = {}) {
+    const location = (context.config.security || {}).osvDatabase;
+    let locked = null;
+    try {
+      locked = Python.lockedPackages(context);
+    } catch {
+      // The dependencies checker reports lock files that cannot be parsed.
+    }
+    if (!location || !locked) {
+      findings.push({
+        id: 'sec-016',
+        severity: 'info',
+        message: location
+          ? 'Python dependencies were not checked for known vulnerabilities: no lock file or fully pinned requirements'
+          : 'Python dependencies were not checked for known vulnerabilities: security.osvDatabase is not configured',
+        file: null,
+        line: null,
+        fixable: false,
+        fix: location
+          ? 'Lock Python dependencies so their versions can be matched against advisories'
+          : 'Point security.osvDatabase at a local OSV export, such as the unpacked PyPI archive from osv.dev',
+      });
+      return;
+    }
+
+    const database = this._osvDatabase(context, loaded);
+    const bySeverity = { critical: [], high: [] };
+    for (const pkg of locked.packages) {
+      const advisories = OsvDatabase.match(database, 'PyPI', pkg.name, pkg.version, Python.compareVersions);
+      const worst = ['critical', 'high'].find(level => advisories.some(advisory => advisory.severity === level));
+      if (worst) bySeverity[worst].push(`${pkg.name}@${pkg.version} (${advisories.map(advisory => advisory.id).join(', ')})`);
+    }
+
+    const snapshot = database.snapshot ? database.snapshot.slice(0, 10) : 'unknown date';
+    const penalties = { critical: 25, high: 15 };
+    for (const [level, id] of [['critical', 'sec-011'], ['high', 'sec-012']]) {
+      const vulnerable = bySeverity[level];
+      if (vulnerable.length === 0) continue;
+      findings.push({
+        id,
+        severity: level,
+        message: `${vulnerable.length} Python dependenc${vulnerable.length > 1 ? 'ies have' : 'y has'} ${level === 'critical' ? 'critical' : 'high-severity'} advisories in the OSV snapshot of ${snapshot}: ${vulnerable.join('; ')}`,
+        file: locked.file,
+        line: null,
+        fixable: false,
+        fix: `Upgrade the affected packages and regenerate ${locked.file}`,
+        penalty: vulnerable.length * penalties[level],
+      });
+    }
+  }
+
+  // Audit results depend on the registry as well as the manifests, and age as
+  // advisories are published, so persisted entries expire.
+  auditCacheKey(context) {
+    return context.cacheKey(this, {
+      purpose: 'npm-audit',
+      files: ['package.json', 'package-lock.json'],
+      extra: { registry: npmAuditRegistry() },
+    });
+  }
+
+  _scanForSecrets(context, findings, secretRules) {
     const policy = context.config.security || {};
     const candidates = context.walkFiles({
       ignoredDirectories: policy.ignoredDirectories || [],
       ignoredPaths: policy.ignoredPaths || [],
       maxFileSizeBytes: policy.maxFileSizeBytes || 1048576,
     });
-    const filesToScan = candidates.filter(file => {
-      const name = path.basename(file);
-      return SCANNABLE_EXTENSIONS.includes(path.extname(name).toLowerCase()) || name.startsWith('.env');
-    });
+    const filesToScan = candidates.filter(isScannableFile);
+
+    // Matches are cached per file content hash, so a persistent cache only
+    // rescans files that changed since the previous run of the same project.
+    const scanKey = context.cacheKey(this, { purpose: 'secret-scan', extra: { root: context.projectRoot } });
+    const previous = (context.cache.peek(scanKey, { persist: true }) || {}).files || {};
+    const scanned = {};
 
     for (const file of filesToScan) {
       const content = context.readFile(file);
@@ -347,29 +604,168 @@ class SecurityChecker extends Checker {
       // Skip binary-looking files
       if (content.includes('\0')) continue;
 
-      const lines = content.split('\n');
-      const isExample = /(?:^|\/)(?:\.env.*\.(?:example|sample|template|dist)|[^/]*\.(?:example|sample))$/i.test(file);
-      for (let i = 0; i < lines.length; i++) {
-        for (const sp of SECRET_PATTERNS) {
-          if (isExample && sp.name === 'Generic Secret') continue;
-          if (sp.pattern.test(lines[i])) {
-            findings.push({
-              id: 'sec-010',
-              severity: 'critical',
-              message: `Possible ${sp.name} found in ${file}`,
-              file,
-              line: i + 1,
-              fixable: false,
-              fix: 'Remove hardcoded secrets and use environment variables',
-            });
-            break; // one finding per line
-          }
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+      const matches = previous[file] && previous[file].hash === hash
+        ? previous[file].matches
+        : this._matchSecrets(file, content, secretRules);
+      scanned[file] = { hash, matches };
+
+      for (const match of matches) {
+        findings.push({
+          id: 'sec-010',
+          severity: 'critical',
+          message: `Possible ${match.pattern} found in ${file}`,
+          file,
+          line: match.line,
+          fixable: false,
+          fix: 'Remove hardcoded secrets and use environment variables',
+          penalty: 25,
+          evidence: { type: 'file', path: file, line: match.line, rule: match.rule, preview: match.preview },
+          ...(match.inline ? { inlineSuppression: match.inline } : {}),
+        });
+      }
+    }
+
+    context.cache.put(scanKey, { files: scanned }, { persist: true });
+    return scanned;
+  }
+
+  // Matches carry any inline `repo-manager:ignore sec-010` waiver so cached
+  // results keep them without rereading the file.
+  _matchSecrets(file, content, rules) {
+    const lines = content.split('\n');
+    return SecretRules.scanLines(rules, file, lines.map((text, index) => ({ line: index + 1, text }))).map((match) => {
+      const waiver = Suppressions.inline(lines, match.line - 1, 'sec-010', file);
+      return waiver ? { ...match, inline: waiver } : match;
+    });
+  }
+
+  // Walks added lines in `git log -p` oldest first, so each match is reported
+  // at the commit that introduced it. Blobs are scanned once however many
+  // commits or paths carry them. With a persistent cache the scan resumes
+  // from the commits recorded by the previous run; a run cut short by
+  // `maxCommits` scans the oldest unscanned commits and records where it
+  // stopped, so the next run continues from there.
+  _scanHistory(context, findings, currentSecrets, secretRules) {
+    const policy = (context.config.security || {}).history || {};
+    if (!policy.enabled) return null;
+    const security = context.config.security || {};
+    const ignoredDirectories = security.ignoredDirectories || [];
+    const ignoredPaths = security.ignoredPaths || [];
+    const range = policy.range || 'HEAD';
+    const incremental = policy.incremental !== false;
+
+    const stateKey = context.cacheKey(this, { purpose: 'history-scan', extra: { root: context.projectRoot, range } });
+    let state = incremental ? context.cache.peek(stateKey, { persist: true }) || null : null;
+    let tips;
+    let commits;
+    let selected;
+    let remaining = 0;
+    try {
+      tips = git(context.projectRoot, ['rev-parse', '--revs-only', '--end-of-options', range])
+        .split('\n').filter(revision => /^[a-f0-9]{40,64}$/.test(revision));
+      if (state && !state.tips.every(tip => this._isAncestor(context, tip, tips))) state = null;
+      const excluded = state ? state.tips.map(tip => `^${tip}`) : [];
+      // Parents are listed before their children, so a prefix of the list
+      // leaves no unscanned ancestor behind.
+      const listed = git(context.projectRoot, ['rev-list', '--reverse', '--topo-order', '--parents', '--end-of-options', range, ...excluded, '--'])
+        .split('\n').filter(Boolean).map(line => line.split(' '));
+      selected = listed;
+      if (policy.maxCommits && listed.length > policy.maxCommits) {
+        // Without a recorded state the most recent commits matter most.
+        selected = incremental ? listed.slice(0, policy.maxCommits) : listed.slice(-policy.maxCommits);
+        remaining = listed.length - selected.length;
+      }
+      commits = selected.length === 0 ? [] : parseHistory(git(context.projectRoot, [
+        'log', '-p', '--full-index', '--no-renames', '--no-color', '--no-ext-diff', '--no-textconv', '--unified=0',
+        `--format=${HISTORY_COMMIT_MARKER}%H%x00%aI`, '--no-walk=unsorted', '--stdin', '--',
+      ], selected.map(([sha]) => sha).join('\n')));
+    } catch (error) {
+      const detail = (error.stderr || error.message || '').toString().trim().split('\n')[0];
+      findings.push({
+        id: 'sec-015',
+        severity: 'medium',
+        message: `Git history could not be scanned for secrets: ${detail}`,
+        file: null,
+        line: null,
+        fixable: false,
+        fix: 'Run the check in a git checkout with the configured security.history.range available',
+        penalty: 10,
+      });
+      return { scanned: false, range };
+    }
+
+    // Only blobs of scanned files are remembered, by a short prefix, and the
+    // oldest are forgotten past HISTORY_MAX_SAVED_BLOBS.
+    const seenBlobs = new Set(state ? state.blobs : []);
+    const introduced = state ? [...state.findings] : [];
+    for (const commit of commits) {
+      for (const file of commit.files) {
+        if (!file.path || !file.blob || !isScannableFile(file.path)) continue;
+        const segments = file.path.split('/');
+        if (segments.slice(0, -1).some(segment => ignoredDirectories.includes(segment))) continue;
+        if (ignoredPaths.some(ignoredPath => file.path === ignoredPath || file.path.startsWith(`${ignoredPath}/`))) continue;
+        const blob = file.blob.slice(0, HISTORY_BLOB_PREFIX);
+        if (seenBlobs.has(blob)) continue;
+        seenBlobs.add(blob);
+        for (const match of SecretRules.scanLines(secretRules, file.path, file.added)) {
+          introduced.push({ ...match, file: file.path, commit: commit.sha, authorDate: commit.authorDate });
         }
       }
     }
+
+    if (incremental) {
+      // A truncated run is complete up to the newest scanned commits of each
+      // line of history, which the next run excludes alongside the earlier
+      // tips they do not already descend from.
+      let scannedTips = tips;
+      if (remaining > 0) {
+        const parents = new Set(selected.flatMap(([, ...commitParents]) => commitParents));
+        scannedTips = [
+          ...(state ? state.tips.filter(tip => !parents.has(tip)) : []),
+          ...selected.map(([sha]) => sha).filter(sha => !parents.has(sha)),
+        ];
+      }
+      context.cache.put(stateKey, {
+        tips: scannedTips,
+        blobs: [...seenBlobs].slice(-HISTORY_MAX_SAVED_BLOBS),
+        findings: introduced,
+      }, { persist: true });
+    }
+
+    // Secrets still present in the working tree are already reported as sec-010.
+    for (const match of introduced) {
+      const current = currentSecrets[match.file];
+      if (current && current.matches.some(existing => existing.pattern === match.pattern)) continue;
+      findings.push({
+        id: 'sec-014',
+        severity: 'high',
+        message: `Possible ${match.pattern} introduced in ${match.file} by commit ${match.commit.slice(0, 12)} (${match.authorDate})`,
+        file: match.file,
+        line: match.line,
+        commit: match.commit,
+        authorDate: match.authorDate,
+        evidence: { type: 'file', path: match.file, line: match.line, rule: match.rule, preview: match.preview },
+        fixable: false,
+        fix: 'Rotate the credential; deleting the file does not remove it from git history',
+        penalty: 15,
+      });
+    }
+    return { scanned: true, range, incremental: Boolean(state), commits: commits.length, remaining, blobs: seenBlobs.size };
   }
 
-  _checkDockerSecurity(context, findings) {
+  _isAncestor(context, commit, tips) {
+    return tips.some(tip => {
+      try {
+        git(context.projectRoot, ['merge-base', '--is-ancestor', commit, tip]);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  _checkDockerSecurity(context, findings, secretRules) {
     const dockerfile = context.readFile('Dockerfile');
     if (dockerfile) {
       // Check for USER root or no USER directive
@@ -385,6 +781,7 @@ class SecurityChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add a non-root USER directive to the Dockerfile',
+          penalty: 10,
         });
       } else if (!hasUserDirective) {
         findings.push({
@@ -395,26 +792,26 @@ class SecurityChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Add a non-root USER directive to the Dockerfile',
+          penalty: 10,
         });
       }
 
       // Check for secrets in ENV directives
-      const envLines = dockerfile.split('\n').filter((l) => /^ENV\s+/i.test(l.trim()));
-      for (const line of envLines) {
-        for (const sp of SECRET_PATTERNS) {
-          if (sp.pattern.test(line)) {
-            findings.push({
-              id: 'sec-020c',
-              severity: 'critical',
-              message: `Possible ${sp.name} in Dockerfile ENV directive`,
-              file: 'Dockerfile',
-              line: null,
-              fixable: false,
-              fix: 'Use Docker secrets or build args instead of ENV for sensitive values',
-            });
-            break;
-          }
-        }
+      const envLines = dockerfile.split('\n')
+        .map((text, index) => ({ line: index + 1, text }))
+        .filter(({ text }) => /^ENV\s+/i.test(text.trim()));
+      for (const match of SecretRules.scanLines(secretRules, 'Dockerfile', envLines)) {
+        findings.push({
+          id: 'sec-020c',
+          severity: 'critical',
+          message: `Possible ${match.pattern} in Dockerfile ENV directive`,
+          file: 'Dockerfile',
+          line: match.line,
+          fixable: false,
+          fix: 'Use Docker secrets or build args instead of ENV for sensitive values',
+          penalty: 25,
+          evidence: { type: 'file', path: 'Dockerfile', line: match.line, rule: match.rule, preview: match.preview },
+        });
       }
     }
 
@@ -431,6 +828,7 @@ class SecurityChecker extends Checker {
           line: null,
           fixable: false,
           fix: 'Avoid running containers in privileged mode',
+          penalty: 15,
         });
       }
     }
@@ -441,6 +839,24 @@ class SecurityChecker extends Checker {
     const unsupported = [];
     const Planner = require('../control/Planner');
 
+    if (findings.some(finding => finding.id === 'sec-001')) {
+      try {
+        const document = Templates.renderDocument(context, 'SECURITY.md');
+        operations.push({
+          id: 'security:create-security-policy',
+          checker: this.name,
+          findingId: 'sec-001',
+          type: 'write-file',
+          path: 'SECURITY.md',
+          description: `Create SECURITY.md from the ${document.source === 'builtin' ? 'built-in' : document.source} template`,
+          beforeHash: Planner.hash(context.readFile('SECURITY.md')),
+          content: document.content,
+        });
+      } catch (error) {
+        unsupported.push({ id: 'sec-001', reason: error.message });
+      }
+    }
+
     if (findings.some(finding => finding.id === 'sec-003')) {
       const content = [
         'node_modules/',
@@ -480,7 +896,7 @@ class SecurityChecker extends Checker {
     }
 
     for (const finding of findings) {
-      if (!['sec-003', 'sec-004'].includes(finding.id)) unsupported.push({ id: finding.id, reason: 'No safe automatic remediation' });
+      if (!['sec-001', 'sec-003', 'sec-004'].includes(finding.id)) unsupported.push({ id: finding.id, reason: 'No safe automatic remediation' });
     }
     return { checker: this.name, operations, unsupported };
   }
@@ -0,0 +1,354 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const Checker = require('../engine/Checker');
+const Engine = require('../engine/Engine');
+const pkg = require('../../package.json');
+
+const execFileAsync = promisify(execFile);
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const SEVERITY_RANK = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+const ALLOWED_PROFILE_PROPERTIES = new Set(['schemaVersion', 'default', 'assignments']);
+const ALLOWED_ASSIGNMENT_PROPERTIES = new Set(['profile', 'repositories', 'topics', 'languages']);
+const CLONE_TIMEOUT_MS = 120000;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isSafeName(value) {
+  return typeof value === 'string' && NAME_PATTERN.test(value) && value !== '.' && value !== '..';
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function resolveInside(root, relativePath, label) {
+  const resolved = path.resolve(root, relativePath);
+  if (!resolved.startsWith(`${root}${path.sep}`)) throw new Error(`${label} must stay within ${root}: ${relativePath}`);
+  return resolved;
+}
+
+// Runs `worker` over `items` with at most `limit` calls in flight, keeping
+// results in input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+class Fleet {
+  static validateInventory(inventory) {
+    if (!isObject(inventory) || inventory.kind !== 'RepositoryInventory' || !Array.isArray(inventory.repositories)) {
+      throw new Error('Fleet evaluation requires a RepositoryInventory document');
+    }
+    return true;
+  }
+
+  // A profiles file assigns a policy profile to each repository. The first
+  // assignment whose criteria all match wins; `default` applies otherwise and
+  // a null profile keeps the repository's own policy.
+  static loadProfiles(profilesPath) {
+    if (!profilesPath) return { root: null, default: null, assignments: [] };
+    const resolved = path.resolve(profilesPath);
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read profiles ${profilesPath}: ${error.message}`, { cause: error });
+    }
+    Fleet.validateProfiles(document);
+    return { root: path.dirname(resolved), default: document.default ?? null, assignments: document.assignments || [] };
+  }
+
+  static validateProfiles(document) {
+    if (!isObject(document)) throw new Error('Profiles file must be a JSON object');
+    if (document.schemaVersion !== 1) throw new Error('Unsupported profiles schemaVersion; expected 1');
+    for (const key of Object.keys(document)) {
+      if (!ALLOWED_PROFILE_PROPERTIES.has(key)) throw new Error(`Unknown profiles property: ${key}`);
+    }
+    const isProfile = value => typeof value === 'string' && value.trim() && !path.isAbsolute(value);
+    if (document.default !== undefined && document.default !== null && !isProfile(document.default)) {
+      throw new Error('profiles default must be a relative policy path or null');
+    }
+    if (document.assignments !== undefined && !Array.isArray(document.assignments)) throw new Error('profiles assignments must be an array');
+    (document.assignments || []).forEach((assignment, index) => {
+      const label = `assignments[${index}]`;
+      if (!isObject(assignment)) throw new Error(`${label} must be an object`);
+      for (const key of Object.keys(assignment)) {
+        if (!ALLOWED_ASSIGNMENT_PROPERTIES.has(key)) throw new Error(`Unknown ${label} property: ${key}`);
+      }
+      if (!isProfile(assignment.profile)) throw new Error(`${label}.profile must be a relative policy path`);
+      const criteria = ['repositories', 'topics', 'languages'].filter(key => assignment[key] !== undefined);
+      if (criteria.length === 0) throw new Error(`${label} must match on repositories, topics, or languages`);
+      for (const key of criteria) {
+        const values = assignment[key];
+        if (!Array.isArray(values) || values.length === 0 || values.some(value => typeof value !== 'string' || !value.trim())) {
+          throw new Error(`${label}.${key} must be a non-empty array of strings`);
+        }
+      }
+    });
+    return true;
+  }
+
+  static assignProfile(repository, profiles) {
+    const fullName = repository.fullName || `${repository.owner}/${repository.name}`;
+    const topics = (repository.topics || []).map(topic => String(topic).toLowerCase());
+    const language = String(repository.language || '').toLowerCase();
+    for (const assignment of profiles.assignments) {
+      const matches = [
+        !assignment.repositories || assignment.repositories.some(pattern => globToRegExp(pattern).test(fullName)),
+        !assignment.topics || assignment.topics.some(topic => topics.includes(topic.toLowerCase())),
+        !assignment.languages || assignment.languages.some(item => item.toLowerCase() === language),
+      ];
+      if (matches.every(Boolean)) return assignment.profile;
+    }
+    return profiles.default;
+  }
+
+  static async evaluate(inventory, {
+    mirrorDir = null,
+    clone = false,
+    outputDir,
+    profiles = { root: null, default: null, assignments: [] },
+    concurrency = 4,
+    includeArchived = false,
+    only = null,
+    token = null,
+    config = '.repo-manager.json',
+    allowPlugins = false,
+    cacheDir = null,
+  } = {}) {
+    Fleet.validateInventory(inventory);
+    if (!mirrorDir && !clone) throw new Error('Fleet evaluation requires a mirror directory or clone mode');
+    if (!outputDir) throw new Error('Fleet evaluation requires an output directory');
+    if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('Concurrency must be a positive integer');
+
+    const resolvedOutput = path.resolve(outputDir);
+    const resolvedMirror = mirrorDir ? path.resolve(mirrorDir) : null;
+    const workDir = clone ? fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-fleet-')) : null;
+    fs.mkdirSync(resolvedOutput, { recursive: true });
+
+    // Names that more than one owner uses cannot be read from `<mirror>/<name>`.
+    const seen = new Set();
+    const sharedNames = new Set();
+    for (const repository of inventory.repositories) {
+      const name = String(repository.name || '').toLowerCase();
+      if (seen.has(name)) sharedNames.add(name);
+      seen.add(name);
+    }
+
+    try {
+      const entries = await mapWithConcurrency(inventory.repositories, concurrency, repository => Fleet.evaluateRepository(repository, {
+        mirrorDir: resolvedMirror,
+        sharedNames,
+        workDir,
+        outputDir: resolvedOutput,
+        profiles,
+        includeArchived,
+        only,
+        token,
+        config,
+        allowPlugins,
+        cacheDir,
+      }));
+      return Fleet.aggregate(inventory, entries);
+    } finally {
+      if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  static async evaluateRepository(repository, options) {
+    const owner = repository.owner;
+    const name = repository.name;
+    const entry = {
+      fullName: repository.fullName || `${owner}/${name}`,
+      owner,
+      name,
+      profile: null,
+      source: null,
+      status: 'error',
+      score: null,
+      grade: null,
+      failedGates: [],
+      findings: 0,
+      report: null,
+      error: null,
+    };
+
+    if (!isSafeName(owner) || !isSafeName(name)) {
+      entry.error = 'Inventory entry has no valid owner and name';
+      return { entry, report: null };
+    }
+    if ((repository.archived || repository.disabled) && !options.includeArchived) {
+      entry.status = 'skipped';
+      entry.error = repository.archived ? 'archived' : 'disabled';
+      return { entry, report: null };
+    }
+
+    let projectRoot = null;
+    try {
+      entry.profile = Fleet.assignProfile(repository, options.profiles);
+      projectRoot = await Fleet.checkout(repository, options);
+      entry.source = options.mirrorDir ? 'mirror' : 'clone';
+
+      const engine = new Engine({
+        projectRoot,
+        token: options.token,
+        config: entry.profile || options.config,
+        allowPlugins: options.allowPlugins,
+        policyRoot: entry.profile ? options.profiles.root : null,
+        cacheDir: options.cacheDir,
+      });
+      const report = await engine.run(options.only);
+
+      const reportPath = path.join(owner, `${name}.json`);
+      const target = path.join(options.outputDir, reportPath);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+
+      Object.assign(entry, {
+        status: report.status,
+        score: report.score,
+        grade: report.grade,
+        failedGates: report.gates.filter(gate => !gate.passed).map(gate => gate.id),
+        findings: report.summary.total_findings,
+        report: reportPath.split(path.sep).join('/'),
+      });
+      return { entry, report };
+    } catch (error) {
+      entry.error = error.message;
+      return { entry, report: null };
+    } finally {
+      // Clones are discarded as soon as they are evaluated to bound disk use.
+      if (projectRoot && !options.mirrorDir) fs.rmSync(projectRoot, { recursive: true, force: true });
+    }
+  }
+
+  static async checkout(repository, { mirrorDir, sharedNames = new Set(), workDir, token }) {
+    if (mirrorDir) {
+      const candidates = [path.join(mirrorDir, repository.owner, repository.name)];
+      if (!sharedNames.has(repository.name.toLowerCase())) candidates.push(path.join(mirrorDir, repository.name));
+      const found = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isDirectory());
+      if (!found && candidates.length === 1) {
+        throw new Error(`Repository not found in mirror: ${repository.owner}/${repository.name} (the name is shared by several inventory entries, so only <mirror>/<owner>/<name> is read)`);
+      }
+      if (!found) throw new Error(`Repository not found in mirror: ${repository.owner}/${repository.name}`);
+      return found;
+    }
+
+    const target = resolveInside(workDir, path.join(repository.owner, repository.name), 'Clone path');
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const env = { ...process.env, GIT_TERMINAL_PROMPT: '0' };
+    if (token) {
+      // Passed through the environment so the token never appears in argv.
+      const basic = Buffer.from(`x-access-token:${token}`).toString('base64');
+      Object.assign(env, {
+        GIT_CONFIG_COUNT: '1',
+        GIT_CONFIG_KEY_0: 'http.https://github.com/.extraheader',
+        GIT_CONFIG_VALUE_0: `AUTHORIZATION: basic ${basic}`,
+      });
+    }
+    const url = `https://github.com/${repository.owner}/${repository.name}.git`;
+    try {
+      await execFileAsync('git', ['clone', '--depth', '1', '--no-tags', '--quiet', '--', url, target], {
+        env,
+        timeout: CLONE_TIMEOUT_MS,
+      });
+    } catch (error) {
+      throw new Error(`Clone failed for ${repository.owner}/${repository.name}: ${String(error.stderr || error.message).trim()}`, { cause: error });
+    }
+    return target;
+  }
+
+  static aggregate(inventory, entries, { topFindings = 20 } = {}) {
+    const repositories = entries.map(item => item.entry);
+    const evaluated = repositories.filter(entry => entry.status === 'pass' || entry.status === 'fail');
+    const byGrade = { A: 0, B: 0, C: 0, D: 0, F: 0 };
+    for (const entry of evaluated) byGrade[entry.grade] = (byGrade[entry.grade] || 0) + 1;
+
+    const checkerScores = new Map();
+    const findingCounts = new Map();
+    for (const { entry, report } of entries) {
+      if (!report) continue;
+      for (const [name, result] of Object.entries(report.checkers)) {
+        if (!checkerScores.has(name)) checkerScores.set(name, []);
+        checkerScores.get(name).push({ repository: entry.fullName, score: result.score });
+
+        for (const finding of result.findings || []) {
+          if (finding.severity === 'info') continue;
+          const key = `${name}/${finding.id}`;
+          if (!findingCounts.has(key)) {
+            findingCounts.set(key, { checker: name, id: finding.id, severity: finding.severity, message: finding.message, repositories: new Set(), occurrences: 0 });
+          }
+          const count = findingCounts.get(key);
+          count.repositories.add(entry.fullName);
+          count.occurrences += 1;
+          if (SEVERITY_RANK[finding.severity] > SEVERITY_RANK[count.severity]) count.severity = finding.severity;
+        }
+      }
+    }
+
+    const worstCheckers = [...checkerScores.entries()].map(([checker, scores]) => {
+      const lowest = scores.reduce((min, item) => (item.score < min.score ? item : min));
+      return {
+        checker,
+        averageScore: Math.round(scores.reduce((sum, item) => sum + item.score, 0) / scores.length),
+        minimumScore: lowest.score,
+        lowestRepository: lowest.repository,
+        repositories: scores.length,
+      };
+    }).sort((a, b) => a.averageScore - b.averageScore || a.checker.localeCompare(b.checker));
+
+    const commonFindings = [...findingCounts.values()]
+      .map(count => ({ ...count, repositories: count.repositories.size }))
+      .sort((a, b) => b.repositories - a.repositories || b.occurrences - a.occurrences || `${a.checker}/${a.id}`.localeCompare(`${b.checker}/${b.id}`))
+      .slice(0, topFindings);
+
+    const failed = repositories.filter(entry => entry.status === 'fail').length;
+    const errored = repositories.filter(entry => entry.status === 'error').length;
+    const averageScore = evaluated.length > 0
+      ? Math.round(evaluated.reduce((sum, entry) => sum + entry.score, 0) / evaluated.length)
+      : 0;
+
+    return {
+      schemaVersion: '1.0.0',
+      kind: 'RepositoryFleetReport',
+      tool: { name: 'repo-manager', version: pkg.version },
+      generatedAt: new Date().toISOString(),
+      organization: inventory.organization || null,
+      status: failed === 0 && errored === 0 ? 'pass' : 'fail',
+      summary: {
+        repositories: repositories.length,
+        evaluated: evaluated.length,
+        passed: evaluated.length - failed,
+        failed,
+        errored,
+        skipped: repositories.filter(entry => entry.status === 'skipped').length,
+        averageScore,
+        averageGrade: Checker.grade(averageScore),
+        by_grade: byGrade,
+      },
+      repositories,
+      worstCheckers,
+      commonFindings,
+    };
+  }
+}
+
+module.exports = Fleet;
+module.exports.mapWithConcurrency = mapWithConcurrency;
@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const WorkflowScaffold = require('./WorkflowScaffold');
+
+const BUILTIN_DIR = path.join(__dirname, 'templates');
+const SECTION = /\{\{([#^])\s*([\w.]+)\s*\}\}\n?([\s\S]*?)\{\{\/\s*\2\s*\}\}\n?/g;
+const VARIABLE = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+function lookup(scopes, key) {
+  for (const scope of scopes) {
+    let value = scope;
+    let found = true;
+    for (const part of key.split('.')) {
+      if (value !== null && typeof value === 'object' && Object.hasOwn(value, part)) value = value[part];
+      else {
+        found = false;
+        break;
+      }
+    }
+    if (found) return { found, value };
+  }
+  return { found: false, value: undefined };
+}
+
+function expand(template, scopes, label) {
+  const withSections = template.replace(SECTION, (match, kind, key, block) => {
+    const { value } = lookup(scopes, key);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (kind === '^') return empty ? expand(block, scopes, label) : '';
+    if (empty) return '';
+    if (Array.isArray(value)) return value.map(item => expand(block, [item, ...scopes], label)).join('');
+    return expand(block, typeof value === 'object' ? [value, ...scopes] : scopes, label);
+  });
+  return withSections.replace(VARIABLE, (match, key) => {
+    const { found, value } = lookup(scopes, key);
+    if (!found) throw new Error(`Template ${label} uses an unknown placeholder: ${key}`);
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+/**
+ * Renders a template with `{{name}}` placeholders and `{{#key}}...{{/key}}`
+ * sections, which repeat for each item of an array or render once for a
+ * truthy value. `{{^key}}...{{/key}}` renders when the value is empty.
+ * Unknown placeholders throw so that a typo in an organization template is
+ * not written into a repository.
+ */
+function render(template, view, label = 'template') {
+  return expand(template, [view], label);
+}
+
+/**
+ * Finds `name` in the template directories configured under
+ * `documentation.templateDirs`, relative to the policy root and searched in
+ * order, falling back to the built-in templates. Returns `{ source, content }`
+ * where `source` is the directory the template came from, or `builtin`.
+ */
+function load(policyRoot, templateDirs, name) {
+  const resolvedRoot = path.resolve(policyRoot);
+  for (const directory of templateDirs || []) {
+    const resolved = path.resolve(resolvedRoot, directory, name);
+    if (!resolved.startsWith(`${resolvedRoot}${path.sep}`)) {
+      throw new Error(`documentation.templateDirs must stay within the policy root: ${directory}`);
+    }
+    if (fs.existsSync(resolved)) return { source: directory, content: fs.readFileSync(resolved, 'utf8') };
+  }
+  return { source: 'builtin', content: fs.readFileSync(path.join(BUILTIN_DIR, name), 'utf8') };
+}
+
+// The values templates can use, from package.json and the repository identity.
+function viewFor(context) {
+  const packageJson = context.packageJson || {};
+  const identity = context.repositoryIdentity();
+  const manager = WorkflowScaffold.packageManager(packageJson, file => context.fileExists(file));
+  const name = packageJson.name || identity.name || path.basename(context.projectRoot);
+  const fullName = identity.owner && identity.name ? `${identity.owner}/${identity.name}` : null;
+  const scripts = Object.entries(packageJson.scripts || {}).map(([script, command]) => ({
+    name: script,
+    command,
+    run: ['test', 'start'].includes(script) ? `${manager} ${script}` : `${manager} run ${script}`,
+  }));
+  return {
+    name,
+    description: packageJson.description || (context.githubRepo && context.githubRepo.description) || null,
+    version: packageJson.version || null,
+    license: packageJson.license || null,
+    licenseBadge: packageJson.license ? encodeURIComponent(packageJson.license.replace(/-/g, '--').replace(/_/g, '__')) : null,
+    packageManager: manager,
+    install: context.packageJson && !packageJson.private ? `${manager === 'npm' ? 'npm install' : `${manager} add`} ${name}` : null,
+    test: context.packageJson ? WorkflowScaffold.testCommand(packageJson, manager) : null,
+    scripts,
+    repository: fullName ? {
+      owner: identity.owner,
+      name: identity.name,
+      fullName,
+      url: `https://github.com/${fullName}`,
+      defaultBranch: identity.defaultBranch || 'main',
+    } : null,
+  };
+}
+
+// Loads and renders the document `name` with the policy's template directories.
+function renderDocument(context, name, view = viewFor(context)) {
+  const template = load(context.policyRoot, (context.config.documentation || {}).templateDirs, name);
+  return { source: template.source, content: render(template.content, view, `${template.source}/${name}`) };
+}
+
+module.exports = { BUILTIN_DIR, render, load, viewFor, renderDocument };
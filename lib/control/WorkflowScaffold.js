@@ -0,0 +1,110 @@
+'use strict';
+
+const Semver = require('../utils/semver');
+
+// Node.js release lines a scaffolded matrix may include. Without an engines
+// range only the lines still receiving updates are tested.
+const NODE_LINES = Object.freeze([18, 20, 22, 24, 26]);
+const MAINTAINED_NODE_LINES = Object.freeze([22, 24, 26]);
+
+// Actions the scaffold uses and their current major tags, pinned by tag
+// before resolution when the action tag map does not list a newer release.
+const ACTIONS = Object.freeze({
+  checkout: { name: 'actions/checkout', tag: 'v7' },
+  setupNode: { name: 'actions/setup-node', tag: 'v7' },
+});
+
+const NPM_PLACEHOLDER_TEST = /no test specified/;
+
+/**
+ * The Node.js release lines an `engines.node` range accepts, as majors. Each
+ * `||` alternative is an interval, so a line matches when its first release,
+ * its last release, or a bound inside it satisfies every comparator. Returns
+ * null when the range cannot be read.
+ */
+function nodeVersions(range) {
+  if (range === undefined || range === null || String(range).trim() === '' || String(range).trim() === '*') {
+    return [...MAINTAINED_NODE_LINES];
+  }
+  let sets;
+  try {
+    sets = Semver.parseRange(range);
+  } catch {
+    return null;
+  }
+  const release = (major, minor, patch) => ({ major, minor, patch, prerelease: [] });
+  return NODE_LINES.filter(major => sets.some(set => {
+    const samples = [
+      release(major, 0, 0),
+      release(major, Infinity, Infinity),
+      ...set.map(comparator => comparator.version).filter(bound => bound.major === major),
+    ];
+    return samples.some(sample => set.every(comparator => Semver.matches(comparator, sample)));
+  }));
+}
+
+// The package manager a lockfile or `packageManager` field selects.
+function packageManager(packageJson, fileExists) {
+  const declared = /^(npm|pnpm|yarn)@/.exec(packageJson.packageManager || '');
+  if (declared) return declared[1];
+  if (fileExists('pnpm-lock.yaml')) return 'pnpm';
+  if (fileExists('yarn.lock')) return 'yarn';
+  return 'npm';
+}
+
+// The command that runs the project's tests: the `test` script, or the first
+// `test:*` script when `test` is missing or npm's placeholder.
+function testCommand(packageJson, manager) {
+  const scripts = packageJson.scripts || {};
+  if (scripts.test && !NPM_PLACEHOLDER_TEST.test(scripts.test)) return `${manager} test`;
+  const named = Object.keys(scripts).find(name => name.startsWith('test:'));
+  return named ? `${manager} run ${named}` : null;
+}
+
+function installCommand(manager, fileExists) {
+  if (manager === 'pnpm') return 'pnpm install --frozen-lockfile';
+  if (manager === 'yarn') return 'yarn install --frozen-lockfile';
+  return fileExists('package-lock.json') || fileExists('npm-shrinkwrap.json') ? 'npm ci' : 'npm install';
+}
+
+/**
+ * Renders a CI workflow for a Node.js project: push and pull request
+ * triggers, a read-only token, a matrix over `versions`, and pinned actions
+ * given as `{ checkout, setupNode }` references with their tag comments.
+ */
+function render({ branch, versions, manager, install, test, actions }) {
+  const lines = [
+    'name: CI',
+    '',
+    'on:',
+    '  push:',
+    `    branches: [${branch}]`,
+    '  pull_request:',
+    '',
+    'permissions:',
+    '  contents: read',
+    '',
+    'jobs:',
+    '  test:',
+    '    runs-on: ubuntu-latest',
+    '    strategy:',
+    '      fail-fast: false',
+    '      matrix:',
+    `        node-version: [${versions.map(major => `${major}.x`).join(', ')}]`,
+    '    steps:',
+    `      - uses: ${actions.checkout}`,
+  ];
+  if (manager !== 'npm') lines.push('      - run: corepack enable');
+  lines.push(
+    `      - uses: ${actions.setupNode}`,
+    '        with:',
+    '          node-version: ${{ matrix.node-version }}',
+    `          cache: ${manager}`,
+    `      - run: ${install}`,
+    `      - run: ${test}`,
+    '',
+  );
+  return lines.join('\n');
+}
+
+module.exports = { NODE_LINES, MAINTAINED_NODE_LINES, ACTIONS, nodeVersions, packageManager, testCommand, installCommand, render };
@@ -1,20 +1,172 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+const ENTRY_SCHEMA_VERSION = 1;
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Lists entry files with their sizes, oldest first.
+function listEntries(directory) {
+  let names;
+  try { names = fs.readdirSync(directory); } catch { return []; }
+  const entries = [];
+  for (const name of names) {
+    if (!name.endsWith('.json') || !KEY_PATTERN.test(name.slice(0, -5))) continue;
+    try {
+      const stat = fs.statSync(path.join(directory, name));
+      entries.push({ name, bytes: stat.size, mtimeMs: stat.mtimeMs });
+    } catch { /* removed concurrently */ }
+  }
+  return entries.sort((a, b) => a.mtimeMs - b.mtimeMs || a.name.localeCompare(b.name));
+}
+
 class Cache {
-  constructor() {
+  // Without a directory the cache only lives for one Context. With one,
+  // entries requested with `persist` are also kept on disk across runs.
+  constructor({ directory = null, maxEntryBytes = 5242880, maxTotalBytes = 104857600, now = () => Date.now() } = {}) {
     this._store = new Map();
+    this.directory = directory ? path.resolve(directory) : null;
+    this.maxEntryBytes = maxEntryBytes;
+    this.maxTotalBytes = maxTotalBytes;
+    this._now = now;
+  }
+
+  static keyFor(parts) {
+    return crypto.createHash('sha256').update(stableStringify(parts)).digest('hex');
   }
 
   get(key) { return this._store.get(key) || null; }
   set(key, value) { this._store.set(key, value); }
   has(key) { return this._store.has(key); }
 
-  async getOrSet(key, asyncFn) {
-    if (this._store.has(key)) return this._store.get(key);
+  async getOrSet(key, asyncFn, { persist = false, ttlSeconds = null } = {}) {
+    const cached = this.peek(key, { persist });
+    if (cached !== undefined) return cached;
     const value = await asyncFn();
-    this._store.set(key, value);
+    // Failed computations are not persisted so the next run retries them.
+    this.put(key, value, { persist: persist && value !== null && value !== undefined, ttlSeconds });
     return value;
   }
+
+  // Returns the cached value for key, or undefined on a miss. Persistent
+  // lookups fall back to the cache directory when one is configured.
+  peek(key, { persist = false } = {}) {
+    if (this._store.has(key)) return this._store.get(key);
+    if (!persist || this.directory === null) return undefined;
+    this._assertPersistentKey(key);
+    const stored = this._read(key);
+    if (stored !== undefined) this._store.set(key, stored);
+    return stored;
+  }
+
+  put(key, value, { persist = false, ttlSeconds = null } = {}) {
+    this._store.set(key, value);
+    if (!persist || this.directory === null) return false;
+    this._assertPersistentKey(key);
+    return this._write(key, value, ttlSeconds);
+  }
+
+  _assertPersistentKey(key) {
+    if (!KEY_PATTERN.test(key)) throw new Error('Persistent cache keys must come from Cache.keyFor()');
+  }
+
+  _entryPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  _read(key) {
+    const entryPath = this._entryPath(key);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') fs.rmSync(entryPath, { force: true });
+      return undefined;
+    }
+    const valid = entry && entry.schemaVersion === ENTRY_SCHEMA_VERSION && entry.key === key && 'value' in entry;
+    const expired = valid && entry.expiresAt !== null && Date.parse(entry.expiresAt) <= this._now();
+    if (!valid || expired) {
+      fs.rmSync(entryPath, { force: true });
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  _write(key, value, ttlSeconds) {
+    const createdAt = this._now();
+    const entry = {
+      schemaVersion: ENTRY_SCHEMA_VERSION,
+      key,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: ttlSeconds ? new Date(createdAt + (ttlSeconds * 1000)).toISOString() : null,
+      value,
+    };
+    const content = JSON.stringify(entry);
+    if (Buffer.byteLength(content) > this.maxEntryBytes) return false;
+    try {
+      fs.mkdirSync(this.directory, { recursive: true });
+      const temporary = `${this._entryPath(key)}.${process.pid}.tmp`;
+      fs.writeFileSync(temporary, content, { encoding: 'utf8', mode: 0o600 });
+      fs.renameSync(temporary, this._entryPath(key));
+    } catch {
+      // An unwritable cache degrades to recomputation, never to a failure.
+      return false;
+    }
+    this._evict();
+    return true;
+  }
+
+  // Removes the oldest entries until the directory fits maxTotalBytes.
+  _evict() {
+    const entries = listEntries(this.directory);
+    let total = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    for (const entry of entries) {
+      if (total <= this.maxTotalBytes) break;
+      fs.rmSync(path.join(this.directory, entry.name), { force: true });
+      total -= entry.bytes;
+    }
+  }
+
+  static stats(directory, { now = Date.now() } = {}) {
+    const resolved = path.resolve(directory);
+    const entries = listEntries(resolved);
+    let expired = 0;
+    for (const entry of entries) {
+      try {
+        const { expiresAt } = JSON.parse(fs.readFileSync(path.join(resolved, entry.name), 'utf8'));
+        if (expiresAt && Date.parse(expiresAt) <= now) expired += 1;
+      } catch {
+        expired += 1;
+      }
+    }
+    return {
+      directory: resolved,
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+      expired,
+      oldest: entries.length > 0 ? new Date(entries[0].mtimeMs).toISOString() : null,
+      newest: entries.length > 0 ? new Date(entries[entries.length - 1].mtimeMs).toISOString() : null,
+    };
+  }
+
+  // Only removes files that look like cache entries, so pointing the command
+  // at the wrong directory cannot delete unrelated data.
+  static clear(directory) {
+    const resolved = path.resolve(directory);
+    const entries = listEntries(resolved);
+    for (const entry of entries) fs.rmSync(path.join(resolved, entry.name), { force: true });
+    return { directory: resolved, removed: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0) };
+  }
 }
 
 module.exports = Cache;
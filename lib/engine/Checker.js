@@ -1,5 +1,7 @@
 'use strict';
 
+const path = require('path');
+
 class Checker {
   constructor({ name, version, description, defaultWeight, fixableFindingIds = [] }) {
     this.name = name;
@@ -26,6 +28,28 @@ class Checker {
     return 'F';
   }
 
+  // Findings produced against `context.forRoot(root)` name files relative to
+  // that root; this rebases them onto the project and labels the message.
+  static rebase(findings, root) {
+    if (root === '.') return findings;
+    return findings.map(finding => ({
+      ...finding,
+      message: `${root}: ${finding.message}`,
+      file: finding.file ? path.posix.join(root, finding.file) : finding.file,
+      ...(finding.evidence && finding.evidence.path
+        ? { evidence: { ...finding.evidence, path: path.posix.join(root, finding.evidence.path) } }
+        : {}),
+    }));
+  }
+
+  // Total of the points `findings` deducted from their checker's score.
+  static penalty(findings) {
+    return findings.reduce((total, finding) => total + (finding.penalty || 0), 0);
+  }
+
+  // `penalty` on a finding records the points it deducted from `score`, so a
+  // suppressed finding can give back exactly that; `rawScore` keeps the score
+  // before it was clamped to 0-100.
   createResult(score, findings = [], metadata = {}, startTime = Date.now()) {
     const capped = Math.min(Math.max(Math.round(score), 0), 100);
     const normalizedFindings = findings.map(finding => ({
@@ -33,6 +57,7 @@ class Checker {
       fix: null,
       current: null,
       expected: null,
+      penalty: 0,
       ...finding,
       checker: this.name,
       fixable: this.fixableFindingIds.has(finding.id),
@@ -46,6 +71,7 @@ class Checker {
       checker: this.name,
       checkerVersion: this.version,
       score: capped,
+      rawScore: score,
       grade: Checker.grade(capped),
       findings: normalizedFindings,
       metadata,
@@ -2,14 +2,20 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { execFileSync } = require('child_process');
 const { URL } = require('node:url');
 const Policy = require('../policy/Policy');
+const Suppressions = require('../policy/Suppressions');
+const Cache = require('./Cache');
+const Ecosystems = require('../utils/ecosystems');
 
 class Context {
-  constructor({ projectRoot, projectType, github, githubRepo, githubError, packageJson, gitInfo, config, policySource, cache }) {
+  constructor({ projectRoot, policyRoot, ecosystems, projectType, github, githubRepo, githubError, packageJson, gitInfo, config, policySource, policyChain, policyProvenance, suppressions, cache }) {
     this.projectRoot = projectRoot;
-    this.projectType = projectType;
+    this.policyRoot = policyRoot || projectRoot;
+    this.ecosystems = ecosystems || (projectRoot ? Context.detectEcosystems(projectRoot) : []);
+    this._projectType = projectType || null;
     this.github = github;
     this.githubRepo = githubRepo || null;
     this.githubError = githubError || null;
@@ -17,23 +23,34 @@ class Context {
     this.gitInfo = gitInfo;
     this.config = config;
     this.policySource = policySource;
-    this.cache = cache;
+    this.policyChain = policyChain || [];
+    this.policyProvenance = policyProvenance || {};
+    this.suppressions = suppressions || { source: null, entries: [] };
+    this.cache = cache || new Cache();
+    this.policyHash = Cache.keyFor(config || {});
   }
 
-  static async build({ projectRoot, token, configPath }) {
-    const Cache = require('./Cache');
-    const cache = new Cache();
-
+  // policyRoot lets a checkout be evaluated under another tree's policy,
+  // suppressions, and plugins; it defaults to the project root.
+  static async build({ projectRoot, token, configPath, policyRoot, cacheDir = null }) {
     const resolvedRoot = path.resolve(projectRoot || process.cwd());
     if (!fs.existsSync(resolvedRoot) || !fs.statSync(resolvedRoot).isDirectory()) {
       throw new Error(`Project root is not a directory: ${resolvedRoot}`);
     }
 
-    const projectType = Context.detectProjectType(resolvedRoot);
+    const ecosystems = Context.detectEcosystems(resolvedRoot);
     const packageJson = Context.readPackageJson(resolvedRoot);
     const gitInfo = Context.readGitInfo(resolvedRoot);
-    const loadedPolicy = Policy.load(resolvedRoot, configPath);
+    const resolvedPolicyRoot = path.resolve(policyRoot || resolvedRoot);
+    const loadedPolicy = Policy.load(resolvedPolicyRoot, configPath);
     const config = loadedPolicy.policy;
+    const suppressions = Suppressions.load(resolvedPolicyRoot, config.suppressions && config.suppressions.file);
+    const cacheLimits = config.cache || {};
+    const cache = new Cache({
+      directory: cacheDir,
+      maxEntryBytes: cacheLimits.maxEntryBytes,
+      maxTotalBytes: cacheLimits.maxTotalBytes,
+    });
 
     let github = null;
     let githubRepo = null;
@@ -53,7 +70,8 @@ class Context {
 
     return new Context({
       projectRoot: resolvedRoot,
-      projectType,
+      policyRoot: resolvedPolicyRoot,
+      ecosystems,
       github,
       githubRepo,
       githubError,
@@ -61,18 +79,40 @@ class Context {
       gitInfo,
       config,
       policySource: loadedPolicy.source,
+      policyChain: loadedPolicy.chain,
+      policyProvenance: loadedPolicy.provenance,
+      suppressions,
       cache,
     });
   }
 
+  // Every ecosystem present and its root directories: `[{ name, root }]`.
+  static detectEcosystems(projectRoot) {
+    return Ecosystems.detect(projectRoot);
+  }
+
+  /**
+   * @deprecated Use `detectEcosystems()`. The single project type of earlier
+   * versions: `iot`, `node`, or `python` from the top-level ecosystems, in
+   * that order of precedence, else `generic`.
+   */
   static detectProjectType(projectRoot) {
-    if (fs.existsSync(path.join(projectRoot, 'platformio.ini'))) return 'iot';
-    if (fs.existsSync(path.join(projectRoot, 'package.json'))) return 'node';
-    if (fs.existsSync(path.join(projectRoot, 'requirements.txt')) ||
-        fs.existsSync(path.join(projectRoot, 'pyproject.toml'))) return 'python';
+    return Context.projectTypeOf(Context.detectEcosystems(projectRoot));
+  }
+
+  static projectTypeOf(ecosystems) {
+    const present = new Set(ecosystems.filter(ecosystem => ecosystem.root === '.').map(ecosystem => ecosystem.name));
+    if (present.has('platformio')) return 'iot';
+    if (present.has('node')) return 'node';
+    if (present.has('python')) return 'python';
     return 'generic';
   }
 
+  /** @deprecated Use `ecosystems`. */
+  get projectType() {
+    return this._projectType || Context.projectTypeOf(this.ecosystems);
+  }
+
   static readPackageJson(projectRoot) {
     const pkgPath = path.join(projectRoot, 'package.json');
     if (!fs.existsSync(pkgPath)) return null;
@@ -141,9 +181,63 @@ class Context {
     return Policy.load(projectRoot, configPath).policy;
   }
 
+  // The checker's policy settings with the `ecosystems.<name>.checkers`
+  // overrides of every ecosystem present applied in ecosystem order.
   getCheckerConfig(checkerName) {
     const checkerConfigs = (this.config && this.config.checkers) || {};
-    return checkerConfigs[checkerName] || {};
+    const overrides = (this.config && this.config.ecosystems) || {};
+    let result = checkerConfigs[checkerName] || {};
+    for (const name of Ecosystems.NAMES) {
+      const override = overrides[name] && overrides[name].checkers && overrides[name].checkers[checkerName];
+      if (override && this.ecosystemRoots(name).length > 0) result = { ...result, ...override };
+    }
+    return result;
+  }
+
+  ecosystemRoots(name) {
+    return this.ecosystems.filter(ecosystem => ecosystem.name === name).map(ecosystem => ecosystem.root);
+  }
+
+  /**
+   * A context for the ecosystem rooted at `root`, relative to the project:
+   * files resolve inside that directory and `packageJson` is its manifest.
+   * Policy, cache, and repository details are shared. Checkers prefix
+   * evidence paths with `root` when reporting.
+   */
+  forRoot(root) {
+    if (root === '.') return this;
+    const projectRoot = this.resolvePath(root);
+    return new Context({
+      projectRoot,
+      policyRoot: this.policyRoot,
+      ecosystems: this.ecosystems
+        .filter(ecosystem => ecosystem.root === root || ecosystem.root.startsWith(`${root}/`))
+        .map(ecosystem => ({ name: ecosystem.name, root: ecosystem.root === root ? '.' : ecosystem.root.slice(root.length + 1) })),
+      github: this.github,
+      githubRepo: this.githubRepo,
+      githubError: this.githubError,
+      packageJson: Context.readPackageJson(projectRoot),
+      gitInfo: this.gitInfo,
+      config: this.config,
+      policySource: this.policySource,
+      policyChain: this.policyChain,
+      policyProvenance: this.policyProvenance,
+      suppressions: this.suppressions,
+      cache: this.cache,
+    });
+  }
+
+  hashFile(relativePath) {
+    const content = this.readFile(relativePath);
+    return content === null ? null : crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Persistent cache keys bind a result to the checker build, the effective
+  // policy, and the content of every file it was derived from.
+  cacheKey(checker, { purpose, files = [], extra = null } = {}) {
+    const inputs = {};
+    for (const file of files) inputs[file] = this.hashFile(file);
+    return Cache.keyFor({ checker: checker.name, version: checker.version, policy: this.policyHash, purpose, inputs, extra });
   }
 
   fileExists(relativePath) {
@@ -200,7 +294,9 @@ class Context {
   repositoryIdentity() {
     return {
       root: this.projectRoot,
+      // Deprecated: kept for consumers of the single project type.
       type: this.projectType,
+      ecosystems: this.ecosystems.map(ecosystem => ({ ...ecosystem })),
       owner: this.gitInfo && this.gitInfo.owner,
       name: this.gitInfo && this.gitInfo.repo,
       remoteUrl: this.gitInfo && this.gitInfo.remoteUrl,
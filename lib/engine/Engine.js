@@ -1,17 +1,28 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
 const Context = require('./Context');
 const Report = require('./Report');
+const PluginLoader = require('./PluginLoader');
 const Planner = require('../control/Planner');
 const Executor = require('../control/Executor');
 const pkg = require('../../package.json');
 
+const BASE_REF = /^[A-Za-z0-9_][A-Za-z0-9._/@{}~^-]*$/;
+
 class Engine {
-  constructor({ projectRoot, token, config } = {}) {
+  constructor({ projectRoot, token, config, allowPlugins = false, policyRoot = null, cacheDir = null } = {}) {
     this.projectRoot = projectRoot || process.cwd();
+    this.policyRoot = policyRoot;
+    this.cacheDir = cacheDir;
     this.token = token || process.env.GITHUB_TOKEN || null;
     this.configPath = config || '.repo-manager.json';
+    this.allowPlugins = allowPlugins === true;
     this._checkers = [];
+    this._plugins = null;
     this._context = null;
   }
 
@@ -21,8 +32,6 @@ class Engine {
   }
 
   loadBuiltinCheckers() {
-    const fs = require('fs');
-    const path = require('path');
     const checkersDir = path.join(__dirname, '..', 'checkers');
     if (!fs.existsSync(checkersDir)) return this;
 
@@ -38,12 +47,71 @@ class Engine {
     return this;
   }
 
+  // Policy plugins execute third-party code, so they load only when the caller
+  // opted in. A plugin that fails to resolve, load, or validate is listed with
+  // its error and reported as a failed checker; the rest of the run continues.
+  loadPlugins(context) {
+    if (this._plugins) return this._plugins;
+    const specifiers = (context.config && context.config.plugins) || [];
+    if (specifiers.length > 0 && !this.allowPlugins) {
+      throw new Error(`Policy declares plugins (${specifiers.join(', ')}); enable allowPlugins to load them`);
+    }
+    const { checkers, plugins, failures } = PluginLoader.load(context.policyRoot, specifiers, {
+      reservedNames: this._checkers.map(checker => checker.name),
+    });
+    this._checkers.push(...checkers);
+    const failed = new Map(failures.map(failure => [failure.module, { module: failure.module, error: failure.error, checkers: [] }]));
+    const loaded = new Map(plugins.map(plugin => [plugin.module, plugin]));
+    this._plugins = specifiers.map(specifier => loaded.get(specifier) || failed.get(specifier)).filter(Boolean);
+    return this._plugins;
+  }
+
+  // Failed plugins have no checker name of their own, so their results are
+  // keyed by a name derived from the module specifier.
+  static pluginCheckerName(specifier) {
+    return `plugin-${String(specifier).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')}`;
+  }
+
+  static errorResult(name, version, message, error = message) {
+    return {
+      checker: name,
+      checkerVersion: version,
+      score: 0,
+      grade: 'F',
+      findings: [{
+        id: `${name}-error`,
+        checker: name,
+        severity: 'critical',
+        message,
+        file: null,
+        line: null,
+        fixable: false,
+        fix: null,
+        penalty: 100,
+      }],
+      metadata: { error },
+      duration: 0,
+    };
+  }
+
+  static assertResult(checker, result) {
+    if (!result || typeof result !== 'object') throw new Error('check() did not return a result object');
+    if (result.checker !== checker.name) {
+      throw new Error(`check() returned a result for ${result.checker}, expected ${checker.name}`);
+    }
+    if (!Number.isFinite(result.score)) throw new Error('check() returned a non-numeric score');
+    if (!Array.isArray(result.findings)) throw new Error('check() returned findings that are not an array');
+    return result;
+  }
+
   async _getContext() {
     if (!this._context) {
       this._context = await Context.build({
         projectRoot: this.projectRoot,
         token: this.token,
         configPath: this.configPath,
+        policyRoot: this.policyRoot,
+        cacheDir: this.cacheDir,
       });
     }
     return this._context;
@@ -52,13 +120,18 @@ class Engine {
   async run(only) {
     if (this._checkers.length === 0) this.loadBuiltinCheckers();
     const context = await this._getContext();
+    const plugins = this.loadPlugins(context);
 
     // Filter checkers
     let checkers = this._checkers;
     if (only && only.length > 0) {
       const available = new Set(this._checkers.map(checker => checker.name));
       const unknown = only.filter(name => !available.has(name));
-      if (unknown.length > 0) throw new Error(`Unknown checker(s): ${unknown.join(', ')}`);
+      if (unknown.length > 0) {
+        const failed = plugins.filter(plugin => plugin.error).map(plugin => plugin.module);
+        const hint = failed.length > 0 ? ` (plugins that failed to load: ${failed.join(', ')})` : '';
+        throw new Error(`Unknown checker(s): ${unknown.join(', ')}${hint}`);
+      }
       checkers = checkers.filter(c => only.includes(c.name));
     }
 
@@ -72,25 +145,10 @@ class Engine {
     const results = await Promise.all(
       checkers.map(async (checker) => {
         try {
-          return await checker.check(context);
+          return Engine.assertResult(checker, await checker.check(context));
         } catch (error) {
-          // Checker crashed — return error result
-          return {
-            checker: checker.name,
-            score: 0,
-            grade: 'F',
-            findings: [{
-              id: `${checker.name}-error`,
-              severity: 'critical',
-              message: `Checker crashed: ${error.message}`,
-              file: null,
-              line: null,
-              fixable: false,
-              fix: null,
-            }],
-            metadata: { error: error.message },
-            duration: 0,
-          };
+          // Checker crashed or broke the result contract — return error result
+          return Engine.errorResult(checker.name, checker.version, `Checker crashed: ${error.message}`, error.message);
         }
       })
     );
@@ -102,16 +160,104 @@ class Engine {
       checkerConfigs[checker.name] = { weight: cfg.weight ?? checker.defaultWeight };
     }
 
+    // A plugin that failed to load is a policy problem whichever checkers
+    // were selected, so it is reported in scoped runs too.
+    for (const plugin of plugins.filter(entry => entry.error)) {
+      const name = Engine.pluginCheckerName(plugin.module);
+      results.push(Engine.errorResult(name, null, `Plugin failed to load: ${plugin.error}`, plugin.error));
+    }
+
     return Report.aggregate(results, checkerConfigs, {
       tool: { name: pkg.name, version: pkg.version },
       repository: context.repositoryIdentity(),
       policy: context.config,
+      plugins,
+      suppressions: context.suppressions,
       checkerScope: only && only.length > 0 ? only : null,
     });
   }
 
-  async plan({ only } = {}) {
+  // Pull-request mode: evaluates the merge base of `base` and HEAD in a
+  // temporary worktree under the current policy, then gates on what changed.
+  async runChange(base, only) {
+    if (typeof base !== 'string' || !BASE_REF.test(base)) throw new Error(`Invalid base ref: ${base}`);
     const report = await this.run(only);
+    const context = await this._getContext();
+    const baseReport = await this._runBase(context, base, only);
+    const diff = Report.diff(baseReport, report);
+    const gates = Report.evaluateChangeGates(report, baseReport, diff, context.config.gates || {}, {
+      checkerScope: only && only.length > 0 ? only : null,
+    });
+
+    const introduced = new Set(diff.findings.new.map(finding => finding.fingerprint));
+    for (const result of Object.values(report.checkers)) {
+      for (const finding of result.findings || []) finding.introduced = introduced.has(finding.fingerprint);
+    }
+
+    return {
+      ...report,
+      status: gates.every(gate => gate.passed) ? 'pass' : 'fail',
+      gates,
+      change: {
+        base: {
+          ref: base,
+          commit: baseReport.repository && baseReport.repository.commit,
+          score: baseReport.score,
+          grade: baseReport.grade,
+          status: baseReport.status,
+        },
+        summary: diff.summary,
+        absolute: { status: report.status, gates: report.gates },
+      },
+    };
+  }
+
+  async _runBase(context, base, only) {
+    const git = args => execFileSync('git', args, {
+      cwd: context.projectRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    }).trim();
+
+    let mergeBase;
+    let topLevel;
+    try {
+      const baseCommit = git(['rev-parse', '--verify', '--end-of-options', `${base}^{commit}`]);
+      mergeBase = git(['merge-base', baseCommit, 'HEAD']);
+      topLevel = git(['rev-parse', '--show-toplevel']);
+    } catch (error) {
+      throw new Error(`Cannot resolve the merge base with ${base}: ${String(error.stderr || error.message).trim()}`, { cause: error });
+    }
+
+    const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-base-'));
+    try {
+      git(['worktree', 'add', '--detach', worktree, mergeBase]);
+      const relativeRoot = path.relative(fs.realpathSync(topLevel), fs.realpathSync(context.projectRoot));
+      const baseEngine = new Engine({
+        projectRoot: path.join(worktree, relativeRoot),
+        token: this.token,
+        config: this.configPath,
+        allowPlugins: this.allowPlugins,
+        policyRoot: context.policyRoot,
+        cacheDir: this.cacheDir,
+      });
+      baseEngine._checkers = [...this._checkers];
+      baseEngine._plugins = this._plugins;
+      return await baseEngine.run(only);
+    } finally {
+      try { git(['worktree', 'remove', '--force', worktree]); } catch { /* removed below */ }
+      fs.rmSync(worktree, { recursive: true, force: true });
+      try { git(['worktree', 'prune']); } catch { /* stale metadata is harmless */ }
+    }
+  }
+
+  async plan({ only } = {}) {
+    return this.planReport(await this.run(only));
+  }
+
+  // Plans remediation for a report this engine already produced, without
+  // evaluating the repository again.
+  async planReport(report) {
     const context = await this._getContext();
     return Planner.create({ context, report, checkers: this._checkers });
   }
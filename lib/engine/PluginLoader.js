@@ -0,0 +1,188 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHECKER_NAME = /^[a-z0-9][a-z0-9-]*$/;
+const SEMVER = /^\d+\.\d+\.\d+(?:[-+][0-9A-Za-z.-]+)?$/;
+const PACKAGE_SPECIFIER = /^(?:@[a-z0-9][a-z0-9._-]*\/)?[a-z0-9][a-z0-9._-]*(?:\/[A-Za-z0-9._-]+)*$/;
+
+function isLocalSpecifier(specifier) {
+  return specifier.startsWith('./') || specifier.startsWith('../') || path.isAbsolute(specifier);
+}
+
+function fileHash(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function findPackageManifest(entryPath, packageName) {
+  let directory = path.dirname(entryPath);
+  while (directory !== path.dirname(directory)) {
+    const manifestPath = path.join(directory, 'package.json');
+    if (fs.existsSync(manifestPath)) {
+      try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (manifest.name === packageName) return manifest;
+      } catch { /* keep walking to the owning package */ }
+    }
+    directory = path.dirname(directory);
+  }
+  return null;
+}
+
+function checkerClassesFrom(exported) {
+  if (typeof exported === 'function') return [exported];
+  if (Array.isArray(exported)) return exported;
+  if (exported && Array.isArray(exported.checkers)) return exported.checkers;
+  return null;
+}
+
+class PluginLoader {
+  static resolve(projectRoot, specifier) {
+    if (typeof specifier !== 'string' || !specifier.trim()) {
+      throw new Error('Plugin specifier must be a non-empty string');
+    }
+    const resolvedRoot = path.resolve(projectRoot);
+
+    if (isLocalSpecifier(specifier)) {
+      const candidate = path.resolve(resolvedRoot, specifier);
+      if (!candidate.startsWith(`${resolvedRoot}${path.sep}`)) {
+        throw new Error(`Plugin path must stay within the project root: ${specifier}`);
+      }
+      let entryPath;
+      try {
+        entryPath = require.resolve(candidate);
+      } catch (error) {
+        throw new Error(`Plugin ${specifier} could not be resolved: ${error.message}`, { cause: error });
+      }
+      const realRoot = fs.realpathSync(resolvedRoot);
+      const realEntry = fs.realpathSync(entryPath);
+      if (!realEntry.startsWith(`${realRoot}${path.sep}`)) {
+        throw new Error(`Plugin path must stay within the project root: ${specifier}`);
+      }
+      return {
+        module: specifier,
+        source: 'file',
+        entryPath,
+        name: path.relative(resolvedRoot, entryPath).split(path.sep).join('/'),
+        version: null,
+      };
+    }
+
+    if (!PACKAGE_SPECIFIER.test(specifier)) {
+      throw new Error(`Plugin ${specifier} is not a valid package name`);
+    }
+    let entryPath;
+    try {
+      entryPath = require.resolve(specifier, { paths: [resolvedRoot] });
+    } catch (error) {
+      throw new Error(`Plugin ${specifier} could not be resolved: ${error.message}`, { cause: error });
+    }
+    const packageName = specifier.startsWith('@')
+      ? specifier.split('/').slice(0, 2).join('/')
+      : specifier.split('/')[0];
+    const manifest = findPackageManifest(entryPath, packageName);
+    return {
+      module: specifier,
+      source: 'package',
+      entryPath,
+      name: packageName,
+      version: manifest && typeof manifest.version === 'string' ? manifest.version : null,
+    };
+  }
+
+  static validateChecker(checker, specifier) {
+    if (!checker || typeof checker !== 'object') {
+      throw new Error(`Plugin ${specifier} did not construct a checker object`);
+    }
+    if (typeof checker.name !== 'string' || !CHECKER_NAME.test(checker.name)) {
+      throw new Error(`Plugin ${specifier} checker name must be lowercase letters, digits, and hyphens`);
+    }
+    if (typeof checker.version !== 'string' || !SEMVER.test(checker.version)) {
+      throw new Error(`Plugin ${specifier} checker ${checker.name} version must be a semantic version string`);
+    }
+    if (typeof checker.check !== 'function') {
+      throw new Error(`Plugin ${specifier} checker ${checker.name} must implement check(context)`);
+    }
+    if (checker.plan !== undefined && typeof checker.plan !== 'function') {
+      throw new Error(`Plugin ${specifier} checker ${checker.name} plan must be a function`);
+    }
+    if (checker.defaultWeight !== undefined && (!Number.isFinite(checker.defaultWeight) || checker.defaultWeight < 0)) {
+      throw new Error(`Plugin ${specifier} checker ${checker.name} defaultWeight must be a non-negative number`);
+    }
+    return checker;
+  }
+
+  // Loads one plugin module, throwing on any resolution or contract failure.
+  static loadOne(projectRoot, specifier, { reservedNames = [] } = {}) {
+    const taken = new Set(reservedNames);
+    const resolved = PluginLoader.resolve(projectRoot, specifier);
+    let exported;
+    try {
+      exported = require(resolved.entryPath);
+    } catch (error) {
+      throw new Error(`Plugin ${specifier} failed to load: ${error.message}`, { cause: error });
+    }
+
+    const classes = checkerClassesFrom(exported);
+    if (!classes || classes.length === 0 || classes.some(value => typeof value !== 'function')) {
+      throw new Error(`Plugin ${specifier} must export a Checker subclass, an array of them, or { checkers: [...] }`);
+    }
+
+    const checkers = [];
+    for (const CheckerClass of classes) {
+      let checker;
+      try {
+        checker = new CheckerClass();
+      } catch (error) {
+        throw new Error(`Plugin ${specifier} checker could not be constructed: ${error.message}`, { cause: error });
+      }
+      PluginLoader.validateChecker(checker, specifier);
+      if (taken.has(checker.name)) {
+        throw new Error(`Plugin ${specifier} checker name is already registered: ${checker.name}`);
+      }
+      taken.add(checker.name);
+      checker.plugin = resolved.module;
+      checkers.push(checker);
+    }
+
+    return {
+      checkers,
+      plugin: {
+        module: resolved.module,
+        source: resolved.source,
+        name: resolved.name,
+        version: resolved.version,
+        integrity: `sha256-${fileHash(resolved.entryPath)}`,
+        checkers: checkers.map(checker => ({ name: checker.name, version: checker.version })),
+      },
+    };
+  }
+
+  // A plugin that fails to load is recorded in `failures` and skipped as a
+  // whole, so one broken module does not prevent the others from running.
+  static load(projectRoot, specifiers = [], { reservedNames = [] } = {}) {
+    const taken = new Set(reservedNames);
+    const checkers = [];
+    const plugins = [];
+    const failures = [];
+
+    for (const specifier of specifiers) {
+      let loaded;
+      try {
+        loaded = PluginLoader.loadOne(projectRoot, specifier, { reservedNames: taken });
+      } catch (error) {
+        failures.push({ module: specifier, error: error.message });
+        continue;
+      }
+      for (const checker of loaded.checkers) taken.add(checker.name);
+      checkers.push(...loaded.checkers);
+      plugins.push(loaded.plugin);
+    }
+
+    return { checkers, plugins, failures };
+  }
+}
+
+module.exports = PluginLoader;
@@ -1,13 +1,19 @@
 'use strict';
 
+const crypto = require('crypto');
 const Checker = require('./Checker');
+const Suppressions = require('../policy/Suppressions');
 
 class Report {
-  static aggregate(checkResults, checkerConfigs = {}, options = {}) {
-    if (!checkResults || checkResults.length === 0) {
+  static aggregate(rawResults, checkerConfigs = {}, options = {}) {
+    if (!rawResults || rawResults.length === 0) {
       return Report.empty(options);
     }
 
+    // Fingerprint before suppression so entries can match either identity
+    Report.assignFingerprints(rawResults.flatMap(r => r.findings || []));
+    const { results: checkResults, suppressions } = Report.applySuppressions(rawResults, options.suppressions, options.now);
+
     // Calculate weighted score
     let totalWeight = 0;
     let weightedSum = 0;
@@ -58,6 +64,7 @@ class Report {
       tool: options.tool || null,
       repository: options.repository || null,
       policy: { id: policy.id, version: policy.version, schemaVersion: policy.schemaVersion },
+      plugins: options.plugins || [],
       score,
       grade: Checker.grade(score),
       status: gateResults.every(gate => gate.passed) ? 'pass' : 'fail',
@@ -67,12 +74,214 @@ class Report {
         total_findings: allFindings.length,
         by_severity: bySeverity,
         fixable,
+        suppressed: suppressions.suppressed.length,
       },
       recommendations: [...new Set(recommendations)], // deduplicate
       gates: gateResults,
+      suppressions,
     };
   }
 
+  // Suppressed findings move to result.suppressedFindings and no longer count
+  // toward severity gates; their checker regains the penalty they recorded.
+  static applySuppressions(checkResults, suppressions = null, now = new Date()) {
+    const entries = (suppressions && suppressions.entries) || [];
+    const outcome = Suppressions.apply(checkResults.flatMap(r => r.findings || []), entries, now);
+    const suppressedBy = new Map(outcome.suppressed.map(item => [item.finding, item.suppression]));
+    const expiredBy = new Map(outcome.expired.map(item => [item.finding, item.suppression]));
+
+    const results = checkResults.map((result) => {
+      const findings = result.findings || [];
+      if (!findings.some(finding => suppressedBy.has(finding) || expiredBy.has(finding))) return result;
+      const suppressedFindings = findings
+        .filter(finding => suppressedBy.has(finding))
+        .map(finding => ({ ...finding, suppression: suppressedBy.get(finding) }));
+      const score = Math.min(Math.max(Math.round((result.rawScore ?? result.score) + Checker.penalty(suppressedFindings)), 0), 100);
+      return {
+        ...result,
+        score,
+        grade: Checker.grade(score),
+        findings: findings
+          .filter(finding => !suppressedBy.has(finding))
+          .map(finding => (expiredBy.has(finding) ? { ...finding, expiredSuppression: expiredBy.get(finding) } : finding)),
+        suppressedFindings,
+        metadata: { ...(result.metadata || {}), unsuppressedScore: result.score },
+      };
+    });
+
+    const describe = ({ finding, suppression }) => ({
+      fingerprint: finding.fingerprint,
+      checker: finding.checker,
+      id: finding.id,
+      severity: finding.severity,
+      message: finding.message,
+      file: finding.file ?? null,
+      line: finding.line ?? null,
+      justification: suppression.justification,
+      owner: suppression.owner,
+      expires: suppression.expires,
+      ...(suppression.type === 'inline' ? { pragma: { file: suppression.file, line: suppression.line } } : {}),
+    });
+
+    return {
+      results,
+      suppressions: {
+        source: (suppressions && suppressions.source) || null,
+        suppressed: outcome.suppressed.map(describe),
+        expired: outcome.expired.map(describe),
+        unused: outcome.unused,
+      },
+    };
+  }
+
+  // Identity is checker, finding id, file, and what was matched there: the
+  // rule and redacted content for secret matches, or the message of other
+  // line-anchored findings. The line itself is left out so findings keep their
+  // identity when code moves; repeated identities within one report are
+  // disambiguated by their occurrence order.
+  static fingerprint(finding, occurrence = 0) {
+    const identity = [finding.checker || '', finding.id || '', finding.file || '', Report.subject(finding), occurrence];
+    return crypto.createHash('sha256').update(identity.join('\u0000')).digest('hex').slice(0, 32);
+  }
+
+  static subject(finding) {
+    const evidence = finding.evidence || {};
+    if (evidence.rule) return `${evidence.rule}\u0000${evidence.preview || ''}`;
+    return finding.line ? finding.message || '' : '';
+  }
+
+  static assignFingerprints(findings) {
+    const occurrences = new Map();
+    for (const finding of findings) {
+      const base = Report.fingerprint(finding);
+      const seen = occurrences.get(base) || 0;
+      occurrences.set(base, seen + 1);
+      finding.fingerprint = seen === 0 ? base : Report.fingerprint(finding, seen);
+    }
+    return findings;
+  }
+
+  static diff(before, after) {
+    for (const [label, report] of [['before', before], ['after', after]]) {
+      if (!report || report.kind !== 'RepositoryComplianceReport') {
+        throw new Error(`The ${label} document is not a RepositoryComplianceReport`);
+      }
+    }
+
+    const findingsOf = (report) => {
+      const findings = Object.values(report.checkers || {}).flatMap(result => (result.findings || [])
+        .map(finding => ({ ...finding, checker: finding.checker || result.checker })));
+      // Reports written before fingerprints existed are identified the same way.
+      if (findings.some(finding => !finding.fingerprint)) Report.assignFingerprints(findings);
+      return findings;
+    };
+    // Findings are matched on their line-independent identity, recomputed so
+    // reports from earlier versions compare too; duplicates pair in order.
+    const byIdentity = (findings) => {
+      const groups = new Map();
+      for (const finding of findings) {
+        const identity = Report.fingerprint(finding);
+        if (!groups.has(identity)) groups.set(identity, []);
+        groups.get(identity).push(finding);
+      }
+      return groups;
+    };
+    const beforeFindings = findingsOf(before);
+    const afterFindings = findingsOf(after);
+    const beforeGroups = byIdentity(beforeFindings);
+    const afterGroups = byIdentity(afterFindings);
+    const pairedCount = identity => Math.min((beforeGroups.get(identity) || []).length, (afterGroups.get(identity) || []).length);
+
+    const introduced = [...afterGroups].flatMap(([identity, findings]) => findings.slice(pairedCount(identity)));
+    const resolved = [...beforeGroups].flatMap(([identity, findings]) => findings.slice(pairedCount(identity)));
+    const unchanged = [...afterGroups].flatMap(([identity, findings]) => findings.slice(0, pairedCount(identity)));
+    const countBySeverity = (findings) => {
+      const counts = { critical: 0, high: 0, medium: 0, low: 0, info: 0 };
+      for (const finding of findings) if (counts[finding.severity] !== undefined) counts[finding.severity]++;
+      return counts;
+    };
+
+    const checkers = {};
+    const checkerNames = [...new Set([...Object.keys(before.checkers || {}), ...Object.keys(after.checkers || {})])].sort();
+    for (const name of checkerNames) {
+      const beforeScore = before.checkers?.[name]?.score ?? null;
+      const afterScore = after.checkers?.[name]?.score ?? null;
+      checkers[name] = {
+        before: beforeScore,
+        after: afterScore,
+        delta: beforeScore !== null && afterScore !== null ? afterScore - beforeScore : null,
+      };
+    }
+
+    const beforeGates = new Map((before.gates || []).map(gate => [gate.id, gate]));
+    const afterGates = new Map((after.gates || []).map(gate => [gate.id, gate]));
+    const gates = [...new Set([...beforeGates.keys(), ...afterGates.keys()])].map((id) => {
+      const was = beforeGates.has(id) ? beforeGates.get(id).passed : null;
+      const now = afterGates.has(id) ? afterGates.get(id).passed : null;
+      let transition = 'unchanged';
+      if (was === null) transition = 'added';
+      else if (now === null) transition = 'removed';
+      else if (was && !now) transition = 'broken';
+      else if (!was && now) transition = 'fixed';
+      return { id, before: was, after: now, transition, actual: afterGates.get(id)?.actual ?? null, expected: afterGates.get(id)?.expected ?? null };
+    });
+
+    const identity = report => ({
+      timestamp: report.timestamp || null,
+      commit: report.repository?.commit || null,
+      score: report.score,
+      grade: report.grade,
+      status: report.status,
+    });
+    const policyIdentity = report => (report.policy ? { id: report.policy.id, version: report.policy.version } : null);
+
+    return {
+      schemaVersion: '1.0.0',
+      kind: 'RepositoryComplianceReportDiff',
+      repository: after.repository || before.repository || null,
+      before: identity(before),
+      after: identity(after),
+      score: { before: before.score, after: after.score, delta: after.score - before.score },
+      status: { before: before.status, after: after.status, changed: before.status !== after.status },
+      policy: {
+        before: policyIdentity(before),
+        after: policyIdentity(after),
+        changed: JSON.stringify(policyIdentity(before)) !== JSON.stringify(policyIdentity(after)),
+      },
+      checkers,
+      gates,
+      findings: { new: introduced, resolved, unchanged },
+      summary: {
+        new: introduced.length,
+        resolved: resolved.length,
+        unchanged: unchanged.length,
+        new_by_severity: countBySeverity(introduced),
+        resolved_by_severity: countBySeverity(resolved),
+      },
+    };
+  }
+
+  // Severity gates count only findings new relative to the base; score gates
+  // still fail when below their minimum unless the change did not lower them.
+  static evaluateChangeGates(headReport, baseReport, diff, gates, options = {}) {
+    const results = Report.evaluateGates(
+      { score: headReport.score, bySeverity: diff.summary.new_by_severity, checkers: headReport.checkers },
+      gates,
+      options,
+    );
+    for (const gate of results) {
+      if (gate.passed) continue;
+      let baseline;
+      if (gate.id === 'minimum-score') baseline = baseReport.score;
+      else if (gate.id.startsWith('checker:')) baseline = baseReport.checkers?.[gate.id.slice('checker:'.length)]?.score;
+      if (Number.isFinite(baseline) && gate.actual >= baseline) {
+        gate.passed = true;
+        gate.baseline = baseline;
+      }
+    }
+    return results;
+  }
+
   static evaluateGates({ score, bySeverity, checkers }, gates, options = {}) {
     const results = [];
     const checkerScope = Array.isArray(options.checkerScope) ? new Set(options.checkerScope) : null;
@@ -98,14 +307,21 @@ class Report {
       tool: options.tool || null,
       repository: options.repository || null,
       policy: options.policy ? { id: options.policy.id, version: options.policy.version, schemaVersion: options.policy.schemaVersion } : null,
+      plugins: options.plugins || [],
       score: 0,
       grade: 'F',
       status: 'fail',
       timestamp: new Date().toISOString(),
       checkers: {},
-      summary: { total_findings: 0, by_severity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 }, fixable: 0 },
+      summary: { total_findings: 0, by_severity: { critical: 0, high: 0, medium: 0, low: 0, info: 0 }, fixable: 0, suppressed: 0 },
       recommendations: [],
       gates: [],
+      suppressions: {
+        source: (options.suppressions && options.suppressions.source) || null,
+        suppressed: [],
+        expired: [],
+        unused: (options.suppressions && options.suppressions.entries) || [],
+      },
     };
   }
 }
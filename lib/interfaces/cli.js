@@ -1,6 +1,7 @@
 'use strict';
 
 const colors = require('../utils/colors');
+const { signed, severityBreakdown } = require('../utils/format');
 
 function formatReport(report, { verbose = false } = {}) {
   const lines = [];
@@ -16,6 +17,10 @@ function formatReport(report, { verbose = false } = {}) {
   const statusColor = report.status === 'pass' ? 'green' : 'red';
   lines.push(`  Policy Status: ${colors[statusColor](String(report.status || 'unknown').toUpperCase())}`);
   if (report.policy) lines.push(`  Policy: ${report.policy.id}@${report.policy.version}`);
+  if (report.change) {
+    const base = report.change.base;
+    lines.push(`  Change Mode: ${report.change.summary.new} new finding(s) since ${base.ref} (${String(base.commit || '').slice(0, 12)}, score ${base.score})`);
+  }
   lines.push('');
 
   // Per-checker scores
@@ -39,7 +44,8 @@ function formatReport(report, { verbose = false } = {}) {
           : finding.severity === 'medium' ? 'yellow'
             : finding.severity === 'info' ? 'cyan' : 'dim';
         const loc = finding.file ? (finding.line ? ` (${finding.file}:${finding.line})` : ` (${finding.file})`) : '';
-        lines.push(`      ${colors[severityColor](`[${finding.severity}]`)} ${finding.message}${loc}`);
+        const marker = finding.introduced ? ` ${colors.bold('[new]')}` : '';
+        lines.push(`      ${colors[severityColor](`[${finding.severity}]`)}${marker} ${finding.message}${loc}`);
         if (finding.fix) {
           lines.push(`        ${colors.dim('Fix:')} ${finding.fix}`);
         }
@@ -60,6 +66,29 @@ function formatReport(report, { verbose = false } = {}) {
     lines.push('');
   }
 
+  const suppressions = report.suppressions || {};
+  const suppressed = suppressions.suppressed || [];
+  const expired = suppressions.expired || [];
+  if (suppressed.length > 0 || expired.length > 0) {
+    lines.push(colors.bold('  Suppressions:'));
+    const waived = suppressed.filter(entry => entry.pragma);
+    const accepted = suppressed.filter(entry => !entry.pragma);
+    if (accepted.length > 0) lines.push(`    ${accepted.length} accepted finding(s) suppressed by ${suppressions.source}`);
+    if (waived.length > 0) lines.push(`    ${waived.length} finding(s) waived by inline pragmas`);
+    if (verbose) {
+      for (const entry of accepted) {
+        lines.push(`      ${colors.dim(`[${entry.id}]`)} ${entry.justification} (${entry.owner}, expires ${entry.expires})`);
+      }
+      for (const entry of waived) {
+        lines.push(`      ${colors.dim(`[${entry.id}]`)} ${entry.justification} (${entry.pragma.file}:${entry.pragma.line})`);
+      }
+    }
+    for (const entry of expired) {
+      lines.push(`    ${colors.red('Expired:')} ${entry.id}${entry.file ? ` (${entry.file})` : ''} owned by ${entry.owner} on ${entry.expires}`);
+    }
+    lines.push('');
+  }
+
   const failedGates = (report.gates || []).filter(gate => !gate.passed);
   if (failedGates.length > 0) {
     lines.push(colors.bold('  Failed Gates:'));
@@ -82,6 +111,109 @@ function formatReport(report, { verbose = false } = {}) {
   return lines.join('\n');
 }
 
+function formatDiff(diff) {
+  const lines = [];
+  const location = finding => (finding.file ? (finding.line ? ` (${finding.file}:${finding.line})` : ` (${finding.file})`) : '');
+
+  lines.push('');
+  lines.push(colors.bold('Compliance Report Diff'));
+  lines.push(colors.dim('\u2500'.repeat(50)));
+  lines.push('');
+  const deltaColor = diff.score.delta > 0 ? 'green' : diff.score.delta < 0 ? 'red' : 'dim';
+  lines.push(`  Score: ${diff.score.before} \u2192 ${diff.score.after} (${colors[deltaColor](signed(diff.score.delta))})`);
+  const statusColor = diff.status.after === 'pass' ? 'green' : 'red';
+  lines.push(`  Policy Status: ${String(diff.status.before).toUpperCase()} \u2192 ${colors[statusColor](String(diff.status.after).toUpperCase())}`);
+  if (diff.policy.changed) {
+    const identity = policy => (policy ? `${policy.id}@${policy.version}` : 'none');
+    lines.push(`  Policy: ${identity(diff.policy.before)} \u2192 ${identity(diff.policy.after)}`);
+  }
+  lines.push('');
+
+  const sections = [
+    ['New Findings', diff.findings.new, diff.summary.new_by_severity, 'red'],
+    ['Resolved Findings', diff.findings.resolved, diff.summary.resolved_by_severity, 'green'],
+  ];
+  for (const [title, findings, counts, color] of sections) {
+    if (findings.length === 0) continue;
+    lines.push(colors.bold(`  ${title}: ${findings.length} (${severityBreakdown(counts)})`));
+    for (const finding of findings) {
+      lines.push(`    ${colors[color](`[${finding.severity}]`)} ${finding.checker}/${finding.id} ${finding.message}${location(finding)}`);
+    }
+    lines.push('');
+  }
+  lines.push(`  Unchanged Findings: ${diff.summary.unchanged}`);
+  lines.push('');
+
+  const changedCheckers = Object.entries(diff.checkers).filter(([, change]) => change.delta !== 0);
+  if (changedCheckers.length > 0) {
+    lines.push(colors.bold('  Checker Changes:'));
+    for (const [name, change] of changedCheckers) {
+      lines.push(`    ${name.padEnd(20)} ${change.before ?? 'n/a'} \u2192 ${change.after ?? 'n/a'} (${signed(change.delta)})`);
+    }
+    lines.push('');
+  }
+
+  const gateChanges = diff.gates.filter(gate => gate.transition !== 'unchanged');
+  if (gateChanges.length > 0) {
+    lines.push(colors.bold('  Gate Changes:'));
+    for (const gate of gateChanges) {
+      const color = gate.transition === 'broken' ? 'red' : gate.transition === 'fixed' ? 'green' : 'dim';
+      lines.push(`    ${colors[color](gate.transition.padEnd(8))} ${gate.id}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(colors.dim('\u2500'.repeat(50)));
+  return lines.join('\n');
+}
+
+function formatFleet(fleet) {
+  const lines = [];
+  const s = fleet.summary;
+
+  lines.push('');
+  lines.push(colors.bold(`Fleet Compliance Report${fleet.organization ? `: ${fleet.organization}` : ''}`));
+  lines.push(colors.dim('\u2500'.repeat(50)));
+  lines.push('');
+  lines.push(`  Repositories: ${s.repositories} (${s.evaluated} evaluated, ${s.skipped} skipped, ${s.errored} errored)`);
+  lines.push(`  Average Score: ${s.averageScore}/100 (${s.averageGrade})`);
+  const statusColor = fleet.status === 'pass' ? 'green' : 'red';
+  lines.push(`  Policy Status: ${colors[statusColor](`${s.passed} passed, ${s.failed} failed`)}`);
+  lines.push('');
+
+  lines.push(colors.bold('  Repositories:'));
+  for (const entry of fleet.repositories) {
+    if (entry.status === 'pass' || entry.status === 'fail') {
+      const color = entry.status === 'pass' ? 'green' : 'red';
+      const profile = entry.profile ? colors.dim(` [${entry.profile}]`) : '';
+      lines.push(`    ${entry.fullName.padEnd(40)} ${String(entry.score).padStart(3)}/100 (${entry.grade})  ${colors[color](entry.status.toUpperCase())}${profile}`);
+    } else {
+      const color = entry.status === 'error' ? 'red' : 'dim';
+      lines.push(`    ${entry.fullName.padEnd(40)} ${colors[color](entry.status.toUpperCase())} ${entry.error || ''}`.trimEnd());
+    }
+  }
+  lines.push('');
+
+  if (fleet.worstCheckers.length > 0) {
+    lines.push(colors.bold('  Worst Checkers:'));
+    for (const checker of fleet.worstCheckers.slice(0, 5)) {
+      lines.push(`    ${checker.checker.padEnd(20)} avg ${String(checker.averageScore).padStart(3)}  min ${String(checker.minimumScore).padStart(3)} (${checker.lowestRepository})`);
+    }
+    lines.push('');
+  }
+
+  if (fleet.commonFindings.length > 0) {
+    lines.push(colors.bold('  Most Common Findings:'));
+    for (const finding of fleet.commonFindings.slice(0, 10)) {
+      lines.push(`    ${`${finding.checker}/${finding.id}`.padEnd(28)} ${String(finding.repositories).padStart(3)} repos  [${finding.severity}] ${finding.message}`);
+    }
+    lines.push('');
+  }
+
+  lines.push(colors.dim('\u2500'.repeat(50)));
+  return lines.join('\n');
+}
+
 function formatGitHubAnnotations(report) {
   const lines = [];
   const allFindings = [];
@@ -145,4 +277,4 @@ function formatFixResult(fixResults) {
   return lines.join('\n');
 }
 
-module.exports = { formatReport, formatFixResult, formatGitHubAnnotations };
+module.exports = { formatReport, formatFixResult, formatGitHubAnnotations, formatDiff, formatFleet };
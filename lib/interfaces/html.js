@@ -0,0 +1,266 @@
+'use strict';
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+const STYLE = `
+:root { --fg: #1f2328; --muted: #59636e; --border: #d1d9e0; --bg: #f6f8fa; --pass: #1a7f37; --warn: #9a6700; --fail: #cf222e; }
+* { box-sizing: border-box; }
+body { margin: 0; padding: 24px; font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: var(--fg); }
+h1 { font-size: 22px; margin: 0 0 4px; }
+h2 { font-size: 17px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 1px solid var(--border); }
+.muted { color: var(--muted); }
+.overview { display: flex; flex-wrap: wrap; gap: 16px; align-items: center; margin-top: 16px; }
+.gauge { text-align: center; }
+.gauge svg { display: block; margin: 0 auto; }
+.gauge .label { font-size: 12px; color: var(--muted); max-width: 110px; overflow-wrap: anywhere; }
+.badge { display: inline-block; padding: 0 8px; border-radius: 10px; font-size: 12px; font-weight: 600; color: #fff; }
+.pass { background: var(--pass); } .fail, .error { background: var(--fail); } .skipped { background: var(--muted); }
+.sev-critical, .sev-high { color: var(--fail); font-weight: 600; } .sev-medium { color: var(--warn); font-weight: 600; } .sev-low, .sev-info { color: var(--muted); }
+table { border-collapse: collapse; width: 100%; margin: 8px 0; }
+th, td { border: 1px solid var(--border); padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: var(--bg); }
+th[data-sort] { cursor: pointer; user-select: none; }
+th[data-sort]::after { content: " \\2195"; color: var(--muted); }
+td.num, th.num { text-align: right; }
+code { font: 12px ui-monospace, SFMono-Regular, Menlo, monospace; }
+.filters { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin: 8px 0; }
+.filters input[type=search] { padding: 4px 8px; min-width: 240px; border: 1px solid var(--border); border-radius: 6px; }
+`;
+
+// Sorts any table with data-sort headers and filters the findings table by
+// severity and free text. Plain DOM so the page needs no external assets.
+const SCRIPT = `
+document.querySelectorAll('table').forEach(function (table) {
+  table.querySelectorAll('th[data-sort]').forEach(function (header) {
+    header.addEventListener('click', function () {
+      var column = header.cellIndex;
+      var body = table.tBodies[0];
+      var ascending = header.getAttribute('aria-sort') !== 'ascending';
+      table.querySelectorAll('th[data-sort]').forEach(function (other) { other.removeAttribute('aria-sort'); });
+      header.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+      var numeric = header.getAttribute('data-sort') === 'number';
+      Array.prototype.slice.call(body.rows).sort(function (a, b) {
+        var x = a.cells[column].getAttribute('data-value') || a.cells[column].textContent;
+        var y = b.cells[column].getAttribute('data-value') || b.cells[column].textContent;
+        var order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+        return ascending ? order : -order;
+      }).forEach(function (row) { body.appendChild(row); });
+    });
+  });
+});
+var findings = document.getElementById('findings');
+if (findings) {
+  var apply = function () {
+    var text = document.getElementById('finding-search').value.toLowerCase();
+    var enabled = {};
+    document.querySelectorAll('input[data-severity]').forEach(function (box) { enabled[box.getAttribute('data-severity')] = box.checked; });
+    Array.prototype.forEach.call(findings.tBodies[0].rows, function (row) {
+      var visible = enabled[row.getAttribute('data-severity')] && row.textContent.toLowerCase().indexOf(text) !== -1;
+      row.hidden = !visible;
+    });
+  };
+  document.getElementById('finding-search').addEventListener('input', apply);
+  document.querySelectorAll('input[data-severity]').forEach(function (box) { box.addEventListener('change', apply); });
+}
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function scoreClass(score) {
+  return score >= 80 ? 'pass' : score >= 60 ? 'warn' : 'fail';
+}
+
+function gauge(score, label, size = 96) {
+  const value = Number.isFinite(score) ? Math.max(0, Math.min(100, score)) : 0;
+  const radius = (size / 2) - 8;
+  const circumference = 2 * Math.PI * radius;
+  const color = { pass: 'var(--pass)', warn: 'var(--warn)', fail: 'var(--fail)' }[scoreClass(value)];
+  const center = size / 2;
+  return `<div class="gauge"><svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" role="img" aria-label="${escapeHtml(label)} ${value} of 100">` +
+    `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="#eaeef2" stroke-width="8"/>` +
+    `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="${color}" stroke-width="8" stroke-linecap="round" ` +
+    `stroke-dasharray="${((value / 100) * circumference).toFixed(1)} ${circumference.toFixed(1)}" transform="rotate(-90 ${center} ${center})"/>` +
+    `<text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" font-size="${Math.round(size / 4)}" font-weight="600">${Number.isFinite(score) ? score : '–'}</text>` +
+    `</svg><div class="label">${escapeHtml(label)}</div></div>`;
+}
+
+function badge(status) {
+  const value = String(status || 'unknown');
+  return `<span class="badge ${escapeHtml(value)}">${escapeHtml(value.toUpperCase())}</span>`;
+}
+
+// Links evidence to the evaluated commit on GitHub when the report identifies
+// one, or to the introducing commit for findings from git history; otherwise
+// the location is shown as plain text.
+function evidenceLink(repository, finding) {
+  const file = finding.evidence?.path || finding.file;
+  if (!file) return '';
+  const line = finding.evidence?.line || finding.line;
+  const text = `<code>${escapeHtml(line ? `${file}:${line}` : file)}</code>`;
+  if (!repository || !repository.owner || !repository.name || !repository.commit) return text;
+  const filePath = String(file).split('/').map(encodeURIComponent).join('/');
+  const commit = finding.commit || repository.commit;
+  const url = `https://github.com/${encodeURIComponent(repository.owner)}/${encodeURIComponent(repository.name)}/blob/${encodeURIComponent(commit)}/${filePath}${line ? `#L${line}` : ''}`;
+  return `<a href="${escapeHtml(url)}">${text}</a>`;
+}
+
+function page(title, body) {
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; style-src \'unsafe-inline\'; script-src \'unsafe-inline\'; img-src data:">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    body,
+    `<script>${SCRIPT}</script>`,
+    '</body>',
+    '</html>',
+  ].join('\n');
+}
+
+function checkerTable(report) {
+  const rows = Object.entries(report.checkers || {}).map(([name, result]) => {
+    const counts = SEVERITIES.map(severity => (result.findings || []).filter(finding => finding.severity === severity).length);
+    return `<tr><td>${escapeHtml(name)}</td><td class="num" data-value="${result.score}">${result.score}</td><td>${escapeHtml(result.grade)}</td>` +
+      counts.map(count => `<td class="num">${count}</td>`).join('') +
+      `<td class="num">${(result.findings || []).filter(finding => finding.fixable).length}</td></tr>`;
+  });
+  return [
+    '<table><thead><tr><th data-sort="text">Checker</th><th data-sort="number" class="num">Score</th><th data-sort="text">Grade</th>',
+    SEVERITIES.map(severity => `<th data-sort="number" class="num">${severity}</th>`).join(''),
+    '<th data-sort="number" class="num">Fixable</th></tr></thead>',
+    `<tbody>${rows.join('\n')}</tbody></table>`,
+  ].join('');
+}
+
+function gateTable(gates) {
+  const failed = (gates || []).filter(gate => !gate.passed);
+  if (failed.length === 0) return '<p>All policy gates passed.</p>';
+  const rows = failed.map(gate => `<tr><td><code>${escapeHtml(gate.id)}</code></td><td>${escapeHtml(gate.actual)}</td><td>${escapeHtml(gate.expected)}</td></tr>`);
+  return `<table><thead><tr><th>Failed gate</th><th>Actual</th><th>Expected</th></tr></thead><tbody>${rows.join('\n')}</tbody></table>`;
+}
+
+// Each row is { label, repository, finding }; label names the repository in
+// fleet tables and repository is the report identity used for links.
+function findingsTable(rows, { showRepository = false } = {}) {
+  if (rows.length === 0) return '<p>No findings.</p>';
+  const present = new Set(rows.map(row => row.finding.severity));
+  const filters = SEVERITIES.filter(severity => present.has(severity))
+    .map(severity => `<label><input type="checkbox" data-severity="${severity}" checked> ${severity}</label>`);
+  const body = rows.map(({ label, repository, finding }) => {
+    const rank = SEVERITIES.length - SEVERITIES.indexOf(finding.severity);
+    return `<tr data-severity="${escapeHtml(finding.severity)}">` +
+      (showRepository ? `<td>${escapeHtml(label)}</td>` : '') +
+      `<td class="sev-${escapeHtml(finding.severity)}" data-value="${rank}">${escapeHtml(finding.severity)}</td>` +
+      `<td>${escapeHtml(finding.checker)}</td><td><code>${escapeHtml(finding.id)}</code></td>` +
+      `<td>${escapeHtml(finding.message)}${finding.fix ? `<div class="muted">Fix: ${escapeHtml(finding.fix)}</div>` : ''}</td>` +
+      `<td>${evidenceLink(repository, finding)}</td><td>${finding.fixable ? 'yes' : ''}</td></tr>`;
+  });
+  return [
+    `<div class="filters"><input type="search" id="finding-search" placeholder="Filter findings" aria-label="Filter findings">${filters.join('')}</div>`,
+    '<table id="findings"><thead><tr>',
+    showRepository ? '<th data-sort="text">Repository</th>' : '',
+    '<th data-sort="number">Severity</th><th data-sort="text">Checker</th><th data-sort="text">Finding</th><th>Message</th><th data-sort="text">Location</th><th data-sort="text">Fixable</th>',
+    `</tr></thead><tbody>${body.join('\n')}</tbody></table>`,
+  ].join('');
+}
+
+function findingRows(report, label = null) {
+  const rows = [];
+  for (const [name, result] of Object.entries(report.checkers || {})) {
+    for (const finding of result.findings || []) {
+      rows.push({ label, repository: report.repository, finding: { ...finding, checker: finding.checker || name } });
+    }
+  }
+  const rank = finding => SEVERITIES.indexOf(finding.severity);
+  return rows.sort((a, b) => rank(a.finding) - rank(b.finding));
+}
+
+function planSection(plan) {
+  if (!plan) return '';
+  const lines = ['<h2>Remediation plan</h2>'];
+  lines.push(`<p>Plan <code>${escapeHtml(plan.id)}</code>: ${plan.operations.length} operation(s), ${plan.unsupported.length} finding(s) without automatic remediation.</p>`);
+  if (plan.operations.length > 0) {
+    const rows = plan.operations.map(operation => `<tr><td>${escapeHtml(operation.checker)}</td><td><code>${escapeHtml(operation.findingId)}</code></td>` +
+      `<td>${escapeHtml(operation.type)}</td><td><code>${escapeHtml(operation.path)}</code></td><td>${escapeHtml(operation.description)}</td></tr>`);
+    lines.push(`<table><thead><tr><th>Checker</th><th>Finding</th><th>Operation</th><th>Path</th><th>Description</th></tr></thead><tbody>${rows.join('\n')}</tbody></table>`);
+  }
+  return lines.join('\n');
+}
+
+function repositoryTitle(repository) {
+  if (repository && repository.owner && repository.name) return `${repository.owner}/${repository.name}`;
+  return repository && repository.root ? repository.root : 'Repository';
+}
+
+function formatReport(report, { plan = null } = {}) {
+  const title = repositoryTitle(report.repository);
+  const gauges = [gauge(report.score, 'Overall')]
+    .concat(Object.entries(report.checkers || {}).map(([name, result]) => gauge(result.score, name, 72)));
+  const meta = [
+    `Grade ${escapeHtml(report.grade)}`,
+    report.policy ? `policy <code>${escapeHtml(`${report.policy.id}@${report.policy.version}`)}</code>` : null,
+    report.repository && report.repository.commit ? `commit <code>${escapeHtml(String(report.repository.commit).slice(0, 12))}</code>` : null,
+    `evaluated ${escapeHtml(report.timestamp)}`,
+  ].filter(Boolean);
+
+  const body = [
+    `<h1>${escapeHtml(title)} ${badge(report.status)}</h1>`,
+    `<div class="muted">${meta.join(' · ')}</div>`,
+    `<div class="overview">${gauges.join('')}</div>`,
+    '<h2>Policy gates</h2>',
+    gateTable(report.gates),
+    '<h2>Checkers</h2>',
+    checkerTable(report),
+    `<h2>Findings (${report.summary ? report.summary.total_findings : 0})</h2>`,
+    findingsTable(findingRows(report)),
+    planSection(plan),
+  ];
+  return page(`${title} compliance report`, body.join('\n'));
+}
+
+// `reports` maps a repository fullName to its compliance report so findings
+// from the whole fleet can be filtered in one table.
+function formatFleet(fleet, { reports = {} } = {}) {
+  const title = fleet.organization ? `${fleet.organization} fleet` : 'Repository fleet';
+  const s = fleet.summary;
+  const repositoryRows = fleet.repositories.map(entry => `<tr><td>${escapeHtml(entry.fullName)}</td>` +
+    `<td class="num" data-value="${entry.score ?? -1}">${entry.score ?? ''}</td><td>${escapeHtml(entry.grade || '')}</td><td>${badge(entry.status)}</td>` +
+    `<td>${entry.failedGates.map(gate => `<code>${escapeHtml(gate)}</code>`).join(' ')}${entry.error ? escapeHtml(entry.error) : ''}</td>` +
+    `<td class="num">${entry.findings}</td><td>${escapeHtml(entry.profile || '')}</td></tr>`);
+  const checkerRows = fleet.worstCheckers.map(checker => `<tr><td>${escapeHtml(checker.checker)}</td><td class="num">${checker.averageScore}</td>` +
+    `<td class="num">${checker.minimumScore}</td><td>${escapeHtml(checker.lowestRepository)}</td></tr>`);
+  const commonRows = fleet.commonFindings.map(finding => `<tr><td class="sev-${escapeHtml(finding.severity)}">${escapeHtml(finding.severity)}</td>` +
+    `<td>${escapeHtml(finding.checker)}</td><td><code>${escapeHtml(finding.id)}</code></td><td>${escapeHtml(finding.message)}</td>` +
+    `<td class="num">${finding.repositories}</td><td class="num">${finding.occurrences}</td></tr>`);
+  const rows = Object.entries(reports).flatMap(([fullName, report]) => findingRows(report, fullName));
+
+  const body = [
+    `<h1>${escapeHtml(title)} ${badge(fleet.status)}</h1>`,
+    `<div class="muted">${s.repositories} repositories · ${s.evaluated} evaluated · ${s.passed} passed · ${s.failed} failed · ${s.errored} errored · ${s.skipped} skipped · generated ${escapeHtml(fleet.generatedAt)}</div>`,
+    `<div class="overview">${gauge(s.averageScore, 'Average')}${fleet.repositories.filter(entry => entry.score !== null).map(entry => gauge(entry.score, entry.fullName, 72)).join('')}</div>`,
+    '<h2>Repositories</h2>',
+    '<table><thead><tr><th data-sort="text">Repository</th><th data-sort="number" class="num">Score</th><th data-sort="text">Grade</th><th data-sort="text">Status</th><th>Failed gates</th><th data-sort="number" class="num">Findings</th><th data-sort="text">Profile</th></tr></thead>',
+    `<tbody>${repositoryRows.join('\n')}</tbody></table>`,
+    '<h2>Worst checkers</h2>',
+    `<table><thead><tr><th data-sort="text">Checker</th><th data-sort="number" class="num">Average</th><th data-sort="number" class="num">Minimum</th><th>Lowest repository</th></tr></thead><tbody>${checkerRows.join('\n')}</tbody></table>`,
+    '<h2>Most common findings</h2>',
+    `<table><thead><tr><th>Severity</th><th data-sort="text">Checker</th><th data-sort="text">Finding</th><th>Message</th><th data-sort="number" class="num">Repositories</th><th data-sort="number" class="num">Occurrences</th></tr></thead><tbody>${commonRows.join('\n')}</tbody></table>`,
+    Object.keys(reports).length > 0 ? `<h2>Findings (${rows.length})</h2>\n${findingsTable(rows, { showRepository: true })}` : '',
+  ];
+  return page(`${title} compliance report`, body.join('\n'));
+}
+
+module.exports = { formatReport, formatFleet, escapeHtml };
@@ -0,0 +1,180 @@
+'use strict';
+
+const { SEVERITIES, signed, severityBreakdown } = require('../utils/format');
+
+function escapeCell(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function location(finding) {
+  if (!finding.file) return '';
+  return finding.line ? `\`${finding.file}:${finding.line}\`` : `\`${finding.file}\``;
+}
+
+function findingsTable(findings) {
+  const lines = ['| Severity | Checker | Finding | Message | Location |', '| --- | --- | --- | --- | --- |'];
+  for (const finding of findings) {
+    lines.push(`| ${finding.severity} | ${escapeCell(finding.checker)} | \`${escapeCell(finding.id)}\` | ${escapeCell(finding.message)} | ${location(finding)} |`);
+  }
+  return lines;
+}
+
+const SEVERITY_TITLES = { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low', info: 'Info' };
+
+function badge(report) {
+  const color = report.score >= 80 ? 'brightgreen' : report.score >= 60 ? 'yellow' : 'red';
+  const label = encodeURIComponent(`${report.score}/100 ${report.grade}`).replace(/-/g, '--');
+  return `![Compliance ${report.score}/100 (${report.grade})](https://img.shields.io/badge/compliance-${label}-${color})`;
+}
+
+// Links to the evaluated commit, or to the introducing commit for findings
+// from git history, when the report identifies a GitHub repository;
+// otherwise falls back to the plain location.
+function fileLink(repository, finding) {
+  const text = location(finding);
+  if (!text || !repository || !repository.owner || !repository.name || !repository.commit) return text;
+  const filePath = String(finding.file).split('/').map(encodeURIComponent).join('/');
+  return `[${text}](https://github.com/${repository.owner}/${repository.name}/blob/${finding.commit || repository.commit}/${filePath}${finding.line ? `#L${finding.line}` : ''})`;
+}
+
+function formatReport(report) {
+  const lines = [];
+  const status = report.status === 'pass' ? '✅ pass' : '❌ **fail**';
+
+  lines.push('## Repository compliance');
+  lines.push('');
+  lines.push(`${badge(report)} **Status:** ${status}${report.policy ? ` · **Policy:** \`${report.policy.id}@${report.policy.version}\`` : ''}`);
+  if (report.change) {
+    lines.push('');
+    lines.push(`Gated on findings introduced since \`${report.change.base.ref}\` (base score ${report.change.base.score}): ${report.change.summary.new} new.`);
+  }
+  lines.push('');
+
+  if ((report.gates || []).length > 0) {
+    lines.push('| Gate | Result | Actual | Expected |');
+    lines.push('| --- | --- | --- | --- |');
+    for (const gate of report.gates) {
+      lines.push(`| \`${escapeCell(gate.id)}\` | ${gate.passed ? '✅' : '❌'} | ${escapeCell(gate.actual)} | ${escapeCell(gate.expected)} |`);
+    }
+    lines.push('');
+  }
+
+  lines.push('| Checker | Score | Grade | Findings | Fixable |');
+  lines.push('| --- | ---: | :---: | ---: | ---: |');
+  for (const [name, result] of Object.entries(report.checkers || {})) {
+    const findings = result.findings || [];
+    lines.push(`| ${escapeCell(name)} | ${result.score} | ${escapeCell(result.grade)} | ${findings.length} | ${findings.filter(finding => finding.fixable).length} |`);
+  }
+  lines.push('');
+
+  const findings = Object.entries(report.checkers || {}).flatMap(([name, result]) => (result.findings || [])
+    .map(finding => ({ ...finding, checker: finding.checker || name })));
+  for (const severity of SEVERITIES) {
+    const group = findings.filter(finding => finding.severity === severity);
+    if (group.length === 0) continue;
+    const fixable = group.filter(finding => finding.fixable).length;
+    lines.push('<details>');
+    lines.push(`<summary>${SEVERITY_TITLES[severity]} findings (${group.length}${fixable > 0 ? `, ${fixable} fixable` : ''})</summary>`);
+    lines.push('');
+    lines.push('| Checker | Finding | Message | Location | Fixable |');
+    lines.push('| --- | --- | --- | --- | :---: |');
+    for (const finding of group) {
+      const marker = finding.introduced ? ' **(new)**' : '';
+      lines.push(`| ${escapeCell(finding.checker)} | \`${escapeCell(finding.id)}\` | ${escapeCell(finding.message)}${marker} | ${fileLink(report.repository, finding)} | ${finding.fixable ? '✓' : ''} |`);
+    }
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  // Inline waivers live in the code under review, so list each one.
+  const waivers = ((report.suppressions || {}).suppressed || []).filter(entry => entry.pragma);
+  if (waivers.length > 0) {
+    lines.push('<details>');
+    lines.push(`<summary>Inline waivers (${waivers.length})</summary>`);
+    lines.push('');
+    lines.push('| Checker | Finding | Location | Reason |');
+    lines.push('| --- | --- | --- | --- |');
+    for (const entry of waivers) {
+      lines.push(`| ${escapeCell(entry.checker)} | \`${escapeCell(entry.id)}\` | ${fileLink(report.repository, entry)} | ${escapeCell(entry.justification)} |`);
+    }
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  const summary = report.summary || {};
+  const suppressed = summary.suppressed > 0 ? ` ${summary.suppressed} accepted finding(s) suppressed.` : '';
+  if (summary.fixable > 0) {
+    lines.push(`${summary.fixable} finding(s) can be fixed automatically with \`repo-manager plan\` and \`repo-manager apply\`.${suppressed}`);
+  } else if (suppressed) {
+    lines.push(suppressed.trim());
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+function formatDiff(diff) {
+  const lines = [];
+  const status = value => (value === 'pass' ? 'pass' : `**${value}**`);
+
+  lines.push('## Compliance report diff');
+  lines.push('');
+  lines.push(`**Score:** ${diff.score.before} → ${diff.score.after} (${signed(diff.score.delta)}) · **Status:** ${status(diff.status.before)} → ${status(diff.status.after)}`);
+  if (diff.policy.changed) {
+    const identity = policy => (policy ? `\`${policy.id}@${policy.version}\`` : 'none');
+    lines.push('');
+    lines.push(`**Policy:** ${identity(diff.policy.before)} → ${identity(diff.policy.after)}`);
+  }
+  lines.push('');
+
+  const introduced = diff.summary.new > 0
+    ? `This change introduced ${diff.summary.new} finding${diff.summary.new === 1 ? '' : 's'} (${severityBreakdown(diff.summary.new_by_severity)})`
+    : 'This change introduced no findings';
+  const resolved = diff.summary.resolved > 0 ? ` and resolved ${diff.summary.resolved}` : '';
+  lines.push(`${introduced}${resolved}; ${diff.summary.unchanged} unchanged.`);
+  lines.push('');
+
+  const changedCheckers = Object.entries(diff.checkers).filter(([, change]) => change.delta !== 0);
+  if (changedCheckers.length > 0) {
+    lines.push('| Checker | Before | After | Change |');
+    lines.push('| --- | ---: | ---: | ---: |');
+    for (const [name, change] of changedCheckers) {
+      lines.push(`| ${escapeCell(name)} | ${change.before ?? 'n/a'} | ${change.after ?? 'n/a'} | ${signed(change.delta)} |`);
+    }
+    lines.push('');
+  }
+
+  const gateChanges = diff.gates.filter(gate => gate.transition !== 'unchanged');
+  if (gateChanges.length > 0) {
+    lines.push('### Gate changes');
+    lines.push('');
+    lines.push('| Gate | Change | Actual | Expected |');
+    lines.push('| --- | --- | --- | --- |');
+    for (const gate of gateChanges) {
+      lines.push(`| \`${escapeCell(gate.id)}\` | ${gate.transition} | ${escapeCell(gate.actual)} | ${escapeCell(gate.expected)} |`);
+    }
+    lines.push('');
+  }
+
+  if (diff.findings.new.length > 0) {
+    lines.push('### New findings');
+    lines.push('');
+    lines.push(...findingsTable(diff.findings.new));
+    lines.push('');
+  }
+
+  if (diff.findings.resolved.length > 0) {
+    lines.push('<details>');
+    lines.push(`<summary>Resolved findings (${diff.findings.resolved.length})</summary>`);
+    lines.push('');
+    lines.push(...findingsTable(diff.findings.resolved));
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+module.exports = { formatReport, formatDiff };
@@ -0,0 +1,121 @@
+'use strict';
+
+const Report = require('../engine/Report');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const FINGERPRINT_KEY = 'repoManagerFinding/v2';
+
+const LEVELS = {
+  critical: 'error',
+  high: 'error',
+  medium: 'warning',
+  low: 'note',
+};
+
+function location(finding) {
+  const file = finding.evidence?.path || finding.file;
+  if (!file) return [];
+  const physicalLocation = {
+    artifactLocation: { uri: String(file).replaceAll('\\', '/'), uriBaseId: '%SRCROOT%' },
+  };
+  const line = finding.evidence?.line || finding.line;
+  if (Number.isInteger(line) && line > 0) physicalLocation.region = { startLine: line };
+  return [{ physicalLocation }];
+}
+
+// Fingerprints are recomputed rather than read from the report so that
+// reports written by earlier versions, whose fingerprints included the line,
+// still produce alerts that survive code moving.
+function fingerprints(report) {
+  const byFinding = new Map();
+  const findings = Object.entries(report.checkers || {}).flatMap(([name, result]) => [...(result.findings || []), ...(result.suppressedFindings || [])]
+    .map(finding => ({ original: finding, copy: { ...finding, checker: finding.checker || name } })));
+  Report.assignFingerprints(findings.map(({ copy }) => copy));
+  for (const { original, copy } of findings) byFinding.set(original, copy.fingerprint);
+  return byFinding;
+}
+
+function formatReport(report) {
+  const extensions = [];
+  const results = [];
+  const fingerprintOf = fingerprints(report);
+
+  for (const [name, result] of Object.entries(report.checkers || {})) {
+    const component = { name, version: result.checkerVersion || undefined, rules: [] };
+    const ruleIndexes = new Map();
+    const componentIndex = extensions.length;
+
+    for (const finding of [...(result.findings || []), ...(result.suppressedFindings || [])]) {
+      // Info findings record passing evidence, not problems.
+      if (finding.severity === 'info') continue;
+      const level = LEVELS[finding.severity] || 'warning';
+
+      if (!ruleIndexes.has(finding.id)) {
+        ruleIndexes.set(finding.id, component.rules.length);
+        component.rules.push({
+          id: finding.id,
+          shortDescription: { text: finding.message },
+          help: { text: finding.fix || finding.message },
+          defaultConfiguration: { level },
+          properties: { checker: name, severity: finding.severity },
+        });
+      }
+      const ruleIndex = ruleIndexes.get(finding.id);
+
+      const sarifResult = {
+        ruleId: finding.id,
+        ruleIndex,
+        rule: { id: finding.id, index: ruleIndex, toolComponent: { index: componentIndex } },
+        level,
+        message: { text: finding.message },
+        locations: location(finding),
+        partialFingerprints: { [FINGERPRINT_KEY]: fingerprintOf.get(finding) },
+        properties: { checker: name, severity: finding.severity, fixable: finding.fixable === true },
+      };
+      if (finding.suppression) {
+        sarifResult.suppressions = [{
+          kind: finding.suppression.type === 'inline' ? 'inSource' : 'external',
+          status: 'accepted',
+          justification: finding.suppression.justification,
+          properties: { owner: finding.suppression.owner, expires: finding.suppression.expires },
+        }];
+      }
+      results.push(sarifResult);
+    }
+
+    extensions.push(component);
+  }
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: report.tool?.name || 'repo-manager',
+          semanticVersion: report.tool?.version || undefined,
+          informationUri: 'https://github.com/Alteriom/repository-metadata-manager',
+          rules: [],
+        },
+        extensions,
+      },
+      automationDetails: report.policy?.id ? { id: `repo-manager/${report.policy.id}/` } : undefined,
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: report.timestamp,
+      }],
+      results,
+      properties: {
+        score: report.score,
+        grade: report.grade,
+        status: report.status,
+        policy: report.policy || null,
+        failedGates: (report.gates || []).filter(gate => !gate.passed).map(gate => gate.id),
+      },
+    }],
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+module.exports = { formatReport };
@@ -0,0 +1,134 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Semver = require('../utils/semver');
+
+const SHA = /^[a-f0-9]{40}$/i;
+const ENTRY_PROPERTIES = new Set(['pattern', 'minimumVersion']);
+const NAME_PATTERN = /^[A-Za-z0-9_.*-]+\/[A-Za-z0-9_.*-]+(?:\/[A-Za-z0-9_.*/-]+)?$/;
+// `# v4.1.1`, `# tag=v4.1.1`, and `# pin@v4` after a pinned reference.
+const PIN_COMMENT = /\s#\s*(?:tag\s*[=:]\s*|pin@)?(v?\d+(?:\.\d+){0,2}(?:[-+][\w.-]+)?)\b/;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Splits a `uses:` value into `{ name, path, ref }` where `name` is the
+ * lowercase `owner/repo` and `path` includes any subdirectory. Local actions
+ * and Docker images return null.
+ */
+function parseReference(reference) {
+  if (typeof reference !== 'string' || reference.startsWith('./') || reference.startsWith('docker://')) return null;
+  const at = reference.lastIndexOf('@');
+  const target = at > 0 ? reference.slice(0, at) : reference;
+  const [owner, repo] = target.split('/');
+  if (!owner || !repo) return null;
+  return { name: `${owner}/${repo}`.toLowerCase(), path: target.toLowerCase(), ref: at > 0 ? reference.slice(at + 1) : null };
+}
+
+function isSha(ref) {
+  return typeof ref === 'string' && SHA.test(ref);
+}
+
+// The highest release among `tags`, such as `v4.2.2` from `v4`, `v4.2.2`,
+// and `main`, or null when none is a version.
+function newestTag(tags) {
+  return tags
+    .map(tag => ({ tag, version: Semver.coerce(tag) }))
+    .filter(candidate => candidate.version)
+    .sort((left, right) => Semver.compareParsed(right.version, left.version))
+    .map(candidate => candidate.tag)[0] || null;
+}
+
+function pinComment(lineText) {
+  const match = PIN_COMMENT.exec(lineText || '');
+  return match ? match[1] : null;
+}
+
+// Compiles `cicd.allowedActions` into matchers, or null when any publisher is
+// allowed. Plain strings are shorthand for `{ pattern }`.
+function compileAllowed(entries) {
+  if (!Array.isArray(entries)) return null;
+  return entries.map(entry => {
+    const { pattern, minimumVersion = null } = typeof entry === 'string' ? { pattern: entry } : entry;
+    return { pattern, minimumVersion, regex: globToRegExp(pattern) };
+  });
+}
+
+// The first allowlist entry matching the action's `owner/repo` or full path.
+function findAllowed(allowed, reference) {
+  return allowed.find(entry => entry.regex.test(reference.name) || entry.regex.test(reference.path)) || null;
+}
+
+function validateTagMap(document, file) {
+  if (!isObject(document)) throw new Error(`Action tag map ${file} must be a JSON object keyed by owner/repo`);
+  for (const [name, tags] of Object.entries(document)) {
+    if (!NAME_PATTERN.test(name) || name.includes('*')) throw new Error(`Action tag map ${file} has an invalid action name: ${name}`);
+    if (!isObject(tags)) throw new Error(`Action tag map ${file} entry ${name} must map tags to commit SHAs`);
+    for (const [tag, sha] of Object.entries(tags)) {
+      if (!isSha(sha)) throw new Error(`Action tag map ${file} entry ${name}@${tag} must be a 40-character commit SHA`);
+    }
+  }
+}
+
+/**
+ * Reads the offline tag map named by `cicd.actionTagMap` from the policy root:
+ * `{ "owner/repo": { "v4.1.1": "<sha>" } }`. Returns a Map of lowercase action
+ * names to Maps of tag to lowercase SHA, or null when no file is configured.
+ */
+function loadTagMap(policyRoot, file) {
+  if (!file) return null;
+  const resolvedRoot = path.resolve(policyRoot);
+  const resolved = path.resolve(resolvedRoot, file);
+  if (!resolved.startsWith(`${resolvedRoot}${path.sep}`)) {
+    throw new Error(`cicd.actionTagMap must stay within the policy root: ${file}`);
+  }
+  if (!fs.existsSync(resolved)) throw new Error(`Action tag map not found: ${file}`);
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid action tag map JSON in ${file}: ${error.message}`, { cause: error });
+  }
+  validateTagMap(document, file);
+  const map = new Map();
+  for (const [name, tags] of Object.entries(document)) {
+    map.set(name.toLowerCase(), new Map(Object.entries(tags).map(([tag, sha]) => [tag, sha.toLowerCase()])));
+  }
+  return map;
+}
+
+function validate(cicd) {
+  if (cicd.allowedActions !== undefined && cicd.allowedActions !== null) {
+    if (!Array.isArray(cicd.allowedActions)) throw new Error('cicd.allowedActions must be an array or null');
+    cicd.allowedActions.forEach((entry, index) => {
+      const label = `cicd.allowedActions[${index}]`;
+      const value = typeof entry === 'string' ? { pattern: entry } : entry;
+      if (!isObject(value)) throw new Error(`${label} must be a pattern string or an object`);
+      for (const key of Object.keys(value)) {
+        if (!ENTRY_PROPERTIES.has(key)) throw new Error(`Unknown ${label} property: ${key}`);
+      }
+      if (typeof value.pattern !== 'string' || !NAME_PATTERN.test(value.pattern)) {
+        throw new Error(`${label}.pattern must be an owner/repo glob`);
+      }
+      if (value.minimumVersion !== undefined && !Semver.coerce(value.minimumVersion)) {
+        throw new Error(`${label}.minimumVersion must be a version such as v4 or 4.1.0`);
+      }
+    });
+  }
+  if (cicd.actionTagMap !== undefined && cicd.actionTagMap !== null &&
+      (typeof cicd.actionTagMap !== 'string' || !cicd.actionTagMap.trim() || path.isAbsolute(cicd.actionTagMap))) {
+    throw new Error('cicd.actionTagMap must be a relative path or null');
+  }
+}
+
+module.exports = {
+  parseReference, isSha, newestTag, pinComment, compileAllowed, findAllowed, loadTagMap, validate,
+};
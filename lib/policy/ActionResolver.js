@@ -0,0 +1,87 @@
+'use strict';
+
+const ActionPolicy = require('./ActionPolicy');
+
+// Sources that can turn an action tag into the commit it points at, tried in
+// the order `cicd.pinResolvers` lists them.
+const RESOLVERS = Object.freeze(['tag-map', 'github']);
+
+// Resolves from the offline `cicd.actionTagMap` file.
+function fromTagMap(tags) {
+  return {
+    name: 'tag-map',
+    async resolve(name, tag) {
+      const known = tags.get(name);
+      return (known && known.get(tag)) || null;
+    },
+  };
+}
+
+// Resolves through the GitHub git refs API, trying tags before branches and
+// following annotated tags to their commit.
+function fromGitHub(github) {
+  async function getRef(owner, repo, ref) {
+    try {
+      return (await github.git.getRef({ owner, repo, ref })).data.object;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  return {
+    name: 'github',
+    async resolve(name, tag) {
+      const [owner, repo] = name.split('/');
+      let object = await getRef(owner, repo, `tags/${tag}`) || await getRef(owner, repo, `heads/${tag}`);
+      while (object && object.type === 'tag') {
+        object = (await github.git.getTag({ owner, repo, tag_sha: object.sha })).data.object;
+      }
+      return object && object.type === 'commit' && ActionPolicy.isSha(object.sha) ? object.sha.toLowerCase() : null;
+    },
+  };
+}
+
+/**
+ * Builds the resolver chain for a context: each source named in
+ * `cicd.pinResolvers` that is available (a configured tag map, a GitHub
+ * client). `resolve(name, tag)` returns `{ sha, source }` from the first
+ * source that knows the tag, or null. Lookups are memoised per chain.
+ */
+function create(context) {
+  const cicd = (context.config && context.config.cicd) || {};
+  const resolvers = [];
+  for (const source of cicd.pinResolvers || RESOLVERS) {
+    if (source === 'tag-map' && cicd.actionTagMap) {
+      resolvers.push(fromTagMap(ActionPolicy.loadTagMap(context.policyRoot, cicd.actionTagMap)));
+    } else if (source === 'github' && context.github) {
+      resolvers.push(fromGitHub(context.github));
+    }
+  }
+  const resolved = new Map();
+  return {
+    sources: resolvers.map(resolver => resolver.name),
+    resolve(name, tag) {
+      const key = `${name}@${tag}`;
+      if (!resolved.has(key)) {
+        resolved.set(key, (async () => {
+          for (const resolver of resolvers) {
+            const sha = await resolver.resolve(name, tag);
+            if (sha) return { sha, source: resolver.name };
+          }
+          return null;
+        })());
+      }
+      return resolved.get(key);
+    },
+  };
+}
+
+function validate(cicd) {
+  if (cicd.pinResolvers === undefined) return;
+  if (!Array.isArray(cicd.pinResolvers) || cicd.pinResolvers.some(source => !RESOLVERS.includes(source))) {
+    throw new Error(`cicd.pinResolvers must be an array of: ${RESOLVERS.join(', ')}`);
+  }
+}
+
+module.exports = { RESOLVERS, fromTagMap, fromGitHub, create, validate };
@@ -0,0 +1,179 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('node:url');
+const OsvDatabase = require('./OsvDatabase');
+const Semver = require('../utils/semver');
+
+// Where lock file dependencies are looked up for advisories, selected by
+// `security.advisorySource`. The registry and the advisory file speak the npm
+// bulk advisory format,
+// `{ "<package>": [{ id, url, title, severity, vulnerable_versions }] }`;
+// `osv` reads the offline OSV export named by `security.osvDatabase`.
+const SOURCES = Object.freeze(['registry', 'file', 'osv']);
+
+// npm advisory severities mapped to findings'.
+const SEVERITIES = Object.freeze({ critical: 'critical', high: 'high', moderate: 'medium', low: 'low', info: 'info' });
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Reads the offline advisory file named by `security.advisoryFile` from the
+ * policy root: a saved response of the registry bulk advisory endpoint.
+ */
+function loadFile(policyRoot, file) {
+  const resolvedRoot = path.resolve(policyRoot);
+  const resolved = path.resolve(resolvedRoot, file);
+  if (!resolved.startsWith(`${resolvedRoot}${path.sep}`)) {
+    throw new Error(`security.advisoryFile must stay within the policy root: ${file}`);
+  }
+  if (!fs.existsSync(resolved)) throw new Error(`Advisory file not found: ${file}`);
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid advisory JSON in ${file}: ${error.message}`, { cause: error });
+  }
+  if (!isObject(document) || Object.values(document).some(advisories => !Array.isArray(advisories))) {
+    throw new Error(`Advisory file ${file} must map package names to arrays of advisories`);
+  }
+  return document;
+}
+
+// GitHub advisory ids read better than the registry's numeric ones.
+function advisoryId(advisory) {
+  const ghsa = /GHSA(?:-[23456789cfghjmpqrvwx]{4}){3}$/.exec(String(advisory.url || ''));
+  return ghsa ? ghsa[0] : String(advisory.id);
+}
+
+// Bulk advisory format entries as `{ id, title, severity, url, affects }`,
+// where `affects(version)` evaluates `vulnerable_versions`.
+function fromBulk(document) {
+  const advisories = {};
+  for (const [name, entries] of Object.entries((isObject(document) && document) || {})) {
+    advisories[name] = (Array.isArray(entries) ? entries : [])
+      .filter(advisory => isObject(advisory) && Semver.validRange(advisory.vulnerable_versions))
+      .map(advisory => ({
+        id: advisoryId(advisory),
+        title: advisory.title || null,
+        severity: SEVERITIES[String(advisory.severity).toLowerCase()] || 'unknown',
+        url: advisory.url || null,
+        affects: version => Semver.satisfies(version, advisory.vulnerable_versions),
+      }));
+  }
+  return advisories;
+}
+
+// Answers from the offline advisory file.
+function fromFile(document, location) {
+  return {
+    name: 'file',
+    location,
+    snapshot: null,
+    async advisories(versions) {
+      return fromBulk(Object.fromEntries(Object.keys(versions).filter(name => document[name]).map(name => [name, document[name]])));
+    },
+  };
+}
+
+// Answers from an OSV export loaded by OsvDatabase, such as a mirror of the
+// GitHub advisory database. npm ranges are evaluated with semver ordering.
+function fromOsv(database) {
+  return {
+    name: 'osv',
+    location: database.location,
+    snapshot: database.snapshot,
+    async advisories(versions) {
+      return Object.fromEntries(Object.keys(versions).map(name => [name, database.lookup('npm', name).map(affected => ({
+        id: affected.advisory.id,
+        title: affected.advisory.summary,
+        severity: affected.advisory.severity,
+        url: null,
+        affects: version => OsvDatabase.isAffected(affected, version, Semver.compare),
+      }))]));
+    },
+  };
+}
+
+// Asks the registry's bulk advisory endpoint, the one npm audit uses.
+function fromRegistry(registry) {
+  const url = new URL('-/npm/v1/security/advisories/bulk', registry.endsWith('/') ? registry : `${registry}/`).href;
+  return {
+    name: 'registry',
+    location: url,
+    snapshot: null,
+    async advisories(versions) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', accept: 'application/json' },
+        body: JSON.stringify(versions),
+        signal: AbortSignal.timeout(30000),
+      });
+      if (!response.ok) throw new Error(`Advisory request to ${url} failed with HTTP ${response.status}`);
+      return fromBulk(await response.json());
+    },
+  };
+}
+
+/**
+ * The advisory source configured for a context: the offline
+ * `security.advisoryFile`, the OSV export returned by `osvDatabase()`, or the
+ * bulk endpoint of `registry`.
+ */
+function create(context, { registry, osvDatabase }) {
+  const security = (context.config && context.config.security) || {};
+  if (security.advisorySource === 'file') {
+    return fromFile(loadFile(context.policyRoot, security.advisoryFile), security.advisoryFile);
+  }
+  if (security.advisorySource === 'osv') return fromOsv(osvDatabase());
+  return fromRegistry(registry);
+}
+
+// Whether lock files are audited without network access, npm's included.
+function isOffline(context) {
+  return ((context.config && context.config.security) || {}).advisorySource === 'osv';
+}
+
+/**
+ * Looks up every package of a lock file dependency graph in `source` and
+ * returns the vulnerable ones as `[{ id, name, version, advisories }]`, each
+ * advisory as `{ id, title, severity, url }`. An advisory applies when the
+ * locked version falls in its affected ranges.
+ */
+async function audit(source, graph) {
+  const versions = {};
+  for (const pkg of graph.packages) (versions[pkg.name] = versions[pkg.name] || []).push(pkg.version);
+  if (graph.packages.length === 0) return [];
+  const found = (await source.advisories(versions)) || {};
+
+  const vulnerable = [];
+  for (const pkg of graph.packages) {
+    const advisories = new Map();
+    for (const { affects, ...advisory } of found[pkg.name] || []) {
+      if (!advisories.has(advisory.id) && affects(pkg.version)) advisories.set(advisory.id, advisory);
+    }
+    if (advisories.size > 0) vulnerable.push({ id: pkg.id, name: pkg.name, version: pkg.version, advisories: [...advisories.values()] });
+  }
+  return vulnerable;
+}
+
+function validate(security) {
+  if (security.advisorySource !== undefined && !SOURCES.includes(security.advisorySource)) {
+    throw new Error(`security.advisorySource must be one of: ${SOURCES.join(', ')}`);
+  }
+  const file = security.advisoryFile;
+  if (file !== undefined && file !== null && (typeof file !== 'string' || !file.trim() || path.isAbsolute(file))) {
+    throw new Error('security.advisoryFile must be a relative path or null');
+  }
+  if (security.advisorySource === 'file' && !file) {
+    throw new Error('security.advisorySource "file" requires security.advisoryFile');
+  }
+  if (security.advisorySource === 'osv' && !security.osvDatabase) {
+    throw new Error('security.advisorySource "osv" requires security.osvDatabase');
+  }
+}
+
+module.exports = { SOURCES, loadFile, fromFile, fromOsv, fromRegistry, create, isOffline, audit, validate };
@@ -0,0 +1,177 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// GitHub advisory severities, as OSV exports carry them, mapped to findings'.
+const SEVERITIES = Object.freeze({ critical: 'critical', high: 'high', moderate: 'medium', medium: 'medium', low: 'low' });
+
+const CVSS3_WEIGHTS = Object.freeze({
+  AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+  AC: { L: 0.77, H: 0.44 },
+  UI: { N: 0.85, R: 0.62 },
+  C: { H: 0.56, L: 0.22, N: 0 },
+  I: { H: 0.56, L: 0.22, N: 0 },
+  A: { H: 0.56, L: 0.22, N: 0 },
+});
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// CVSS v3.1 Roundup: the smallest one-decimal number not below `value`.
+function roundUp(value) {
+  const scaled = Math.round(value * 100000);
+  return scaled % 10000 === 0 ? scaled / 100000 : (Math.floor(scaled / 10000) + 1) / 10;
+}
+
+// Base score of a `CVSS:3.x/AV:N/AC:L/...` vector, or null when it is not one.
+function cvss3Score(vector) {
+  if (!/^CVSS:3\.[01]\//.test(String(vector))) return null;
+  const metrics = Object.fromEntries(String(vector).split('/').slice(1).map(part => part.split(':')));
+  const changed = metrics.S === 'C';
+  const privileges = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[metrics.PR];
+  const weights = Object.fromEntries(Object.entries(CVSS3_WEIGHTS).map(([metric, values]) => [metric, values[metrics[metric]]]));
+  if (privileges === undefined || !['U', 'C'].includes(metrics.S) || Object.values(weights).includes(undefined)) return null;
+
+  const base = 1 - (1 - weights.C) * (1 - weights.I) * (1 - weights.A);
+  const impact = changed ? 7.52 * (base - 0.029) - 3.25 * Math.pow(base - 0.02, 15) : 6.42 * base;
+  const exploitability = 8.22 * weights.AV * weights.AC * privileges * weights.UI;
+  if (impact <= 0) return 0;
+  return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+}
+
+/**
+ * The finding severity of an OSV entry: the GitHub advisory severity when the
+ * export carries one, otherwise the rating of its CVSS v3 base score, or
+ * `unknown`.
+ */
+function severity(entry) {
+  const labelled = String((entry.database_specific || {}).severity || '').toLowerCase();
+  if (SEVERITIES[labelled]) return SEVERITIES[labelled];
+  const scores = (entry.severity || []).map(item => cvss3Score(item.score)).filter(score => score !== null);
+  if (scores.length === 0) return 'unknown';
+  const score = Math.max(...scores);
+  if (score >= 9) return 'critical';
+  if (score >= 7) return 'high';
+  if (score >= 4) return 'medium';
+  return score > 0 ? 'low' : 'unknown';
+}
+
+/**
+ * Whether `version` falls in an OSV `affected` entry: listed in `versions`,
+ * or inside an ECOSYSTEM or SEMVER range. Range events are applied in version
+ * order; `introduced` opens a range, `fixed` closes it at that version, and
+ * `last_affected` closes it after. `compare` orders the ecosystem's versions.
+ */
+function isAffected(affected, version, compare) {
+  if ((affected.versions || []).includes(version)) return true;
+  for (const range of affected.ranges || []) {
+    if (!['ECOSYSTEM', 'SEMVER'].includes(range.type)) continue;
+    const events = (range.events || []).map(event => {
+      const [kind, at] = Object.entries(event)[0] || [];
+      return { kind, at: String(at) };
+    }).filter(event => ['introduced', 'fixed', 'last_affected'].includes(event.kind));
+    const initial = event => event.kind === 'introduced' && event.at === '0';
+    events.sort((left, right) => {
+      if (initial(left) || initial(right)) return Number(initial(right)) - Number(initial(left));
+      return compare(left.at, right.at);
+    });
+    let inside = false;
+    for (const event of events) {
+      if (event.kind === 'introduced' && (event.at === '0' || compare(version, event.at) >= 0)) inside = true;
+      else if (event.kind === 'fixed' && compare(version, event.at) >= 0) inside = false;
+      else if (event.kind === 'last_affected' && compare(version, event.at) > 0) inside = false;
+    }
+    if (inside) return true;
+  }
+  return false;
+}
+
+function jsonFiles(directory) {
+  const files = [];
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    const resolved = path.join(directory, entry.name);
+    if (entry.isDirectory()) files.push(...jsonFiles(resolved));
+    else if (entry.isFile() && entry.name.endsWith('.json')) files.push(resolved);
+  }
+  return files.sort();
+}
+
+/**
+ * Loads an OSV export from `location`, relative to the policy root: a
+ * directory of OSV JSON files, searched recursively, or one JSON file. Each
+ * file holds one entry or an array of entries. `normalize(ecosystem, name)`
+ * canonicalizes package names so lookups match the ecosystem's rules.
+ *
+ * Returns `{ location, snapshot, advisories, lookup(ecosystem, name) }` where
+ * `snapshot` is the newest `modified` timestamp in the export. Withdrawn
+ * entries are skipped.
+ */
+function load(policyRoot, location, { setting = 'security.osvDatabase', normalize = (ecosystem, name) => name } = {}) {
+  const resolvedRoot = path.resolve(policyRoot);
+  const resolved = path.resolve(resolvedRoot, location);
+  if (resolved !== resolvedRoot && !resolved.startsWith(`${resolvedRoot}${path.sep}`)) {
+    throw new Error(`${setting} must stay within the policy root: ${location}`);
+  }
+  if (!fs.existsSync(resolved)) throw new Error(`OSV database not found: ${location}`);
+
+  const index = new Map();
+  let snapshot = null;
+  let advisories = 0;
+  const files = fs.statSync(resolved).isDirectory() ? jsonFiles(resolved) : [resolved];
+  for (const file of files) {
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid OSV JSON in ${path.relative(resolvedRoot, file)}: ${error.message}`, { cause: error });
+    }
+    for (const entry of Array.isArray(document) ? document : [document]) {
+      if (!isObject(entry) || typeof entry.id !== 'string' || entry.withdrawn) continue;
+      advisories++;
+      if (entry.modified && (!snapshot || entry.modified > snapshot)) snapshot = entry.modified;
+      const advisory = {
+        id: entry.id,
+        aliases: entry.aliases || [],
+        summary: entry.summary || null,
+        severity: severity(entry),
+      };
+      for (const affected of entry.affected || []) {
+        const pkg = affected.package || {};
+        if (!pkg.ecosystem || !pkg.name) continue;
+        const key = `${pkg.ecosystem.toLowerCase()}:${normalize(pkg.ecosystem, pkg.name)}`;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push({ advisory, ranges: affected.ranges || [], versions: affected.versions || [] });
+      }
+    }
+  }
+
+  return {
+    location,
+    snapshot,
+    advisories,
+    lookup(ecosystem, name) {
+      return index.get(`${ecosystem.toLowerCase()}:${normalize(ecosystem, name)}`) || [];
+    },
+  };
+}
+
+// The advisories in `database` affecting `name@version`, one per advisory id.
+function match(database, ecosystem, name, version, compare) {
+  const found = new Map();
+  for (const affected of database.lookup(ecosystem, name)) {
+    if (!found.has(affected.advisory.id) && isAffected(affected, version, compare)) found.set(affected.advisory.id, affected.advisory);
+  }
+  return [...found.values()];
+}
+
+function validate(security) {
+  const location = security.osvDatabase;
+  if (location === undefined || location === null) return;
+  if (typeof location !== 'string' || !location || path.isAbsolute(location)) {
+    throw new Error('security.osvDatabase must be a relative path or null');
+  }
+}
+
+module.exports = { cvss3Score, severity, isAffected, load, match, validate };
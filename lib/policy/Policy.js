@@ -2,6 +2,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const SecretRules = require('./SecretRules');
+const WorkflowPermissions = require('./WorkflowPermissions');
+const ActionPolicy = require('./ActionPolicy');
+const ActionResolver = require('./ActionResolver');
+const OsvDatabase = require('./OsvDatabase');
+const AdvisorySource = require('./AdvisorySource');
+const Ecosystems = require('../utils/ecosystems');
+const Workspaces = require('../utils/workspaces');
+
+const PRESETS_DIR = path.join(__dirname, 'presets');
 
 const DEFAULT_POLICY = Object.freeze({
   schemaVersion: 1,
@@ -17,6 +27,7 @@ const DEFAULT_POLICY = Object.freeze({
     'repository-metadata': { enabled: true, weight: 10 },
     iot: { enabled: true, weight: 10 },
   },
+  ecosystems: {},
   gates: {
     failBelow: 70,
     maxCritical: 0,
@@ -52,19 +63,61 @@ const DEFAULT_POLICY = Object.freeze({
     maxFileSizeBytes: 1048576,
     ignoredDirectories: ['.git', 'node_modules', 'coverage', 'dist', 'build', '.cache'],
     ignoredPaths: ['test/fixtures'],
+    secretRules: [],
+    disabledSecretRules: [],
+    history: {
+      enabled: false,
+      range: 'HEAD',
+      maxCommits: null,
+      incremental: true,
+    },
+    osvDatabase: null,
+    advisorySource: 'registry',
+    advisoryFile: null,
+  },
+  cicd: {
+    allowedPermissions: {
+      pull_request_target: { actions: 'read', contents: 'read', 'pull-requests': 'write', issues: 'write', checks: 'write', statuses: 'write' },
+      workflow_run: { actions: 'read', contents: 'read', 'pull-requests': 'write', issues: 'write', checks: 'write', statuses: 'write' },
+    },
+    allowedPrivilegedWorkflows: [],
+    allowedActions: null,
+    actionTagMap: null,
+    pinResolvers: ['tag-map', 'github'],
   },
+  documentation: {
+    templateDirs: [],
+  },
+  workspaces: {
+    enabled: true,
+    packages: {},
+  },
+  cache: {
+    networkTtlSeconds: 3600,
+    maxEntryBytes: 5242880,
+    maxTotalBytes: 104857600,
+  },
+  plugins: [],
 });
 
 const ALLOWED_TOP_LEVEL = new Set([
   'schemaVersion',
+  'extends',
   'id',
   'version',
   'checkers',
+  'ecosystems',
   'gates',
   'thresholds',
   'branchProtection',
   'repositoryMetadata',
   'security',
+  'cicd',
+  'documentation',
+  'workspaces',
+  'plugins',
+  'suppressions',
+  'cache',
 ]);
 
 function isObject(value) {
@@ -93,12 +146,106 @@ function assertScore(value, label) {
   }
 }
 
+// Top-level checker settings keep their historical `Checker <name>` messages;
+// nested tables are named by their full path.
+function validateCheckerConfigs(checkers, prefix = null) {
+  for (const [name, config] of Object.entries(checkers)) {
+    const label = prefix ? `${prefix}.${name}` : `Checker ${name}`;
+    if (!isObject(config)) throw new Error(`${prefix ? label : `Checker policy ${name}`} must be an object`);
+    if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
+      throw new Error(`${label}.enabled must be boolean`);
+    }
+    if (config.weight !== undefined && (!Number.isFinite(config.weight) || config.weight < 0)) {
+      throw new Error(`${label}.weight must be a non-negative number`);
+    }
+  }
+}
+
 function assertKnownProperties(value, allowed, label) {
   for (const key of Object.keys(value || {})) {
     if (!allowed.has(key)) throw new Error(`Unknown ${label} property: ${key}`);
   }
 }
 
+function normalizeLayer(parsed) {
+  const layer = clone(parsed);
+  // Preserve compatibility with the v2 thresholds.fail spelling.
+  if (layer.thresholds && layer.thresholds.fail !== undefined) {
+    layer.gates = { ...(layer.gates || {}), failBelow: layer.thresholds.fail };
+  }
+  delete layer.thresholds;
+  delete layer.extends;
+  return layer;
+}
+
+function readLayer(reference, resolvedRoot) {
+  if (reference.kind === 'preset') {
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(reference.name) || !fs.existsSync(path.join(PRESETS_DIR, `${reference.name}.json`))) {
+      throw new Error(`Unknown policy preset: ${reference.name}`);
+    }
+    return JSON.parse(fs.readFileSync(path.join(PRESETS_DIR, `${reference.name}.json`), 'utf8'));
+  }
+  if (!reference.file.startsWith(`${resolvedRoot}${path.sep}`)) {
+    throw new Error(`Policy path must stay within the project root: ${reference.label}`);
+  }
+  if (!fs.existsSync(reference.file)) throw new Error(`Extended policy not found: ${reference.label}`);
+  try {
+    return JSON.parse(fs.readFileSync(reference.file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid policy JSON in ${reference.label}: ${error.message}`, { cause: error });
+  }
+}
+
+function collectLayers(reference, resolvedRoot, stack, layers) {
+  const source = reference.kind === 'preset'
+    ? `preset:${reference.name}`
+    : path.relative(resolvedRoot, reference.file).split(path.sep).join('/');
+  if (stack.includes(source)) {
+    throw new Error(`Policy inheritance cycle: ${[...stack, source].join(' -> ')}`);
+  }
+
+  const raw = readLayer(reference, resolvedRoot);
+  if (!isObject(raw)) throw new Error(`Policy must be a JSON object (in ${source})`);
+  const parents = raw.extends === undefined ? [] : raw.extends;
+  const parentList = Array.isArray(parents) ? parents : [parents];
+  if (parentList.some(value => typeof value !== 'string' || !value.trim())) {
+    throw new Error(`extends must be a policy path, preset, or array of them (in ${source})`);
+  }
+
+  for (const parent of parentList) {
+    if (parent.startsWith('preset:')) {
+      collectLayers({ kind: 'preset', name: parent.slice('preset:'.length) }, resolvedRoot, [...stack, source], layers);
+    } else if (reference.kind === 'preset') {
+      throw new Error(`Policy preset ${reference.name} may only extend other presets`);
+    } else {
+      const file = path.resolve(path.dirname(reference.file), parent);
+      collectLayers({ kind: 'file', file, label: parent }, resolvedRoot, [...stack, source], layers);
+    }
+  }
+
+  layers.push({ source, raw, policy: normalizeLayer(raw) });
+}
+
+function provenanceOf(layers) {
+  const provenance = {};
+  const visit = (value, prefix, source) => {
+    for (const [key, child] of Object.entries(value)) {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+      if (isObject(child) && Object.keys(child).length > 0) {
+        if (typeof provenance[keyPath] === 'string') delete provenance[keyPath];
+        visit(child, keyPath, source);
+      } else {
+        for (const existing of Object.keys(provenance)) {
+          if (existing.startsWith(`${keyPath}.`)) delete provenance[existing];
+        }
+        provenance[keyPath] = source;
+      }
+    }
+  };
+  for (const layer of layers) visit(layer.policy, '', layer.source);
+  return Object.fromEntries(Object.entries(provenance).sort(([a], [b]) => a.localeCompare(b)));
+}
+
 class Policy {
   static defaults() {
     return clone(DEFAULT_POLICY);
@@ -115,32 +262,38 @@ class Policy {
     }
 
     if (!fs.existsSync(resolvedConfig)) {
-      return { policy: Policy.defaults(), configPath: resolvedConfig, source: 'default' };
+      return {
+        policy: Policy.defaults(),
+        configPath: resolvedConfig,
+        source: 'default',
+        chain: ['default'],
+        provenance: provenanceOf([{ source: 'default', policy: DEFAULT_POLICY }]),
+      };
     }
 
-    let parsed;
-    try {
-      parsed = JSON.parse(fs.readFileSync(resolvedConfig, 'utf8'));
-    } catch (error) {
-      throw new Error(`Invalid policy JSON in ${configPath}: ${error.message}`, { cause: error });
-    }
-
-    Policy.validate(parsed);
+    const layers = [{ source: 'default', policy: DEFAULT_POLICY }];
+    collectLayers({ kind: 'file', file: resolvedConfig, label: configPath }, resolvedRoot, [], layers);
 
-    // Preserve compatibility with the v2 thresholds.fail spelling.
-    if (parsed.thresholds && parsed.thresholds.fail !== undefined) {
-      parsed.gates = { ...(parsed.gates || {}), failBelow: parsed.thresholds.fail };
+    let policy = Policy.defaults();
+    for (const layer of layers.slice(1)) {
+      try {
+        Policy.validate(layer.raw, { base: policy });
+      } catch (error) {
+        throw new Error(`${error.message} (in ${layer.source})`, { cause: error });
+      }
+      policy = merge(policy, layer.policy);
     }
-    delete parsed.thresholds;
 
     return {
-      policy: merge(DEFAULT_POLICY, parsed),
+      policy,
       configPath: resolvedConfig,
       source: configPath,
+      chain: layers.map(layer => layer.source),
+      provenance: provenanceOf(layers),
     };
   }
 
-  static validate(policy) {
+  static validate(policy, { base = DEFAULT_POLICY } = {}) {
     if (!isObject(policy)) throw new Error('Policy must be a JSON object');
 
     for (const key of Object.keys(policy)) {
@@ -156,17 +309,27 @@ class Policy {
     if (policy.version !== undefined && (typeof policy.version !== 'string' || !/^\d+\.\d+\.\d+/.test(policy.version))) {
       throw new Error('Policy version must be a semantic version string');
     }
+    if (policy.extends !== undefined) {
+      const parents = Array.isArray(policy.extends) ? policy.extends : [policy.extends];
+      if (parents.some(value => typeof value !== 'string' || !value.trim())) {
+        throw new Error('extends must be a policy path, preset, or array of them');
+      }
+    }
 
     if (policy.checkers !== undefined) {
       if (!isObject(policy.checkers)) throw new Error('Policy checkers must be an object');
-      for (const [name, config] of Object.entries(policy.checkers)) {
-        if (!isObject(config)) throw new Error(`Checker policy ${name} must be an object`);
-        if (config.enabled !== undefined && typeof config.enabled !== 'boolean') {
-          throw new Error(`Checker ${name}.enabled must be boolean`);
-        }
-        if (config.weight !== undefined && (!Number.isFinite(config.weight) || config.weight < 0)) {
-          throw new Error(`Checker ${name}.weight must be a non-negative number`);
-        }
+      validateCheckerConfigs(policy.checkers);
+    }
+
+    if (policy.ecosystems !== undefined) {
+      if (!isObject(policy.ecosystems)) throw new Error('ecosystems must be an object');
+      assertKnownProperties(policy.ecosystems, new Set(Ecosystems.NAMES), 'ecosystems');
+      for (const [name, ecosystem] of Object.entries(policy.ecosystems)) {
+        if (!isObject(ecosystem)) throw new Error(`ecosystems.${name} must be an object`);
+        assertKnownProperties(ecosystem, new Set(['checkers']), `ecosystems.${name}`);
+        if (ecosystem.checkers === undefined) continue;
+        if (!isObject(ecosystem.checkers)) throw new Error(`ecosystems.${name}.checkers must be an object`);
+        validateCheckerConfigs(ecosystem.checkers, `ecosystems.${name}.checkers`);
       }
     }
 
@@ -192,6 +355,7 @@ class Policy {
 
     const branch = policy.branchProtection || {};
     if (!isObject(branch)) throw new Error('branchProtection must be an object');
+    const baseBranch = base.branchProtection || DEFAULT_POLICY.branchProtection;
     assertKnownProperties(branch, new Set([
       'requiredApprovals', 'maximumRequiredApprovals', 'requireStatusChecks', 'requiredStatusCheckContexts',
       'requiredStatusCheckAppIds',
@@ -207,7 +371,7 @@ class Policy {
       }
     }
     const effectiveRequiredApprovals =
-      branch.requiredApprovals ?? DEFAULT_POLICY.branchProtection.requiredApprovals;
+      branch.requiredApprovals ?? baseBranch.requiredApprovals;
     if (branch.maximumRequiredApprovals !== undefined &&
         branch.maximumRequiredApprovals < effectiveRequiredApprovals) {
       throw new Error('branchProtection.maximumRequiredApprovals must be greater than or equal to requiredApprovals');
@@ -221,7 +385,7 @@ class Policy {
         throw new Error('branchProtection.requiredStatusCheckContexts must not contain duplicates');
       }
       const effectiveRequireStatusChecks =
-        branch.requireStatusChecks ?? DEFAULT_POLICY.branchProtection.requireStatusChecks;
+        branch.requireStatusChecks ?? baseBranch.requireStatusChecks;
       if (!effectiveRequireStatusChecks && branch.requiredStatusCheckContexts.length > 0) {
         throw new Error('branchProtection.requiredStatusCheckContexts requires requireStatusChecks');
       }
@@ -230,7 +394,7 @@ class Policy {
       if (!isObject(branch.requiredStatusCheckAppIds)) {
         throw new Error('branchProtection.requiredStatusCheckAppIds must be an object');
       }
-      const requiredContexts = branch.requiredStatusCheckContexts || [];
+      const requiredContexts = branch.requiredStatusCheckContexts || baseBranch.requiredStatusCheckContexts || [];
       for (const [contextName, appId] of Object.entries(branch.requiredStatusCheckAppIds)) {
         if (!contextName.trim() || !Number.isInteger(appId) || appId <= 0) {
           throw new Error('branchProtection.requiredStatusCheckAppIds must map non-empty contexts to positive integer App IDs');
@@ -241,12 +405,12 @@ class Policy {
       }
     }
     const effectiveCodeOwnerReviews =
-      branch.requireCodeOwnerReviews ?? DEFAULT_POLICY.branchProtection.requireCodeOwnerReviews;
+      branch.requireCodeOwnerReviews ?? baseBranch.requireCodeOwnerReviews;
     if (effectiveCodeOwnerReviews === true && branch.prohibitCodeOwnerReviews === true) {
       throw new Error('branchProtection cannot require and prohibit code-owner reviews');
     }
     const effectiveAdminEnforcement =
-      branch.enforceAdmins ?? DEFAULT_POLICY.branchProtection.enforceAdmins;
+      branch.enforceAdmins ?? baseBranch.enforceAdmins;
     if (effectiveAdminEnforcement === true && branch.prohibitAdminEnforcement === true) {
       throw new Error('branchProtection cannot require and prohibit administrator enforcement');
     }
@@ -259,7 +423,7 @@ class Policy {
 
     const security = policy.security || {};
     if (!isObject(security)) throw new Error('security must be an object');
-    assertKnownProperties(security, new Set(['maxFileSizeBytes', 'ignoredDirectories', 'ignoredPaths']), 'security');
+    assertKnownProperties(security, new Set(['maxFileSizeBytes', 'ignoredDirectories', 'ignoredPaths', 'secretRules', 'disabledSecretRules', 'history', 'osvDatabase', 'advisorySource', 'advisoryFile']), 'security');
     if (security.maxFileSizeBytes !== undefined && (!Number.isInteger(security.maxFileSizeBytes) || security.maxFileSizeBytes <= 0)) {
       throw new Error('security.maxFileSizeBytes must be a positive integer');
     }
@@ -271,6 +435,50 @@ class Policy {
         (!Array.isArray(security.ignoredPaths) || security.ignoredPaths.some(v => typeof v !== 'string'))) {
       throw new Error('security.ignoredPaths must be an array of strings');
     }
+    SecretRules.validate(security);
+    OsvDatabase.validate(security);
+    AdvisorySource.validate(security);
+    const history = security.history || {};
+    if (!isObject(history)) throw new Error('security.history must be an object');
+    assertKnownProperties(history, new Set(['enabled', 'range', 'maxCommits', 'incremental']), 'security.history');
+    for (const key of ['enabled', 'incremental']) {
+      if (history[key] !== undefined && typeof history[key] !== 'boolean') {
+        throw new Error(`security.history.${key} must be boolean`);
+      }
+    }
+    if (history.range !== undefined && (typeof history.range !== 'string' || !/^[^\s-][^\s]*$/.test(history.range))) {
+      throw new Error('security.history.range must be a git revision range without whitespace or a leading dash');
+    }
+    if (history.maxCommits !== undefined && history.maxCommits !== null &&
+        (!Number.isInteger(history.maxCommits) || history.maxCommits <= 0)) {
+      throw new Error('security.history.maxCommits must be a positive integer or null');
+    }
+
+    const cicd = policy.cicd || {};
+    if (!isObject(cicd)) throw new Error('cicd must be an object');
+    assertKnownProperties(cicd, new Set(['allowedPermissions', 'allowedPrivilegedWorkflows', 'allowedActions', 'actionTagMap', 'pinResolvers']), 'cicd');
+    WorkflowPermissions.validate(cicd);
+    ActionPolicy.validate(cicd);
+    ActionResolver.validate(cicd);
+    if (cicd.allowedPrivilegedWorkflows !== undefined &&
+        (!Array.isArray(cicd.allowedPrivilegedWorkflows) ||
+         cicd.allowedPrivilegedWorkflows.some(value => typeof value !== 'string' || !value.trim() || path.isAbsolute(value)))) {
+      throw new Error('cicd.allowedPrivilegedWorkflows must be an array of relative workflow paths');
+    }
+
+    const documentation = policy.documentation || {};
+    if (!isObject(documentation)) throw new Error('documentation must be an object');
+    assertKnownProperties(documentation, new Set(['templateDirs']), 'documentation');
+    if (documentation.templateDirs !== undefined &&
+        (!Array.isArray(documentation.templateDirs) ||
+         documentation.templateDirs.some(value => typeof value !== 'string' || !value.trim() || path.isAbsolute(value)))) {
+      throw new Error('documentation.templateDirs must be an array of relative directory paths');
+    }
+
+    const workspaces = policy.workspaces || {};
+    if (!isObject(workspaces)) throw new Error('workspaces must be an object');
+    assertKnownProperties(workspaces, new Set(['enabled', 'packages']), 'workspaces');
+    Workspaces.validate(workspaces);
 
     const metadata = policy.repositoryMetadata || {};
     if (!isObject(metadata)) throw new Error('repositoryMetadata must be an object');
@@ -291,6 +499,33 @@ class Policy {
       }
     }
 
+    const cache = policy.cache || {};
+    if (!isObject(cache)) throw new Error('cache must be an object');
+    assertKnownProperties(cache, new Set(['networkTtlSeconds', 'maxEntryBytes', 'maxTotalBytes']), 'cache');
+    for (const key of ['networkTtlSeconds', 'maxEntryBytes', 'maxTotalBytes']) {
+      if (cache[key] !== undefined && (!Number.isInteger(cache[key]) || cache[key] <= 0)) {
+        throw new Error(`cache.${key} must be a positive integer`);
+      }
+    }
+
+    if (policy.plugins !== undefined) {
+      if (!Array.isArray(policy.plugins) || policy.plugins.some(value => typeof value !== 'string' || !value.trim())) {
+        throw new Error('plugins must be an array of non-empty module specifiers');
+      }
+      if (new Set(policy.plugins).size !== policy.plugins.length) {
+        throw new Error('plugins must not contain duplicates');
+      }
+    }
+
+    if (policy.suppressions !== undefined) {
+      if (!isObject(policy.suppressions)) throw new Error('suppressions must be an object');
+      assertKnownProperties(policy.suppressions, new Set(['file']), 'suppressions');
+      if (policy.suppressions.file !== undefined &&
+          (typeof policy.suppressions.file !== 'string' || !policy.suppressions.file.trim() || path.isAbsolute(policy.suppressions.file))) {
+        throw new Error('suppressions.file must be a relative path');
+      }
+    }
+
     if (policy.thresholds !== undefined) {
       if (!isObject(policy.thresholds)) throw new Error('thresholds must be an object');
       assertKnownProperties(policy.thresholds, new Set(['fail']), 'thresholds');
@@ -0,0 +1,198 @@
+'use strict';
+
+// Built-in secret detectors. `keywords` are lowercase substrings, at least one
+// of which must appear in a line before its pattern runs. When a pattern has a
+// named `secret` group, entropy and allowlists apply to that group; otherwise
+// they apply to the whole match.
+const PLACEHOLDER_ALLOWLIST = [
+  '^(?:\\$\\{|\\{\\{|<|%|process\\.env)',
+  '(?:changeme|change_me|replace_me|placeholder|example|dummy|redacted|your_|x{6,}|\\*{4,})',
+];
+
+const BUILT_IN_RULES = Object.freeze([
+  { id: 'aws-access-key', name: 'AWS Key', pattern: '(?:AKIA|ASIA)[0-9A-Z]{16}', keywords: ['akia', 'asia'] },
+  { id: 'github-token', name: 'GitHub Token', pattern: 'gh[pousr]_[A-Za-z0-9_]{36,}', keywords: ['ghp_', 'gho_', 'ghu_', 'ghs_', 'ghr_'] },
+  {
+    id: 'generic-secret',
+    name: 'Generic Secret',
+    pattern: '(?:secret|token|password|passwd|api_?key)\\s*[:=]\\s*[\'"](?<secret>[^\'"]{8,})',
+    flags: 'i',
+    keywords: ['secret', 'token', 'password', 'passwd', 'api_key', 'apikey'],
+    entropy: 3,
+    allowlist: PLACEHOLDER_ALLOWLIST,
+    skipExamples: true,
+  },
+  {
+    id: 'private-key',
+    name: 'Private Key',
+    pattern: '-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED )?PRIVATE KEY-----',
+    keywords: ['private key'],
+  },
+  {
+    id: 'connection-string',
+    name: 'Connection String',
+    pattern: '(?:mongodb(?:\\+srv)?|postgres(?:ql)?|mysql|redis|amqps?):\\/\\/[^\\s:@/\'"]+:(?<secret>[^\\s@/\'"]+)@[^\\s\'"]+',
+    keywords: ['://'],
+    allowlist: PLACEHOLDER_ALLOWLIST,
+  },
+  { id: 'slack-token', name: 'Slack Token', pattern: 'xox[abprs]-[0-9A-Za-z-]{10,}', keywords: ['xox'] },
+  {
+    id: 'slack-webhook',
+    name: 'Slack Webhook',
+    pattern: 'https:\\/\\/hooks\\.slack\\.com\\/services\\/T[A-Z0-9]+\\/B[A-Z0-9]+\\/[A-Za-z0-9]{20,}',
+    keywords: ['hooks.slack.com'],
+  },
+  { id: 'stripe-secret-key', name: 'Stripe Secret Key', pattern: '(?:sk|rk)_live_[0-9A-Za-z]{24,}', keywords: ['sk_live_', 'rk_live_'] },
+  { id: 'google-api-key', name: 'Google API Key', pattern: 'AIza[0-9A-Za-z_-]{35}', keywords: ['aiza'] },
+  {
+    id: 'azure-storage-key',
+    name: 'Azure Storage Key',
+    pattern: 'AccountKey=(?<secret>[A-Za-z0-9+/]{86}==)',
+    keywords: ['accountkey='],
+  },
+  { id: 'npm-token', name: 'npm Token', pattern: 'npm_[A-Za-z0-9]{36}', keywords: ['npm_'] },
+  {
+    id: 'npm-auth-token',
+    name: 'npm Token',
+    pattern: '_authToken\\s*=\\s*(?<secret>[^\\s]{16,})',
+    keywords: ['_authtoken'],
+    allowlist: PLACEHOLDER_ALLOWLIST,
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    pattern: 'eyJ[A-Za-z0-9_-]{10,}\\.eyJ[A-Za-z0-9_-]{10,}\\.[A-Za-z0-9_-]{10,}',
+    keywords: ['eyj'],
+  },
+].map(rule => Object.freeze(rule)));
+
+const RULE_PROPERTIES = new Set(['id', 'name', 'pattern', 'flags', 'keywords', 'entropy', 'allowlist']);
+const EXAMPLE_FILE = /(?:^|\/)(?:\.env.*\.(?:example|sample|template|dist)|[^/]*\.(?:example|sample))$/i;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function compilePattern(source, flags, label) {
+  try {
+    return new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`${label} is not a valid regular expression: ${error.message}`, { cause: error });
+  }
+}
+
+// Shannon entropy in bits per character.
+function entropy(value) {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const character of value) counts.set(character, (counts.get(character) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const probability = count / value.length;
+    bits -= probability * Math.log2(probability);
+  }
+  return bits;
+}
+
+// Keeps a short prefix so reviewers can recognise the credential type without
+// the report itself becoming a copy of the secret.
+function redact(secret) {
+  const visible = Math.min(4, Math.floor(secret.length / 4));
+  return `${secret.slice(0, visible)}${'*'.repeat(Math.min(Math.max(secret.length - visible, 4), 12))}`;
+}
+
+function preview(text, index, match, secret) {
+  const secretIndex = index + match.indexOf(secret);
+  const redacted = `${text.slice(0, secretIndex)}${redact(secret)}${text.slice(secretIndex + secret.length)}`.trim();
+  return redacted.length > 120 ? `${redacted.slice(0, 117)}...` : redacted;
+}
+
+function validate(security) {
+  const rules = security.secretRules;
+  if (rules !== undefined) {
+    if (!Array.isArray(rules)) throw new Error('security.secretRules must be an array');
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+      const label = `security.secretRules[${index}]`;
+      if (!isObject(rule)) throw new Error(`${label} must be an object`);
+      for (const key of Object.keys(rule)) {
+        if (!RULE_PROPERTIES.has(key)) throw new Error(`Unknown ${label} property: ${key}`);
+      }
+      if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(rule.id)) {
+        throw new Error(`${label}.id must be a lowercase identifier`);
+      }
+      if (ids.has(rule.id)) throw new Error(`security.secretRules contains duplicate id: ${rule.id}`);
+      ids.add(rule.id);
+      if (typeof rule.name !== 'string' || !rule.name.trim()) throw new Error(`${label}.name must be a non-empty string`);
+      if (typeof rule.pattern !== 'string' || !rule.pattern) throw new Error(`${label}.pattern must be a non-empty string`);
+      if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !/^[imsu]*$/.test(rule.flags))) {
+        throw new Error(`${label}.flags may only contain i, m, s, and u`);
+      }
+      compilePattern(rule.pattern, rule.flags || '', `${label}.pattern`);
+      if (rule.keywords !== undefined &&
+          (!Array.isArray(rule.keywords) || rule.keywords.some(value => typeof value !== 'string' || !value))) {
+        throw new Error(`${label}.keywords must be an array of non-empty strings`);
+      }
+      if (rule.entropy !== undefined && (typeof rule.entropy !== 'number' || rule.entropy < 0 || rule.entropy > 8)) {
+        throw new Error(`${label}.entropy must be a number from 0 to 8`);
+      }
+      if (rule.allowlist !== undefined) {
+        if (!Array.isArray(rule.allowlist) || rule.allowlist.some(value => typeof value !== 'string')) {
+          throw new Error(`${label}.allowlist must be an array of regular expressions`);
+        }
+        rule.allowlist.forEach((source, position) => compilePattern(source, 'i', `${label}.allowlist[${position}]`));
+      }
+    });
+  }
+
+  const disabled = security.disabledSecretRules;
+  if (disabled !== undefined) {
+    if (!Array.isArray(disabled) || disabled.some(value => typeof value !== 'string')) {
+      throw new Error('security.disabledSecretRules must be an array of rule ids');
+    }
+    const known = new Set([...BUILT_IN_RULES.map(rule => rule.id), ...(rules || []).map(rule => rule.id)]);
+    const unknown = disabled.find(id => !known.has(id));
+    if (unknown) throw new Error(`security.disabledSecretRules references unknown rule: ${unknown}`);
+  }
+}
+
+// Combines built-in and policy rules into matchers. A policy rule replaces the
+// built-in rule with the same id.
+function compile(security = {}) {
+  const disabled = new Set(security.disabledSecretRules || []);
+  const byId = new Map(BUILT_IN_RULES.map(rule => [rule.id, rule]));
+  for (const rule of security.secretRules || []) byId.set(rule.id, rule);
+  return [...byId.values()].filter(rule => !disabled.has(rule.id)).map(rule => ({
+    id: rule.id,
+    name: rule.name,
+    pattern: new RegExp(rule.pattern, rule.flags || ''),
+    keywords: (rule.keywords || []).map(keyword => keyword.toLowerCase()),
+    entropy: rule.entropy || 0,
+    allowlist: (rule.allowlist || []).map(source => new RegExp(source, 'i')),
+    skipExamples: Boolean(rule.skipExamples),
+  }));
+}
+
+// Returns at most one match per line: the first rule whose pattern, entropy,
+// and allowlist all agree.
+function scanLines(rules, file, lines) {
+  const matches = [];
+  const isExample = EXAMPLE_FILE.test(file);
+  for (const { line, text } of lines) {
+    const lower = text.toLowerCase();
+    for (const rule of rules) {
+      if (isExample && rule.skipExamples) continue;
+      if (rule.keywords.length > 0 && !rule.keywords.some(keyword => lower.includes(keyword))) continue;
+      const match = rule.pattern.exec(text);
+      if (!match) continue;
+      const secret = (match.groups && match.groups.secret) || match[0];
+      if (entropy(secret) < rule.entropy) continue;
+      if (rule.allowlist.some(allowed => allowed.test(secret))) continue;
+      matches.push({ line, pattern: rule.name, rule: rule.id, preview: preview(text, match.index, match[0], secret) });
+      break;
+    }
+  }
+  return matches;
+}
+
+module.exports = { BUILT_IN_RULES, compile, validate, scanLines, entropy, redact };
@@ -0,0 +1,127 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ALLOWED_ENTRY_PROPERTIES = new Set([
+  'checker', 'id', 'file', 'line', 'fingerprint', 'justification', 'owner', 'expires',
+]);
+
+const INLINE_PRAGMA = /repo-manager:ignore\s+([a-z0-9-]+(?:\s*,\s*[a-z0-9-]+)*)(?:\s+reason=(?:"([^"]*)"|'([^']*)'))?/;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isCalendarDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+}
+
+class Suppressions {
+  static load(projectRoot, file) {
+    if (!file) return { source: null, entries: [] };
+    const resolvedRoot = path.resolve(projectRoot);
+    const resolved = path.resolve(resolvedRoot, file);
+    if (!resolved.startsWith(`${resolvedRoot}${path.sep}`)) {
+      throw new Error(`Suppressions path must stay within the project root: ${file}`);
+    }
+    if (!fs.existsSync(resolved)) throw new Error(`Suppressions file not found: ${file}`);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid suppressions JSON in ${file}: ${error.message}`, { cause: error });
+    }
+    Suppressions.validate(parsed);
+    return { source: file, entries: parsed.suppressions };
+  }
+
+  static validate(document) {
+    if (!isObject(document)) throw new Error('Suppressions file must be a JSON object');
+    if (document.schemaVersion !== 1) throw new Error('Unsupported suppressions schemaVersion; expected 1');
+    if (!Array.isArray(document.suppressions)) throw new Error('suppressions must be an array');
+
+    document.suppressions.forEach((entry, index) => {
+      const label = `suppressions[${index}]`;
+      if (!isObject(entry)) throw new Error(`${label} must be an object`);
+      for (const key of Object.keys(entry)) {
+        if (!ALLOWED_ENTRY_PROPERTIES.has(key)) throw new Error(`Unknown ${label} property: ${key}`);
+      }
+      for (const key of ['checker', 'id', 'justification', 'owner']) {
+        if (typeof entry[key] !== 'string' || !entry[key].trim()) throw new Error(`${label}.${key} must be a non-empty string`);
+      }
+      if (!('file' in entry) || (entry.file !== null && (typeof entry.file !== 'string' || !entry.file.trim()))) {
+        throw new Error(`${label}.file must be a relative path, or null for findings without a file`);
+      }
+      if (entry.line !== undefined && (!Number.isInteger(entry.line) || entry.line < 1 || entry.file === null)) {
+        throw new Error(`${label}.line must be a positive integer on a file suppression`);
+      }
+      if (entry.fingerprint !== undefined && (typeof entry.fingerprint !== 'string' || !/^[a-f0-9]{32}$/.test(entry.fingerprint))) {
+        throw new Error(`${label}.fingerprint must be a report finding fingerprint`);
+      }
+      if (!isCalendarDate(entry.expires)) throw new Error(`${label}.expires must be a YYYY-MM-DD date`);
+    });
+    return true;
+  }
+
+  static matches(entry, finding) {
+    return entry.checker === finding.checker &&
+      entry.id === finding.id &&
+      entry.file === (finding.file ?? null) &&
+      (entry.line === undefined || entry.line === finding.line) &&
+      (entry.fingerprint === undefined || entry.fingerprint === finding.fingerprint);
+  }
+
+  // Returns the inline waiver for a finding id on lines[index], from a pragma
+  // on that line or the one before it. Pragmas without a reason are ignored
+  // so every waiver in the report explains itself.
+  static inline(lines, index, id, file) {
+    for (const candidate of [index, index - 1]) {
+      if (candidate < 0 || candidate >= lines.length) continue;
+      const match = INLINE_PRAGMA.exec(lines[candidate]);
+      if (!match) continue;
+      const ids = match[1].split(',').map(value => value.trim());
+      const reason = (match[2] ?? match[3] ?? '').trim();
+      if (ids.includes(id) && reason) return { type: 'inline', file, line: candidate + 1, reason };
+    }
+    return null;
+  }
+
+  static isExpired(entry, now = new Date()) {
+    return entry.expires < now.toISOString().slice(0, 10);
+  }
+
+  // Partitions findings into active and suppressed. Inline waivers recorded by
+  // the checker apply first. A finding matched only by expired entries stays
+  // active and is reported with those entries.
+  static apply(findings, entries = [], now = new Date()) {
+    const active = [];
+    const suppressed = [];
+    const expired = [];
+    const used = new Set();
+
+    for (const finding of findings) {
+      if (finding.inlineSuppression) {
+        const waiver = finding.inlineSuppression;
+        suppressed.push({ finding, suppression: { ...waiver, justification: waiver.reason, owner: null, expires: null } });
+        continue;
+      }
+      const matching = entries.filter(entry => Suppressions.matches(entry, finding));
+      matching.forEach(entry => used.add(entry));
+      const current = matching.find(entry => !Suppressions.isExpired(entry, now));
+      if (current) {
+        suppressed.push({ finding, suppression: current });
+        continue;
+      }
+      active.push(finding);
+      if (matching.length > 0) expired.push({ finding, suppression: matching[0] });
+    }
+
+    return { active, suppressed, expired, unused: entries.filter(entry => !used.has(entry)) };
+  }
+}
+
+module.exports = Suppressions;
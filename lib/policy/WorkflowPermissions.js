@@ -0,0 +1,172 @@
+'use strict';
+
+const yaml = require('../utils/yaml');
+const Workflow = require('../utils/workflow');
+
+// GITHUB_TOKEN scopes a workflow or job can declare.
+const SCOPES = Object.freeze([
+  'actions', 'attestations', 'checks', 'contents', 'deployments', 'discussions', 'id-token', 'issues',
+  'models', 'packages', 'pages', 'pull-requests', 'repository-projects', 'security-events', 'statuses',
+]);
+
+const LEVELS = Object.freeze({ none: 0, read: 1, write: 2 });
+
+// Triggers that run with a privileged token in the context of the base
+// repository while handling data an outside contributor controls.
+const PRIVILEGED_TRIGGERS = new Set(['pull_request_target', 'workflow_run']);
+
+// Evidence that a job uses a write scope: actions (owner/repo prefixes) and
+// shell commands known to need it. Scopes without an entry are never reported
+// as unneeded.
+const WRITE_NEEDS = Object.freeze({
+  contents: {
+    actions: [
+      'softprops/action-gh-release', 'ncipollo/release-action', 'actions/create-release', 'googleapis/release-please-action',
+      'google-github-actions/release-please-action', 'changesets/action', 'stefanzweifel/git-auto-commit-action',
+      'EndBug/add-and-commit', 'peter-evans/create-pull-request', 'JamesIves/github-pages-deploy-action',
+      'peaceiris/actions-gh-pages', 'release-drafter/release-drafter', 'cycjimmy/semantic-release-action',
+    ],
+    commands: /\bgit\s+push\b|\bgh\s+release\b|\bsemantic-release\b/,
+  },
+  packages: {
+    actions: ['docker/build-push-action'],
+    commands: /\bdocker\s+push\b|\bnpm\s+publish\b|\bghcr\.io\b/,
+  },
+  'pull-requests': {
+    actions: [
+      'peter-evans/create-pull-request', 'peter-evans/create-or-update-comment', 'marocchino/sticky-pull-request-comment',
+      'actions/labeler', 'release-drafter/release-drafter', 'googleapis/release-please-action', 'changesets/action',
+    ],
+    commands: /\bgh\s+pr\s+(?:comment|create|edit|merge|review|close|reopen|ready)\b/,
+  },
+  issues: {
+    actions: ['actions/stale', 'peter-evans/create-or-update-comment', 'actions/first-interaction'],
+    commands: /\bgh\s+(?:issue\s+(?:comment|create|edit|close|reopen|delete|transfer|lock|unlock|pin)|label)\b/,
+  },
+  'id-token': {
+    actions: [
+      'aws-actions/configure-aws-credentials', 'google-github-actions/auth', 'azure/login', 'sigstore/gh-action-sigstore-python',
+      'actions/attest-build-provenance', 'actions/attest', 'actions/attest-sbom', 'actions/deploy-pages',
+      'pypa/gh-action-pypi-publish', 'hashicorp/vault-action',
+    ],
+    commands: /ACTIONS_ID_TOKEN_REQUEST|--provenance\b|\bcosign\b/,
+  },
+  pages: { actions: ['actions/deploy-pages'], commands: null },
+  'security-events': { actions: ['github/codeql-action', 'ossf/scorecard-action'], commands: /\bupload-sarif\b/ },
+  checks: {
+    actions: ['dorny/test-reporter', 'mikepenz/action-junit-report', 'EnricoMi/publish-unit-test-result-action'],
+    commands: null,
+  },
+  deployments: { actions: ['chrnorm/deployment-action', 'bobheadxi/deployments'], commands: null },
+  attestations: { actions: ['actions/attest-build-provenance', 'actions/attest', 'actions/attest-sbom'], commands: null },
+  actions: { actions: ['geekyeggo/delete-artifact'], commands: /\bgh\s+(?:workflow|run|cache)\s+(?:run|delete|cancel|rerun|enable|disable)\b/ },
+});
+
+// Steps whose token use cannot be inferred: scripted API calls, reusable
+// workflows, local actions, and unlisted actions handed the token explicitly.
+const SCRIPTED_ACTIONS = ['actions/github-script'];
+const API_COMMAND = /\bgh\s+api\b|api\.github\.com|\boctokit\b/i;
+const TOKEN_EXPRESSION = /\$\{\{\s*(?:secrets\.GITHUB_TOKEN|github\.token)\s*\}\}/;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function actionName(reference) {
+  return String(reference).split('@')[0].toLowerCase();
+}
+
+function matchesAction(reference, prefixes) {
+  const name = actionName(reference);
+  return prefixes.some(prefix => {
+    const candidate = prefix.toLowerCase();
+    return name === candidate || name.startsWith(`${candidate}/`);
+  });
+}
+
+/**
+ * Reads a `permissions:` value into `{ all, scopes }` where `all` is the level
+ * granted by `read-all`/`write-all` (or null) and `scopes` maps each declared
+ * scope to its level and line.
+ */
+function read(entry) {
+  const result = { line: entry.key, all: null, scopes: new Map() };
+  const value = entry.value;
+  if (value.kind === 'scalar') {
+    if (value.value === 'read-all') result.all = 'read';
+    else if (value.value === 'write-all') result.all = 'write';
+    return result;
+  }
+  for (const item of yaml.entries(value)) {
+    const level = yaml.scalar(item.value);
+    if (Object.hasOwn(LEVELS, level)) result.scopes.set(item.key.value, { level, line: item.key.line });
+  }
+  return result;
+}
+
+function levelOf(permissions, scope) {
+  if (permissions.all) return permissions.all;
+  const declared = permissions.scopes.get(scope);
+  return declared ? declared.level : 'none';
+}
+
+// The most each scope may be granted for a workflow with these triggers: the
+// strictest entry among the triggers the policy lists, or null when it lists
+// none of them.
+function allowedFor(events, cicd = {}) {
+  const configured = cicd.allowedPermissions || {};
+  const applicable = [...new Set(events)].filter(event => isObject(configured[event]));
+  if (applicable.length === 0) return null;
+  const allowed = new Map();
+  for (const scope of SCOPES) {
+    const levels = applicable.map(event => configured[event][scope] || 'none');
+    allowed.set(scope, levels.reduce((lowest, level) => (LEVELS[level] < LEVELS[lowest] ? level : lowest)));
+  }
+  return allowed;
+}
+
+// Write scopes the steps of `jobs` show a need for, or null when a step's
+// token use cannot be inferred.
+function writeNeeds(jobs) {
+  const needs = new Set();
+  for (const job of jobs) {
+    if (job.uses) return null;
+    for (const step of job.steps) {
+      const uses = yaml.scalar(step.uses);
+      const run = String(yaml.scalar(step.run) || '');
+      if (uses && matchesAction(uses, SCRIPTED_ACTIONS)) return null;
+      if (API_COMMAND.test(run)) return null;
+      let known = false;
+      for (const [scope, evidence] of Object.entries(WRITE_NEEDS)) {
+        if (uses && matchesAction(uses, evidence.actions)) {
+          needs.add(scope);
+          known = true;
+        }
+        if (evidence.commands && evidence.commands.test(run)) needs.add(scope);
+      }
+      const handsToken = Workflow.mentions(step.with, TOKEN_EXPRESSION) || Workflow.mentions(step.env, TOKEN_EXPRESSION);
+      if (uses && (uses.startsWith('./') || (!known && handsToken))) return null;
+    }
+  }
+  return needs;
+}
+
+function isInferable(scope) {
+  return Object.hasOwn(WRITE_NEEDS, scope);
+}
+
+function validate(cicd) {
+  const configured = cicd.allowedPermissions;
+  if (configured === undefined) return;
+  if (!isObject(configured)) throw new Error('cicd.allowedPermissions must be an object keyed by trigger');
+  for (const [event, scopes] of Object.entries(configured)) {
+    const label = `cicd.allowedPermissions.${event}`;
+    if (!isObject(scopes)) throw new Error(`${label} must be an object of scope levels`);
+    for (const [scope, level] of Object.entries(scopes)) {
+      if (!SCOPES.includes(scope)) throw new Error(`Unknown ${label} property: ${scope}`);
+      if (!Object.hasOwn(LEVELS, level)) throw new Error(`${label}.${scope} must be read, write, or none`);
+    }
+  }
+}
+
+module.exports = { SCOPES, LEVELS, PRIVILEGED_TRIGGERS, read, levelOf, allowedFor, writeNeeds, isInferable, validate };
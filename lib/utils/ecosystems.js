@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Python = require('./python');
+
+// Marker files for each ecosystem, in report order.
+const ECOSYSTEMS = Object.freeze([
+  { name: 'node', matches: file => file === 'package.json' },
+  { name: 'python', matches: file => Python.MANIFESTS.includes(file) },
+  { name: 'platformio', matches: file => file === 'platformio.ini' },
+  { name: 'go', matches: file => file === 'go.mod' },
+  { name: 'rust', matches: file => file === 'Cargo.toml' },
+  {
+    name: 'docker',
+    matches: file => /^(?:Dockerfile|Containerfile)(?:\..+)?$|\.Dockerfile$|^(?:docker-)?compose\.ya?ml$/.test(file),
+  },
+  { name: 'terraform', matches: file => file.endsWith('.tf') },
+]);
+
+const NAMES = Object.freeze(ECOSYSTEMS.map(ecosystem => ecosystem.name));
+
+// Dependency trees, build output, and test fixtures are not ecosystems of
+// the repository itself.
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules', 'bower_components', 'vendor', 'dist', 'build', 'out', 'coverage', 'target',
+  'venv', 'env', '__pycache__', 'site-packages', 'fixtures', '__fixtures__', 'testdata',
+]);
+
+const MAX_DEPTH = 3;
+
+/**
+ * Finds every ecosystem in `projectRoot` and the directories it is rooted
+ * in, up to three levels deep. Returns `[{ name, root }]` with `root`
+ * relative to the project (`.` for the top level), ordered by ecosystem and
+ * then root. A directory nested inside a root of the same ecosystem, such as
+ * a workspace package or a Terraform module, belongs to that root.
+ */
+function detect(projectRoot) {
+  const found = NAMES.map(() => []);
+  const visit = (relative, depth) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(path.join(projectRoot, relative), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    ECOSYSTEMS.forEach((ecosystem, index) => {
+      const roots = found[index];
+      const nested = roots.some(root => root === '.' || relative.startsWith(`${root}/`));
+      if (!nested && entries.some(entry => entry.isFile() && ecosystem.matches(entry.name))) roots.push(relative);
+    });
+    if (depth >= MAX_DEPTH) return;
+    for (const entry of entries.sort((left, right) => left.name.localeCompare(right.name))) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || IGNORED_DIRECTORIES.has(entry.name)) continue;
+      visit(relative === '.' ? entry.name : `${relative}/${entry.name}`, depth + 1);
+    }
+  };
+  visit('.', 0);
+  return NAMES.flatMap((name, index) => found[index].sort().map(root => ({ name, root })));
+}
+
+module.exports = { NAMES, detect };
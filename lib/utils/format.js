@@ -0,0 +1,21 @@
+'use strict';
+
+// Text helpers shared by the report renderers.
+
+const SEVERITIES = Object.freeze(['critical', 'high', 'medium', 'low', 'info']);
+
+// A score or delta with an explicit sign, or `n/a` when it is unknown.
+function signed(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return value > 0 ? `+${value}` : String(value);
+}
+
+// `2 critical, 1 low` from per-severity counts, most severe first.
+function severityBreakdown(counts) {
+  return SEVERITIES
+    .filter(severity => counts[severity] > 0)
+    .map(severity => `${counts[severity]} ${severity}`)
+    .join(', ');
+}
+
+module.exports = { SEVERITIES, signed, severityBreakdown };
@@ -0,0 +1,299 @@
+'use strict';
+
+const yaml = require('./yaml');
+
+/**
+ * Parsers for package-lock.json (v1 to v3), yarn.lock (classic v1 and berry),
+ * and pnpm-lock.yaml (v5 to v9) that produce one normalized dependency graph:
+ *
+ *   { manager, packages: [{ id, name, version, dependencies }], direct }
+ *
+ * `id` is `name@version`, `dependencies` and `direct` list ids, and packages
+ * are ordered by id. Aliased dependencies are recorded under the package
+ * they install, and workspace or linked packages are not graph nodes.
+ */
+
+// Lock files read by `read`, in the order they are preferred. npm projects
+// are normally audited by npm itself; see `read`.
+const NPM_LOCK_FILE = 'package-lock.json';
+const LOCK_FILES = ['pnpm-lock.yaml', 'yarn.lock'];
+
+const DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies'];
+const MANIFEST_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+class LockfileError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'LockfileError';
+    this.line = line || null;
+  }
+}
+
+class Graph {
+  constructor() {
+    this.nodes = new Map();
+  }
+
+  add(name, version) {
+    const id = `${name}@${version}`;
+    if (!this.nodes.has(id)) this.nodes.set(id, { id, name, version, dependencies: new Set() });
+    return this.nodes.get(id);
+  }
+
+  // Drops edges to packages the lock file does not describe.
+  toJSON(manager, direct) {
+    const packages = [...this.nodes.values()]
+      .sort((left, right) => (left.id < right.id ? -1 : left.id > right.id ? 1 : 0))
+      .map(node => ({ ...node, dependencies: [...node.dependencies].filter(id => this.nodes.has(id)).sort() }));
+    return { manager, packages, direct: [...new Set(direct)].filter(id => this.nodes.has(id)).sort() };
+  }
+}
+
+// `name@range`, where a scoped name starts with `@`.
+function splitSelector(selector) {
+  const at = selector.indexOf('@', 1);
+  return at === -1 ? { name: selector, range: '' } : { name: selector.slice(0, at), range: selector.slice(at + 1) };
+}
+
+function unquote(value, line) {
+  if (!value.startsWith('"')) return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new LockfileError(`Invalid quoted string ${value}`, line);
+  }
+}
+
+// Reads the indentation-structured yarn.lock syntax shared by both formats:
+// `key value` lines in classic lock files, `key: value` lines in berry.
+function parseYarnEntries(text) {
+  const document = {};
+  const stack = [{ indent: -1, value: document }];
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const content = raw.trim();
+    if (!content || content.startsWith('#')) return;
+    const indent = raw.length - raw.trimStart().length;
+    while (indent <= stack[stack.length - 1].indent) stack.pop();
+    const parent = stack[stack.length - 1].value;
+
+    if (indent === 0) {
+      if (!content.endsWith(':')) throw new LockfileError(`Expected an entry header, found ${content}`, line);
+      const entry = {};
+      parent[content.slice(0, -1)] = entry;
+      stack.push({ indent, value: entry });
+      return;
+    }
+    const key = content.startsWith('"') ? /^"(?:[^"\\]|\\.)*"/.exec(content) : /^[^\s:]+/.exec(content);
+    if (!key) throw new LockfileError(`Unterminated quoted key: ${content}`, line);
+    const rest = content.slice(key[0].length);
+    const name = unquote(key[0], line);
+    if (rest === ':') {
+      const entry = {};
+      parent[name] = entry;
+      stack.push({ indent, value: entry });
+      return;
+    }
+    const value = /^:?\s+(.+)$/.exec(rest);
+    if (!value) throw new LockfileError(`Expected a value for ${name}`, line);
+    parent[name] = unquote(value[1], line);
+  });
+  return document;
+}
+
+/**
+ * Builds the dependency graph of a yarn.lock. Classic lock files do not record
+ * the project's own dependencies, so `manifests` (parsed package.json files)
+ * supply the direct ones; berry lists them under its workspace entries.
+ */
+function parseYarnLock(text, manifests = []) {
+  const document = parseYarnEntries(text);
+  const berry = Boolean(document.__metadata);
+  const graph = new Graph();
+  const bySelector = new Map();
+  const resolved = [];
+  const direct = [];
+
+  for (const [header, entry] of Object.entries(document)) {
+    if (header === '__metadata') continue;
+    const selectors = header.split(/,\s*/).map(selector => selector.replace(/^"|"$/g, ''));
+    if (!entry.version) continue;
+    // Berry names the installed package in `resolution`; classic aliases
+    // (`alias@npm:name@range`) name it in the range.
+    const source = berry && entry.resolution ? splitSelector(entry.resolution) : splitSelector(selectors[0]);
+    if (/^(?:workspace|link|portal):/.test(source.range)) {
+      direct.push(...dependencyEntries(entry));
+      continue;
+    }
+    const alias = /^npm:((?:@[^/@]+\/)?[^@]+)@/.exec(source.range);
+    const node = graph.add(alias ? alias[1] : source.name, String(entry.version));
+    for (const selector of selectors) bySelector.set(selector, node.id);
+    resolved.push({ node, dependencies: dependencyEntries(entry) });
+  }
+
+  const resolve = ([name, range]) => bySelector.get(`${name}@${range}`) || bySelector.get(`${name}@npm:${range}`);
+  for (const { node, dependencies } of resolved) {
+    for (const dependency of dependencies) {
+      const id = resolve(dependency);
+      if (id) node.dependencies.add(id);
+    }
+  }
+  for (const manifest of manifests) {
+    for (const field of MANIFEST_FIELDS) direct.push(...Object.entries((manifest && manifest[field]) || {}));
+  }
+  return graph.toJSON(berry ? 'yarn-berry' : 'yarn-classic', direct.map(resolve).filter(Boolean));
+}
+
+function dependencyEntries(entry) {
+  return DEPENDENCY_FIELDS.flatMap(field => Object.entries(entry[field] || {}));
+}
+
+// The installed package of an npm lock entry; aliases record their target
+// as `npm:name@version`.
+function npmPackage(name, version) {
+  const alias = /^npm:((?:@[^/@]+\/)?[^@]+)@(.+)$/.exec(version);
+  return alias ? { name: alias[1], version: alias[2] } : { name, version };
+}
+
+/**
+ * Builds the dependency graph of a package-lock.json: the `packages` map of
+ * lockfile v2 and v3, or the nested `dependencies` of v1. Dependencies are
+ * resolved the way Node.js resolves them, from the nearest `node_modules`
+ * outwards. v1 does not mark direct dependencies, so `manifests` supply them.
+ */
+function parsePackageLock(text, manifests = []) {
+  const document = JSON.parse(text);
+  const graph = new Graph();
+  const direct = [];
+
+  if (document.packages) {
+    const entries = document.packages;
+    const nodes = new Map();
+    for (const [location, entry] of Object.entries(entries)) {
+      if (!location.includes('node_modules/') || entry.link || !entry.version) continue;
+      const name = entry.name || location.slice(location.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      const pkg = npmPackage(name, String(entry.version));
+      nodes.set(location, graph.add(pkg.name, pkg.version));
+    }
+    const resolve = (from, dependency) => {
+      for (let base = from; ; base = base.includes('/node_modules/') ? base.slice(0, base.lastIndexOf('/node_modules/')) : '') {
+        const node = nodes.get(base ? `${base}/node_modules/${dependency}` : `node_modules/${dependency}`);
+        if (node || !base) return node || null;
+      }
+    };
+    for (const [location, entry] of Object.entries(entries)) {
+      const names = [...MANIFEST_FIELDS, 'peerDependencies'].flatMap(field => Object.keys(entry[field] || {}));
+      const resolved = names.map(dependency => resolve(location, dependency)).filter(Boolean);
+      if (nodes.has(location)) resolved.forEach(node => nodes.get(location).dependencies.add(node.id));
+      else if (!location.includes('node_modules/')) direct.push(...resolved.map(node => node.id));
+    }
+    return graph.toJSON('npm', direct);
+  }
+
+  const walk = (dependencies, scopes) => {
+    for (const [name, entry] of Object.entries(dependencies || {})) {
+      if (!entry || !entry.version || /^(?:file|link):/.test(entry.version)) continue;
+      const pkg = npmPackage(name, String(entry.version));
+      const node = graph.add(pkg.name, pkg.version);
+      const inner = [entry.dependencies || {}, ...scopes];
+      for (const dependency of Object.keys(entry.requires || {})) {
+        const scope = inner.find(candidate => candidate[dependency]);
+        if (scope && scope[dependency].version) {
+          const target = npmPackage(dependency, String(scope[dependency].version));
+          node.dependencies.add(`${target.name}@${target.version}`);
+        }
+      }
+      walk(entry.dependencies, inner);
+    }
+  };
+  walk(document.dependencies, [document.dependencies || {}]);
+  for (const manifest of manifests) {
+    for (const field of MANIFEST_FIELDS) {
+      for (const name of Object.keys((manifest && manifest[field]) || {})) {
+        const entry = (document.dependencies || {})[name];
+        if (entry && entry.version) {
+          const pkg = npmPackage(name, String(entry.version));
+          direct.push(`${pkg.name}@${pkg.version}`);
+        }
+      }
+    }
+  }
+  return graph.toJSON('npm', direct);
+}
+
+// `name@version` of a pnpm package key or dependency reference, without the
+// peer dependency suffix: `/name/1.0.0_peer` (v5), `/name@1.0.0(peer)` (v6),
+// or `name@1.0.0(peer)` (v9).
+function pnpmPackage(key, legacy) {
+  const match = legacy
+    ? /^\/?((?:@[^/]+\/)?[^/]+)\/([^/_(]+)/.exec(key)
+    : /^\/?((?:@[^/@]+\/)?[^/@]+)@([^(]+)/.exec(key);
+  return match ? { name: match[1], version: match[2] } : null;
+}
+
+function pnpmReference(name, value, legacy) {
+  const reference = String(value);
+  if (/^(?:link|workspace|file):/.test(reference)) return null;
+  // Aliases reference another package by key.
+  if (reference.startsWith('/') || /^(?:@[^/@]+\/)?[^/@\d][^/@]*@/.test(reference)) return pnpmPackage(reference, legacy);
+  return { name, version: reference.replace(legacy ? /[_(].*$/ : /\(.*$/, '') };
+}
+
+/**
+ * Builds the dependency graph of a pnpm-lock.yaml. Dependencies live in
+ * `packages` up to v6 and in `snapshots` from v9; direct dependencies come
+ * from `importers`, or from the top level of single-project lock files.
+ */
+function parsePnpmLock(text) {
+  const document = yaml.toJS(yaml.parse(text)) || {};
+  const legacy = Number.parseFloat(document.lockfileVersion) < 6;
+  const graph = new Graph();
+
+  for (const section of ['packages', 'snapshots']) {
+    for (const [key, entry] of Object.entries(document[section] || {})) {
+      const pkg = pnpmPackage(key, legacy);
+      if (!pkg) continue;
+      const node = graph.add(pkg.name, pkg.version);
+      for (const [name, value] of dependencyEntries(entry || {})) {
+        const dependency = pnpmReference(name, value, legacy);
+        if (dependency) node.dependencies.add(`${dependency.name}@${dependency.version}`);
+      }
+    }
+  }
+
+  const direct = [];
+  for (const importer of Object.values(document.importers || { '.': document })) {
+    for (const field of MANIFEST_FIELDS) {
+      for (const [name, value] of Object.entries((importer && importer[field]) || {})) {
+        const dependency = pnpmReference(name, value && typeof value === 'object' ? value.version : value, legacy);
+        if (dependency) direct.push(`${dependency.name}@${dependency.version}`);
+      }
+    }
+  }
+  return graph.toJSON('pnpm', direct);
+}
+
+/**
+ * The dependency graph of the project's yarn or pnpm lock file as
+ * `{ file, manager, packages, direct }`, or of package-lock.json first when
+ * `npm` is set. Returns null when there is no such lock file and throws when
+ * the lock file cannot be parsed.
+ */
+function read(context, { npm = false } = {}) {
+  for (const file of npm ? [NPM_LOCK_FILE, ...LOCK_FILES] : LOCK_FILES) {
+    const content = context.readFile(file);
+    if (content === null) continue;
+    try {
+      let graph;
+      if (file === NPM_LOCK_FILE) graph = parsePackageLock(content, [context.packageJson]);
+      else if (file === 'yarn.lock') graph = parseYarnLock(content, [context.packageJson]);
+      else graph = parsePnpmLock(content);
+      return { file, ...graph };
+    } catch (error) {
+      throw new Error(`${file} could not be parsed: ${error.message}`, { cause: error });
+    }
+  }
+  return null;
+}
+
+module.exports = { NPM_LOCK_FILE, LOCK_FILES, LockfileError, parsePackageLock, parseYarnLock, parsePnpmLock, read };
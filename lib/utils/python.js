@@ -0,0 +1,259 @@
+'use strict';
+
+const toml = require('./toml');
+
+// Files that make a directory a Python project.
+const MANIFESTS = ['pyproject.toml', 'requirements.txt', 'setup.py', 'setup.cfg', 'Pipfile'];
+
+// Lock files, in the order they are preferred when several exist.
+const LOCK_FILES = ['poetry.lock', 'uv.lock', 'pdm.lock', 'Pipfile.lock'];
+
+// `requirements*.txt` in the project root and a `requirements/` directory.
+const REQUIREMENTS_FILE = /^requirements(?:[-_.][\w.-]+)?\.txt$/i;
+
+// Trove license classifiers mapped to SPDX identifiers.
+const LICENSE_CLASSIFIERS = Object.freeze({
+  'MIT License': 'MIT',
+  'Apache Software License': 'Apache-2.0',
+  'BSD License': 'BSD-3-Clause',
+  'ISC License (ISCL)': 'ISC',
+  'GNU General Public License v2 (GPLv2)': 'GPL-2.0',
+  'GNU General Public License v3 (GPLv3)': 'GPL-3.0',
+  'GNU Lesser General Public License v2 (LGPLv2)': 'LGPL-2.1',
+  'GNU Lesser General Public License v3 (LGPLv3)': 'LGPL-3.0',
+  'GNU Affero General Public License v3': 'AGPL-3.0',
+  'Mozilla Public License 2.0 (MPL 2.0)': 'MPL-2.0',
+  'The Unlicense (Unlicense)': 'Unlicense',
+});
+
+const REQUIREMENT = /^([A-Za-z0-9](?:[A-Za-z0-9._-]*[A-Za-z0-9])?)\s*(?:\[[^\]]*\])?\s*(.*)$/;
+const EXACT_PIN = /^===?\s*([^\s,*;]+)$/;
+const PEP440 = /^v?(?:(\d+)!)?(\d+(?:\.\d+)*)(?:[-_.]?(a|b|c|rc|alpha|beta|pre|preview)[-_.]?(\d*))?(?:-(\d+)|[-_.]?(?:post|rev|r)[-_.]?(\d*))?(?:[-_.]?dev[-_.]?(\d*))?(?:\+[a-z0-9]+(?:[-_.][a-z0-9]+)*)?$/i;
+
+// PEP 503 normalized project name.
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+function isProject(context) {
+  return MANIFESTS.some(file => context.fileExists(file));
+}
+
+/**
+ * Parses a pip requirements file. Returns `{ requirements, includes }` where
+ * each requirement is `{ name, specifier, pinned, version, line }` and
+ * `includes` lists files named by `-r` and `-c`. Editable installs and bare
+ * URLs have a null name.
+ */
+function parseRequirements(text) {
+  const requirements = [];
+  const includes = [];
+  const lines = String(text).split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    const line = index + 1;
+    let content = lines[index];
+    while (content.endsWith('\\') && index + 1 < lines.length) content = content.slice(0, -1) + lines[++index];
+    content = content.replace(/(?:^|\s)#.*$/, '').trim();
+    if (!content) continue;
+
+    const include = /^(?:-r|--requirement|-c|--constraint)(?:\s+|=)(\S+)/.exec(content);
+    if (include) {
+      includes.push(include[1]);
+      continue;
+    }
+    if (/^(?:-e|--editable)\b/.test(content) || /^(?:[a-z+]+:\/\/|\.{0,2}\/)/i.test(content)) {
+      requirements.push({ name: null, specifier: content, pinned: false, version: null, line });
+      continue;
+    }
+    if (content.startsWith('-')) continue;
+
+    const match = REQUIREMENT.exec(content);
+    if (!match) continue;
+    const specifier = match[2].split(';')[0].replace(/\s--hash[=\s]\S+/g, '').trim();
+    if (specifier.startsWith('@')) {
+      // A direct reference is reproducible when it names a commit or a hash.
+      const pinned = /@[0-9a-f]{40}\b|#sha256=[0-9a-f]{64}/i.test(specifier);
+      requirements.push({ name: normalizeName(match[1]), specifier, pinned, version: null, line });
+      continue;
+    }
+    const exact = EXACT_PIN.exec(specifier);
+    requirements.push({ name: normalizeName(match[1]), specifier, pinned: Boolean(exact), version: exact ? exact[1] : null, line });
+  }
+  return { requirements, includes };
+}
+
+// The requirements files of a project, relative to its root.
+function requirementFiles(context) {
+  const files = context.listFiles('.').filter(file => REQUIREMENTS_FILE.test(file));
+  files.push(...context.listFiles('requirements').filter(file => file.endsWith('.txt')).map(file => `requirements/${file}`));
+  return files.sort();
+}
+
+/**
+ * Reads pyproject.toml. Returns null when the project has none, or
+ * `{ value, lines }` as produced by the TOML parser, or `{ error }` when the
+ * file is not valid TOML.
+ */
+function readPyproject(context) {
+  const content = context.readFile('pyproject.toml');
+  if (content === null) return null;
+  try {
+    return toml.parse(content);
+  } catch (error) {
+    if (!(error instanceof toml.TomlError)) throw error;
+    return { error };
+  }
+}
+
+function dependencyName(requirement) {
+  const match = REQUIREMENT.exec(String(requirement).trim());
+  return match ? normalizeName(match[1]) : null;
+}
+
+/**
+ * Project metadata from PEP 621 `[project]` or Poetry's `[tool.poetry]`:
+ * `{ table, name, license, requiresPython, dependencies }` where `license` is
+ * `{ value, file, key }` and `table` is the dotted name of the table read.
+ * Returns null when pyproject.toml declares neither table.
+ */
+function projectMetadata(pyproject) {
+  const document = pyproject.value;
+  const project = document.project;
+  const poetry = document.tool && document.tool.poetry;
+  if (!project && !poetry) return null;
+
+  if (project) {
+    let license;
+    if (typeof project.license === 'string') license = { value: project.license, file: null, key: 'project.license' };
+    else if (project.license && project.license.text) license = { value: project.license.text, file: null, key: 'project.license' };
+    else if (project.license && project.license.file) license = { value: null, file: project.license.file, key: 'project.license' };
+    else license = classifierLicense(project.classifiers, 'project.classifiers');
+    return {
+      table: 'project',
+      name: project.name || null,
+      license,
+      requiresPython: project['requires-python'] || null,
+      dependencies: (project.dependencies || []).map(dependencyName).filter(Boolean),
+    };
+  }
+
+  const dependencies = Object.keys(poetry.dependencies || {}).filter(name => name.toLowerCase() !== 'python');
+  return {
+    table: 'tool.poetry',
+    name: poetry.name || null,
+    license: poetry.license
+      ? { value: poetry.license, file: null, key: 'tool.poetry.license' }
+      : classifierLicense(poetry.classifiers, 'tool.poetry.classifiers'),
+    requiresPython: (poetry.dependencies && poetry.dependencies.python) || null,
+    dependencies: dependencies.map(normalizeName),
+  };
+}
+
+function classifierLicense(classifiers, key) {
+  for (const classifier of classifiers || []) {
+    const match = /^License :: (?:OSI Approved :: )?(.+)$/.exec(classifier);
+    if (match && LICENSE_CLASSIFIERS[match[1]]) return { value: LICENSE_CLASSIFIERS[match[1]], file: null, key };
+  }
+  return null;
+}
+
+// Packages from a poetry, uv, or pdm lock file: every `[[package]]` except
+// the project itself, which uv records with an editable or virtual source.
+function tomlLockPackages(document) {
+  return (document.package || [])
+    .filter(entry => entry.name && entry.version && !(entry.source && (entry.source.editable || entry.source.virtual)))
+    .map(entry => ({ name: normalizeName(entry.name), version: String(entry.version) }));
+}
+
+function pipfileLockPackages(document) {
+  const packages = [];
+  for (const section of ['default', 'develop']) {
+    for (const [name, entry] of Object.entries(document[section] || {})) {
+      const exact = EXACT_PIN.exec(String((entry && entry.version) || ''));
+      if (exact) packages.push({ name: normalizeName(name), version: exact[1] });
+    }
+  }
+  return packages;
+}
+
+/**
+ * The locked dependency versions of a project: `{ file, packages }` from the
+ * first lock file present, or from requirements files whose entries are all
+ * pinned to exact versions. Returns null when nothing is locked and throws
+ * when a lock file cannot be parsed.
+ */
+function lockedPackages(context) {
+  for (const file of LOCK_FILES) {
+    const content = context.readFile(file);
+    if (content === null) continue;
+    try {
+      const packages = file === 'Pipfile.lock' ? pipfileLockPackages(JSON.parse(content)) : tomlLockPackages(toml.parse(content).value);
+      return { file, packages };
+    } catch (error) {
+      throw new Error(`${file} could not be parsed: ${error.message}`, { cause: error });
+    }
+  }
+  const files = requirementFiles(context);
+  const requirements = files.flatMap(file => parseRequirements(context.readFile(file) || '').requirements);
+  if (requirements.length === 0 || requirements.some(requirement => !requirement.pinned || !requirement.version)) return null;
+  return { file: files[0], packages: requirements.map(requirement => ({ name: requirement.name, version: requirement.version })) };
+}
+
+function lockFile(context) {
+  return LOCK_FILES.find(file => context.fileExists(file)) || null;
+}
+
+function parseVersion(version) {
+  const match = PEP440.exec(String(version).trim());
+  if (!match) return null;
+  const preKind = match[3] ? match[3].toLowerCase() : null;
+  const pre = preKind ? [{ a: 0, alpha: 0, b: 1, beta: 1, c: 2, rc: 2, pre: 2, preview: 2 }[preKind], Number(match[4] || 0)] : null;
+  const post = match[5] !== undefined ? Number(match[5]) : match[6] !== undefined ? Number(match[6] || 0) : null;
+  const dev = match[7] !== undefined ? Number(match[7] || 0) : null;
+  return { epoch: Number(match[1] || 0), release: match[2].split('.').map(Number), pre, post, dev };
+}
+
+// PEP 440 ordering. Versions that cannot be parsed compare as strings.
+function compareVersions(left, right) {
+  const a = parseVersion(left);
+  const b = parseVersion(right);
+  if (!a || !b) return String(left).localeCompare(String(right));
+  if (a.epoch !== b.epoch) return a.epoch - b.epoch;
+  const length = Math.max(a.release.length, b.release.length);
+  for (let index = 0; index < length; index++) {
+    const difference = (a.release[index] || 0) - (b.release[index] || 0);
+    if (difference !== 0) return difference;
+  }
+  // dev releases sort before pre-releases, which sort before the release,
+  // which sorts before post-releases.
+  const rank = version => {
+    if (version.pre === null && version.post === null && version.dev !== null) return [-Infinity, 0, -Infinity, version.dev];
+    return [
+      version.pre ? version.pre[0] : Infinity,
+      version.pre ? version.pre[1] : 0,
+      version.post === null ? -Infinity : version.post,
+      version.dev === null ? Infinity : version.dev,
+    ];
+  };
+  const left4 = rank(a);
+  const right4 = rank(b);
+  for (let index = 0; index < 4; index++) {
+    if (left4[index] !== right4[index]) return left4[index] < right4[index] ? -1 : 1;
+  }
+  return 0;
+}
+
+module.exports = {
+  MANIFESTS,
+  LOCK_FILES,
+  normalizeName,
+  isProject,
+  parseRequirements,
+  requirementFiles,
+  readPyproject,
+  projectMetadata,
+  lockedPackages,
+  lockFile,
+  parseVersion,
+  compareVersions,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+// Semantic versions and npm range syntax, as used by lock files,
+// `vulnerable_versions` in npm advisories, `engines` ranges, and action tags.
+
+const VERSION = /^\s*[v=]?\s*(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?\s*$/;
+const PARTIAL = /^[v=]?(\*|x|X|\d+)(?:\.(\*|x|X|\d+)(?:\.(\*|x|X|\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?)?)?$/;
+const COMPARATOR = /^(<=|>=|<|>|=|~>|~|\^)?\s*(.*)$/;
+
+function parse(version) {
+  const match = VERSION.exec(String(version));
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+// Reads a possibly partial version, such as an action tag `v4`, `4.1`, or
+// `v4.1.2-beta.1`, filling missing parts with zero. Branch names and other
+// refs return null.
+function coerce(value) {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(value ?? ''));
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+function compareIdentifiers(left, right) {
+  const leftNumeric = /^\d+$/.test(left);
+  const rightNumeric = /^\d+$/.test(right);
+  if (leftNumeric && rightNumeric) return Number(left) - Number(right);
+  if (leftNumeric !== rightNumeric) return leftNumeric ? -1 : 1;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function compareParsed(a, b) {
+  if (a.major !== b.major) return a.major - b.major;
+  if (a.minor !== b.minor) return a.minor - b.minor;
+  if (a.patch !== b.patch) return a.patch - b.patch;
+  // A prerelease sorts before its release.
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) return b.prerelease.length - a.prerelease.length;
+  for (let index = 0; index < Math.max(a.prerelease.length, b.prerelease.length); index++) {
+    if (a.prerelease[index] === undefined) return -1;
+    if (b.prerelease[index] === undefined) return 1;
+    const difference = compareIdentifiers(a.prerelease[index], b.prerelease[index]);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+// Semantic version ordering. Versions that cannot be parsed compare as strings.
+function compare(left, right) {
+  const a = parse(left);
+  const b = parse(right);
+  if (!a || !b) return String(left).localeCompare(String(right));
+  return compareParsed(a, b);
+}
+
+function version(major, minor, patch, prerelease = []) {
+  return { major, minor, patch, prerelease };
+}
+
+// The lowest version below which `<` excludes every prerelease too.
+function floor(major, minor = 0, patch = 0) {
+  return version(major, minor, patch, ['0']);
+}
+
+// Expands one range token, such as `^1.2`, `>=1.0.0`, or `1.x`, into
+// `{ operator, version }` comparators. An empty list matches any version.
+function desugar(token) {
+  const [, operator = '', rest] = COMPARATOR.exec(token);
+  const match = PARTIAL.exec(rest);
+  if (!match) throw new Error(`Invalid semver range: ${token}`);
+  const wildcard = part => part === undefined || /^[*xX]$/.test(part);
+  const [major, minor, patch] = [1, 2, 3].map(index => (wildcard(match[index]) ? null : Number(match[index])));
+  const prerelease = match[4] ? match[4].split('.') : [];
+  const exact = major !== null && minor !== null && patch !== null;
+  if (major === null) return operator === '<' || operator === '>' ? [{ operator: '<', version: floor(0) }] : [];
+
+  if (operator === '^') {
+    const lower = { operator: '>=', version: version(major, minor || 0, patch || 0, prerelease) };
+    if (major > 0 || minor === null) return [lower, { operator: '<', version: floor(major + 1) }];
+    if (minor > 0 || patch === null) return [lower, { operator: '<', version: floor(0, minor + 1) }];
+    return [lower, { operator: '<', version: floor(0, 0, patch + 1) }];
+  }
+  if (operator === '~' || operator === '~>') {
+    const lower = { operator: '>=', version: version(major, minor || 0, patch || 0, prerelease) };
+    return [lower, { operator: '<', version: minor === null ? floor(major + 1) : floor(major, minor + 1) }];
+  }
+  if (exact) return [{ operator: operator || '=', version: version(major, minor, patch, prerelease) }];
+
+  // Partial versions stand for every version they leave open.
+  const lower = version(major, minor || 0, 0);
+  const upper = minor === null ? floor(major + 1) : floor(major, minor + 1);
+  switch (operator) {
+    case '>': return [{ operator: '>=', version: version(upper.major, upper.minor, 0) }];
+    case '>=': return [{ operator: '>=', version: lower }];
+    case '<': return [{ operator: '<', version: floor(lower.major, lower.minor) }];
+    case '<=': return [{ operator: '<', version: upper }];
+    default: return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+  }
+}
+
+// Comparators of one `||` alternative, with hyphen ranges expanded.
+function comparatorSet(text) {
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+  if (hyphen) {
+    const upper = desugar(hyphen[2]);
+    return [
+      ...desugar(hyphen[1]).filter(comparator => comparator.operator !== '<').map(({ version: bound }) => ({ operator: '>=', version: bound })),
+      ...(upper.length === 1 ? [{ operator: '<=', version: upper[0].version }] : upper.filter(comparator => comparator.operator === '<')),
+    ];
+  }
+  const tokens = text.replace(/(<=|>=|<|>|=|~>|~|\^)\s+/g, '$1').split(/\s+/).filter(Boolean);
+  return tokens.flatMap(desugar);
+}
+
+function matches(comparator, candidate) {
+  const order = compareParsed(candidate, comparator.version);
+  switch (comparator.operator) {
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    default: return order === 0;
+  }
+}
+
+/**
+ * The comparator sets of an npm range, one per `||` alternative; a version
+ * satisfies the range when it matches every comparator of some set. Each
+ * comparator is `{ operator, version }`. Throws on a malformed range.
+ */
+function parseRange(range) {
+  return String(range).split('||').map(alternative => comparatorSet(alternative.trim()));
+}
+
+/**
+ * Whether `candidate` satisfies the npm range `range`: `||` alternatives of
+ * space-separated comparators, hyphen ranges, x-ranges, `~`, and `^`. As in
+ * npm, a prerelease only matches a comparator set that names a prerelease of
+ * the same major, minor, and patch. Throws on a malformed range.
+ */
+function satisfies(candidate, range) {
+  const parsed = parse(candidate);
+  if (!parsed) return false;
+  return parseRange(range).some(comparators => {
+    if (!comparators.every(comparator => matches(comparator, parsed))) return false;
+    if (parsed.prerelease.length === 0) return true;
+    return comparators.some(({ version: bound }) => bound.prerelease.length > 0 &&
+      bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch);
+  });
+}
+
+function validRange(range) {
+  try {
+    parseRange(range);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { parse, coerce, compare, compareParsed, parseRange, matches, satisfies, validRange };
@@ -0,0 +1,362 @@
+'use strict';
+
+/**
+ * Minimal TOML 1.0 parser for pyproject.toml and Python lock files.
+ *
+ * Produces plain objects. Tables, arrays of tables, dotted keys, inline
+ * tables, arrays, all string forms, integers, floats, and booleans are
+ * supported; dates and times are kept as their source text. `parse` also
+ * records the 1-based line of every key and table header by dotted path
+ * (`project.license`, `package.3.name`) so checkers can report evidence.
+ */
+
+class TomlError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'TomlError';
+    this.line = line || null;
+  }
+}
+
+const BASIC_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\\': '\\', e: '\x1b' };
+const BARE_KEY = /[A-Za-z0-9_-]/;
+const DATETIME = /^\d{4}-\d{2}-\d{2}(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[Zz]|[+-]\d{2}:\d{2})?)?|^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?/;
+const NUMBER = /^[+-]?(?:0x[0-9A-Fa-f_]+|0o[0-7_]+|0b[01_]+|inf|nan|(?:\d[\d_]*)(?:\.\d[\d_]*)?(?:[eE][+-]?\d[\d_]*)?)/;
+
+function isTable(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class Parser {
+  constructor(text) {
+    this.text = String(text).replace(/^\uFEFF/, '');
+    this.index = 0;
+    this.line = 1;
+    this.root = {};
+    this.lines = new Map();
+    // Tables created implicitly by a dotted header may be defined later;
+    // tables defined by a header or a key may not be defined again.
+    this.defined = new Set();
+  }
+
+  error(message) {
+    return new TomlError(message, this.line);
+  }
+
+  peek(offset = 0) {
+    return this.text[this.index + offset];
+  }
+
+  startsWith(token) {
+    return this.text.startsWith(token, this.index);
+  }
+
+  advance(count = 1) {
+    for (let step = 0; step < count; step++) {
+      if (this.text[this.index] === '\n') this.line++;
+      this.index++;
+    }
+  }
+
+  skipSpaces() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.advance();
+  }
+
+  skipComment() {
+    if (this.peek() === '#') {
+      while (this.index < this.text.length && this.peek() !== '\n') this.advance();
+    }
+  }
+
+  // Whitespace, newlines, and comments inside arrays.
+  skipTrivia() {
+    for (;;) {
+      this.skipSpaces();
+      this.skipComment();
+      if (this.peek() === '\n' || (this.peek() === '\r' && this.peek(1) === '\n')) this.advance(this.peek() === '\r' ? 2 : 1);
+      else return;
+    }
+  }
+
+  endOfLine() {
+    this.skipSpaces();
+    this.skipComment();
+    if (this.peek() === '\r' && this.peek(1) === '\n') this.advance(2);
+    else if (this.peek() === '\n') this.advance();
+    else if (this.index < this.text.length) throw this.error('Expected the end of the line');
+  }
+
+  parse() {
+    let table = this.root;
+    let prefix = [];
+    while (this.index < this.text.length) {
+      this.skipSpaces();
+      const character = this.peek();
+      if (character === '#' || character === '\n' || character === '\r') {
+        this.endOfLine();
+      } else if (character === '[') {
+        const array = this.peek(1) === '[';
+        this.advance(array ? 2 : 1);
+        this.skipSpaces();
+        const line = this.line;
+        const path = this.key();
+        this.skipSpaces();
+        if (array ? !this.startsWith(']]') : this.peek() !== ']') throw this.error('Unterminated table header');
+        this.advance(array ? 2 : 1);
+        this.endOfLine();
+        ({ table, prefix } = array ? this.appendTable(path, line) : this.defineTable(path, line));
+      } else {
+        this.assignment(table, prefix);
+        this.endOfLine();
+      }
+    }
+    return this.root;
+  }
+
+  // Walks `path` from `table`, creating tables as needed. The last element
+  // of an array of tables stands for the array.
+  descend(table, path, prefix) {
+    let current = table;
+    const names = [...prefix];
+    for (const part of path) {
+      if (!Object.hasOwn(current, part)) current[part] = {};
+      let next = current[part];
+      if (Array.isArray(next)) {
+        names.push(part, String(next.length - 1));
+        next = next[next.length - 1];
+      } else {
+        names.push(part);
+      }
+      if (!isTable(next)) throw this.error(`Key ${names.join('.')} is not a table`);
+      current = next;
+    }
+    return { table: current, prefix: names };
+  }
+
+  defineTable(path, line) {
+    const { table, prefix } = this.descend(this.root, path, []);
+    const name = prefix.join('.');
+    if (this.defined.has(name)) throw this.error(`Table [${path.join('.')}] is defined more than once`);
+    this.defined.add(name);
+    this.lines.set(name, line);
+    return { table, prefix };
+  }
+
+  appendTable(path, line) {
+    const { table: parent, prefix: parentPrefix } = this.descend(this.root, path.slice(0, -1), []);
+    const last = path[path.length - 1];
+    if (!Object.hasOwn(parent, last)) parent[last] = [];
+    if (!Array.isArray(parent[last])) throw this.error(`Key ${[...parentPrefix, last].join('.')} is not an array of tables`);
+    parent[last].push({});
+    const prefix = [...parentPrefix, last, String(parent[last].length - 1)];
+    this.lines.set(prefix.join('.'), line);
+    return { table: parent[last][parent[last].length - 1], prefix };
+  }
+
+  assignment(table, prefix) {
+    const line = this.line;
+    const path = this.key();
+    this.skipSpaces();
+    if (this.peek() !== '=') throw this.error('Expected = after a key');
+    this.advance();
+    this.skipSpaces();
+    const { table: target, prefix: names } = this.descend(table, path.slice(0, -1), prefix);
+    for (let depth = 1; depth < path.length; depth++) this.defined.add([...prefix, ...path.slice(0, depth)].join('.'));
+    const last = path[path.length - 1];
+    const name = [...names, last].join('.');
+    if (Object.hasOwn(target, last)) throw this.error(`Key ${name} is defined more than once`);
+    this.lines.set(name, line);
+    target[last] = this.value(name);
+  }
+
+  key() {
+    const parts = [];
+    for (;;) {
+      this.skipSpaces();
+      const character = this.peek();
+      if (character === '"') parts.push(this.basicString());
+      else if (character === '\'') parts.push(this.literalString());
+      else {
+        const start = this.index;
+        while (this.index < this.text.length && BARE_KEY.test(this.peek())) this.advance();
+        if (this.index === start) throw this.error('Expected a key');
+        parts.push(this.text.slice(start, this.index));
+      }
+      this.skipSpaces();
+      if (this.peek() !== '.') return parts;
+      this.advance();
+    }
+  }
+
+  value(name) {
+    const character = this.peek();
+    if (this.startsWith('"""')) return this.multilineBasicString();
+    if (this.startsWith('\'\'\'')) return this.multilineLiteralString();
+    if (character === '"') return this.basicString();
+    if (character === '\'') return this.literalString();
+    if (character === '[') return this.array(name);
+    if (character === '{') return this.inlineTable(name);
+    if (this.startsWith('true')) {
+      this.advance(4);
+      return true;
+    }
+    if (this.startsWith('false')) {
+      this.advance(5);
+      return false;
+    }
+    const rest = this.text.slice(this.index, this.index + 64);
+    const datetime = DATETIME.exec(rest);
+    if (datetime) {
+      this.advance(datetime[0].length);
+      return datetime[0];
+    }
+    const number = NUMBER.exec(rest);
+    if (number) {
+      this.advance(number[0].length);
+      return this.number(number[0]);
+    }
+    throw this.error('Unrecognized value');
+  }
+
+  number(source) {
+    const text = source.replace(/_/g, '');
+    const unsigned = text.replace(/^[+-]/, '');
+    const sign = text.startsWith('-') ? -1 : 1;
+    if (unsigned === 'inf') return sign * Infinity;
+    if (unsigned === 'nan') return NaN;
+    if (/^0[xob]/.test(unsigned)) return sign * Number(unsigned);
+    return Number(text);
+  }
+
+  escape() {
+    const character = this.peek();
+    if (Object.hasOwn(BASIC_ESCAPES, character)) {
+      this.advance();
+      return BASIC_ESCAPES[character];
+    }
+    const length = character === 'u' ? 4 : character === 'U' ? 8 : 0;
+    const digits = this.text.slice(this.index + 1, this.index + 1 + length);
+    if (!length || !/^[0-9A-Fa-f]+$/.test(digits) || digits.length !== length) throw this.error('Invalid escape sequence');
+    this.advance(length + 1);
+    return String.fromCodePoint(parseInt(digits, 16));
+  }
+
+  basicString() {
+    this.advance();
+    let result = '';
+    for (;;) {
+      const character = this.peek();
+      if (character === undefined || character === '\n') throw this.error('Unterminated string');
+      this.advance();
+      if (character === '"') return result;
+      result += character === '\\' ? this.escape() : character;
+    }
+  }
+
+  literalString() {
+    this.advance();
+    const end = this.text.indexOf('\'', this.index);
+    const newline = this.text.indexOf('\n', this.index);
+    if (end === -1 || (newline !== -1 && newline < end)) throw this.error('Unterminated string');
+    const result = this.text.slice(this.index, end);
+    this.advance(end - this.index + 1);
+    return result;
+  }
+
+  // A newline directly after the opening delimiter is trimmed. Up to two
+  // quotes may end the content right before the closing delimiter.
+  skipOpeningNewline() {
+    if (this.peek() === '\r' && this.peek(1) === '\n') this.advance(2);
+    else if (this.peek() === '\n') this.advance();
+  }
+
+  multilineBasicString() {
+    this.advance(3);
+    this.skipOpeningNewline();
+    let result = '';
+    for (;;) {
+      if (this.index >= this.text.length) throw this.error('Unterminated string');
+      if (this.startsWith('"""')) {
+        let quotes = 3;
+        while (this.peek(quotes) === '"' && quotes < 5) quotes++;
+        result += '"'.repeat(quotes - 3);
+        this.advance(quotes);
+        return result;
+      }
+      const character = this.peek();
+      if (character === '\\') {
+        const trimmed = /^\\[ \t]*\r?\n/.exec(this.text.slice(this.index));
+        if (trimmed) {
+          this.advance(trimmed[0].length);
+          while (/[ \t\r\n]/.test(this.peek() || '')) this.advance();
+        } else {
+          this.advance();
+          result += this.escape();
+        }
+      } else {
+        result += character;
+        this.advance();
+      }
+    }
+  }
+
+  multilineLiteralString() {
+    this.advance(3);
+    this.skipOpeningNewline();
+    const end = this.text.indexOf('\'\'\'', this.index);
+    if (end === -1) throw this.error('Unterminated string');
+    let close = end + 3;
+    while (this.text[close] === '\'' && close < end + 5) close++;
+    const result = this.text.slice(this.index, close - 3);
+    this.advance(close - this.index);
+    return result;
+  }
+
+  array(name) {
+    this.advance();
+    const items = [];
+    for (;;) {
+      this.skipTrivia();
+      if (this.peek() === ']') {
+        this.advance();
+        return items;
+      }
+      if (this.index >= this.text.length) throw this.error('Unterminated array');
+      items.push(this.value(`${name}.${items.length}`));
+      this.skipTrivia();
+      if (this.peek() === ',') this.advance();
+      else if (this.peek() !== ']') throw this.error('Expected , or ] in an array');
+    }
+  }
+
+  inlineTable(name) {
+    this.advance();
+    const table = {};
+    this.skipSpaces();
+    if (this.peek() === '}') {
+      this.advance();
+      return table;
+    }
+    for (;;) {
+      this.assignment(table, name.split('.'));
+      this.skipSpaces();
+      if (this.peek() === '}') {
+        this.advance();
+        return table;
+      }
+      if (this.peek() !== ',') throw this.error('Expected , or } in an inline table');
+      this.advance();
+      this.skipSpaces();
+    }
+  }
+}
+
+// Parses TOML source into `{ value, lines }` where `lines` maps dotted key
+// paths to the line that defines them. Throws TomlError on invalid input.
+function parse(text) {
+  const parser = new Parser(text);
+  const value = parser.parse();
+  return { value, lines: parser.lines };
+}
+
+module.exports = { parse, TomlError };
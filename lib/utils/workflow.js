@@ -0,0 +1,127 @@
+'use strict';
+
+const yaml = require('./yaml');
+
+/**
+ * Structural view of a GitHub Actions workflow or composite action built on
+ * the line-mapped YAML AST. Values are kept as AST nodes so callers can report
+ * the line they came from; `key` fields hold the line of the mapping key.
+ *
+ *   {
+ *     kind: 'workflow' | 'action',
+ *     name, ast, lines,
+ *     triggers: [{ event, line, config }],
+ *     permissions: { key, value } | null,
+ *     env: node | null,
+ *     jobs: [{ id, line, name, permissions, if, uses, env, matrix, steps }],
+ *   }
+ *
+ * Steps are `{ index, line, node, name, id, uses, run, env, with, if }`. A
+ * composite action is represented as a single job with a null id.
+ */
+
+function entryOf(node, key) {
+  const entry = yaml.entries(node).reverse().find(candidate => candidate.key.value === key);
+  return entry ? { key: entry.key.line, value: entry.value } : null;
+}
+
+function nameOf(node) {
+  const value = yaml.scalar(yaml.get(node, 'name'));
+  return value === null ? null : String(value);
+}
+
+function readTriggers(node) {
+  if (!node) return [];
+  if (node.kind === 'scalar') return node.value ? [{ event: node.value, line: node.line, config: null }] : [];
+  if (node.kind === 'seq') {
+    return node.items
+      .filter(item => item.kind === 'scalar' && item.value)
+      .map(item => ({ event: item.value, line: item.line, config: null }));
+  }
+  return yaml.entries(node).map(entry => ({ event: entry.key.value, line: entry.key.line, config: entry.value }));
+}
+
+function readSteps(node) {
+  if (!node || node.kind !== 'seq') return [];
+  return node.items.filter(item => item.kind === 'map').map((item, index) => ({
+    index,
+    line: item.line,
+    node: item,
+    name: nameOf(item),
+    id: yaml.scalar(yaml.get(item, 'id')),
+    uses: yaml.get(item, 'uses'),
+    run: yaml.get(item, 'run'),
+    env: yaml.get(item, 'env'),
+    with: yaml.get(item, 'with'),
+    if: yaml.get(item, 'if'),
+  }));
+}
+
+function readJob(id, line, node) {
+  return {
+    id,
+    line,
+    node,
+    name: nameOf(node),
+    permissions: entryOf(node, 'permissions'),
+    if: yaml.get(node, 'if'),
+    uses: yaml.get(node, 'uses'),
+    env: yaml.get(node, 'env'),
+    matrix: entryOf(yaml.get(node, 'strategy'), 'matrix'),
+    steps: readSteps(yaml.get(node, 'steps')),
+  };
+}
+
+// Parses workflow or action.yml source. Returns null for an empty document and
+// throws YamlError when the source is not valid YAML.
+function parse(text) {
+  const ast = yaml.parse(text);
+  if (!ast || ast.kind !== 'map') return null;
+  const lines = String(text).split(/\r?\n/);
+  const runs = entryOf(ast, 'runs');
+  if (!yaml.get(ast, 'jobs') && runs) {
+    return {
+      kind: 'action',
+      name: nameOf(ast),
+      ast,
+      lines,
+      triggers: [],
+      permissions: null,
+      env: null,
+      jobs: [{ ...readJob(null, runs.key, runs.value), name: nameOf(ast) }],
+    };
+  }
+  const jobs = yaml.entries(yaml.get(ast, 'jobs'))
+    .filter(entry => entry.value.kind === 'map')
+    .map(entry => readJob(String(entry.key.value), entry.key.line, entry.value));
+  return {
+    kind: 'workflow',
+    name: nameOf(ast),
+    ast,
+    lines,
+    triggers: readTriggers(yaml.get(ast, 'on')),
+    permissions: entryOf(ast, 'permissions'),
+    env: yaml.get(ast, 'env'),
+    jobs,
+  };
+}
+
+// Source lines that hold the content of a scalar, as 1-based line numbers.
+// Block scalars start on the line after their `|` or `>` indicator.
+function contentLines(node) {
+  if (!node || node.kind !== 'scalar') return [];
+  const first = node.contentLine || node.line;
+  const numbers = [];
+  for (let line = first; line <= node.endLine; line++) numbers.push(line);
+  return numbers;
+}
+
+// Whether any scalar below `node` matches `pattern`.
+function mentions(node, pattern) {
+  if (!node) return false;
+  if (node.kind === 'scalar') return pattern.test(String(node.value ?? ''));
+  if (node.kind === 'seq') return node.items.some(item => mentions(item, pattern));
+  return yaml.entries(node).some(entry => mentions(entry.value, pattern));
+}
+
+module.exports = { parse, contentLines, entryOf, mentions };
@@ -0,0 +1,139 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('./yaml');
+
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Workspace globs from package.json `workspaces` (npm and yarn, as an array
+// or `{ packages }`) or from pnpm-workspace.yaml. Negated globs keep their
+// leading `!`.
+function patterns(context) {
+  const workspaces = context.packageJson && context.packageJson.workspaces;
+  const declared = Array.isArray(workspaces) ? workspaces : workspaces && workspaces.packages;
+  if (Array.isArray(declared)) return declared.filter(pattern => typeof pattern === 'string' && pattern);
+  const pnpm = context.readFile('pnpm-workspace.yaml');
+  if (pnpm === null) return [];
+  try {
+    const document = yaml.toJS(yaml.parse(pnpm));
+    return Array.isArray(document && document.packages) ? document.packages.filter(pattern => typeof pattern === 'string' && pattern) : [];
+  } catch (error) {
+    if (error instanceof yaml.YamlError) return [];
+    throw error;
+  }
+}
+
+/**
+ * Finds the workspace packages of the project in `context`: every directory
+ * matched by a workspace glob that holds a readable package.json, excluding
+ * negated globs, `node_modules`, and globs that leave the project. Returns
+ * `[{ name, path, packageJson }]` ordered by path, or an empty list when
+ * `workspaces.enabled` is false.
+ */
+function discover(context) {
+  if (((context.config && context.config.workspaces) || {}).enabled === false) return [];
+  const included = new Set();
+  const excluded = [];
+  for (const pattern of patterns(context)) {
+    const negated = pattern.startsWith('!');
+    const normalized = pattern.slice(negated ? 1 : 0).replaceAll('\\', '/').replace(/^\.\//, '').replace(/\/+$/, '');
+    if (!normalized || path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) continue;
+    if (negated) {
+      excluded.push(globToRegExp(normalized));
+      continue;
+    }
+    for (const match of fs.globSync(`${normalized}/package.json`, { cwd: context.projectRoot })) {
+      const directory = path.posix.dirname(match.replaceAll('\\', '/'));
+      if (!directory.split('/').includes('node_modules')) included.add(directory);
+    }
+  }
+
+  const packages = [];
+  for (const directory of [...included].sort()) {
+    if (directory === '.' || excluded.some(regex => regex.test(directory))) continue;
+    let packageJson;
+    try {
+      packageJson = JSON.parse(context.readFile(`${directory}/package.json`));
+    } catch {
+      continue;
+    }
+    if (packageJson === null || typeof packageJson !== 'object') continue;
+    packages.push({ name: typeof packageJson.name === 'string' ? packageJson.name : directory, path: directory, packageJson });
+  }
+  return packages;
+}
+
+/**
+ * The `workspaces.packages` overrides for a package, matched by package name
+ * or path glob and applied in policy order: `{ enabled, disabledFindings }`.
+ */
+function overrideFor(config, pkg) {
+  const result = { enabled: true, disabledFindings: new Set() };
+  for (const [pattern, override] of Object.entries(((config && config.workspaces) || {}).packages || {})) {
+    const regex = globToRegExp(pattern);
+    if (!regex.test(pkg.name) && !regex.test(pkg.path)) continue;
+    if (override.enabled !== undefined) result.enabled = override.enabled;
+    for (const id of override.disabledFindings || []) result.disabledFindings.add(id);
+  }
+  return result;
+}
+
+/**
+ * Runs package-scoped checks on each workspace package. `check(pkg)` returns
+ * findings with their `penalty` and paths relative to the project in
+ * `context`. Returns the findings that remain after policy overrides, one
+ * sub-result per package (`{ name, path, enabled, score, findings }`), and the
+ * average package penalty, so a large monorepo is not penalized once per
+ * package. Each finding's `penalty` becomes its share of that average.
+ */
+function evaluate(context, check) {
+  const packages = [];
+  const results = [];
+  for (const pkg of discover(context)) {
+    const override = overrideFor(context.config, pkg);
+    if (!override.enabled) {
+      packages.push({ name: pkg.name, path: pkg.path, enabled: false, score: null, findings: [] });
+      continue;
+    }
+    const findings = check(pkg).filter(finding => !override.disabledFindings.has(finding.id));
+    results.push(...findings);
+    packages.push({
+      name: pkg.name,
+      path: pkg.path,
+      enabled: true,
+      score: Math.max(0, 100 - findings.reduce((sum, finding) => sum + finding.penalty, 0)),
+      findings: findings.map(finding => finding.id),
+    });
+  }
+  const evaluated = packages.filter(pkg => pkg.enabled).length;
+  const findings = results.map(finding => ({ ...finding, penalty: finding.penalty / evaluated }));
+  return { packages, findings, penalty: findings.reduce((sum, finding) => sum + finding.penalty, 0) };
+}
+
+function validate(workspaces) {
+  if (workspaces.enabled !== undefined && typeof workspaces.enabled !== 'boolean') {
+    throw new Error('workspaces.enabled must be boolean');
+  }
+  if (workspaces.packages === undefined) return;
+  if (workspaces.packages === null || typeof workspaces.packages !== 'object' || Array.isArray(workspaces.packages)) {
+    throw new Error('workspaces.packages must be an object keyed by package name or path');
+  }
+  for (const [pattern, override] of Object.entries(workspaces.packages)) {
+    const label = `workspaces.packages["${pattern}"]`;
+    if (override === null || typeof override !== 'object' || Array.isArray(override)) throw new Error(`${label} must be an object`);
+    for (const key of Object.keys(override)) {
+      if (!['enabled', 'disabledFindings'].includes(key)) throw new Error(`Unknown ${label} property: ${key}`);
+    }
+    if (override.enabled !== undefined && typeof override.enabled !== 'boolean') throw new Error(`${label}.enabled must be boolean`);
+    if (override.disabledFindings !== undefined &&
+        (!Array.isArray(override.disabledFindings) || override.disabledFindings.some(id => typeof id !== 'string' || !id))) {
+      throw new Error(`${label}.disabledFindings must be an array of finding ids`);
+    }
+  }
+}
+
+module.exports = { patterns, discover, overrideFor, evaluate, validate };
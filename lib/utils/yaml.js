@@ -0,0 +1,588 @@
+'use strict';
+
+/**
+ * Minimal YAML parser for GitHub Actions workflows and action metadata.
+ *
+ * Produces an AST whose nodes record the 1-based source lines they span, so
+ * checkers can report accurate evidence. Supports block mappings and
+ * sequences, flow collections, plain, quoted, literal and folded scalars,
+ * comments, anchors, aliases, and merge keys. Only the first document of a
+ * stream is read.
+ *
+ * Nodes:
+ *   { kind: 'map', line, endLine, entries: [{ key: scalarNode, value: node }] }
+ *   { kind: 'seq', line, endLine, items: [node] }
+ *   { kind: 'scalar', line, endLine, value: string|null, style }
+ */
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `${message} (line ${line})` : message);
+    this.name = 'YamlError';
+    this.line = line || null;
+  }
+}
+
+const DOUBLE_QUOTE_ESCAPES = {
+  0: '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029',
+};
+
+function isBlank(text) {
+  const trimmed = text.trim();
+  return trimmed === '' || trimmed.startsWith('#');
+}
+
+// Removes a trailing comment: a `#` at the start or after whitespace. In flow
+// context a `#` inside a quoted scalar is content.
+function stripComment(text, quoteAware = false) {
+  let quote = null;
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+    if (!quoteAware) {
+      if (character === '#' && (index === 0 || /\s/.test(text[index - 1]))) return text.slice(0, index).trimEnd();
+    } else if (quote) {
+      if (quote === '"' && character === '\\') index++;
+      else if (character === quote) quote = null;
+    } else if (character === '"' || character === '\'') {
+      if (index === 0 || /[\s[{,:]/.test(text[index - 1])) quote = character;
+    } else if (character === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+// Returns the index of the `:` that separates a block mapping key from its
+// value, or -1 when the text is not a mapping entry.
+function mappingIndicator(text) {
+  if (text.startsWith('"') || text.startsWith('\'')) {
+    const quote = text[0];
+    let index = 1;
+    while (index < text.length) {
+      if (quote === '"' && text[index] === '\\') index += 2;
+      else if (quote === '\'' && text[index] === '\'' && text[index + 1] === '\'') index += 2;
+      else if (text[index] === quote) break;
+      else index++;
+    }
+    const rest = text.slice(index + 1);
+    const match = /^\s*:(?:\s|$)/.exec(rest);
+    return match ? index + 1 + match[0].indexOf(':') : -1;
+  }
+  if (/^[[{&*!|>%@`#]/.test(text) || /^-(?:\s|$)/.test(text)) return -1;
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '#' && index > 0 && /\s/.test(text[index - 1])) return -1;
+    if (text[index] === ':' && (index + 1 === text.length || /\s/.test(text[index + 1]))) return index;
+  }
+  return -1;
+}
+
+function unescapeDouble(body, line) {
+  let result = '';
+  for (let index = 0; index < body.length; index++) {
+    const character = body[index];
+    if (character !== '\\') {
+      result += character;
+      continue;
+    }
+    const next = body[++index];
+    if (next in DOUBLE_QUOTE_ESCAPES) {
+      result += DOUBLE_QUOTE_ESCAPES[next];
+    } else if (next === 'x' || next === 'u' || next === 'U') {
+      const length = { x: 2, u: 4, U: 8 }[next];
+      const hex = body.slice(index + 1, index + 1 + length);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== length) throw new YamlError('Invalid escape sequence', line);
+      result += String.fromCodePoint(parseInt(hex, 16));
+      index += length;
+    } else {
+      throw new YamlError(`Invalid escape sequence \\${next}`, line);
+    }
+  }
+  return result;
+}
+
+// Folds the line breaks of a multi-line plain or quoted scalar: single breaks
+// become spaces and each blank line becomes a newline. In double-quoted
+// scalars a trailing backslash joins lines without a space.
+function foldLines(lines, quote = null) {
+  let result = '';
+  let breaks = 0;
+  lines.forEach((line, index) => {
+    const text = index === 0 ? line : line.trimStart();
+    if (index > 0 && index < lines.length - 1 && text.trim() === '') {
+      breaks++;
+      return;
+    }
+    if (index > 0) {
+      if (quote === '"' && breaks === 0 && /(?:^|[^\\])(?:\\\\)*\\$/.test(result)) {
+        result = result.slice(0, -1);
+      } else {
+        result = result.replace(/[ \t]+$/, '') + (breaks > 0 ? '\n'.repeat(breaks) : ' ');
+      }
+    }
+    breaks = 0;
+    result += text;
+  });
+  return result;
+}
+
+class Parser {
+  constructor(text) {
+    this.lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((raw, index) => {
+      const indent = raw.length - raw.replace(/^ +/, '').length;
+      return { number: index + 1, raw, indent, text: raw.slice(indent) };
+    });
+    this.index = 0;
+    this.anchors = new Map();
+  }
+
+  parseDocument() {
+    this.skipBlank();
+    while (this.current() && this.current().text.startsWith('%')) {
+      this.index++;
+      this.skipBlank();
+    }
+    const first = this.current();
+    if (first && first.indent === 0 && /^---(?:\s|$)/.test(first.text)) {
+      const rest = first.text.slice(3).trim();
+      if (rest && !rest.startsWith('#')) throw new YamlError('Content after a document marker is not supported', first.number);
+      this.index++;
+      this.skipBlank();
+    }
+    const start = this.current();
+    if (!start || this.isDocumentEnd(start)) return null;
+    if (start.indent > 0 && start.text.startsWith('\t')) throw new YamlError('Tabs are not allowed for indentation', start.number);
+    const root = this.parseBlock(start.indent, -1);
+    this.skipBlank();
+    const leftover = this.current();
+    if (leftover && !this.isDocumentEnd(leftover)) {
+      throw new YamlError('Unexpected content; check the indentation', leftover.number);
+    }
+    return root;
+  }
+
+  current() {
+    return this.lines[this.index] || null;
+  }
+
+  skipBlank() {
+    while (this.index < this.lines.length && isBlank(this.lines[this.index].raw)) this.index++;
+  }
+
+  isDocumentEnd(line) {
+    return line.indent === 0 && /^(?:---|\.\.\.)(?:\s|$)/.test(line.text);
+  }
+
+  // Parses the node that starts on the current line at `indent`. `parentIndent`
+  // is the indentation of the enclosing collection, used by block scalars.
+  parseBlock(indent, parentIndent) {
+    const line = this.current();
+    if (line.text.startsWith('\t')) throw new YamlError('Tabs are not allowed for indentation', line.number);
+    if (/^-(?:\s|$)/.test(line.text)) return this.parseSequence(indent);
+    if (mappingIndicator(line.text) >= 0) return this.parseMapping(indent);
+    this.index++;
+    return this.parseInlineValue(line.text, line, parentIndent);
+  }
+
+  parseSequence(indent) {
+    const node = { kind: 'seq', line: this.current().number, endLine: this.current().number, items: [] };
+    for (;;) {
+      this.skipBlank();
+      const line = this.current();
+      if (!line || this.isDocumentEnd(line) || line.indent !== indent || !/^-(?:\s|$)/.test(line.text)) break;
+      const rest = line.text.slice(1);
+      const offset = rest.length - rest.trimStart().length;
+      const content = rest.trimStart();
+      let item;
+      if (isBlank(content)) {
+        this.index++;
+        item = this.parseNested(indent, line, true);
+      } else if (/^-(?:\s|$)/.test(content) || mappingIndicator(content) >= 0) {
+        // Re-read the rest of the line as a node at its own column so the
+        // following lines of a compact mapping or sequence attach to it.
+        this.lines[this.index] = { ...line, indent: indent + 1 + offset, text: content };
+        item = this.parseBlock(indent + 1 + offset, indent);
+      } else {
+        this.index++;
+        item = this.parseInlineValue(content, line, indent);
+      }
+      node.items.push(item);
+      node.endLine = Math.max(node.endLine, item.endLine);
+    }
+    return node;
+  }
+
+  parseMapping(indent) {
+    const node = { kind: 'map', line: this.current().number, endLine: this.current().number, entries: [] };
+    for (;;) {
+      this.skipBlank();
+      const line = this.current();
+      if (!line || this.isDocumentEnd(line) || line.indent !== indent) break;
+      if (line.text.startsWith('? ')) throw new YamlError('Complex mapping keys are not supported', line.number);
+      const colon = mappingIndicator(line.text);
+      if (colon < 0) {
+        if (/^-(?:\s|$)/.test(line.text)) break;
+        throw new YamlError('Expected a mapping entry', line.number);
+      }
+      const key = this.parseKey(line.text.slice(0, colon).trim(), line);
+      const rest = line.text.slice(colon + 1).trim();
+      this.index++;
+      let value;
+      if (isBlank(rest)) {
+        value = this.parseNested(indent, line, false);
+      } else {
+        value = this.parseInlineValue(rest, line, indent);
+      }
+      node.entries.push({ key, value });
+      node.endLine = Math.max(node.endLine, value.endLine);
+    }
+    return node;
+  }
+
+  parseKey(text, line) {
+    let value = text;
+    let style = 'plain';
+    if (text.startsWith('"')) {
+      value = unescapeDouble(text.slice(1, -1), line.number);
+      style = 'double';
+    } else if (text.startsWith('\'')) {
+      value = text.slice(1, -1).replace(/''/g, '\'');
+      style = 'single';
+    }
+    return { kind: 'scalar', line: line.number, endLine: line.number, value, style };
+  }
+
+  // Parses the block node below a key or dash with no inline value. Block
+  // sequences may sit at the same indentation as their mapping key.
+  parseNested(indent, line, inSequence, properties = {}) {
+    this.skipBlank();
+    const next = this.current();
+    if (next && !this.isDocumentEnd(next) &&
+        (next.indent > indent || (!inSequence && next.indent === indent && /^-(?:\s|$)/.test(next.text)))) {
+      return this.withProperties(this.parseBlock(next.indent, indent), properties);
+    }
+    return this.withProperties({ kind: 'scalar', line: line.number, endLine: line.number, value: null, style: 'plain' }, properties);
+  }
+
+  withProperties(node, { anchor }) {
+    if (anchor) this.anchors.set(anchor, node);
+    return node;
+  }
+
+  // Parses a value that begins on `line` after a key or dash. The parser has
+  // already advanced past `line`.
+  parseInlineValue(text, line, parentIndent) {
+    let rest = text;
+    const properties = {};
+    for (;;) {
+      const match = /^(&[^\s,[\]{}]+|!\S*)(?:\s+|$)/.exec(rest);
+      if (!match) break;
+      if (match[1].startsWith('&')) properties.anchor = match[1].slice(1);
+      rest = rest.slice(match[0].length);
+    }
+    if (isBlank(rest)) return this.parseNested(parentIndent, line, false, properties);
+
+    if (rest.startsWith('*')) {
+      const name = stripComment(rest).slice(1);
+      if (!this.anchors.has(name)) throw new YamlError(`Unknown alias *${name}`, line.number);
+      return this.anchors.get(name);
+    }
+    let node;
+    if (rest.startsWith('|') || rest.startsWith('>')) {
+      node = this.parseBlockScalar(rest, line, parentIndent);
+    } else if (rest.startsWith('[') || rest.startsWith('{')) {
+      node = this.parseFlow(rest, line);
+    } else if (rest.startsWith('"') || rest.startsWith('\'')) {
+      node = this.parseQuoted(rest, line);
+    } else {
+      node = this.parsePlain(rest, line, parentIndent);
+    }
+    return this.withProperties(node, properties);
+  }
+
+  parsePlain(text, line, parentIndent) {
+    const parts = [stripComment(text)];
+    let endLine = line.number;
+    // Continuation lines are indented deeper than the owning key or dash.
+    if (stripComment(text) === text.trimEnd()) {
+      for (;;) {
+        let lookahead = this.index;
+        while (lookahead < this.lines.length && this.lines[lookahead].raw.trim() === '') lookahead++;
+        const next = this.lines[lookahead];
+        if (!next || next.indent <= parentIndent || next.text.startsWith('#') || this.isDocumentEnd(next)) break;
+        if (mappingIndicator(next.text) >= 0) break;
+        for (let blank = this.index; blank < lookahead; blank++) parts.push('');
+        parts.push(stripComment(next.text));
+        endLine = next.number;
+        this.index = lookahead + 1;
+        if (next.text !== stripComment(next.text)) break;
+      }
+    }
+    return { kind: 'scalar', line: line.number, endLine, value: foldLines(parts), style: 'plain' };
+  }
+
+  parseQuoted(text, line) {
+    const quote = text[0];
+    let buffer = text;
+    let endLine = line.number;
+    for (;;) {
+      let index = 1;
+      let closed = -1;
+      while (index < buffer.length) {
+        if (quote === '"' && buffer[index] === '\\') {
+          index += 2;
+        } else if (quote === '\'' && buffer[index] === '\'' && buffer[index + 1] === '\'') {
+          index += 2;
+        } else if (buffer[index] === quote) {
+          closed = index;
+          break;
+        } else {
+          index++;
+        }
+      }
+      if (closed >= 0) {
+        const trailing = stripComment(buffer.slice(closed + 1)).trim();
+        if (trailing) throw new YamlError('Unexpected content after a quoted scalar', endLine);
+        const body = buffer.slice(1, closed);
+        const folded = body.includes('\n') ? foldLines(body.split('\n'), quote) : body;
+        const value = quote === '"' ? unescapeDouble(folded, line.number) : folded.replace(/''/g, '\'');
+        return { kind: 'scalar', line: line.number, endLine, value, style: quote === '"' ? 'double' : 'single' };
+      }
+      const next = this.lines[this.index];
+      if (!next) throw new YamlError('Unterminated quoted scalar', line.number);
+      buffer += `\n${next.raw}`;
+      endLine = next.number;
+      this.index++;
+    }
+  }
+
+  parseBlockScalar(header, line, parentIndent) {
+    const match = /^([|>])([+-]?)([1-9]?)([+-]?)\s*(?:#.*)?$/.exec(header);
+    if (!match || (match[2] && match[4])) throw new YamlError('Invalid block scalar header', line.number);
+    const style = match[1] === '|' ? 'literal' : 'folded';
+    const chomping = match[2] || match[4] || '';
+    let contentIndent = match[3] ? Math.max(parentIndent, 0) + Number(match[3]) : null;
+
+    const content = [];
+    while (this.index < this.lines.length) {
+      const next = this.lines[this.index];
+      if (next.raw.trim() === '') {
+        // Spaces beyond the content indentation are part of the value.
+        const text = contentIndent !== null && next.raw.length > contentIndent ? next.raw.slice(contentIndent) : '';
+        content.push({ number: next.number, text });
+        this.index++;
+        continue;
+      }
+      if (contentIndent === null) {
+        if (next.indent <= parentIndent) break;
+        contentIndent = next.indent;
+      }
+      if (next.indent < contentIndent) break;
+      content.push({ number: next.number, text: next.raw.slice(contentIndent) });
+      this.index++;
+    }
+    let trailing = 0;
+    while (content.length > 0 && content[content.length - 1].text === '') {
+      content.pop();
+      trailing++;
+    }
+    const lines = content.map(entry => entry.text);
+    const endLine = content.length > 0 ? content[content.length - 1].number : line.number;
+
+    let value = '';
+    if (style === 'literal') {
+      value = lines.join('\n');
+    } else {
+      // Folded: breaks between normal lines become spaces; breaks next to
+      // blank or more-indented lines are kept.
+      lines.forEach((text, index) => {
+        const previous = lines[index - 1];
+        if (index === 0) value = text;
+        else if (text === '') value += '\n';
+        else if (previous === '') value += text;
+        else if (/^\s/.test(text) || /^\s/.test(previous)) value += `\n${text}`;
+        else value += ` ${text}`;
+      });
+    }
+    if (lines.length > 0 && chomping !== '-') value += '\n';
+    if (chomping === '+') value += '\n'.repeat(trailing);
+    return { kind: 'scalar', line: line.number, endLine, value, style, contentLine: content.length > 0 ? content[0].number : line.number };
+  }
+
+  parseFlow(text, line) {
+    // Collect lines until brackets balance, dropping comments.
+    const segments = [{ number: line.number, text: stripComment(text, true) }];
+    const depthOf = (value) => {
+      let depth = 0;
+      let quote = null;
+      for (let index = 0; index < value.length; index++) {
+        const character = value[index];
+        if (quote) {
+          if (quote === '"' && character === '\\') index++;
+          else if (character === quote) quote = null;
+        } else if (character === '"' || character === '\'') {
+          quote = character;
+        } else if (character === '[' || character === '{') {
+          depth++;
+        } else if (character === ']' || character === '}') {
+          depth--;
+        }
+      }
+      return depth;
+    };
+    while (depthOf(segments.map(segment => segment.text).join('\n')) > 0) {
+      const next = this.lines[this.index];
+      if (!next) throw new YamlError('Unterminated flow collection', line.number);
+      segments.push({ number: next.number, text: stripComment(next.raw, true) });
+      this.index++;
+    }
+    const source = segments.map(segment => segment.text).join('\n');
+    const lineAt = (position) => line.number + (source.slice(0, position).match(/\n/g) || []).length;
+    let position = 0;
+
+    const skipSpace = () => {
+      while (position < source.length && /\s/.test(source[position])) position++;
+    };
+    const parseScalar = (inMapping) => {
+      skipSpace();
+      const start = position;
+      const startLine = lineAt(start);
+      const quote = source[position];
+      if (quote === '"' || quote === '\'') {
+        position++;
+        while (position < source.length) {
+          if (quote === '"' && source[position] === '\\') position += 2;
+          else if (quote === '\'' && source[position] === '\'' && source[position + 1] === '\'') position += 2;
+          else if (source[position] === quote) break;
+          else position++;
+        }
+        if (position >= source.length) throw new YamlError('Unterminated quoted scalar', startLine);
+        position++;
+        const body = source.slice(start + 1, position - 1).replace(/\s*\n\s*/g, ' ');
+        const value = quote === '"' ? unescapeDouble(body, startLine) : body.replace(/''/g, '\'');
+        return { kind: 'scalar', line: startLine, endLine: lineAt(position), value, style: quote === '"' ? 'double' : 'single' };
+      }
+      while (position < source.length && !/[,[\]{}]/.test(source[position])) {
+        if (inMapping && source[position] === ':' && /[\s,[\]{}]/.test(source[position + 1] || ' ')) break;
+        position++;
+      }
+      const raw = source.slice(start, position).replace(/\s*\n\s*/g, ' ').trim();
+      return { kind: 'scalar', line: startLine, endLine: lineAt(position), value: raw === '' ? null : raw, style: 'plain' };
+    };
+    const parseItem = (inMapping) => {
+      skipSpace();
+      const character = source[position];
+      if (character === '[' || character === '{') return parseCollection();
+      if (character === '*') {
+        const match = /^\*([^\s,[\]{}]+)/.exec(source.slice(position));
+        if (!match || !this.anchors.has(match[1])) throw new YamlError('Unknown alias', lineAt(position));
+        position += match[0].length;
+        return this.anchors.get(match[1]);
+      }
+      return parseScalar(inMapping);
+    };
+    const parseCollection = () => {
+      const open = source[position];
+      const close = open === '[' ? ']' : '}';
+      const node = open === '['
+        ? { kind: 'seq', line: lineAt(position), endLine: 0, items: [] }
+        : { kind: 'map', line: lineAt(position), endLine: 0, entries: [] };
+      position++;
+      for (;;) {
+        skipSpace();
+        if (source[position] === close) break;
+        if (position >= source.length) throw new YamlError('Unterminated flow collection', node.line);
+        if (open === '[') {
+          // `[key: value]` is shorthand for a single-pair mapping.
+          const item = parseItem(true);
+          skipSpace();
+          if (source[position] === ':' && item.kind === 'scalar') {
+            position++;
+            const value = parseItem(true);
+            node.items.push({ kind: 'map', line: item.line, endLine: value.endLine, entries: [{ key: item, value }] });
+          } else {
+            node.items.push(item);
+          }
+        } else {
+          const key = parseScalar(true);
+          skipSpace();
+          let value = { kind: 'scalar', line: key.line, endLine: key.line, value: null, style: 'plain' };
+          if (source[position] === ':') {
+            position++;
+            value = parseItem(true);
+          }
+          node.entries.push({ key, value });
+        }
+        skipSpace();
+        if (source[position] === ',') position++;
+        else if (source[position] !== close) throw new YamlError(`Expected , or ${close} in flow collection`, lineAt(position));
+      }
+      position++;
+      node.endLine = lineAt(position - 1);
+      return node;
+    };
+
+    const node = parseCollection();
+    skipSpace();
+    if (position < source.length) throw new YamlError('Unexpected content after a flow collection', lineAt(position));
+    return node;
+  }
+}
+
+function parse(text) {
+  return new Parser(String(text)).parseDocument();
+}
+
+// Mapping entries with `<<` merge keys expanded in place; explicit entries win.
+function entries(node) {
+  if (!node || node.kind !== 'map') return [];
+  const isMerge = entry => entry.key.value === '<<' && entry.key.style === 'plain';
+  const own = new Set(node.entries.filter(entry => !isMerge(entry)).map(entry => entry.key.value));
+  const result = [];
+  const merged = new Set();
+  for (const entry of node.entries) {
+    if (!isMerge(entry)) {
+      result.push(entry);
+      continue;
+    }
+    const sources = entry.value.kind === 'seq' ? entry.value.items : [entry.value];
+    for (const source of sources) {
+      for (const inherited of entries(source)) {
+        if (own.has(inherited.key.value) || merged.has(inherited.key.value)) continue;
+        merged.add(inherited.key.value);
+        result.push(inherited);
+      }
+    }
+  }
+  return result;
+}
+
+function get(node, key) {
+  const entry = entries(node).reverse().find(candidate => candidate.key.value === key);
+  return entry ? entry.value : null;
+}
+
+function scalar(node) {
+  return node && node.kind === 'scalar' ? node.value : null;
+}
+
+function toJS(node) {
+  if (!node) return null;
+  if (node.kind === 'seq') return node.items.map(toJS);
+  if (node.kind === 'map') {
+    const result = {};
+    for (const entry of entries(node)) result[entry.key.value] = toJS(entry.value);
+    return result;
+  }
+  if (node.style !== 'plain' || node.value === null) return node.value;
+  const value = node.value;
+  if (/^(?:null|Null|NULL|~)$/.test(value)) return null;
+  if (/^(?:true|True|TRUE)$/.test(value)) return true;
+  if (/^(?:false|False|FALSE)$/.test(value)) return false;
+  if (/^[-+]?\d+$/.test(value)) return Number(value);
+  if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value, 16);
+  if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+module.exports = { parse, entries, get, scalar, toJS, YamlError };
@@ -21,6 +21,8 @@ const pkg = require('../package.json');
 
 const SERVER_NAME = 'repository-manager-mcp';
 const APPLY_ENABLED = process.env.REPO_MANAGER_ENABLE_APPLY === 'true';
+const PLUGINS_ENABLED = process.env.REPO_MANAGER_ENABLE_PLUGINS === 'true';
+const CACHE_DIR = process.env.REPO_MANAGER_CACHE_DIR ? path.resolve(process.env.REPO_MANAGER_CACHE_DIR) : null;
 const ALLOWED_ROOTS = (process.env.REPO_MANAGER_ALLOWED_ROOTS || process.cwd())
   .split(path.delimiter)
   .filter(Boolean)
@@ -40,6 +42,8 @@ function createEngine(args) {
   return new Engine({
     projectRoot: allowedProjectRoot(args.projectRoot),
     config: args.policy || '.repo-manager.json',
+    allowPlugins: PLUGINS_ENABLED,
+    cacheDir: CACHE_DIR,
   });
 }
 
@@ -12,7 +12,7 @@ function buildContext(fixtureName, overrides = {}) {
   const packageJson = Context.readPackageJson(projectRoot);
   return new Context({
     projectRoot,
-    projectType: Context.detectProjectType(projectRoot),
+    ecosystems: Context.detectEcosystems(projectRoot),
     github: null,
     packageJson,
     gitInfo: null,
@@ -1,9 +1,12 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const CicdChecker = require('../../lib/checkers/cicd');
 const Context = require('../../lib/engine/Context');
 const Cache = require('../../lib/engine/Cache');
+const Planner = require('../../lib/control/Planner');
 
 const fixturesDir = path.join(__dirname, '..', 'fixtures');
 
@@ -12,7 +15,7 @@ function buildContext(fixtureName) {
   const packageJson = Context.readPackageJson(projectRoot);
   return new Context({
     projectRoot,
-    projectType: Context.detectProjectType(projectRoot),
+    ecosystems: Context.detectEcosystems(projectRoot),
     github: null,
     packageJson,
     gitInfo: null,
@@ -21,6 +24,17 @@ function buildContext(fixtureName) {
   });
 }
 
+function tempContext(projectRoot, config = {}) {
+  return new Context({
+    projectRoot,
+    github: null,
+    packageJson: null,
+    gitInfo: null,
+    config,
+    cache: new Cache(),
+  });
+}
+
 describe('CicdChecker', () => {
   let checker;
 
@@ -85,4 +99,565 @@ describe('CicdChecker', () => {
       expect(unpinned.length).toBeGreaterThanOrEqual(1);
     });
   });
+
+  describe('workflow structure', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-cicd-'));
+      fs.mkdirSync(path.join(root, '.github', 'workflows'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    function writeWorkflows(files) {
+      for (const [name, lines] of Object.entries(files)) {
+        fs.writeFileSync(path.join(root, '.github', 'workflows', name), `${lines.join('\n')}\n`);
+      }
+    }
+
+    function check(files) {
+      writeWorkflows(files);
+      return checker.check(tempContext(root));
+    }
+
+    it('accepts job-level permissions and flags only the jobs without them', async () => {
+      const result = await check({
+        'ci.yml': [
+          'on:',
+          '  pull_request:',
+          'jobs:',
+          '  test:',
+          '    permissions:',
+          '      contents: read',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - run: npm test',
+        ],
+        'label.yml': [
+          'on: [issues]',
+          'jobs:',
+          '  triage:',
+          '    permissions: {}',
+          '    runs-on: ubuntu-latest',
+          '    steps: []',
+          '  notify:',
+          '    runs-on: ubuntu-latest',
+          '    steps: []',
+        ],
+      });
+
+      const permissions = result.findings.filter(finding => finding.id === 'ci-003');
+      expect(permissions).toHaveLength(1);
+      expect(permissions[0]).toMatchObject({
+        message: 'No "permissions:" block for job notify in label.yml',
+        file: '.github/workflows/label.yml',
+        line: 7,
+      });
+      expect(result.findings.map(finding => finding.id)).not.toContain('ci-002');
+    });
+
+    it('audits permissions per declaration against triggers, policy, and steps', async () => {
+      writeWorkflows({
+        'release.yml': [
+          'on: push',
+          'permissions: write-all',
+          'jobs:',
+          '  release:',
+          '    runs-on: ubuntu-latest',
+          '    steps: []',
+        ],
+        'label.yml': [
+          'on: pull_request_target',
+          'permissions:',
+          '  contents: write',
+          '  pull-requests: write',
+          'jobs:',
+          '  label:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - uses: actions/labeler@v5',
+          '  notify:',
+          '    permissions:',
+          '      issues: write',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - run: gh issue comment 1 --body hi',
+        ],
+        'triage.yml': [
+          'on: [workflow_run]',
+          'jobs:',
+          '  triage:',
+          '    runs-on: ubuntu-latest',
+          '    steps: []',
+        ],
+      });
+      const result = await checker.check(tempContext(root, {
+        cicd: { allowedPermissions: { pull_request_target: { contents: 'read', 'pull-requests': 'write', issues: 'write' } } },
+      }));
+
+      const byId = id => result.findings.filter(finding => finding.id === id);
+      expect(byId('ci-009')).toEqual([expect.objectContaining({ file: '.github/workflows/release.yml', line: 2, severity: 'high' })]);
+      expect(byId('ci-010')).toEqual([expect.objectContaining({
+        file: '.github/workflows/label.yml',
+        line: 3,
+        current: { contents: 'write' },
+        expected: { contents: 'read' },
+      })]);
+      expect(byId('ci-011').map(finding => [finding.file, finding.line, finding.message])).toEqual([
+        ['.github/workflows/label.yml', 3, 'contents: write is granted for label.yml but no step appears to need it'],
+      ]);
+      expect(byId('ci-003')).toEqual([expect.objectContaining({
+        file: '.github/workflows/triage.yml',
+        severity: 'high',
+        message: 'No "permissions:" block found in triage.yml (triggered by workflow_run)',
+      })]);
+    });
+
+    it('detects pwn requests on privileged triggers', async () => {
+      writeWorkflows({
+        'preview.yml': [
+          'on: pull_request_target',
+          'permissions: {}',
+          'env:',
+          '  DEPLOY_KEY: ${{ secrets.DEPLOY_KEY }}',
+          'jobs:',
+          '  build:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - uses: actions/checkout@v4',
+          '        with:',
+          '          ref: ${{ github.event.pull_request.head.sha }}',
+          '      - name: Install',
+          '        run: npm ci --ignore-scripts',
+          '      - name: Build',
+          '        run: |',
+          '          echo building',
+          '          npm run build',
+          '  trusted:',
+          '    if: github.event.pull_request.head.repo.full_name == github.repository',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - run: gh pr checkout ${{ github.event.number }}',
+          '      - run: make',
+        ],
+        'report.yml': [
+          'on:',
+          '  workflow_run:',
+          '    workflows: [CI]',
+          '    types: [completed]',
+          'permissions: {}',
+          'jobs:',
+          '  comment:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - uses: actions/download-artifact@v4',
+          '        with:',
+          '          run-id: ${{ github.event.workflow_run.id }}',
+          '      - uses: ./.github/actions/report',
+        ],
+      });
+      const result = await checker.check(tempContext(root, {
+        cicd: { allowedPrivilegedWorkflows: [] },
+      }));
+
+      const pwn = result.findings.filter(finding => ['ci-012', 'ci-013', 'ci-014'].includes(finding.id));
+      expect(pwn.map(finding => [finding.id, finding.file.split('/').pop(), finding.line, finding.severity])).toEqual([
+        ['ci-012', 'preview.yml', 11, 'high'],
+        ['ci-014', 'preview.yml', 12, 'high'],
+        ['ci-013', 'preview.yml', 17, 'critical'],
+        ['ci-012', 'report.yml', 10, 'high'],
+        ['ci-013', 'report.yml', 13, 'critical'],
+      ]);
+      expect(pwn[1].message).toBe('Job build in preview.yml passes secrets to a step after fetching untrusted code: Install');
+    });
+
+    it('skips allowlisted privileged workflows', async () => {
+      writeWorkflows({
+        'preview.yml': [
+          'on: pull_request_target',
+          'permissions: {}',
+          'jobs:',
+          '  build:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - uses: actions/checkout@v4',
+          '        with:',
+          '          ref: ${{ github.event.pull_request.head.ref }}',
+          '      - run: npm test',
+        ],
+      });
+      const result = await checker.check(tempContext(root, {
+        cicd: { allowedPrivilegedWorkflows: ['.github/workflows/preview.yml'] },
+      }));
+
+      expect(result.findings.map(finding => finding.id)).not.toContain('ci-012');
+      expect(result.metadata.allowlistedPrivilegedWorkflows).toEqual(['.github/workflows/preview.yml']);
+    });
+
+    it('enforces the action allowlist, minimum versions, and the tag map', async () => {
+      const sha = tag => tag.replace(/\D/g, '').padEnd(40, 'a');
+      fs.writeFileSync(path.join(root, 'action-tags.json'), JSON.stringify({
+        'actions/checkout': { 'v4.1.0': sha('410'), 'v4.2.2': sha('422'), v4: sha('422') },
+        'actions/setup-node': { 'v4.0.0': sha('400') },
+      }));
+      writeWorkflows({
+        'ci.yml': [
+          'on: push',
+          'permissions: {}',
+          'jobs:',
+          '  build:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          `      - uses: actions/checkout@${sha('422')} # v4`,
+          `      - uses: actions/checkout@${sha('410')} # v4.2.2`,
+          `      - uses: actions/checkout@${sha('999')}`,
+          `      - uses: actions/setup-node@${sha('400')} # v3.9.0`,
+          '      - uses: octo/deploy@v1',
+          '      - uses: docker/login-action@main',
+        ],
+      });
+      const result = await checker.check(tempContext(root, {
+        cicd: {
+          allowedActions: ['actions/*', { pattern: 'docker/*', minimumVersion: 'v3' }],
+          actionTagMap: 'action-tags.json',
+        },
+      }));
+
+      const policy = result.findings.filter(finding => /^ci-01[5-8]$/.test(finding.id));
+      expect(policy.map(finding => [finding.id, finding.line])).toEqual([
+        ['ci-017', 8],
+        ['ci-018', 8],
+        ['ci-017', 9],
+        ['ci-017', 10],
+        ['ci-015', 11],
+        ['ci-016', 12],
+      ]);
+      expect(policy[0].message).toBe(`Pinned SHA does not match v4.2.2 in ci.yml: uses: actions/checkout@${sha('410')} (the SHA is v4.1.0)`);
+      expect(policy[1]).toMatchObject({ current: 'v4.1.0', expected: 'v4.2.2' });
+      expect(policy[3].message).toBe(`Pin comment v3.9.0 does not match v4.0.0 in ci.yml: uses: actions/setup-node@${sha('400')}`);
+    });
+
+    it('reports unpinned actions and reusable workflows at their own line', async () => {
+      const result = await check({
+        'ci.yml': [
+          'on: push',
+          'permissions: read-all',
+          'jobs:',
+          '  build:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - name: Checkout',
+          '        uses: actions/checkout@v4',
+          '      - uses: ./.github/actions/setup',
+          '      - uses: "actions/setup-node@820762786026740c76f36085b0efc47a31fe5020"',
+          '  deploy:',
+          '    uses: octo/workflows/.github/workflows/deploy.yml@main',
+        ],
+      });
+
+      expect(result.findings.filter(finding => finding.id === 'ci-004').map(finding => [finding.line, finding.message])).toEqual([
+        [8, 'Action is not pinned to an immutable commit in ci.yml: uses: actions/checkout@v4'],
+        [12, 'Action is not pinned to an immutable commit in ci.yml: uses: octo/workflows/.github/workflows/deploy.yml@main'],
+      ]);
+    });
+
+    it('flags untrusted expressions only inside run scripts', async () => {
+      const result = await check({
+        'ci.yml': [
+          'on: pull_request_target',
+          'permissions: {}',
+          'jobs:',
+          '  greet:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - name: Safe',
+          '        env:',
+          '          TITLE: ${{ github.event.pull_request.title }}',
+          '        run: |',
+          '          echo "$TITLE"',
+          '          config: value',
+          '          echo "${{ github.event.pull_request.body }}"',
+          '      - run: >-',
+          '          echo ${{ inputs.name }}',
+          '        with:',
+          '          note: ${{ github.event.comment.body }}',
+        ],
+      });
+
+      expect(result.findings.filter(finding => finding.id === 'ci-005').map(finding => finding.line)).toEqual([13, 15]);
+    });
+
+    it('detects matrices, test steps, and triggers structurally', async () => {
+      const result = await check({
+        'ci.yml': [
+          'on:',
+          '  workflow_dispatch:',
+          '  push:',
+          '    branches: [main]',
+          'permissions:',
+          '  contents: read',
+          'jobs:',
+          '  build:',
+          '    runs-on: ${{ matrix.os }}',
+          '    strategy:',
+          '      matrix: { os: [ubuntu-latest, windows-latest] }',
+          '    steps:',
+          '      - run: |',
+          '          npm ci',
+          '          npm run test -- --ci',
+        ],
+      });
+
+      const ids = result.findings.map(finding => finding.id);
+      expect(ids).not.toContain('ci-002');
+      expect(ids).not.toContain('ci-007');
+      expect(result.findings.find(finding => finding.id === 'ci-006')).toMatchObject({ file: '.github/workflows/ci.yml', line: 11 });
+    });
+
+    it('ignores lookalike text in comments and block scalars', async () => {
+      const result = await check({
+        'ci.yml': [
+          '# on: push',
+          'on: workflow_dispatch',
+          'jobs:',
+          '  docs:',
+          '    runs-on: ubuntu-latest',
+          '    steps:',
+          '      - run: |',
+          '          cat <<EOF',
+          '          permissions:',
+          '          strategy:',
+          '            matrix:',
+          '          EOF',
+        ],
+      });
+
+      const ids = result.findings.map(finding => finding.id);
+      expect(ids).toEqual(expect.arrayContaining(['ci-002', 'ci-003', 'ci-007']));
+      expect(ids).not.toContain('ci-006');
+    });
+
+    it('reports workflows that are not valid YAML', async () => {
+      const result = await check({
+        'ci.yml': [
+          'on: push',
+          'jobs:',
+          '  build:',
+          '    steps: [',
+        ],
+      });
+
+      expect(result.findings.find(finding => finding.id === 'ci-008')).toMatchObject({
+        severity: 'medium',
+        file: '.github/workflows/ci.yml',
+        line: 4,
+      });
+      expect(result.metadata.parseErrors).toBe(1);
+    });
+
+    describe('plan()', () => {
+      const checkoutSha = 'b4ffde65f46336ab88eb53be808477a3936bae11';
+      const setupSha = '60edb5dd545a775178f52524783378180af0d1f8';
+
+      async function planFor(config) {
+        const context = tempContext(root, config);
+        const result = await checker.check(context);
+        return { context, plan: await checker.plan(context, result.findings.filter(finding => finding.fixable)) };
+      }
+
+      it('pins tagged actions to commit SHAs from the tag map', async () => {
+        fs.writeFileSync(path.join(root, 'action-tags.json'), JSON.stringify({
+          'actions/checkout': { v4: checkoutSha },
+          'actions/setup-node': { 'v4.0.2': setupSha },
+        }));
+        writeWorkflows({
+          'ci.yml': [
+            'on: push',
+            'permissions: {}',
+            'jobs:',
+            '  build:',
+            '    runs-on: ubuntu-latest',
+            '    steps:',
+            '      - uses: actions/checkout@v4',
+            '      - uses: "actions/setup-node@v4.0.2" # keep in sync with .nvmrc',
+            '      - uses: octo/deploy@v1',
+          ],
+        });
+        const before = fs.readFileSync(path.join(root, '.github', 'workflows', 'ci.yml'), 'utf8');
+
+        const { context, plan } = await planFor({ cicd: { actionTagMap: 'action-tags.json' } });
+
+        expect(plan.operations).toHaveLength(1);
+        expect(plan.operations[0]).toMatchObject({
+          id: 'cicd:update-workflow:.github/workflows/ci.yml',
+          type: 'write-file',
+          path: '.github/workflows/ci.yml',
+          findingId: 'ci-004',
+          beforeHash: Planner.hash(before),
+        });
+        expect(plan.operations[0].content.split('\n').slice(6, 9)).toEqual([
+          `      - uses: actions/checkout@${checkoutSha} # v4`,
+          `      - uses: "actions/setup-node@${setupSha}" # v4.0.2 keep in sync with .nvmrc`,
+          '      - uses: octo/deploy@v1',
+        ]);
+        expect(plan.unsupported.filter(entry => entry.id === 'ci-004'))
+          .toEqual([expect.objectContaining({ line: 9, reason: expect.stringContaining('octo/deploy@v1') })]);
+        expect(context.readFile('.github/workflows/ci.yml')).toBe(before);
+      });
+
+      it('resolves through the GitHub API when a client is available', async () => {
+        writeWorkflows({
+          'ci.yml': ['on: push', 'permissions: {}', 'jobs:', '  build:', '    uses: octo/workflows/.github/workflows/build.yml@v2'],
+        });
+        const context = tempContext(root);
+        context.github = {
+          git: {
+            getRef: async ({ owner, repo, ref }) => {
+              expect([owner, repo, ref]).toEqual(['octo', 'workflows', 'tags/v2']);
+              return { data: { object: { type: 'commit', sha: checkoutSha } } };
+            },
+          },
+        };
+        const result = await checker.check(context);
+        const plan = await checker.plan(context, result.findings.filter(finding => finding.fixable));
+
+        expect(plan.operations[0].content.split('\n')[4])
+          .toBe(`    uses: octo/workflows/.github/workflows/build.yml@${checkoutSha} # v2`);
+      });
+
+      it('adds a read-only permissions block and pins the same workflow in one write', async () => {
+        fs.writeFileSync(path.join(root, 'action-tags.json'), JSON.stringify({ 'actions/checkout': { v4: checkoutSha } }));
+        writeWorkflows({
+          'ci.yml': ['name: CI', 'on:', '  push:', '    branches: [main]', '', 'jobs:', '    test:', '        runs-on: ubuntu-latest', '        steps:', '            - uses: actions/checkout@v4', '            - run: npm test'],
+          'release.yml': ['on: push', 'jobs:', '  publish:', '    runs-on: ubuntu-latest', '    steps:', '      - run: git push --tags'],
+        });
+
+        const { plan } = await planFor({ cicd: { actionTagMap: 'action-tags.json' } });
+
+        expect(plan.operations).toHaveLength(1);
+        expect(plan.operations[0]).toMatchObject({
+          findingId: 'ci-003, ci-004',
+          description: 'Pin 1 action reference to commit SHAs and add a read-only top-level permissions block in .github/workflows/ci.yml',
+        });
+        expect(plan.operations[0].content.split('\n').slice(0, 12)).toEqual([
+          'name: CI', 'on:', '  push:', '    branches: [main]', '', 'permissions:', '    contents: read', '', 'jobs:', '    test:',
+          '        runs-on: ubuntu-latest', '        steps:',
+        ]);
+        expect(plan.operations[0].content).toContain(`uses: actions/checkout@${checkoutSha} # v4`);
+        expect(plan.unsupported).toContainEqual({
+          id: 'ci-003',
+          file: '.github/workflows/release.yml',
+          reason: 'Unscoped job publish needs contents: write; declare permissions by hand',
+        });
+      });
+
+      it('scaffolds a pinned CI workflow from package.json when no workflow runs tests', async () => {
+        fs.writeFileSync(path.join(root, 'action-tags.json'), JSON.stringify({
+          'actions/checkout': { v4: checkoutSha },
+          'actions/setup-node': { v4: setupSha },
+        }));
+        fs.writeFileSync(path.join(root, 'yarn.lock'), '');
+        writeWorkflows({ 'ci.yml': ['on: push', 'permissions: {}', 'jobs:', '  lint:', '    runs-on: ubuntu-latest', '    steps:', '      - run: echo lint'] });
+        const context = tempContext(root, { cicd: { actionTagMap: 'action-tags.json' } });
+        context.packageJson = { name: 'demo', engines: { node: '>=20 <25' }, scripts: { 'test:unit': 'jest' } };
+
+        const result = await checker.check(context);
+        const plan = await checker.plan(context, result.findings.filter(finding => finding.fixable));
+
+        expect(plan.operations).toEqual([expect.objectContaining({
+          id: 'cicd:create-workflow:.github/workflows/test.yml',
+          findingId: 'ci-007',
+          path: '.github/workflows/test.yml',
+          beforeHash: null,
+          description: 'Create a CI workflow that runs yarn run test:unit on Node.js 20, 22, 24',
+        })]);
+        const content = plan.operations[0].content;
+        expect(content).toContain('        node-version: [20.x, 22.x, 24.x]');
+        expect(content).toContain(`      - uses: actions/setup-node@${setupSha} # v4`);
+        expect(content).toContain('      - run: corepack enable\n');
+        expect(content).toContain('      - run: yarn install --frozen-lockfile\n      - run: yarn run test:unit\n');
+
+        fs.writeFileSync(path.join(root, '.github', 'workflows', 'test.yml'), content);
+        const rechecked = await checker.check(context);
+        expect(rechecked.findings.map(finding => finding.id).filter(id => id !== 'ci-006')).toEqual([]);
+      });
+
+      it('scaffolds with the newest release the action tag map lists', async () => {
+        fs.writeFileSync(path.join(root, 'action-tags.json'), JSON.stringify({
+          'actions/checkout': { v4: '4'.repeat(40), v7: checkoutSha, 'v7.1.0': checkoutSha },
+          'actions/setup-node': { 'v6.2.0': '6'.repeat(40), v7: setupSha },
+        }));
+        fs.rmSync(path.join(root, '.github'), { recursive: true });
+        const context = tempContext(root, { cicd: { actionTagMap: 'action-tags.json' } });
+        context.packageJson = { name: 'demo', scripts: { test: 'jest' } };
+
+        const plan = await checker.plan(context, [{ id: 'ci-001' }]);
+        const content = plan.operations[0].content;
+        expect(content).toContain(`      - uses: actions/checkout@${checkoutSha} # v7.1.0`);
+        expect(content).toContain(`      - uses: actions/setup-node@${setupSha} # v7`);
+      });
+
+      it('explains why a CI workflow cannot be scaffolded', async () => {
+        fs.rmSync(path.join(root, '.github'), { recursive: true });
+        const context = tempContext(root);
+        context.packageJson = { name: 'demo', scripts: { test: 'echo "Error: no test specified" && exit 1' } };
+
+        const plan = await checker.plan(context, [{ id: 'ci-001' }]);
+
+        expect(plan.operations).toEqual([]);
+        expect(plan.unsupported).toEqual([{ id: 'ci-001', reason: 'package.json has no test script for the workflow to run' }]);
+      });
+
+      it('reports every reference as unsupported when no resolver is available', async () => {
+        writeWorkflows({ 'ci.yml': ['on: push', 'permissions: {}', 'jobs:', '  build:', '    steps:', '      - uses: actions/checkout@v4'] });
+        const { plan } = await planFor({});
+
+        expect(plan.operations).toEqual([]);
+        expect(plan.unsupported[0].reason).toMatch(/configure cicd\.actionTagMap or provide a GitHub token/);
+      });
+    });
+  });
+
+  describe('inline pragmas', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-cicd-'));
+      fs.mkdirSync(path.join(root, '.github', 'workflows'), { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('records reasoned waivers for ci-005 on the same or preceding line', async () => {
+      fs.writeFileSync(path.join(root, '.github', 'workflows', 'ci.yml'), [
+        'on: issues',
+        'jobs:',
+        '  triage:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - name: Label',
+        '        run: |',
+        '          # repo-manager:ignore ci-005 reason="title is passed to a quoting helper"',
+        '          ./label "${{ github.event.issue.title }}"',
+        '          echo "${{ github.event.issue.body }}" # repo-manager:ignore ci-005',
+        '',
+      ].join('\n'));
+      const result = await checker.check(tempContext(root));
+
+      const injections = result.findings.filter(finding => finding.id === 'ci-005');
+      expect(injections).toHaveLength(2);
+      expect(injections[0].inlineSuppression).toEqual({
+        type: 'inline',
+        file: '.github/workflows/ci.yml',
+        line: 8,
+        reason: 'title is passed to a quoting helper',
+      });
+      expect(injections[1].inlineSuppression).toBeUndefined();
+    });
+  });
 });
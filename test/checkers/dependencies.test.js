@@ -1,5 +1,7 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const DependenciesChecker = require('../../lib/checkers/dependencies');
 const Context = require('../../lib/engine/Context');
@@ -14,7 +16,7 @@ function buildContext(fixtureName) {
 
   return new Context({
     projectRoot,
-    projectType: Context.detectProjectType(projectRoot),
+    ecosystems: Context.detectEcosystems(projectRoot),
     github: null,
     packageJson,
     gitInfo: null,
@@ -81,4 +83,139 @@ describe('DependenciesChecker', () => {
     });
   });
 
+  describe('Python project', () => {
+    let root;
+
+    function buildPythonContext(files) {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-python-'));
+      for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+      }
+      return new Context({ projectRoot: root, github: null, packageJson: null, gitInfo: null, config: {}, cache: new Cache() });
+    }
+
+    afterEach(() => {
+      if (root) fs.rmSync(root, { recursive: true, force: true });
+      root = null;
+    });
+
+    it('accepts a locked project with complete metadata', async () => {
+      const result = await checker.check(buildContext('python-project'));
+
+      expect(result.findings).toEqual([]);
+      expect(result.score).toBe(100);
+      expect(result.metadata.ecosystems).toEqual([{ name: 'python', root: '.', lockFile: 'uv.lock', requirementFiles: [] }]);
+    });
+
+    it('reports unpinned requirements and missing pyproject metadata', async () => {
+      const result = await checker.check(buildPythonContext({
+        'pyproject.toml': '[project]\nname = "demo"\ndependencies = ["flask"]\n',
+        'requirements.txt': 'flask==3.0.3\n',
+        'requirements/dev.txt': '-r ../requirements.txt\npytest>=8\nruff\n',
+      }));
+
+      expect(result.findings.map(({ id, file, line }) => ({ id, file, line }))).toEqual([
+        { id: 'dep-011', file: 'requirements/dev.txt', line: 2 },
+        { id: 'dep-013', file: 'pyproject.toml', line: 1 },
+        { id: 'dep-014', file: 'pyproject.toml', line: 1 },
+      ]);
+      expect(result.findings[0].message).toBe('2 requirements in requirements/dev.txt are not pinned to an exact version: pytest, ruff');
+      expect(result.score).toBe(75);
+    });
+
+    it('reports unlocked dependencies and stale lock files', async () => {
+      const pyproject = '[tool.poetry]\nname = "demo"\nlicense = "MIT"\n[tool.poetry.dependencies]\npython = "^3.11"\nhttpx = "^0.27"\n';
+      const unlocked = await checker.check(buildPythonContext({ 'pyproject.toml': pyproject }));
+      expect(unlocked.findings.map(finding => finding.id)).toEqual(['dep-010']);
+      fs.rmSync(root, { recursive: true, force: true });
+
+      const stale = await checker.check(buildPythonContext({
+        'pyproject.toml': pyproject,
+        'poetry.lock': '[[package]]\nname = "anyio"\nversion = "4.4.0"\n',
+      }));
+      expect(stale.findings.map(({ id, message }) => ({ id, message }))).toEqual([
+        { id: 'dep-012', message: 'poetry.lock is out of date with pyproject.toml: httpx is not locked' },
+      ]);
+    });
+
+    it('checks every Node.js and Python root with paths relative to the project', async () => {
+      const result = await checker.check(buildPythonContext({
+        'platformio.ini': '[env:esp32]\n',
+        'dashboard/package.json': '{"name":"dashboard","license":"MIT","engines":{"node":">=20"}}',
+        'dashboard/package-lock.json': '{}',
+        'tools/requirements.txt': 'click\n',
+      }));
+
+      expect(result.metadata.ecosystems).toEqual([
+        { name: 'node', root: 'dashboard' },
+        { name: 'python', root: 'tools', lockFile: null, requirementFiles: ['requirements.txt'] },
+      ]);
+      expect(result.findings.map(({ id, file, message }) => ({ id, file, message }))).toEqual([{
+        id: 'dep-011',
+        file: 'tools/requirements.txt',
+        message: 'tools: 1 requirement in requirements.txt is not pinned to an exact version: click',
+      }]);
+    });
+
+    it('reports pyproject.toml syntax errors', async () => {
+      const result = await checker.check(buildPythonContext({ 'pyproject.toml': '[project]\nname = "demo\n' }));
+
+      expect(result.findings).toEqual([expect.objectContaining({ id: 'dep-015', file: 'pyproject.toml', line: 2 })]);
+    });
+  });
+
+
+  describe('workspace packages', () => {
+    let root;
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    function buildWorkspaceContext(config = {}) {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-workspaces-'));
+      const files = {
+        'package.json': { name: 'monorepo', private: true, license: 'MIT', engines: { node: '>=20' }, workspaces: ['packages/*'] },
+        'package-lock.json': {},
+        'packages/ui/package.json': { name: '@acme/ui', license: 'MIT', engines: { node: '>=20' } },
+        'packages/api/package.json': { name: '@acme/api' },
+      };
+      for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), JSON.stringify(content));
+      }
+      return new Context({
+        projectRoot: root,
+        github: null,
+        packageJson: Context.readPackageJson(root),
+        gitInfo: null,
+        config,
+        cache: new Cache(),
+      });
+    }
+
+    it('checks license and engines of each package and reports sub-results', async () => {
+      const result = await checker.check(buildWorkspaceContext());
+
+      expect(result.findings.map(({ id, file, message }) => ({ id, file, message }))).toEqual([
+        { id: 'dep-002', file: 'packages/api/package.json', message: '@acme/api: package.json is missing the "license" field' },
+        { id: 'dep-005', file: 'packages/api/package.json', message: '@acme/api: package.json is missing the "engines" field' },
+      ]);
+      expect(result.metadata.packages).toEqual([
+        { name: '@acme/api', path: 'packages/api', enabled: true, score: 85, findings: ['dep-002', 'dep-005'] },
+        { name: '@acme/ui', path: 'packages/ui', enabled: true, score: 100, findings: [] },
+      ]);
+      expect(result.score).toBe(93);
+    });
+
+    it('applies per-package policy overrides', async () => {
+      const result = await checker.check(buildWorkspaceContext({
+        workspaces: { packages: { 'packages/api': { disabledFindings: ['dep-005'] } } },
+      }));
+
+      expect(result.findings.map(finding => finding.id)).toEqual(['dep-002']);
+      expect(result.metadata.packages[0]).toEqual({ name: '@acme/api', path: 'packages/api', enabled: true, score: 90, findings: ['dep-002'] });
+    });
+  });
 });
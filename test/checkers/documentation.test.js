@@ -1,9 +1,12 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const DocumentationChecker = require('../../lib/checkers/documentation');
 const Context = require('../../lib/engine/Context');
 const Cache = require('../../lib/engine/Cache');
+const Planner = require('../../lib/control/Planner');
 
 const fixturesDir = path.join(__dirname, '..', 'fixtures');
 
@@ -12,7 +15,7 @@ function buildContext(fixtureName) {
   const packageJson = Context.readPackageJson(projectRoot);
   return new Context({
     projectRoot,
-    projectType: Context.detectProjectType(projectRoot),
+    ecosystems: Context.detectEcosystems(projectRoot),
     github: null,
     packageJson,
     gitInfo: null,
@@ -85,4 +88,125 @@ describe('DocumentationChecker', () => {
       expect(sectionFindings.length).toBeGreaterThanOrEqual(3);
     });
   });
+
+  describe('plan()', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-docs-'));
+      fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({
+        name: 'demo',
+        version: '1.0.0',
+        description: 'A demonstration package',
+        license: 'Apache-2.0',
+        scripts: { test: 'jest', lint: 'eslint .' },
+      }));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    function context(config = {}) {
+      return new Context({
+        projectRoot: root,
+        github: null,
+        packageJson: Context.readPackageJson(root),
+        gitInfo: { owner: 'octo', repo: 'demo', defaultBranch: 'main' },
+        config,
+        cache: new Cache(),
+      });
+    }
+
+    it('creates README, CHANGELOG, and CONTRIBUTING from the built-in templates', async () => {
+      const ctx = context();
+      const result = await checker.check(ctx);
+      const plan = await checker.plan(ctx, result.findings.filter(finding => finding.fixable));
+
+      expect(plan.operations.map(operation => [operation.findingId, operation.path, operation.beforeHash])).toEqual([
+        ['doc-001', 'README.md', null],
+        ['doc-007', 'CHANGELOG.md', null],
+        ['doc-009', 'CONTRIBUTING.md', null],
+      ]);
+      expect(plan.unsupported).toEqual([]);
+      const readme = plan.operations[0].content;
+      expect(readme).toContain('# demo\n');
+      expect(readme).toContain('A demonstration package');
+      expect(readme).toContain('npm install demo');
+      expect(readme).toContain('- `npm run lint` runs `eslint .`');
+      expect(readme).toContain('https://img.shields.io/badge/license-Apache--2.0-blue.svg');
+
+      for (const operation of plan.operations) fs.writeFileSync(path.join(root, operation.path), operation.content);
+      const rechecked = await checker.check(context());
+      expect(rechecked.findings.filter(finding => finding.severity !== 'info').map(finding => finding.id)).toEqual(['doc-011']);
+    });
+
+    it('prefers organization templates and records the hash of an existing empty file', async () => {
+      fs.mkdirSync(path.join(root, 'templates'));
+      fs.writeFileSync(path.join(root, 'templates', 'CONTRIBUTING.md'), '# Contributing to {{name}}\n\nRead {{repository.url}}/wiki first.\n');
+      fs.writeFileSync(path.join(root, 'CONTRIBUTING.md'), '');
+      const ctx = context({ documentation: { templateDirs: ['templates'] } });
+
+      const plan = await checker.plan(ctx, [{ id: 'doc-009' }]);
+
+      expect(plan.operations[0]).toMatchObject({
+        path: 'CONTRIBUTING.md',
+        description: 'Create CONTRIBUTING.md from the templates template',
+        beforeHash: Planner.hash(''),
+        content: '# Contributing to demo\n\nRead https://github.com/octo/demo/wiki first.\n',
+      });
+    });
+
+    it('reports a template with an unknown placeholder as unsupported', async () => {
+      fs.mkdirSync(path.join(root, 'templates'));
+      fs.writeFileSync(path.join(root, 'templates', 'CHANGELOG.md'), '# {{projectName}}\n');
+
+      const plan = await checker.plan(context({ documentation: { templateDirs: ['templates'] } }), [{ id: 'doc-007' }]);
+
+      expect(plan.operations).toEqual([]);
+      expect(plan.unsupported).toEqual([{ id: 'doc-007', reason: 'Template templates/CHANGELOG.md uses an unknown placeholder: projectName' }]);
+    });
+  });
+
+  describe('workspace packages', () => {
+    let root;
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('checks the README and description of each package', async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-docs-'));
+      const files = {
+        'package.json': JSON.stringify({ name: 'monorepo', description: 'Tools', workspaces: ['packages/*', 'examples/*'] }),
+        'packages/ui/package.json': JSON.stringify({ name: '@acme/ui', description: 'Components' }),
+        'packages/ui/README.md': '# @acme/ui\n',
+        'packages/api/package.json': JSON.stringify({ name: '@acme/api' }),
+        'examples/basic/package.json': JSON.stringify({ name: 'basic-example' }),
+      };
+      for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+        fs.writeFileSync(path.join(root, file), content);
+      }
+      const result = await checker.check(new Context({
+        projectRoot: root,
+        github: null,
+        packageJson: Context.readPackageJson(root),
+        gitInfo: null,
+        config: { workspaces: { packages: { 'basic-example': { enabled: false } } } },
+        cache: new Cache(),
+      }));
+
+      expect(result.findings.filter(finding => finding.file && finding.file.startsWith('packages/'))
+        .map(({ id, severity, file, message }) => ({ id, severity, file, message }))).toEqual([
+        { id: 'doc-017', severity: 'medium', file: 'packages/api/README.md', message: '@acme/api: README.md is missing' },
+        { id: 'doc-012', severity: 'low', file: 'packages/api/package.json', message: '@acme/api: package.json is missing the "description" field' },
+      ]);
+      expect(result.metadata.packages).toEqual([
+        { name: 'basic-example', path: 'examples/basic', enabled: false, score: null, findings: [] },
+        { name: '@acme/api', path: 'packages/api', enabled: true, score: 85, findings: ['doc-017', 'doc-012'] },
+        { name: '@acme/ui', path: 'packages/ui', enabled: true, score: 100, findings: [] },
+      ]);
+    });
+  });
 });
@@ -1,5 +1,7 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const IotChecker = require('../../lib/checkers/iot');
 const Context = require('../../lib/engine/Context');
@@ -12,7 +14,7 @@ function buildContext(fixtureName) {
   const packageJson = Context.readPackageJson(projectRoot);
   return new Context({
     projectRoot,
-    projectType: Context.detectProjectType(projectRoot),
+    ecosystems: Context.detectEcosystems(projectRoot),
     github: null,
     packageJson,
     gitInfo: null,
@@ -49,6 +51,29 @@ describe('IotChecker', () => {
     });
   });
 
+  describe('firmware in a subdirectory', () => {
+    let root;
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('checks each PlatformIO root and reports paths within it', async () => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-iot-'));
+      fs.mkdirSync(path.join(root, 'firmware', 'src'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'firmware', 'platformio.ini'), '[env:esp32]\n');
+      fs.writeFileSync(path.join(root, 'README.md'), '# Station\n\n## Hardware\n');
+      fs.writeFileSync(path.join(root, 'package.json'), '{"name":"dashboard"}');
+      const result = await checker.check(new Context({ projectRoot: root, packageJson: null, config: {}, cache: new Cache() }));
+
+      expect(result.metadata).toEqual({ isIot: true, roots: ['firmware'] });
+      expect(result.findings.map(({ id, file, message }) => ({ id, file, message }))).toEqual([
+        { id: 'iot-003', file: 'firmware/firmware_version.json', message: 'firmware: firmware_version.json is missing' },
+      ]);
+      expect(result.score).toBe(75);
+    });
+  });
+
   describe('healthy-project (not IoT)', () => {
     it('scores 100', async () => {
       const ctx = buildContext('healthy-project');
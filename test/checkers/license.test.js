@@ -1,5 +1,7 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const LicenseChecker = require('../../lib/checkers/license');
 const Context = require('../../lib/engine/Context');
@@ -12,7 +14,7 @@ function buildContext(fixtureName) {
   const packageJson = Context.readPackageJson(projectRoot);
   return new Context({
     projectRoot,
-    projectType: Context.detectProjectType(projectRoot),
+    ecosystems: Context.detectEcosystems(projectRoot),
     github: null,
     packageJson,
     gitInfo: null,
@@ -100,4 +102,37 @@ describe('LicenseChecker', () => {
       expect(finding).toBeDefined();
     });
   });
+
+  describe('python-project', () => {
+    it('reads the license from pyproject.toml', async () => {
+      const result = await checker.check(buildContext('python-project'));
+
+      expect(result.findings.filter(finding => finding.id !== 'lic-001').map(({ id, severity, file, line }) => ({ id, severity, file, line }))).toEqual([
+        { id: 'lic-002', severity: 'info', file: 'pyproject.toml', line: 9 },
+        { id: 'lic-003', severity: 'info', file: 'pyproject.toml', line: 9 },
+        { id: 'lic-004', severity: 'info', file: 'LICENSE', line: null },
+      ]);
+      expect(result.findings[1].message).toBe('pyproject.toml declares license: MIT');
+      expect(result.metadata).toMatchObject({ declaredLicense: 'MIT', manifest: 'pyproject.toml', dependencyLicenses: 'skipped' });
+      expect(result.score).toBe(100);
+    });
+
+    it('scales the score to the checks that ran instead of crediting dependency licenses', async () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-license-'));
+      try {
+        fs.writeFileSync(path.join(root, 'pyproject.toml'), '[project]\nname = "station"\nversion = "1.0.0"\n');
+        fs.writeFileSync(path.join(root, 'LICENSE'), 'MIT License\n');
+        const context = new Context({ projectRoot: root, ecosystems: Context.detectEcosystems(root), github: null, packageJson: null, gitInfo: null, config: {}, cache: new Cache() });
+
+        const result = await checker.check(context);
+
+        // 30 of the 85 points that apply without a dependency check.
+        expect(result.score).toBe(35);
+        expect(result.metadata.dependencyLicenses).toBe('skipped');
+        expect(result.rawScore + LicenseChecker.penalty(result.findings)).toBeCloseTo(100);
+      } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+  });
 });
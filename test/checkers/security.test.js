@@ -5,6 +5,7 @@ const fs = require('fs');
 const os = require('os');
 const childProcess = require('child_process');
 const SecurityChecker = require('../../lib/checkers/security');
+const SecretRules = require('../../lib/policy/SecretRules');
 const Context = require('../../lib/engine/Context');
 const Cache = require('../../lib/engine/Cache');
 
@@ -15,7 +16,7 @@ function buildContext(fixtureName, overrides = {}) {
   const packageJson = Context.readPackageJson(projectRoot);
   return new Context({
     projectRoot,
-    projectType: Context.detectProjectType(projectRoot),
+    ecosystems: Context.detectEcosystems(projectRoot),
     github: null,
     packageJson,
     gitInfo: null,
@@ -119,6 +120,17 @@ describe('SecurityChecker', () => {
       expect(secretFindings).toHaveLength(0);
     });
 
+    it('finds no unsuppressed secrets in this repository', async () => {
+      const ctx = await Context.build({ projectRoot: path.join(__dirname, '..', '..') });
+      const secretRules = SecretRules.compile(ctx.config.security || {});
+      const findings = [];
+      checker._scanForSecrets(ctx, findings, secretRules);
+      checker._checkDockerSecurity(ctx, findings, secretRules);
+
+      const unsuppressed = findings.filter(finding => finding.id === 'sec-010' && !finding.inlineSuppression);
+      expect(unsuppressed.map(finding => `${finding.file}:${finding.line} ${finding.evidence.rule}`)).toEqual([]);
+    });
+
     it('scans nested source files while allowing documented example env files', async () => {
       const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-security-'));
       fs.mkdirSync(path.join(root, 'src'));
@@ -131,7 +143,6 @@ describe('SecurityChecker', () => {
       try {
         const ctx = new Context({
           projectRoot: root,
-          projectType: 'generic',
           github: null,
           packageJson: null,
           gitInfo: null,
@@ -147,6 +158,82 @@ describe('SecurityChecker', () => {
     });
   });
 
+  describe('secret rules', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-secret-rules-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    const check = (security = {}) => checker.check(new Context({
+      projectRoot: root,
+      github: null,
+      packageJson: null,
+      gitInfo: null,
+      config: { security: { ignoredDirectories: [], ignoredPaths: [], ...security } },
+      cache: new Cache(),
+    }));
+
+    it('scans additional languages and records redacted evidence', async () => {
+      const token = ['xoxb', '-', '1234567890', '-', 'abcdefghijkl'].join('');
+      fs.writeFileSync(path.join(root, 'notify.py'), `SLACK = "${token}"\n`);
+      fs.writeFileSync(path.join(root, 'main.tf'), 'variable "region" { default = "eu-west-1" }\n');
+
+      const result = await check();
+      const finding = result.findings.find(item => item.id === 'sec-010');
+      expect(finding).toMatchObject({ file: 'notify.py', line: 1, message: 'Possible Slack Token found in notify.py' });
+      expect(finding.evidence).toMatchObject({ path: 'notify.py', line: 1, rule: 'slack-token' });
+      expect(finding.evidence.preview).not.toContain(token);
+      expect(result.findings.filter(item => item.id === 'sec-010')).toHaveLength(1);
+    });
+
+    it('honors reasoned sec-010 pragmas and keeps them in cached matches', async () => {
+      const token = ['xoxb', '-', '1234567890', '-', 'abcdefghijkl'].join('');
+      fs.writeFileSync(path.join(root, 'fixture.js'), [
+        '// repo-manager:ignore sec-010 reason="revoked token used by parser tests"',
+        `const slack = "${token}";`,
+        `const other = "${token}"; // repo-manager:ignore sec-010`,
+        '',
+      ].join('\n'));
+
+      const result = await check();
+      const secrets = result.findings.filter(item => item.id === 'sec-010');
+      expect(secrets.map(item => item.line)).toEqual([2, 3]);
+      expect(secrets[0].inlineSuppression).toEqual({
+        type: 'inline', file: 'fixture.js', line: 1, reason: 'revoked token used by parser tests',
+      });
+      expect(secrets[1].inlineSuppression).toBeUndefined();
+    });
+
+    it('applies policy detectors and disabled rules', async () => {
+      fs.writeFileSync(path.join(root, 'app.properties'), 'service.key=itk_a1b2c3d4e5f6g7h8\n');
+      const result = await check({
+        secretRules: [{ id: 'internal-token', name: 'Internal Token', pattern: 'itk_[a-z0-9]{16}', keywords: ['itk_'] }],
+      });
+      expect(result.findings.find(item => item.id === 'sec-010').evidence.rule).toBe('internal-token');
+
+      const disabled = await check({
+        secretRules: [{ id: 'internal-token', name: 'Internal Token', pattern: 'itk_[a-z0-9]{16}' }],
+        disabledSecretRules: ['internal-token'],
+      });
+      expect(disabled.findings.some(item => item.id === 'sec-010')).toBe(false);
+    });
+
+    it('locates secrets in Dockerfile ENV directives on their line', async () => {
+      const token = ['xoxb', '-', '1234567890', '-', 'abcdefghijkl'].join('');
+      fs.writeFileSync(path.join(root, 'Dockerfile'), `FROM node:22\nUSER node\nENV SLACK_TOKEN=${token}\n`);
+
+      const result = await check();
+      const finding = result.findings.find(item => item.id === 'sec-020c');
+      expect(finding).toMatchObject({ file: 'Dockerfile', line: 3, severity: 'critical' });
+      expect(finding.evidence).toMatchObject({ path: 'Dockerfile', line: 3, rule: 'slack-token' });
+    });
+  });
+
   describe('npm audit integration', () => {
     it('runs npm audit without inherited credentials or candidate registry control', async () => {
       const environmentNames = [
@@ -248,7 +335,6 @@ describe('SecurityChecker', () => {
       try {
         const ctx = new Context({
           projectRoot: root,
-          projectType: 'node',
           github: null,
           cache: new Cache(),
           packageJson: Context.readPackageJson(root),
@@ -276,13 +362,13 @@ describe('SecurityChecker', () => {
 
     it('reports critical CVEs from cached audit', async () => {
       const cache = new Cache();
-      cache.set('npm-audit', {
+      const ctx = buildContext('healthy-project', { cache });
+      cache.set(checker.auditCacheKey(ctx), {
         vulnerabilities: {
           'bad-pkg': { severity: 'critical' },
           'worse-pkg': { severity: 'high' },
         },
       });
-      const ctx = buildContext('healthy-project', { cache });
       const result = await checker.check(ctx);
 
       const critFinding = result.findings.find((f) => f.id === 'sec-011');
@@ -296,8 +382,8 @@ describe('SecurityChecker', () => {
 
     it('reports when npm audit cannot be verified', async () => {
       const cache = new Cache();
-      cache.set('npm-audit', null);
       const ctx = buildContext('healthy-project', { cache });
+      cache.set(checker.auditCacheKey(ctx), null);
       const result = await checker.check(ctx);
 
       const auditFailure = result.findings.find(finding => finding.id === 'sec-013');
@@ -307,6 +393,342 @@ describe('SecurityChecker', () => {
     });
   });
 
+  describe('yarn and pnpm dependency audits', () => {
+    it('audits yarn.lock against an offline advisory file', async () => {
+      const ctx = buildContext('yarn-project', {
+        policyRoot: fixturesDir,
+        config: { security: { advisorySource: 'file', advisoryFile: 'npm-advisories/bulk.json' } },
+      });
+      const result = await checker.check(ctx);
+
+      expect(result.findings.filter(finding => ['sec-011', 'sec-012', 'sec-013'].includes(finding.id))).toEqual([
+        expect.objectContaining({
+          id: 'sec-011',
+          severity: 'critical',
+          message: '1 critical CVE found in yarn.lock: minimist@1.2.0 (GHSA-xvch-5gv4-984h)',
+          file: 'yarn.lock',
+        }),
+        expect.objectContaining({
+          id: 'sec-012',
+          severity: 'high',
+          message: '1 high-severity CVE found in yarn.lock: lodash@4.17.15 (GHSA-35jh-r3h4-6jhm)',
+          file: 'yarn.lock',
+        }),
+      ]);
+      expect(result.metadata.lockfiles).toEqual([{ root: '.', file: 'yarn.lock', manager: 'yarn-classic', packages: 2, source: 'file' }]);
+    });
+
+    it('queries the registry bulk endpoint for pnpm-lock.yaml in a subdirectory', async () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-pnpm-audit-'));
+      fs.mkdirSync(path.join(root, 'web'));
+      fs.writeFileSync(path.join(root, 'web', 'package.json'), JSON.stringify({ name: 'web', license: 'MIT' }));
+      fs.writeFileSync(path.join(root, 'web', 'pnpm-lock.yaml'), [
+        "lockfileVersion: '9.0'",
+        'importers:',
+        '  .:',
+        '    dependencies:',
+        '      minimist:',
+        '        specifier: ^1.2.0',
+        '        version: 1.2.5',
+        'packages:',
+        '  minimist@1.2.5:',
+        '    resolution: {integrity: sha512-a}',
+        'snapshots:',
+        '  minimist@1.2.5: {}',
+      ].join('\n'));
+      const request = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ minimist: [{ id: 1097678, severity: 'critical', vulnerable_versions: '>=1.0.0 <1.2.6' }] }),
+      });
+      try {
+        const result = await checker.check(new Context({ projectRoot: root, github: null, packageJson: null, gitInfo: null, config: {}, cache: new Cache() }));
+
+        expect(JSON.parse(request.mock.calls[0][1].body)).toEqual({ minimist: ['1.2.5'] });
+        expect(result.findings.find(finding => finding.id === 'sec-011')).toMatchObject({
+          message: 'web: 1 critical CVE found in pnpm-lock.yaml: minimist@1.2.5 (1097678)',
+          file: 'web/pnpm-lock.yaml',
+        });
+      } finally {
+        request.mockRestore();
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it('reports sec-013 when the registry cannot be reached', async () => {
+      const request = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('getaddrinfo ENOTFOUND registry.npmjs.org'));
+      try {
+        const result = await checker.check(buildContext('yarn-project'));
+
+        expect(result.findings.find(finding => finding.id === 'sec-013')).toMatchObject({
+          severity: 'high',
+          message: 'Dependency audit of yarn.lock could not produce a vulnerability result',
+          file: 'yarn.lock',
+        });
+      } finally {
+        request.mockRestore();
+      }
+    });
+  });
+
+  describe('offline advisory mode', () => {
+    it('matches package-lock.json against the OSV export instead of running npm audit', async () => {
+      const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-offline-audit-'));
+      fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify({ name: 'offline', license: 'MIT', dependencies: { lodash: '^4.17.0' } }));
+      fs.writeFileSync(path.join(root, 'package-lock.json'), JSON.stringify({
+        name: 'offline',
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'offline', dependencies: { lodash: '^4.17.0', minimist: '^1.2.0' } },
+          'node_modules/lodash': { version: '4.17.21' },
+          'node_modules/minimist': { version: '1.2.5' },
+        },
+      }));
+      const audit = jest.spyOn(childProcess, 'execSync');
+      const request = jest.spyOn(global, 'fetch');
+      try {
+        const result = await checker.check(new Context({
+          projectRoot: root,
+          policyRoot: fixturesDir,
+          github: null,
+          packageJson: Context.readPackageJson(root),
+          gitInfo: null,
+          config: { security: { advisorySource: 'osv', osvDatabase: 'ghsa-database' } },
+          cache: new Cache(),
+        }));
+
+        expect(audit).not.toHaveBeenCalled();
+        expect(request).not.toHaveBeenCalled();
+        expect(result.findings.filter(finding => ['sec-011', 'sec-012', 'sec-013'].includes(finding.id))).toEqual([
+          expect.objectContaining({
+            id: 'sec-011',
+            message: '1 critical CVE found in package-lock.json by the OSV snapshot of 2026-10-03: minimist@1.2.5 (GHSA-xvch-5gv4-984h)',
+            file: 'package-lock.json',
+          }),
+        ]);
+        expect(result.metadata.osv).toEqual({ location: 'ghsa-database', snapshot: '2026-10-03T09:41:55Z', advisories: 3 });
+        expect(result.metadata.lockfiles).toEqual([{ root: '.', file: 'package-lock.json', manager: 'npm', packages: 2, source: 'osv' }]);
+      } finally {
+        audit.mockRestore();
+        request.mockRestore();
+        fs.rmSync(root, { recursive: true, force: true });
+      }
+    });
+
+    it('matches yarn.lock against the OSV export', async () => {
+      const result = await checker.check(buildContext('yarn-project', {
+        policyRoot: fixturesDir,
+        config: { security: { advisorySource: 'osv', osvDatabase: 'ghsa-database' } },
+      }));
+
+      expect(result.findings.filter(finding => ['sec-011', 'sec-012'].includes(finding.id)).map(finding => finding.message)).toEqual([
+        '1 critical CVE found in yarn.lock by the OSV snapshot of 2026-10-03: minimist@1.2.0 (GHSA-xvch-5gv4-984h)',
+        '1 high-severity CVE found in yarn.lock by the OSV snapshot of 2026-10-03: lodash@4.17.15 (GHSA-35jh-r3h4-6jhm)',
+      ]);
+    });
+  });
+
+  describe('OSV advisories for Python dependencies', () => {
+    it('matches locked packages against the configured snapshot', async () => {
+      const ctx = buildContext('python-project', { policyRoot: fixturesDir, config: { security: { osvDatabase: 'osv-database' } } });
+      const result = await checker.check(ctx);
+
+      expect(result.findings.filter(finding => ['sec-011', 'sec-012'].includes(finding.id))).toEqual([
+        expect.objectContaining({
+          id: 'sec-011',
+          severity: 'critical',
+          message: '1 Python dependency has critical advisories in the OSV snapshot of 2026-10-02: django@3.2.0 (PYSEC-2021-98)',
+          file: 'uv.lock',
+        }),
+        expect.objectContaining({
+          id: 'sec-012',
+          severity: 'high',
+          message: '1 Python dependency has high-severity advisories in the OSV snapshot of 2026-10-02: requests@2.19.0 (GHSA-j8r2-6x86-q33q)',
+          file: 'uv.lock',
+        }),
+      ]);
+      expect(result.metadata.osv).toEqual({ location: 'osv-database', snapshot: '2026-10-02T07:15:00Z', advisories: 2 });
+    });
+
+    it('notes when no OSV database is configured', async () => {
+      const result = await checker.check(buildContext('python-project'));
+
+      expect(result.findings.find(finding => finding.id === 'sec-016')).toMatchObject({
+        severity: 'info',
+        message: 'Python dependencies were not checked for known vulnerabilities: security.osvDatabase is not configured',
+      });
+      expect(result.metadata.osv).toBeUndefined();
+    });
+  });
+
+  describe('persistent cache', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-security-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('keys audit results by manifest content and policy', () => {
+      const ctx = buildContext('healthy-project');
+      const key = checker.auditCacheKey(ctx);
+      expect(key).toMatch(/^[a-f0-9]{64}$/);
+      expect(checker.auditCacheKey(buildContext('healthy-project'))).toBe(key);
+      expect(checker.auditCacheKey(buildContext('healthy-project', { config: { gates: { failBelow: 90 } } }))).not.toBe(key);
+      expect(checker.auditCacheKey(buildContext('undocumented-project'))).not.toBe(key);
+    });
+
+    it('reuses secret-scan matches for unchanged files', async () => {
+      const first = buildContext('insecure-project', { cache: new Cache({ directory }) });
+      const baseline = await checker.check(first);
+      expect(baseline.findings.some(finding => finding.id === 'sec-010')).toBe(true);
+
+      const rescans = jest.spyOn(checker, '_matchSecrets');
+      try {
+        const second = buildContext('insecure-project', { cache: new Cache({ directory }) });
+        const result = await checker.check(second);
+        expect(rescans).not.toHaveBeenCalled();
+        expect(result.findings.filter(finding => finding.id === 'sec-010'))
+          .toEqual(baseline.findings.filter(finding => finding.id === 'sec-010'));
+      } finally {
+        rescans.mockRestore();
+      }
+    });
+
+    it('keeps the secret-scan state of projects sharing a cache directory apart', async () => {
+      await checker.check(buildContext('insecure-project', { cache: new Cache({ directory }) }));
+      await checker.check(buildContext('healthy-project', { cache: new Cache({ directory }) }));
+
+      const rescans = jest.spyOn(checker, '_matchSecrets');
+      try {
+        await checker.check(buildContext('insecure-project', { cache: new Cache({ directory }) }));
+        expect(rescans).not.toHaveBeenCalled();
+      } finally {
+        rescans.mockRestore();
+      }
+    });
+  });
+
+  describe('git history scanning', () => {
+    let root;
+    let directory;
+    const syntheticAwsKey = ['AKIA', 'ABCDEFGHIJKLMNOP'].join('');
+    const git = (...args) => childProcess.execFileSync('git', args, { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+    const commit = (message, date) => git('-c', 'user.email=test@example.com', '-c', 'user.name=Test', 'commit', '--quiet', `--date=${date}`, '-m', message);
+    const historyContext = (history = {}) => new Context({
+      projectRoot: root,
+      github: null,
+      packageJson: null,
+      gitInfo: null,
+      config: { security: { ignoredDirectories: ['.git'], ignoredPaths: [], history: { enabled: true, ...history } } },
+      cache: new Cache({ directory }),
+    });
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-history-'));
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-history-cache-'));
+      git('init', '--quiet', '--initial-branch=main');
+      fs.writeFileSync(path.join(root, 'README.md'), '# Demo\n');
+      git('add', '.');
+      commit('initial', '2026-01-01T00:00:00Z');
+      fs.writeFileSync(path.join(root, 'settings.js'), `module.exports = {\n  key: "${syntheticAwsKey}",\n};\n`);
+      git('add', '.');
+      commit('add settings', '2026-01-02T00:00:00Z');
+      git('mv', 'settings.js', 'config.js');
+      commit('rename settings', '2026-01-03T00:00:00Z');
+      git('rm', '--quiet', 'config.js');
+      commit('remove settings', '2026-01-04T00:00:00Z');
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('reports deleted secrets at the commit that introduced them', async () => {
+      const result = await checker.check(historyContext());
+      const history = result.findings.filter(finding => finding.id === 'sec-014');
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({
+        severity: 'high',
+        file: 'settings.js',
+        line: 2,
+        commit: git('rev-parse', 'HEAD~2').trim(),
+        authorDate: '2026-01-02T00:00:00+00:00',
+      });
+      expect(result.findings.some(finding => finding.id === 'sec-010')).toBe(false);
+      expect(result.metadata.history).toMatchObject({ scanned: true, incremental: false, commits: 4 });
+    });
+
+    it('does not scan history unless the policy enables it', async () => {
+      const result = await checker.check(historyContext({ enabled: false }));
+      expect(result.findings.some(finding => finding.id === 'sec-014')).toBe(false);
+      expect(result.metadata.history).toBeUndefined();
+    });
+
+    it('limits the scan to the configured range', async () => {
+      const result = await checker.check(historyContext({ range: 'HEAD~1..HEAD' }));
+      expect(result.findings.some(finding => finding.id === 'sec-014')).toBe(false);
+      expect(result.metadata.history.commits).toBe(1);
+    });
+
+    it('scans only new commits after the recorded state', async () => {
+      await checker.check(historyContext());
+      fs.writeFileSync(path.join(root, 'deploy.yml'), `token: "${['ghp', '_', 'a'.repeat(36)].join('')}"\n`);
+      git('add', '.');
+      commit('add deploy', '2026-01-05T00:00:00Z');
+      fs.rmSync(path.join(root, 'deploy.yml'));
+
+      const result = await checker.check(historyContext());
+      expect(result.metadata.history).toMatchObject({ incremental: true, commits: 1 });
+      expect(result.findings.filter(finding => finding.id === 'sec-014').map(finding => finding.file))
+        .toEqual(['settings.js', 'deploy.yml']);
+    });
+
+    it('continues a scan cut short by maxCommits on the next run', async () => {
+      const runs = [];
+      for (let run = 0; run < 5; run++) runs.push(await checker.check(historyContext({ maxCommits: 1 })));
+
+      expect(runs.map(result => result.metadata.history.commits)).toEqual([1, 1, 1, 1, 0]);
+      expect(runs.map(result => result.metadata.history.remaining)).toEqual([3, 2, 1, 0, 0]);
+      expect(runs[0].findings.some(finding => finding.id === 'sec-014')).toBe(false);
+      for (const result of runs.slice(1)) {
+        expect(result.findings.filter(finding => finding.id === 'sec-014').map(finding => finding.file)).toEqual(['settings.js']);
+      }
+    });
+
+    it('scans the most recent commits when no state is kept', async () => {
+      const result = await checker.check(historyContext({ maxCommits: 1, incremental: false }));
+      expect(result.metadata.history).toMatchObject({ incremental: false, commits: 1, remaining: 3 });
+      expect(result.findings.some(finding => finding.id === 'sec-014')).toBe(false);
+    });
+
+    it('remembers only short prefixes of scanned blobs', async () => {
+      const context = historyContext();
+      await checker.check(context);
+      const state = context.cache.peek(context.cacheKey(checker, { purpose: 'history-scan', extra: { root, range: 'HEAD' } }), { persist: true });
+      expect(state.blobs).toHaveLength(1);
+      expect(state.blobs[0]).toMatch(/^[a-f0-9]{16}$/);
+    });
+
+    it('reports secrets still in the working tree only once', async () => {
+      fs.writeFileSync(path.join(root, 'live.js'), `const key = "${syntheticAwsKey}";\n`);
+      git('add', '.');
+      commit('add live key', '2026-01-05T00:00:00Z');
+
+      const result = await checker.check(historyContext());
+      expect(result.findings.filter(finding => finding.file === 'live.js').map(finding => finding.id)).toEqual(['sec-010']);
+    });
+
+    it('reports an unreadable range instead of failing the checker', async () => {
+      const result = await checker.check(historyContext({ range: 'missing-branch' }));
+      expect(result.findings.find(finding => finding.id === 'sec-015')).toMatchObject({ severity: 'medium' });
+      expect(result.metadata.history.scanned).toBe(false);
+    });
+  });
+
   describe('plan()', () => {
     it('plans .gitignore creation without changing the repository', async () => {
       const ctx = buildContext('insecure-project');
@@ -320,5 +742,19 @@ describe('SecurityChecker', () => {
       }));
       expect(ctx.fileExists('.gitignore')).toBe(false);
     });
+
+    it('plans SECURITY.md from the security policy template', async () => {
+      const ctx = buildContext('insecure-project');
+      const result = await checker.plan(ctx, [{ id: 'sec-001' }]);
+
+      expect(result.operations).toEqual([expect.objectContaining({
+        id: 'security:create-security-policy',
+        findingId: 'sec-001',
+        path: 'SECURITY.md',
+        beforeHash: null,
+        description: 'Create SECURITY.md from the built-in template',
+      })]);
+      expect(result.operations[0].content).toMatch(/^# Security Policy\n[\s\S]*## Reporting a vulnerability/);
+    });
   });
 });
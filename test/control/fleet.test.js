@@ -0,0 +1,137 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Fleet = require('../../lib/control/Fleet');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function inventory(repositories) {
+  return {
+    schemaVersion: '1.0.0',
+    kind: 'RepositoryInventory',
+    source: 'github-organization',
+    organization: 'Alteriom',
+    repositories: repositories.map(repository => ({ owner: 'Alteriom', topics: [], ...repository, fullName: `Alteriom/${repository.name}` })),
+  };
+}
+
+describe('Fleet', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-fleet-test-'));
+    for (const fixture of ['healthy-project', 'undocumented-project']) {
+      fs.cpSync(path.join(FIXTURES, fixture), path.join(root, 'mirror', 'Alteriom', fixture), { recursive: true });
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('evaluates mirrored repositories and writes individual reports', async () => {
+    const fleet = await Fleet.evaluate(inventory([
+      { name: 'healthy-project' },
+      { name: 'undocumented-project' },
+      { name: 'missing-project' },
+      { name: 'retired', archived: true },
+    ]), {
+      mirrorDir: path.join(root, 'mirror'),
+      outputDir: path.join(root, 'out'),
+      only: ['documentation'],
+      concurrency: 2,
+    });
+
+    expect(fleet.kind).toBe('RepositoryFleetReport');
+    expect(fleet.summary).toMatchObject({ repositories: 4, evaluated: 2, errored: 1, skipped: 1 });
+    expect(fleet.status).toBe('fail');
+    const [healthy, undocumented, missing, retired] = fleet.repositories;
+    expect(healthy).toMatchObject({ source: 'mirror', report: 'Alteriom/healthy-project.json' });
+    expect(undocumented.score).toBeLessThan(healthy.score);
+    expect(missing.error).toContain('Repository not found in mirror');
+    expect(retired).toMatchObject({ status: 'skipped', error: 'archived' });
+
+    const written = JSON.parse(fs.readFileSync(path.join(root, 'out', 'Alteriom', 'healthy-project.json'), 'utf8'));
+    expect(written.kind).toBe('RepositoryComplianceReport');
+    expect(fleet.worstCheckers[0]).toMatchObject({ checker: 'documentation', repositories: 2, lowestRepository: 'Alteriom/undocumented-project' });
+    expect(fleet.commonFindings.length).toBeGreaterThan(0);
+    expect(fleet.commonFindings[0].checker).toBe('documentation');
+  });
+
+  it('reads <mirror>/<name> only for names no other inventory owner uses', async () => {
+    fs.cpSync(path.join(FIXTURES, 'healthy-project'), path.join(root, 'mirror', 'tools'), { recursive: true });
+    fs.cpSync(path.join(FIXTURES, 'healthy-project'), path.join(root, 'mirror', 'widgets'), { recursive: true });
+
+    const fleet = await Fleet.evaluate({
+      ...inventory([]),
+      repositories: [
+        { owner: 'Alteriom', name: 'Tools', topics: [] },
+        { owner: 'Contoso', name: 'tools', topics: [] },
+        { owner: 'Contoso', name: 'widgets', topics: [] },
+      ],
+    }, {
+      mirrorDir: path.join(root, 'mirror'),
+      outputDir: path.join(root, 'out'),
+      only: ['documentation'],
+    });
+
+    const [alteriom, contoso, unique] = fleet.repositories;
+    expect(alteriom.error).toContain('Repository not found in mirror: Alteriom/Tools (the name is shared');
+    expect(contoso.error).toContain('Repository not found in mirror: Contoso/tools (the name is shared');
+    expect(unique).toMatchObject({ source: 'mirror', report: 'Contoso/widgets.json' });
+  });
+
+  it('applies the first matching policy profile', async () => {
+    const profiles = path.join(root, 'profiles');
+    fs.mkdirSync(profiles);
+    fs.writeFileSync(path.join(profiles, 'strict.json'), JSON.stringify({ id: 'strict', version: '2.0.0', gates: { failBelow: 100 } }));
+    fs.writeFileSync(path.join(profiles, 'profiles.json'), JSON.stringify({
+      schemaVersion: 1,
+      default: null,
+      assignments: [{ profile: 'strict.json', repositories: ['Alteriom/healthy-*'] }],
+    }));
+
+    const fleet = await Fleet.evaluate(inventory([{ name: 'healthy-project' }, { name: 'undocumented-project' }]), {
+      mirrorDir: path.join(root, 'mirror'),
+      outputDir: path.join(root, 'out'),
+      profiles: Fleet.loadProfiles(path.join(profiles, 'profiles.json')),
+      only: ['documentation'],
+    });
+
+    expect(fleet.repositories.map(entry => entry.profile)).toEqual(['strict.json', null]);
+    const report = JSON.parse(fs.readFileSync(path.join(root, 'out', 'Alteriom', 'healthy-project.json'), 'utf8'));
+    expect(report.policy).toMatchObject({ id: 'strict', version: '2.0.0' });
+  });
+
+  it('matches profiles on every given criterion', () => {
+    const profiles = {
+      default: 'baseline.json',
+      assignments: [{ profile: 'iot.json', topics: ['iot'], languages: ['C++'] }],
+    };
+    expect(Fleet.assignProfile({ owner: 'a', name: 'fw', topics: ['IoT'], language: 'C++' }, profiles)).toBe('iot.json');
+    expect(Fleet.assignProfile({ owner: 'a', name: 'web', topics: ['iot'], language: 'JavaScript' }, profiles)).toBe('baseline.json');
+  });
+
+  it('rejects malformed profiles and inventories', () => {
+    expect(() => Fleet.validateProfiles({ schemaVersion: 1, assignments: [{ profile: 'x.json' }] })).toThrow('must match on repositories, topics, or languages');
+    expect(() => Fleet.validateProfiles({ schemaVersion: 1, assignments: [{ profile: '/etc/x.json', topics: ['a'] }] })).toThrow('profile must be a relative policy path');
+    expect(() => Fleet.validateProfiles({ schemaVersion: 1, rules: [] })).toThrow('Unknown profiles property: rules');
+    return expect(Fleet.evaluate({ kind: 'RepositoryComplianceReport' }, { mirrorDir: root, outputDir: root })).rejects.toThrow('requires a RepositoryInventory');
+  });
+
+  it('bounds concurrency while preserving order', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await Fleet.mapWithConcurrency([30, 10, 20, 5], 2, async delay => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      active -= 1;
+      return delay;
+    });
+    expect(results).toEqual([30, 10, 20, 5]);
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Templates = require('../../lib/control/Templates');
+
+describe('Templates', () => {
+  it('renders placeholders, repeated sections, and inverted sections', () => {
+    const template = [
+      '# {{name}}',
+      '{{#scripts}}',
+      '- `{{run}}` ({{name}})',
+      '{{/scripts}}',
+      '{{^license}}',
+      'Unlicensed',
+      '{{/license}}',
+      '{{#repository}}',
+      'See {{url}} for {{description}}.',
+      '{{/repository}}',
+      '',
+    ].join('\n');
+    const view = {
+      name: 'demo',
+      description: 'details',
+      license: null,
+      scripts: [{ name: 'test', run: 'npm test' }, { name: 'build', run: 'npm run build' }],
+      repository: { url: 'https://github.com/octo/demo' },
+    };
+
+    expect(Templates.render(template, view)).toBe([
+      '# demo',
+      '- `npm test` (test)',
+      '- `npm run build` (build)',
+      'Unlicensed',
+      'See https://github.com/octo/demo for details.',
+      '',
+    ].join('\n'));
+  });
+
+  it('leaves README sections out when package.json has no data for them', () => {
+    const { content } = Templates.load(os.tmpdir(), [], 'README.md');
+    const view = {
+      name: 'demo',
+      description: null,
+      version: null,
+      license: null,
+      licenseBadge: null,
+      packageManager: 'npm',
+      install: null,
+      test: null,
+      scripts: [],
+      repository: null,
+    };
+
+    const bare = Templates.render(content, view);
+    expect(bare).not.toContain('TODO');
+    expect(bare).not.toContain('## Usage');
+    expect(bare).not.toContain('## License');
+    expect(bare).toContain('## Installation');
+
+    const full = Templates.render(content, {
+      ...view,
+      description: 'A demo.',
+      license: 'MIT',
+      licenseBadge: 'MIT',
+      scripts: [{ name: 'test', command: 'jest', run: 'npm test' }],
+    });
+    expect(full).toContain('\nA demo.\n\n## Installation');
+    expect(full).toContain('## Usage\n\nThe project defines these scripts:\n\n- `npm test` runs `jest`\n\n## Contributing');
+    expect(full).toMatch(/## License\n\nMIT\. See \[LICENSE\]\(LICENSE\)\.\n$/);
+  });
+
+  it('rejects unknown placeholders', () => {
+    expect(() => Templates.render('{{nmae}}', { name: 'demo' }, 'org/README.md'))
+      .toThrow('Template org/README.md uses an unknown placeholder: nmae');
+  });
+
+  describe('template directories', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-templates-'));
+      fs.mkdirSync(path.join(root, 'org'));
+      fs.mkdirSync(path.join(root, 'team'));
+      fs.writeFileSync(path.join(root, 'org', 'README.md'), 'org readme');
+      fs.writeFileSync(path.join(root, 'team', 'README.md'), 'team readme');
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('uses the first directory with the template and falls back to the built-in one', () => {
+      expect(Templates.load(root, ['team', 'org'], 'README.md')).toEqual({ source: 'team', content: 'team readme' });
+      expect(Templates.load(root, ['org'], 'SECURITY.md').source).toBe('builtin');
+    });
+
+    it('keeps template directories within the policy root', () => {
+      expect(() => Templates.load(root, ['../elsewhere'], 'README.md'))
+        .toThrow('documentation.templateDirs must stay within the policy root: ../elsewhere');
+    });
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const WorkflowScaffold = require('../../lib/control/WorkflowScaffold');
+
+describe('WorkflowScaffold', () => {
+  it('selects the Node.js release lines an engines range accepts', () => {
+    expect(WorkflowScaffold.nodeVersions(undefined)).toEqual([22, 24, 26]);
+    expect(WorkflowScaffold.nodeVersions('>=18.17.0')).toEqual([18, 20, 22, 24, 26]);
+    expect(WorkflowScaffold.nodeVersions('>=20 <24')).toEqual([20, 22]);
+    expect(WorkflowScaffold.nodeVersions('^18.19 || ^20.5 || >= 22')).toEqual([18, 20, 22, 24, 26]);
+    expect(WorkflowScaffold.nodeVersions('20.x || 22')).toEqual([20, 22]);
+    expect(WorkflowScaffold.nodeVersions('18 - 22.4')).toEqual([18, 20, 22]);
+    expect(WorkflowScaffold.nodeVersions('<=20')).toEqual([18, 20]);
+    expect(WorkflowScaffold.nodeVersions('>24')).toEqual([26]);
+    expect(WorkflowScaffold.nodeVersions('^16')).toEqual([]);
+    expect(WorkflowScaffold.nodeVersions('lts/*')).toBeNull();
+  });
+
+  it('finds the test command and package manager', () => {
+    const exists = files => file => files.includes(file);
+    expect(WorkflowScaffold.packageManager({ packageManager: 'pnpm@9.1.0' }, exists([]))).toBe('pnpm');
+    expect(WorkflowScaffold.packageManager({}, exists(['yarn.lock']))).toBe('yarn');
+    expect(WorkflowScaffold.testCommand({ scripts: { test: 'jest' } }, 'npm')).toBe('npm test');
+    expect(WorkflowScaffold.testCommand({ scripts: { test: 'echo "Error: no test specified" && exit 1', 'test:unit': 'vitest' } }, 'pnpm'))
+      .toBe('pnpm run test:unit');
+    expect(WorkflowScaffold.testCommand({}, 'npm')).toBeNull();
+    expect(WorkflowScaffold.installCommand('npm', exists(['package-lock.json']))).toBe('npm ci');
+    expect(WorkflowScaffold.installCommand('npm', exists([]))).toBe('npm install');
+  });
+
+  it('defaults to the action majors this repository runs on', () => {
+    const workflow = fs.readFileSync(path.join(__dirname, '..', '..', '.github', 'workflows', 'ci.yml'), 'utf8');
+    for (const action of Object.values(WorkflowScaffold.ACTIONS)) {
+      const pinned = new RegExp(`uses: ${action.name}@[a-f0-9]{40} # (v\\d+)`).exec(workflow);
+      expect(pinned && pinned[1]).toBe(action.tag);
+    }
+  });
+});
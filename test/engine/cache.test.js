@@ -1,5 +1,8 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const Cache = require('../../lib/engine/Cache');
 
 describe('Cache', () => {
@@ -53,4 +56,70 @@ describe('Cache', () => {
       expect(fn).not.toHaveBeenCalled();
     });
   });
+
+  describe('persistent entries', () => {
+    let directory;
+    let now;
+    const key = Cache.keyFor({ checker: 'security', purpose: 'npm-audit' });
+    const persistent = (options = {}) => new Cache({ directory, now: () => now, ...options });
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-cache-'));
+      now = Date.parse('2026-01-01T00:00:00Z');
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('derives stable keys independent of property order', () => {
+      expect(Cache.keyFor({ a: 1, b: [2, { c: 3, d: 4 }] })).toBe(Cache.keyFor({ b: [2, { d: 4, c: 3 }], a: 1 }));
+      expect(Cache.keyFor({ a: 1 })).not.toBe(Cache.keyFor({ a: 2 }));
+    });
+
+    it('reuses values across cache instances', async () => {
+      await persistent().getOrSet(key, async () => ({ vulnerabilities: {} }), { persist: true });
+      const fn = jest.fn();
+      expect(await persistent().getOrSet(key, fn, { persist: true })).toEqual({ vulnerabilities: {} });
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('expires entries after their TTL', async () => {
+      await persistent().getOrSet(key, async () => 'first', { persist: true, ttlSeconds: 60 });
+      now += 61000;
+      expect(await persistent().getOrSet(key, async () => 'second', { persist: true })).toBe('second');
+    });
+
+    it('does not persist failed computations or entries over the size limit', async () => {
+      await persistent().getOrSet(key, async () => null, { persist: true });
+      expect(Cache.stats(directory).entries).toBe(0);
+      await persistent({ maxEntryBytes: 100 }).getOrSet(key, async () => 'x'.repeat(200), { persist: true });
+      expect(Cache.stats(directory).entries).toBe(0);
+    });
+
+    it('evicts the oldest entries beyond the total size limit', () => {
+      const cache = persistent({ maxTotalBytes: 900 });
+      const keys = ['a', 'b', 'c'].map(name => Cache.keyFor({ name }));
+      keys.forEach((entryKey, index) => {
+        cache.put(entryKey, 'x'.repeat(100), { persist: true });
+        const time = new Date(Date.now() - ((3 - index) * 1000));
+        fs.utimesSync(path.join(directory, `${entryKey}.json`), time, time);
+      });
+      cache.put(Cache.keyFor({ name: 'd' }), 'x'.repeat(100), { persist: true });
+      expect(fs.existsSync(path.join(directory, `${keys[0]}.json`))).toBe(false);
+      expect(Cache.stats(directory).bytes).toBeLessThanOrEqual(900);
+    });
+
+    it('rejects keys that are not content hashes', () => {
+      expect(() => persistent().put('../escape', 1, { persist: true })).toThrow('Persistent cache keys must come from Cache.keyFor()');
+    });
+
+    it('reports stats and clears only cache entries', async () => {
+      await persistent().getOrSet(key, async () => 'value', { persist: true, ttlSeconds: 1 });
+      fs.writeFileSync(path.join(directory, 'notes.txt'), 'keep');
+      expect(Cache.stats(directory, { now: now + 2000 })).toMatchObject({ entries: 1, expired: 1 });
+      expect(Cache.clear(directory).removed).toBe(1);
+      expect(fs.readdirSync(directory)).toEqual(['notes.txt']);
+    });
+  });
 });
@@ -76,6 +76,7 @@ describe('Checker', () => {
           fixable: false,
           fix: null,
           line: null,
+          penalty: 0,
         }),
       ]);
       expect(result.metadata).toEqual({ foo: 'bar' });
@@ -86,6 +87,7 @@ describe('Checker', () => {
       const c = new Checker({ name: 'test', version: '1.0.0', description: '', defaultWeight: 10 });
       expect(c.createResult(150).score).toBe(100);
       expect(c.createResult(-20).score).toBe(0);
+      expect(c.createResult(-20).rawScore).toBe(-20);
     });
 
     it('rounds score', () => {
@@ -93,4 +95,18 @@ describe('Checker', () => {
       expect(c.createResult(85.7).score).toBe(86);
     });
   });
+
+  describe('rebase()', () => {
+    it('prefixes messages, files, and evidence paths with the ecosystem root', () => {
+      const findings = [
+        { id: 'dep-001', message: 'No lock file', file: 'package.json', evidence: { type: 'file', path: 'package.json', line: 2 } },
+        { id: 'dep-002', message: 'No runtime', file: null, evidence: { type: 'policy' } },
+      ];
+      expect(Checker.rebase(findings, 'apps/web')).toEqual([
+        { id: 'dep-001', message: 'apps/web: No lock file', file: 'apps/web/package.json', evidence: { type: 'file', path: 'apps/web/package.json', line: 2 } },
+        { id: 'dep-002', message: 'apps/web: No runtime', file: null, evidence: { type: 'policy' } },
+      ]);
+      expect(Checker.rebase(findings, '.')).toBe(findings);
+    });
+  });
 });
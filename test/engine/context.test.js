@@ -1,22 +1,98 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const Context = require('../../lib/engine/Context');
 
 const FIXTURES = path.join(__dirname, '..', 'fixtures');
 
 describe('Context', () => {
-  describe('detectProjectType()', () => {
-    it('detects node projects', () => {
-      expect(Context.detectProjectType(path.join(FIXTURES, 'healthy-project'))).toBe('node');
+  describe('detectEcosystems()', () => {
+    let root;
+
+    function write(file, content = '') {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    }
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-ecosystems-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('detects single-ecosystem fixtures', () => {
+      expect(Context.detectEcosystems(path.join(FIXTURES, 'healthy-project'))).toEqual([{ name: 'node', root: '.' }]);
+      expect(Context.detectEcosystems(path.join(FIXTURES, 'iot-project'))).toEqual([{ name: 'platformio', root: '.' }]);
+      expect(Context.detectEcosystems(path.join(FIXTURES, 'python-project'))).toEqual([{ name: 'python', root: '.' }]);
+    });
+
+    it('finds every ecosystem and its roots in a mixed repository', () => {
+      write('platformio.ini');
+      write('dashboard/package.json', '{}');
+      write('dashboard/packages/ui/package.json', '{}');
+      write('dashboard/node_modules/left-pad/package.json', '{}');
+      write('tools/ingest/pyproject.toml');
+      write('services/api/go.mod');
+      write('services/api/Dockerfile');
+      write('services/worker/Cargo.toml');
+      write('deploy/compose.yaml');
+      write('infra/main.tf');
+      write('infra/modules/network/main.tf');
+      write('test/fixtures/demo/package.json', '{}');
+
+      expect(Context.detectEcosystems(root)).toEqual([
+        { name: 'node', root: 'dashboard' },
+        { name: 'python', root: 'tools/ingest' },
+        { name: 'platformio', root: '.' },
+        { name: 'go', root: 'services/api' },
+        { name: 'rust', root: 'services/worker' },
+        { name: 'docker', root: 'deploy' },
+        { name: 'docker', root: 'services/api' },
+        { name: 'terraform', root: 'infra' },
+      ]);
+    });
+
+    it('scopes a context to an ecosystem root and applies ecosystem weights', () => {
+      write('platformio.ini');
+      write('dashboard/package.json', '{"name":"dashboard"}');
+      const ctx = new Context({
+        projectRoot: root,
+        packageJson: null,
+        config: {
+          checkers: { iot: { weight: 10 }, documentation: { weight: 25 } },
+          ecosystems: {
+            node: { checkers: { documentation: { weight: 5 } } },
+            platformio: { checkers: { iot: { weight: 40 } } },
+            go: { checkers: { iot: { enabled: false } } },
+          },
+        },
+      });
+
+      expect(ctx.repositoryIdentity().ecosystems).toEqual([{ name: 'node', root: 'dashboard' }, { name: 'platformio', root: '.' }]);
+      expect(ctx.getCheckerConfig('iot')).toEqual({ weight: 40 });
+      expect(ctx.getCheckerConfig('documentation')).toEqual({ weight: 5 });
+      const dashboard = ctx.forRoot('dashboard');
+      expect(dashboard.packageJson).toEqual({ name: 'dashboard' });
+      expect(dashboard.ecosystems).toEqual([{ name: 'node', root: '.' }]);
+      expect(dashboard.fileExists('platformio.ini')).toBe(false);
     });
 
-    it('detects iot projects', () => {
+    it('keeps the deprecated project type derived from top-level ecosystems', () => {
+      expect(Context.detectProjectType(path.join(FIXTURES, 'healthy-project'))).toBe('node');
       expect(Context.detectProjectType(path.join(FIXTURES, 'iot-project'))).toBe('iot');
-    });
+      expect(Context.detectProjectType(path.join(FIXTURES, 'python-project'))).toBe('python');
 
-    it('returns generic for unknown projects', () => {
-      expect(Context.detectProjectType(path.join(FIXTURES))).toBe('generic');
+      write('dashboard/package.json', '{}');
+      expect(Context.detectProjectType(root)).toBe('generic');
+      write('package.json', '{}');
+      write('platformio.ini');
+      const ctx = new Context({ projectRoot: root, packageJson: null, config: {} });
+      expect(ctx.projectType).toBe('iot');
+      expect(ctx.repositoryIdentity()).toMatchObject({ type: 'iot' });
     });
   });
 
@@ -63,7 +139,7 @@ describe('Context', () => {
   describe('build()', () => {
     it('builds context for a node project', async () => {
       const ctx = await Context.build({ projectRoot: path.join(FIXTURES, 'healthy-project') });
-      expect(ctx.projectType).toBe('node');
+      expect(ctx.ecosystems).toEqual([{ name: 'node', root: '.' }]);
       expect(ctx.packageJson.name).toBe('healthy-project');
       expect(ctx.cache).toBeTruthy();
       expect(ctx.config.id).toBe('alteriom/repository-baseline');
@@ -72,7 +148,7 @@ describe('Context', () => {
 
     it('builds context for an iot project', async () => {
       const ctx = await Context.build({ projectRoot: path.join(FIXTURES, 'iot-project') });
-      expect(ctx.projectType).toBe('iot');
+      expect(ctx.ecosystems).toEqual([{ name: 'platformio', root: '.' }]);
       expect(ctx.packageJson).toBeNull();
     });
   });
@@ -1,6 +1,9 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { execFileSync } = require('child_process');
 const Checker = require('../../lib/engine/Checker');
 const Engine = require('../../lib/engine/Engine');
 
@@ -47,6 +50,33 @@ class CrashingChecker extends Checker {
   }
 }
 
+// Reports one high finding per tracked `.bad` file.
+class BadFileChecker extends Checker {
+  constructor() {
+    super({ name: 'badfiles', version: '1.0.0', description: 'Bad files', defaultWeight: 10 });
+  }
+  async check(context) {
+    const findings = context.walkFiles({ extensions: ['.bad'] }).map(file => ({
+      id: 'bad-001', severity: 'high', message: 'Bad file', file,
+    }));
+    return this.createResult(Math.max(0, 100 - (findings.length * 40)), findings);
+  }
+}
+
+// Reports one high finding per `.bad` file line that mentions a token.
+class BadLineChecker extends Checker {
+  constructor() {
+    super({ name: 'badlines', version: '1.0.0', description: 'Bad lines', defaultWeight: 10 });
+  }
+  async check(context) {
+    const findings = context.walkFiles({ extensions: ['.bad'] }).flatMap(file => context.readFile(file).split('\n')
+      .map((text, index) => ({ text, line: index + 1 }))
+      .filter(({ text }) => text.includes('token'))
+      .map(({ text, line }) => ({ id: 'bad-002', severity: 'high', message: `Token in "${text}"`, file, line })));
+    return this.createResult(Math.max(0, 100 - (findings.length * 40)), findings);
+  }
+}
+
 describe('Engine', () => {
   describe('register()', () => {
     it('adds checkers and returns self for chaining', () => {
@@ -90,6 +120,70 @@ describe('Engine', () => {
     });
   });
 
+  describe('runChange()', () => {
+    let root;
+    const git = (...args) => execFileSync('git', args, { cwd: root, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-change-'));
+      git('init', '--quiet', '--initial-branch=main');
+      git('config', 'user.email', 'test@example.com');
+      git('config', 'user.name', 'Test');
+      fs.writeFileSync(path.join(root, 'legacy.bad'), 'old\n');
+      git('add', '.');
+      git('commit', '--quiet', '-m', 'base');
+      git('checkout', '--quiet', '-b', 'feature');
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('passes when the change only carries pre-existing findings', async () => {
+      fs.writeFileSync(path.join(root, 'notes.txt'), 'unrelated\n');
+      const engine = new Engine({ projectRoot: root }).register(new BadFileChecker());
+
+      const report = await engine.runChange('main');
+      expect(report.change.absolute.status).toBe('fail');
+      expect(report.change.summary.new).toBe(0);
+      expect(report.change.base.commit).toBe(git('rev-parse', 'main').trim());
+      expect(report.status).toBe('pass');
+      expect(report.checkers.badfiles.findings[0]).toMatchObject({ file: 'legacy.bad', introduced: false });
+      expect(git('worktree', 'list').trim().split('\n')).toHaveLength(1);
+    });
+
+    it('fails on findings introduced by the change', async () => {
+      fs.writeFileSync(path.join(root, 'added.bad'), 'new\n');
+      const engine = new Engine({ projectRoot: root }).register(new BadFileChecker());
+
+      const report = await engine.runChange('main', ['badfiles']);
+      expect(report.status).toBe('fail');
+      expect(report.change.summary.new_by_severity.high).toBe(1);
+      expect(report.gates.find(gate => gate.id === 'maximum-high')).toMatchObject({ passed: false, actual: 1 });
+      expect(report.checkers.badfiles.findings.find(finding => finding.introduced).file).toBe('added.bad');
+    });
+
+    it('does not count pre-existing findings that only moved to another line', async () => {
+      fs.writeFileSync(path.join(root, 'legacy.bad'), 'token = abc\n');
+      git('commit', '--quiet', '-am', 'token');
+      git('branch', '--force', 'main');
+      fs.writeFileSync(path.join(root, 'legacy.bad'), '# header\n\ntoken = abc\n');
+      const engine = new Engine({ projectRoot: root }).register(new BadLineChecker());
+
+      const report = await engine.runChange('main');
+      expect(report.checkers.badlines.findings[0]).toMatchObject({ line: 3, introduced: false });
+      expect(report.change.summary).toMatchObject({ new: 0, resolved: 0, unchanged: 1 });
+      expect(report.gates.every(gate => gate.passed)).toBe(true);
+      expect(report.status).toBe('pass');
+    });
+
+    it('rejects refs that could be read as options or do not resolve', async () => {
+      const engine = new Engine({ projectRoot: root }).register(new BadFileChecker());
+      await expect(engine.runChange('--output=x')).rejects.toThrow('Invalid base ref');
+      await expect(engine.runChange('missing-branch')).rejects.toThrow('Cannot resolve the merge base with missing-branch');
+    });
+  });
+
   describe('fix()', () => {
     it('returns a report, plan, and dry-run audit by default', async () => {
       const engine = new Engine({ projectRoot: path.join(FIXTURES, 'healthy-project') });
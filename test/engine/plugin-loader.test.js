@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Engine = require('../../lib/engine/Engine');
+const PluginLoader = require('../../lib/engine/PluginLoader');
+
+const CHECKER_PATH = JSON.stringify(path.join(__dirname, '..', '..', 'lib', 'engine', 'Checker'));
+
+function pluginSource(name, body = 'return this.createResult(80, []);') {
+  return `'use strict';
+const Checker = require(${CHECKER_PATH});
+module.exports = class extends Checker {
+  constructor() { super({ name: '${name}', version: '1.2.0', description: 'Plugin', defaultWeight: 10 }); }
+  async check() { ${body} }
+};
+`;
+}
+
+describe('PluginLoader', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-plugins-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('loads local checker modules and records their identity', () => {
+    fs.mkdirSync(path.join(root, 'checkers'));
+    fs.writeFileSync(path.join(root, 'checkers', 'naming.js'), pluginSource('naming'));
+
+    const { checkers, plugins } = PluginLoader.load(root, ['./checkers/naming.js']);
+    expect(checkers.map(checker => checker.name)).toEqual(['naming']);
+    expect(plugins[0]).toMatchObject({
+      module: './checkers/naming.js',
+      source: 'file',
+      name: 'checkers/naming.js',
+      checkers: [{ name: 'naming', version: '1.2.0' }],
+    });
+    expect(plugins[0].integrity).toMatch(/^sha256-[a-f0-9]{64}$/);
+  });
+
+  it('loads packages from the project node_modules with their package version', () => {
+    const packageRoot = path.join(root, 'node_modules', '@acme', 'checks');
+    fs.mkdirSync(packageRoot, { recursive: true });
+    fs.writeFileSync(path.join(packageRoot, 'package.json'), JSON.stringify({ name: '@acme/checks', version: '4.5.6', main: 'index.js' }));
+    fs.writeFileSync(path.join(packageRoot, 'index.js'), pluginSource('acme-naming'));
+
+    const { plugins } = PluginLoader.load(root, ['@acme/checks']);
+    expect(plugins[0]).toMatchObject({ source: 'package', name: '@acme/checks', version: '4.5.6' });
+  });
+
+  it('rejects paths outside the project root and unresolvable modules', () => {
+    expect(() => PluginLoader.loadOne(root, '../outside.js')).toThrow('must stay within the project root');
+    expect(() => PluginLoader.loadOne(root, './missing.js')).toThrow('could not be resolved');
+    expect(() => PluginLoader.loadOne(root, 'not a package')).toThrow('not a valid package name');
+  });
+
+  it('validates the checker contract and name collisions', () => {
+    fs.writeFileSync(path.join(root, 'bad-version.js'), pluginSource('versioned').replace("'1.2.0'", "'latest'"));
+    expect(() => PluginLoader.loadOne(root, './bad-version.js')).toThrow('version must be a semantic version string');
+
+    fs.writeFileSync(path.join(root, 'object.js'), 'module.exports = { name: "nope" };');
+    expect(() => PluginLoader.loadOne(root, './object.js')).toThrow('must export a Checker subclass');
+
+    fs.writeFileSync(path.join(root, 'security.js'), pluginSource('security'));
+    expect(() => PluginLoader.loadOne(root, './security.js', { reservedNames: ['security'] }))
+      .toThrow('already registered: security');
+
+    fs.writeFileSync(path.join(root, 'throws.js'), 'throw new Error("broken import");');
+    expect(() => PluginLoader.loadOne(root, './throws.js')).toThrow('failed to load: broken import');
+  });
+
+  it('skips plugins that fail to load and keeps loading the rest', () => {
+    fs.writeFileSync(path.join(root, 'first.js'), pluginSource('shared'));
+    fs.writeFileSync(path.join(root, 'second.js'), pluginSource('shared'));
+    fs.writeFileSync(path.join(root, 'throws.js'), 'throw new Error("broken import");');
+    fs.writeFileSync(path.join(root, 'last.js'), pluginSource('last'));
+
+    const { checkers, plugins, failures } = PluginLoader.load(root, ['./first.js', './missing.js', './second.js', './throws.js', './last.js']);
+    expect(checkers.map(checker => checker.name)).toEqual(['shared', 'last']);
+    expect(plugins.map(plugin => plugin.module)).toEqual(['./first.js', './last.js']);
+    expect(failures).toEqual([
+      { module: './missing.js', error: expect.stringContaining('could not be resolved') },
+      { module: './second.js', error: expect.stringContaining('already registered: shared') },
+      { module: './throws.js', error: expect.stringContaining('failed to load: broken import') },
+    ]);
+  });
+});
+
+describe('Engine plugins', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-engine-plugins-'));
+    fs.writeFileSync(path.join(root, 'good.js'), pluginSource('good-plugin'));
+    fs.writeFileSync(path.join(root, 'broken.js'), pluginSource('broken-plugin', 'return { score: 100 };'));
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({
+      plugins: ['./good.js', './broken.js'],
+      gates: { failBelow: 0, maxCritical: 10, maxHigh: 10, checkerMinimums: {} },
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('refuses policy plugins unless explicitly allowed', async () => {
+    await expect(new Engine({ projectRoot: root }).run()).rejects.toThrow('enable allowPlugins');
+  });
+
+  it('runs plugin checkers, isolates contract failures, and reports plugin identity', async () => {
+    const report = await new Engine({ projectRoot: root, allowPlugins: true }).run(['good-plugin', 'broken-plugin']);
+
+    expect(report.checkers['good-plugin'].score).toBe(80);
+    expect(report.checkers['broken-plugin'].score).toBe(0);
+    expect(report.checkers['broken-plugin'].findings[0].message).toContain('expected broken-plugin');
+    expect(report.plugins.map(plugin => plugin.module)).toEqual(['./good.js', './broken.js']);
+  });
+
+  it('reports plugins that fail to load without aborting the run', async () => {
+    fs.writeFileSync(path.join(root, 'throws.js'), 'throw new Error("broken import");');
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({
+      plugins: ['./missing.js', './throws.js', './good.js'],
+      gates: { failBelow: 0, maxCritical: 10, maxHigh: 10, checkerMinimums: {} },
+    }));
+
+    const report = await new Engine({ projectRoot: root, allowPlugins: true }).run(['good-plugin']);
+
+    expect(report.checkers['good-plugin'].score).toBe(80);
+    expect(report.checkers['plugin-throws-js']).toMatchObject({ score: 0, metadata: { error: expect.stringContaining('broken import') } });
+    expect(report.checkers['plugin-throws-js'].findings[0]).toMatchObject({ id: 'plugin-throws-js-error', severity: 'critical' });
+    expect(report.checkers['plugin-missing-js'].findings[0].message).toContain('could not be resolved');
+    expect(report.plugins).toEqual([
+      { module: './missing.js', error: expect.stringContaining('could not be resolved'), checkers: [] },
+      { module: './throws.js', error: expect.stringContaining('broken import'), checkers: [] },
+      expect.objectContaining({ module: './good.js', checkers: [{ name: 'good-plugin', version: '1.2.0' }] }),
+    ]);
+  });
+});
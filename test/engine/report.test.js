@@ -163,4 +163,103 @@ describe('Report', () => {
       );
     });
   });
+  describe('fingerprints', () => {
+    it('assigns stable fingerprints that distinguish repeated findings', () => {
+      const findings = () => [
+        { checker: 'dependencies', id: 'dep-008', severity: 'low', message: 'registry a', file: 'package-lock.json' },
+        { checker: 'dependencies', id: 'dep-008', severity: 'low', message: 'registry b', file: 'package-lock.json' },
+      ];
+      const first = Report.aggregate([{ checker: 'dependencies', score: 90, findings: findings() }]);
+      const second = Report.aggregate([{ checker: 'dependencies', score: 90, findings: findings() }]);
+      const fingerprints = first.checkers.dependencies.findings.map(finding => finding.fingerprint);
+
+      expect(fingerprints[0]).toMatch(/^[a-f0-9]{32}$/);
+      expect(fingerprints[0]).not.toBe(fingerprints[1]);
+      expect(second.checkers.dependencies.findings.map(finding => finding.fingerprint)).toEqual(fingerprints);
+    });
+  });
+  describe('diff()', () => {
+    const policy = { id: 'test', version: '1.0.0', gates: { maxHigh: 0 } };
+    const highFinding = { checker: 'cicd', id: 'ci-005', severity: 'high', message: 'Injection', file: '.github/workflows/ci.yml', line: 12 };
+    const lowFinding = { checker: 'cicd', id: 'ci-003', severity: 'low', message: 'No permissions', file: '.github/workflows/' };
+    const docFinding = { checker: 'documentation', id: 'doc-006', severity: 'low', message: 'No badges', file: 'README.md' };
+
+    it('reports new, resolved, and unchanged findings by stable identity', () => {
+      const before = Report.aggregate([
+        { checker: 'cicd', score: 90, findings: [{ ...lowFinding }] },
+        { checker: 'documentation', score: 80, findings: [{ ...docFinding }] },
+      ], {}, { policy });
+      const after = Report.aggregate([
+        { checker: 'cicd', score: 75, findings: [{ ...lowFinding }, { ...highFinding }] },
+        { checker: 'documentation', score: 85, findings: [] },
+      ], {}, { policy: { ...policy, version: '1.1.0' } });
+
+      const diff = Report.diff(before, after);
+      expect(diff.kind).toBe('RepositoryComplianceReportDiff');
+      expect(diff.findings.new.map(finding => finding.id)).toEqual(['ci-005']);
+      expect(diff.findings.resolved.map(finding => finding.id)).toEqual(['doc-006']);
+      expect(diff.findings.unchanged.map(finding => finding.id)).toEqual(['ci-003']);
+      expect(diff.summary.new_by_severity.high).toBe(1);
+      expect(diff.checkers.cicd).toEqual({ before: 90, after: 75, delta: -15 });
+      expect(diff.checkers.documentation.delta).toBe(5);
+      expect(diff.gates).toContainEqual(expect.objectContaining({ id: 'maximum-high', before: true, after: false, transition: 'broken' }));
+      expect(diff.status).toEqual({ before: 'pass', after: 'fail', changed: true });
+      expect(diff.policy.changed).toBe(true);
+    });
+
+    it('matches findings that moved to another line and pairs duplicates in order', () => {
+      const secret = (line, preview) => ({
+        checker: 'security', id: 'sec-010', severity: 'critical', message: 'Possible AWS access key found in src/config.js', file: 'src/config.js', line,
+        evidence: { type: 'file', path: 'src/config.js', line, rule: 'aws-access-key', preview },
+      });
+      const before = Report.aggregate([{ checker: 'security', score: 75, findings: [secret(3, 'key = AKIA************'), secret(9, 'key = AKIA************')] }], {}, { policy });
+      const after = Report.aggregate([{
+        checker: 'security',
+        score: 50,
+        findings: [secret(4, 'key = AKIA************'), secret(10, 'key = AKIA************'), secret(20, 'other = AKIA************')],
+      }], {}, { policy });
+
+      const diff = Report.diff(before, after);
+      expect(diff.summary).toMatchObject({ new: 1, resolved: 0, unchanged: 2 });
+      expect(diff.findings.new.map(finding => finding.line)).toEqual([20]);
+      expect(diff.findings.unchanged.map(finding => finding.line)).toEqual([4, 10]);
+      expect(Report.diff(after, before).findings.resolved.map(finding => finding.line)).toEqual([20]);
+    });
+
+    it('identifies findings in reports without fingerprints', () => {
+      const strip = report => JSON.parse(JSON.stringify(report, (key, value) => (key === 'fingerprint' ? undefined : value)));
+      const report = Report.aggregate([{ checker: 'cicd', score: 90, findings: [{ ...lowFinding }] }], {}, { policy });
+      const diff = Report.diff(strip(report), report);
+      expect(diff.summary).toMatchObject({ new: 0, resolved: 0, unchanged: 1 });
+    });
+
+    it('rejects documents that are not compliance reports', () => {
+      expect(() => Report.diff({ kind: 'RepositoryInventory' }, Report.empty())).toThrow('before document is not a RepositoryComplianceReport');
+    });
+  });
+
+  describe('evaluateChangeGates()', () => {
+    const gates = { failBelow: 90, maxHigh: 0, checkerMinimums: { cicd: 80 } };
+    const highFinding = { checker: 'cicd', id: 'ci-005', severity: 'high', message: 'Injection', file: '.github/workflows/ci.yml', line: 12 };
+
+    it('counts only new findings and tolerates score gates the change did not lower', () => {
+      const before = Report.aggregate([{ checker: 'cicd', score: 60, findings: [{ ...highFinding }] }], {}, { policy: { id: 'test', version: '1.0.0', gates } });
+      const after = Report.aggregate([{ checker: 'cicd', score: 60, findings: [{ ...highFinding }] }], {}, { policy: { id: 'test', version: '1.0.0', gates } });
+      const results = Report.evaluateChangeGates(after, before, Report.diff(before, after), gates);
+
+      expect(after.status).toBe('fail');
+      expect(results.every(gate => gate.passed)).toBe(true);
+      expect(results.find(gate => gate.id === 'maximum-high').actual).toBe(0);
+      expect(results.find(gate => gate.id === 'checker:cicd')).toMatchObject({ actual: 60, baseline: 60 });
+    });
+
+    it('fails score gates the change lowered', () => {
+      const before = Report.aggregate([{ checker: 'cicd', score: 70, findings: [] }], {}, { policy: { id: 'test', version: '1.0.0', gates } });
+      const after = Report.aggregate([{ checker: 'cicd', score: 65, findings: [] }], {}, { policy: { id: 'test', version: '1.0.0', gates } });
+      const results = Report.evaluateChangeGates(after, before, Report.diff(before, after), gates);
+
+      expect(results.find(gate => gate.id === 'checker:cicd')).toMatchObject({ passed: false, actual: 65 });
+      expect(results.find(gate => gate.id === 'minimum-score').passed).toBe(false);
+    });
+  });
 });
@@ -90,6 +90,14 @@ describe('CLI formatReport verbose mode', () => {
     expect(output).not.toContain('Detailed Findings');
   });
 
+  it('marks findings introduced relative to a base in change mode', () => {
+    const report = makeReport({ change: { base: { ref: 'origin/main', commit: 'a'.repeat(40), score: 88 }, summary: { new: 1 } } });
+    report.checkers.security.findings[0].introduced = true;
+    const output = formatReport(report, { verbose: true });
+    expect(output).toContain(`Change Mode: 1 new finding(s) since origin/main (${'a'.repeat(12)}, score 88)`);
+    expect(output).toContain('[new]');
+  });
+
   it('shows fix suggestions in verbose mode', () => {
     const output = formatReport(makeReport(), { verbose: true });
     expect(output).toContain('Fix:');
@@ -196,3 +204,22 @@ describe('CLI file output (--output flag)', () => {
     expect(parsed.grade).toBe('B');
   });
 });
+
+describe('CLI formatDiff', () => {
+  const Report = require('../../lib/engine/Report');
+  const { formatDiff } = require('../../lib/interfaces/cli');
+
+  it('summarizes score, status, findings, and gate transitions', () => {
+    const policy = { id: 'test', version: '1.0.0', gates: { maxHigh: 0 } };
+    const before = Report.aggregate([{ checker: 'cicd', score: 90, findings: [] }], {}, { policy });
+    const after = Report.aggregate([{ checker: 'cicd', score: 75, findings: [
+      { checker: 'cicd', id: 'ci-005', severity: 'high', message: 'Injection risk', file: 'ci.yml', line: 4 },
+    ] }], {}, { policy });
+
+    const output = formatDiff(Report.diff(before, after));
+    expect(output).toContain('New Findings: 1 (1 high)');
+    expect(output).toContain('cicd/ci-005 Injection risk (ci.yml:4)');
+    expect(output).toContain('(-15)');
+    expect(output).toContain('maximum-high');
+  });
+});
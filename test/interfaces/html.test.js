@@ -0,0 +1,101 @@
+'use strict';
+
+const { formatReport, formatFleet } = require('../../lib/interfaces/html');
+
+function makeReport(overrides = {}) {
+  return {
+    schemaVersion: '1.0.0',
+    kind: 'RepositoryComplianceReport',
+    repository: { owner: 'Alteriom', name: 'demo', commit: 'abc123def4567890' },
+    policy: { id: 'alteriom-default', version: '3.0.0' },
+    score: 72,
+    grade: 'C',
+    status: 'fail',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    checkers: {
+      security: { score: 60, grade: 'D', findings: [
+        { checker: 'security', id: 'sec-010', severity: 'critical', message: 'Possible <script> key', file: 'src/config.js', line: 4, fix: 'Rotate it' },
+      ] },
+      documentation: { score: 90, grade: 'A', findings: [
+        { checker: 'documentation', id: 'doc-002', severity: 'medium', message: 'Missing CHANGELOG.md', fixable: true },
+      ] },
+    },
+    summary: { total_findings: 2, by_severity: { critical: 1, high: 0, medium: 1, low: 0, info: 0 }, fixable: 1 },
+    gates: [
+      { id: 'maximum-critical', passed: false, actual: 1, expected: '<= 0' },
+      { id: 'minimum-score', passed: true, actual: 72, expected: '>= 70' },
+    ],
+    ...overrides,
+  };
+}
+
+describe('HTML formatReport', () => {
+  it('renders a self-contained page without external assets', () => {
+    const html = formatReport(makeReport());
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('Content-Security-Policy');
+    expect(html).not.toMatch(/<(?:link|img)\b|<script\s+src=/i);
+    expect(html).not.toMatch(/https?:\/\/(?!github\.com\/)/);
+  });
+
+  it('escapes finding content', () => {
+    const html = formatReport(makeReport());
+    expect(html).toContain('Possible &lt;script&gt; key');
+    expect(html).not.toContain('Possible <script> key');
+  });
+
+  it('shows failed gates, checker scores, and filterable findings', () => {
+    const html = formatReport(makeReport());
+    expect(html).toContain('<code>maximum-critical</code>');
+    expect(html).not.toContain('<code>minimum-score</code>');
+    expect(html).toContain('aria-label="security 60 of 100"');
+    expect(html).toContain('id="findings"');
+    expect(html).toContain('data-severity="critical" checked');
+    expect(html).toContain('data-severity="medium" checked');
+    expect(html).not.toContain('data-severity="high" checked');
+  });
+
+  it('links evidence to the evaluated commit', () => {
+    const html = formatReport(makeReport());
+    expect(html).toContain('href="https://github.com/Alteriom/demo/blob/abc123def4567890/src/config.js#L4"');
+    const local = formatReport(makeReport({ repository: { root: '/tmp/demo' } }));
+    expect(local).toContain('<code>src/config.js:4</code>');
+    expect(local).not.toContain('href=');
+  });
+
+  it('summarizes a remediation plan', () => {
+    const plan = {
+      id: 'plan123',
+      operations: [{ checker: 'documentation', findingId: 'doc-002', type: 'write-file', path: 'CHANGELOG.md', description: 'Create CHANGELOG.md' }],
+      unsupported: [{ id: 'sec-010', reason: 'No safe automatic remediation' }],
+    };
+    const html = formatReport(makeReport(), { plan });
+    expect(html).toContain('Remediation plan');
+    expect(html).toContain('1 operation(s), 1 finding(s) without automatic remediation');
+    expect(html).toContain('<code>CHANGELOG.md</code>');
+  });
+});
+
+describe('HTML formatFleet', () => {
+  it('renders repositories, worst checkers, common findings, and fleet findings', () => {
+    const fleet = {
+      kind: 'RepositoryFleetReport',
+      organization: 'Alteriom',
+      status: 'fail',
+      generatedAt: '2026-01-01T00:00:00.000Z',
+      summary: { repositories: 2, evaluated: 1, passed: 0, failed: 1, errored: 1, skipped: 0, averageScore: 72, averageGrade: 'C' },
+      repositories: [
+        { fullName: 'Alteriom/demo', score: 72, grade: 'C', status: 'fail', failedGates: ['maximum-critical'], findings: 2, profile: 'strict.json', report: 'Alteriom/demo.json' },
+        { fullName: 'Alteriom/gone', score: null, grade: null, status: 'error', failedGates: [], findings: 0, profile: null, report: null, error: 'Repository not found in mirror' },
+      ],
+      worstCheckers: [{ checker: 'security', averageScore: 60, minimumScore: 60, lowestRepository: 'Alteriom/demo', repositories: 1 }],
+      commonFindings: [{ checker: 'security', id: 'sec-010', severity: 'critical', message: 'Possible key', repositories: 1, occurrences: 1 }],
+    };
+    const html = formatFleet(fleet, { reports: { 'Alteriom/demo': makeReport() } });
+    expect(html).toContain('Alteriom fleet');
+    expect(html).toContain('Repository not found in mirror');
+    expect(html).toContain('strict.json');
+    expect(html).toContain('<th data-sort="text">Repository</th>');
+    expect(html).toContain('blob/abc123def4567890/src/config.js#L4');
+  });
+});
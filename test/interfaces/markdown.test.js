@@ -0,0 +1,79 @@
+'use strict';
+
+const Report = require('../../lib/engine/Report');
+const { formatReport, formatDiff } = require('../../lib/interfaces/markdown');
+
+const policy = { id: 'test', version: '1.0.0', gates: { maxHigh: 0 } };
+
+describe('Markdown formatDiff', () => {
+  it('states what the change introduced and resolved', () => {
+    const before = Report.aggregate([{ checker: 'security', score: 90, findings: [
+      { checker: 'security', id: 'sec-007', severity: 'low', message: 'No Dependabot', file: null },
+    ] }], {}, { policy });
+    const after = Report.aggregate([{ checker: 'security', score: 60, grade: 'D', findings: [
+      { checker: 'security', id: 'sec-010', severity: 'high', message: 'Secret | token', file: 'a.js', line: 2 },
+      { checker: 'security', id: 'sec-012', severity: 'high', message: 'Vulnerable dependency', file: null },
+    ] }], {}, { policy });
+
+    const output = formatDiff(Report.diff(before, after));
+    expect(output).toContain('This change introduced 2 findings (2 high) and resolved 1; 0 unchanged.');
+    expect(output).toContain('| security | 90 | 60 | -30 |');
+    expect(output).toContain('| `maximum-high` | broken | 2 | <= 0 |');
+    expect(output).toContain('Secret \\| token');
+    expect(output).toContain('`a.js:2`');
+    expect(output).toContain('<summary>Resolved findings (1)</summary>');
+  });
+
+  it('reports when nothing was introduced', () => {
+    const report = Report.aggregate([{ checker: 'security', score: 100, findings: [] }], {}, { policy });
+    expect(formatDiff(Report.diff(report, report))).toContain('This change introduced no findings; 0 unchanged.');
+  });
+});
+
+describe('Markdown formatReport', () => {
+  function report(repository = { owner: 'Alteriom', name: 'demo', commit: 'abc123' }) {
+    const value = Report.aggregate([
+      { checker: 'security', score: 60, grade: 'D', findings: [
+        { checker: 'security', id: 'sec-010', severity: 'high', message: 'Secret | token', file: 'src/a.js', line: 2 },
+        { checker: 'security', id: 'sec-003', severity: 'high', message: '.gitignore is missing', file: '.gitignore', fixable: true },
+      ] },
+      { checker: 'documentation', score: 95, grade: 'A', findings: [
+        { checker: 'documentation', id: 'doc-006', severity: 'low', message: 'No badges', file: 'README.md' },
+      ] },
+    ], {}, { policy });
+    value.repository = repository;
+    return value;
+  }
+
+  it('shows a score badge, gate table, and per-checker table', () => {
+    const output = formatReport(report());
+    expect(output).toMatch(/!\[Compliance \d+\/100 \([A-F]\)\]\(https:\/\/img\.shields\.io\/badge\/compliance-\d+%2F100%20[A-F]-\w+\)/);
+    expect(output).toContain('**Status:** ❌ **fail** · **Policy:** `test@1.0.0`');
+    expect(output).toContain('| `maximum-high` | ❌ | 2 | <= 0 |');
+    expect(output).toContain('| security | 60 | D | 2 | 1 |');
+    expect(output).toContain('| documentation | 95 | A | 1 | 0 |');
+  });
+
+  it('groups findings by severity in collapsible sections with file links', () => {
+    const output = formatReport(report());
+    expect(output).toContain('<summary>High findings (2, 1 fixable)</summary>');
+    expect(output).toContain('<summary>Low findings (1)</summary>');
+    expect(output).not.toContain('Medium findings');
+    expect(output).toContain('Secret \\| token');
+    expect(output).toContain('[`src/a.js:2`](https://github.com/Alteriom/demo/blob/abc123/src/a.js#L2)');
+    expect(output).toContain('1 finding(s) can be fixed automatically');
+    expect(formatReport(report({ root: '/tmp/demo' }))).toContain('| `src/a.js:2` |');
+  });
+
+  it('lists inline waivers with their reasons', () => {
+    const value = Report.aggregate([{ checker: 'security', score: 75, findings: [
+      {
+        checker: 'security', id: 'sec-010', severity: 'critical', message: 'Possible AWS Key', file: 'test/a.js', line: 4,
+        inlineSuppression: { type: 'inline', file: 'test/a.js', line: 3, reason: 'revoked key | fixture' },
+      },
+    ] }], {}, { policy });
+    const output = formatReport(value);
+    expect(output).toContain('<summary>Inline waivers (1)</summary>');
+    expect(output).toContain('| security | `sec-010` | `test/a.js:4` | revoked key \\| fixture |');
+  });
+});
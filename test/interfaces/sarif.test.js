@@ -0,0 +1,78 @@
+'use strict';
+
+const Report = require('../../lib/engine/Report');
+const { formatReport } = require('../../lib/interfaces/sarif');
+
+function makeReport(offset = 0) {
+  return Report.aggregate([
+    {
+      checker: 'security',
+      checkerVersion: '2.4.0',
+      score: 50,
+      findings: [
+        { id: 'sec-010', checker: 'security', severity: 'critical', message: 'Possible AWS Key found in config.js', file: 'config.js', line: 4 + offset, fix: 'Remove hardcoded secrets' },
+        { id: 'sec-010', checker: 'security', severity: 'critical', message: 'Possible AWS Key found in config.js', file: 'config.js', line: 9 + offset, fix: 'Remove hardcoded secrets' },
+        { id: 'sec-007', checker: 'security', severity: 'low', message: 'No dependency update tool configured', file: null, fix: null },
+      ],
+    },
+    {
+      checker: 'license',
+      checkerVersion: '2.1.0',
+      score: 100,
+      findings: [{ id: 'lic-001', checker: 'license', severity: 'info', message: 'LICENSE file found', file: 'LICENSE' }],
+    },
+  ], {}, {
+    tool: { name: '@alteriom/repository-metadata-manager', version: '3.0.0' },
+    policy: { id: 'test/policy', version: '1.0.0', gates: { maxCritical: 0 } },
+  });
+}
+
+describe('SARIF formatReport', () => {
+  it('produces a SARIF 2.1.0 log with one tool component per checker', () => {
+    const sarif = JSON.parse(formatReport(makeReport()));
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs).toHaveLength(1);
+    expect(sarif.runs[0].tool.extensions.map(component => component.name)).toEqual(['security', 'license']);
+    expect(sarif.runs[0].tool.extensions[0].version).toBe('2.4.0');
+    expect(sarif.runs[0].properties.failedGates).toEqual(['maximum-critical']);
+  });
+
+  it('maps finding ids to rules with help text and severity to levels', () => {
+    const sarif = JSON.parse(formatReport(makeReport()));
+    const security = sarif.runs[0].tool.extensions[0];
+    expect(security.rules.map(rule => rule.id)).toEqual(['sec-010', 'sec-007']);
+    expect(security.rules[0].help.text).toBe('Remove hardcoded secrets');
+    expect(security.rules[1].help.text).toBe('No dependency update tool configured');
+
+    const [first, , low] = sarif.runs[0].results;
+    expect(first).toMatchObject({ ruleId: 'sec-010', level: 'error', rule: { index: 0, toolComponent: { index: 0 } } });
+    expect(low).toMatchObject({ ruleId: 'sec-007', level: 'note', locations: [] });
+  });
+
+  it('maps evidence to physical locations and omits info findings', () => {
+    const sarif = JSON.parse(formatReport(makeReport()));
+    expect(sarif.runs[0].results).toHaveLength(3);
+    expect(sarif.runs[0].results[0].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'config.js', uriBaseId: '%SRCROOT%' },
+      region: { startLine: 4 },
+    });
+  });
+
+  it('emits stable, distinct fingerprints across runs', () => {
+    const first = JSON.parse(formatReport(makeReport())).runs[0].results;
+    const second = JSON.parse(formatReport(makeReport())).runs[0].results;
+    const fingerprints = first.map(result => result.partialFingerprints['repoManagerFinding/v2']);
+    expect(new Set(fingerprints).size).toBe(3);
+    expect(second.map(result => result.partialFingerprints['repoManagerFinding/v2'])).toEqual(fingerprints);
+  });
+
+  it('keeps fingerprints when findings move to other lines', () => {
+    const fingerprintsOf = report => JSON.parse(formatReport(report)).runs[0].results.map(result => result.partialFingerprints['repoManagerFinding/v2']);
+    const moved = makeReport(3);
+    expect(fingerprintsOf(moved)).toEqual(fingerprintsOf(makeReport()));
+
+    const written = JSON.parse(JSON.stringify(moved));
+    written.checkers.security.findings.forEach((finding, index) => { finding.fingerprint = `${index}`.repeat(32); });
+    expect(fingerprintsOf(written)).toEqual(fingerprintsOf(makeReport()));
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ActionPolicy = require('../../lib/policy/ActionPolicy');
+
+describe('ActionPolicy', () => {
+  it('parses action references', () => {
+    expect(ActionPolicy.parseReference('github/codeql-action/analyze@v3'))
+      .toEqual({ name: 'github/codeql-action', path: 'github/codeql-action/analyze', ref: 'v3' });
+    expect(ActionPolicy.parseReference('./.github/actions/setup')).toBeNull();
+    expect(ActionPolicy.parseReference('docker://alpine:3')).toBeNull();
+  });
+
+  it('parses pin comments', () => {
+    expect(ActionPolicy.pinComment('      - uses: actions/checkout@abc # v4.1.1')).toBe('v4.1.1');
+    expect(ActionPolicy.pinComment('uses: a/b@abc # tag=v2.0.0')).toBe('v2.0.0');
+    expect(ActionPolicy.pinComment('uses: a/b@abc # pinned for reproducibility')).toBeNull();
+  });
+
+  it('matches the first allowlist entry by owner/repo or full path', () => {
+    const allowed = ActionPolicy.compileAllowed(['actions/*', { pattern: 'github/codeql-action/*', minimumVersion: 'v3' }]);
+    expect(ActionPolicy.findAllowed(allowed, ActionPolicy.parseReference('Actions/Checkout@v4')).pattern).toBe('actions/*');
+    expect(ActionPolicy.findAllowed(allowed, ActionPolicy.parseReference('github/codeql-action/init@v3')).minimumVersion).toBe('v3');
+    expect(ActionPolicy.findAllowed(allowed, ActionPolicy.parseReference('octo/deploy@v1'))).toBeNull();
+    expect(ActionPolicy.compileAllowed(null)).toBeNull();
+  });
+
+  describe('tag maps', () => {
+    let root;
+
+    beforeEach(() => {
+      root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-tags-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('loads tag maps with lowercase names and SHAs', () => {
+      fs.writeFileSync(path.join(root, 'tags.json'), JSON.stringify({ 'Actions/Checkout': { 'v4.1.1': 'B4FFDE65F46336AB88EB53BE808477A3936BAE11' } }));
+      const tags = ActionPolicy.loadTagMap(root, 'tags.json');
+      expect(tags.get('actions/checkout').get('v4.1.1')).toBe('b4ffde65f46336ab88eb53be808477a3936bae11');
+      expect(ActionPolicy.loadTagMap(root, null)).toBeNull();
+    });
+
+    it('rejects malformed or escaping tag maps', () => {
+      fs.writeFileSync(path.join(root, 'tags.json'), JSON.stringify({ 'actions/checkout': { v4: 'main' } }));
+      expect(() => ActionPolicy.loadTagMap(root, 'tags.json'))
+        .toThrow('Action tag map tags.json entry actions/checkout@v4 must be a 40-character commit SHA');
+      expect(() => ActionPolicy.loadTagMap(root, '../tags.json')).toThrow('cicd.actionTagMap must stay within the policy root');
+      expect(() => ActionPolicy.loadTagMap(root, 'missing.json')).toThrow('Action tag map not found: missing.json');
+    });
+  });
+});
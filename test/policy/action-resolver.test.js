@@ -0,0 +1,79 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ActionResolver = require('../../lib/policy/ActionResolver');
+
+const COMMIT = 'b4ffde65f46336ab88eb53be808477a3936bae11';
+const TAG_OBJECT = '1111111111111111111111111111111111111111';
+
+function fakeGitHub(refs) {
+  const calls = [];
+  return {
+    calls,
+    git: {
+      async getRef({ owner, repo, ref }) {
+        calls.push(`${owner}/${repo}:${ref}`);
+        if (!refs[ref]) throw Object.assign(new Error('Not Found'), { status: 404 });
+        return { data: { object: refs[ref] } };
+      },
+      async getTag({ tag_sha: tagSha }) {
+        calls.push(`tag:${tagSha}`);
+        return { data: { object: { type: 'commit', sha: COMMIT } } };
+      },
+    },
+  };
+}
+
+describe('ActionResolver', () => {
+  it('follows annotated tags and falls back to branches through the GitHub API', async () => {
+    const github = fakeGitHub({
+      'tags/v4': { type: 'tag', sha: TAG_OBJECT },
+      'heads/main': { type: 'commit', sha: COMMIT.toUpperCase() },
+    });
+    const resolver = ActionResolver.fromGitHub(github);
+
+    await expect(resolver.resolve('actions/checkout', 'v4')).resolves.toBe(COMMIT);
+    await expect(resolver.resolve('actions/checkout', 'main')).resolves.toBe(COMMIT);
+    await expect(resolver.resolve('actions/checkout', 'v0')).resolves.toBeNull();
+    expect(github.calls.slice(0, 2)).toEqual(['actions/checkout:tags/v4', `tag:${TAG_OBJECT}`]);
+  });
+
+  it('surfaces API failures other than a missing ref', async () => {
+    const github = { git: { getRef: async () => { throw Object.assign(new Error('rate limited'), { status: 403 }); } } };
+    await expect(ActionResolver.fromGitHub(github).resolve('actions/checkout', 'v4')).rejects.toThrow('rate limited');
+  });
+
+  it('tries configured sources in order and memoises lookups', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-resolver-'));
+    try {
+      fs.writeFileSync(path.join(root, 'tags.json'), JSON.stringify({ 'actions/checkout': { 'v4.1.1': COMMIT } }));
+      const github = fakeGitHub({ 'tags/v4': { type: 'commit', sha: COMMIT } });
+      const resolver = ActionResolver.create({
+        policyRoot: root,
+        github,
+        config: { cicd: { actionTagMap: 'tags.json', pinResolvers: ['tag-map', 'github'] } },
+      });
+
+      expect(resolver.sources).toEqual(['tag-map', 'github']);
+      await expect(resolver.resolve('actions/checkout', 'v4.1.1')).resolves.toEqual({ sha: COMMIT, source: 'tag-map' });
+      await expect(resolver.resolve('actions/checkout', 'v4')).resolves.toEqual({ sha: COMMIT, source: 'github' });
+      await resolver.resolve('actions/checkout', 'v4');
+      expect(github.calls).toEqual(['actions/checkout:tags/v4']);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('skips sources that are not available', () => {
+    const resolver = ActionResolver.create({ policyRoot: os.tmpdir(), github: null, config: { cicd: { pinResolvers: ['github'] } } });
+    expect(resolver.sources).toEqual([]);
+  });
+
+  it('validates the resolver list', () => {
+    expect(() => ActionResolver.validate({ pinResolvers: ['github'] })).not.toThrow();
+    expect(() => ActionResolver.validate({ pinResolvers: ['registry'] })).toThrow('cicd.pinResolvers must be an array of: tag-map, github');
+    expect(() => ActionResolver.validate({ pinResolvers: 'github' })).toThrow('cicd.pinResolvers');
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const path = require('path');
+const AdvisorySource = require('../../lib/policy/AdvisorySource');
+const OsvDatabase = require('../../lib/policy/OsvDatabase');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+describe('AdvisorySource', () => {
+  const graph = {
+    packages: [
+      { id: 'lodash@4.17.15', name: 'lodash', version: '4.17.15', dependencies: [] },
+      { id: 'lodash@4.17.21', name: 'lodash', version: '4.17.21', dependencies: [] },
+      { id: 'minimist@1.2.0', name: 'minimist', version: '1.2.0', dependencies: [] },
+      { id: 'react@18.2.0', name: 'react', version: '18.2.0', dependencies: [] },
+    ],
+  };
+
+  it('matches locked versions against an offline advisory file', async () => {
+    const source = AdvisorySource.fromFile(AdvisorySource.loadFile(fixturesDir, 'npm-advisories/bulk.json'), 'npm-advisories/bulk.json');
+
+    expect(await AdvisorySource.audit(source, graph)).toEqual([
+      {
+        id: 'lodash@4.17.15',
+        name: 'lodash',
+        version: '4.17.15',
+        advisories: [
+          { id: 'GHSA-35jh-r3h4-6jhm', title: 'Command Injection in lodash', severity: 'high', url: 'https://github.com/advisories/GHSA-35jh-r3h4-6jhm' },
+          {
+            id: 'GHSA-29mw-wpgm-hmr9',
+            title: 'Regular Expression Denial of Service (ReDoS) in lodash',
+            severity: 'medium',
+            url: 'https://github.com/advisories/GHSA-29mw-wpgm-hmr9',
+          },
+        ],
+      },
+      {
+        id: 'minimist@1.2.0',
+        name: 'minimist',
+        version: '1.2.0',
+        advisories: [{ id: 'GHSA-xvch-5gv4-984h', title: 'Prototype Pollution in minimist', severity: 'critical', url: 'https://github.com/advisories/GHSA-xvch-5gv4-984h' }],
+      },
+    ]);
+  });
+
+  it('posts every locked version to the registry bulk endpoint', async () => {
+    const request = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ react: [{ id: 7, title: 'XSS', severity: 'high', vulnerable_versions: '>=18.0.0 <18.3.0' }] }),
+    });
+    try {
+      const source = AdvisorySource.fromRegistry('https://registry.example.com/npm');
+      const result = await AdvisorySource.audit(source, graph);
+
+      expect(source.location).toBe('https://registry.example.com/npm/-/npm/v1/security/advisories/bulk');
+      const [url, options] = request.mock.calls[0];
+      expect(url).toBe(source.location);
+      expect(options.method).toBe('POST');
+      expect(JSON.parse(options.body)).toEqual({ lodash: ['4.17.15', '4.17.21'], minimist: ['1.2.0'], react: ['18.2.0'] });
+      expect(result).toEqual([{ id: 'react@18.2.0', name: 'react', version: '18.2.0', advisories: [{ id: '7', title: 'XSS', severity: 'high', url: null }] }]);
+    } finally {
+      request.mockRestore();
+    }
+  });
+
+  it('matches an offline OSV export with semver ordering', async () => {
+    const database = OsvDatabase.load(fixturesDir, 'ghsa-database');
+    const source = AdvisorySource.fromOsv(database);
+
+    expect(source.snapshot).toBe('2026-10-03T09:41:55Z');
+    expect(await AdvisorySource.audit(source, graph)).toEqual([
+      {
+        id: 'lodash@4.17.15',
+        name: 'lodash',
+        version: '4.17.15',
+        advisories: [
+          { id: 'GHSA-29mw-wpgm-hmr9', title: 'Regular Expression Denial of Service (ReDoS) in lodash', severity: 'medium', url: null },
+          { id: 'GHSA-35jh-r3h4-6jhm', title: 'Command Injection in lodash', severity: 'high', url: null },
+        ],
+      },
+      {
+        id: 'minimist@1.2.0',
+        name: 'minimist',
+        version: '1.2.0',
+        advisories: [{ id: 'GHSA-xvch-5gv4-984h', title: 'Prototype Pollution in minimist', severity: 'critical', url: null }],
+      },
+    ]);
+  });
+
+  it('rejects registry errors and advisory files outside the policy root', async () => {
+    const request = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 503 });
+    try {
+      await expect(AdvisorySource.audit(AdvisorySource.fromRegistry('https://registry.example.com/'), graph))
+        .rejects.toThrow('Advisory request to https://registry.example.com/-/npm/v1/security/advisories/bulk failed with HTTP 503');
+    } finally {
+      request.mockRestore();
+    }
+    expect(() => AdvisorySource.loadFile(fixturesDir, '../package.json')).toThrow('security.advisoryFile must stay within the policy root: ../package.json');
+    expect(() => AdvisorySource.loadFile(fixturesDir, 'healthy-project/package.json'))
+      .toThrow('Advisory file healthy-project/package.json must map package names to arrays of advisories');
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const path = require('path');
+const OsvDatabase = require('../../lib/policy/OsvDatabase');
+const Python = require('../../lib/utils/python');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures');
+
+describe('OsvDatabase', () => {
+  const normalize = (ecosystem, name) => Python.normalizeName(name);
+
+  it('loads an export directory and records the snapshot date', () => {
+    const database = OsvDatabase.load(fixturesDir, 'osv-database', { normalize });
+
+    expect(database.advisories).toBe(2);
+    expect(database.snapshot).toBe('2026-10-02T07:15:00Z');
+    expect(OsvDatabase.match(database, 'PyPI', 'Django', '3.2.0', Python.compareVersions).map(advisory => advisory.id))
+      .toEqual(['PYSEC-2021-98']);
+    expect(OsvDatabase.match(database, 'PyPI', 'django', '3.2.4', Python.compareVersions)).toEqual([]);
+    expect(OsvDatabase.match(database, 'pypi', 'requests', '2.19.0', Python.compareVersions)).toEqual([{
+      id: 'GHSA-j8r2-6x86-q33q',
+      aliases: ['CVE-2018-18074'],
+      summary: 'Requests sends credentials over cleartext after a redirect',
+      severity: 'high',
+    }]);
+  });
+
+  it('evaluates introduced, fixed, and last_affected events', () => {
+    const compare = Python.compareVersions;
+    const affected = {
+      ranges: [{
+        type: 'ECOSYSTEM',
+        events: [{ introduced: '2.0' }, { fixed: '2.4.1' }, { introduced: '0' }, { last_affected: '1.9' }, { introduced: '3.0' }],
+      }],
+    };
+
+    expect(OsvDatabase.isAffected(affected, '1.2', compare)).toBe(true);
+    expect(OsvDatabase.isAffected(affected, '1.9.1', compare)).toBe(false);
+    expect(OsvDatabase.isAffected(affected, '2.4.0', compare)).toBe(true);
+    expect(OsvDatabase.isAffected(affected, '2.4.1', compare)).toBe(false);
+    expect(OsvDatabase.isAffected(affected, '3.1', compare)).toBe(true);
+    expect(OsvDatabase.isAffected({ versions: ['0.9'], ranges: [{ type: 'GIT', events: [{ introduced: '0' }] }] }, '0.9', compare)).toBe(true);
+  });
+
+  it('rates severity from advisory labels or CVSS v3 vectors', () => {
+    expect(OsvDatabase.cvss3Score('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H')).toBe(9.8);
+    expect(OsvDatabase.cvss3Score('CVSS:3.1/AV:N/AC:L/PR:L/UI:N/S:C/C:L/I:L/A:N')).toBe(6.4);
+    expect(OsvDatabase.severity({ database_specific: { severity: 'MODERATE' } })).toBe('medium');
+    expect(OsvDatabase.severity({ severity: [{ type: 'CVSS_V3', score: 'CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:U/C:H/I:H/A:N' }] })).toBe('high');
+    expect(OsvDatabase.severity({})).toBe('unknown');
+  });
+
+  it('keeps the database within the policy root', () => {
+    expect(() => OsvDatabase.load(fixturesDir, '../../lib', { normalize }))
+      .toThrow('security.osvDatabase must stay within the policy root: ../../lib');
+    expect(() => OsvDatabase.load(fixturesDir, 'missing-osv')).toThrow('OSV database not found: missing-osv');
+    expect(() => OsvDatabase.validate({ osvDatabase: '/srv/osv' })).toThrow('security.osvDatabase must be a relative path or null');
+  });
+});
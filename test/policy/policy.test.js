@@ -127,6 +127,153 @@ describe('Policy', () => {
     })).toThrow('must also be listed in requiredStatusCheckContexts');
   });
 
+  it('validates plugin specifiers', () => {
+    expect(() => Policy.validate({ plugins: ['@acme/checks', './checkers/naming.js'] })).not.toThrow();
+    expect(() => Policy.validate({ plugins: './checkers' })).toThrow('plugins must be an array');
+    expect(() => Policy.validate({ plugins: [''] })).toThrow('non-empty module specifiers');
+    expect(() => Policy.validate({ plugins: ['a', 'a'] })).toThrow('must not contain duplicates');
+  });
+
+  it('validates persistent cache limits', () => {
+    expect(() => Policy.validate({ cache: { networkTtlSeconds: 600, maxTotalBytes: 1048576 } })).not.toThrow();
+    expect(() => Policy.validate({ cache: { networkTtlSeconds: 0 } })).toThrow('cache.networkTtlSeconds must be a positive integer');
+    expect(() => Policy.validate({ cache: { directory: '/tmp' } })).toThrow('Unknown cache property: directory');
+  });
+
+  it('validates policy secret rules', () => {
+    expect(() => Policy.validate({ security: { secretRules: [{ id: 'internal', name: 'Internal', pattern: 'itk_[a-z0-9]{16}' }] } })).not.toThrow();
+    expect(() => Policy.validate({ security: { secretRules: {} } })).toThrow('security.secretRules must be an array');
+    expect(() => Policy.validate({ security: { disabledSecretRules: ['jwt', 'nope'] } })).toThrow('references unknown rule: nope');
+  });
+
+  it('validates git history scanning settings', () => {
+    expect(() => Policy.validate({ security: { history: { enabled: true, range: 'origin/main..HEAD', maxCommits: 500 } } })).not.toThrow();
+    expect(() => Policy.validate({ security: { history: { range: '--all' } } })).toThrow('security.history.range must be a git revision range');
+    expect(() => Policy.validate({ security: { history: { maxCommits: 0 } } })).toThrow('security.history.maxCommits must be a positive integer or null');
+    expect(() => Policy.validate({ security: { history: { depth: 1 } } })).toThrow('Unknown security.history property: depth');
+  });
+
+  it('validates workflow permission and privileged trigger policy', () => {
+    expect(() => Policy.validate({ cicd: { allowedPermissions: { workflow_run: { actions: 'read' } } } })).not.toThrow();
+    expect(() => Policy.validate({ cicd: { pinnedActions: [] } })).toThrow('Unknown cicd property: pinnedActions');
+    expect(() => Policy.validate({ cicd: { allowedPermissions: { push: { contents: 'all' } } } })).toThrow('must be read, write, or none');
+    expect(() => Policy.validate({ cicd: { allowedPrivilegedWorkflows: ['.github/workflows/preview.yml'] } })).not.toThrow();
+    expect(() => Policy.validate({ cicd: { allowedPrivilegedWorkflows: ['/etc/preview.yml'] } }))
+      .toThrow('cicd.allowedPrivilegedWorkflows must be an array of relative workflow paths');
+  });
+
+  it('validates documentation template directories', () => {
+    expect(() => Policy.validate({ documentation: { templateDirs: ['policy/templates'] } })).not.toThrow();
+    expect(() => Policy.validate({ documentation: { templateDirs: ['/srv/templates'] } }))
+      .toThrow('documentation.templateDirs must be an array of relative directory paths');
+    expect(() => Policy.validate({ documentation: { templates: [] } })).toThrow('Unknown documentation property: templates');
+  });
+
+  it('validates per-ecosystem checker overrides', () => {
+    expect(() => Policy.validate({ ecosystems: { platformio: { checkers: { iot: { weight: 30 } } } } })).not.toThrow();
+    expect(() => Policy.validate({ ecosystems: { java: {} } })).toThrow('Unknown ecosystems property: java');
+    expect(() => Policy.validate({ ecosystems: { node: { weights: {} } } })).toThrow('Unknown ecosystems.node property: weights');
+    expect(() => Policy.validate({ ecosystems: { node: { checkers: { license: { weight: -1 } } } } }))
+      .toThrow('ecosystems.node.checkers.license.weight must be a non-negative number');
+  });
+
+  it('validates workspace package overrides', () => {
+    expect(() => Policy.validate({ workspaces: { packages: { 'examples/*': { enabled: false } } } })).not.toThrow();
+    expect(() => Policy.validate({ workspaces: { enabled: 'yes' } })).toThrow('workspaces.enabled must be boolean');
+    expect(() => Policy.validate({ workspaces: { packages: [] } }))
+      .toThrow('workspaces.packages must be an object keyed by package name or path');
+    expect(() => Policy.validate({ workspaces: { packages: { '@acme/ui': { weight: 5 } } } }))
+      .toThrow('Unknown workspaces.packages["@acme/ui"] property: weight');
+    expect(() => Policy.validate({ workspaces: { packages: { '@acme/ui': { disabledFindings: 'doc-017' } } } }))
+      .toThrow('workspaces.packages["@acme/ui"].disabledFindings must be an array of finding ids');
+  });
+
+  it('validates the OSV database path', () => {
+    expect(() => Policy.validate({ security: { osvDatabase: 'policy/osv' } })).not.toThrow();
+    expect(() => Policy.validate({ security: { osvDatabase: '' } })).toThrow('security.osvDatabase must be a relative path or null');
+  });
+
+  it('validates the advisory source for yarn and pnpm audits', () => {
+    expect(() => Policy.validate({ security: { advisorySource: 'file', advisoryFile: 'policy/advisories.json' } })).not.toThrow();
+    expect(() => Policy.validate({ security: { advisorySource: 'osv', osvDatabase: 'policy/osv' } })).not.toThrow();
+    expect(() => Policy.validate({ security: { advisorySource: 'ghsa' } })).toThrow('security.advisorySource must be one of: registry, file, osv');
+    expect(() => Policy.validate({ security: { advisorySource: 'osv' } })).toThrow('security.advisorySource "osv" requires security.osvDatabase');
+    expect(() => Policy.validate({ security: { advisorySource: 'file' } }))
+      .toThrow('security.advisorySource "file" requires security.advisoryFile');
+    expect(() => Policy.validate({ security: { advisoryFile: '/srv/advisories.json' } }))
+      .toThrow('security.advisoryFile must be a relative path or null');
+  });
+
+  it('validates the action allowlist and tag map settings', () => {
+    expect(() => Policy.validate({
+      cicd: { allowedActions: ['actions/*', { pattern: 'docker/build-push-action', minimumVersion: 'v5' }], actionTagMap: 'policy/action-tags.json' },
+    })).not.toThrow();
+    expect(() => Policy.validate({ cicd: { allowedActions: [{ pattern: 'actions/*', version: '4' }] } }))
+      .toThrow('Unknown cicd.allowedActions[0] property: version');
+    expect(() => Policy.validate({ cicd: { allowedActions: ['checkout'] } })).toThrow('cicd.allowedActions[0].pattern must be an owner/repo glob');
+    expect(() => Policy.validate({ cicd: { allowedActions: [{ pattern: 'a/b', minimumVersion: 'latest' }] } }))
+      .toThrow('cicd.allowedActions[0].minimumVersion must be a version such as v4 or 4.1.0');
+    expect(() => Policy.validate({ cicd: { actionTagMap: '/etc/tags.json' } })).toThrow('cicd.actionTagMap must be a relative path or null');
+  });
+
+  it('merges extended baselines and presets in order before the project override', () => {
+    fs.mkdirSync(path.join(root, 'policies'));
+    fs.writeFileSync(path.join(root, 'policies', 'org.json'), JSON.stringify({
+      id: 'org/baseline',
+      gates: { failBelow: 80, maxHigh: 2 },
+    }));
+    fs.writeFileSync(path.join(root, 'policies', 'node.json'), JSON.stringify({
+      extends: './org.json',
+      gates: { maxHigh: 1 },
+    }));
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({
+      extends: ['preset:solo-maintainer', 'policies/node.json'],
+      gates: { failBelow: 90 },
+    }));
+
+    const loaded = Policy.load(root);
+    expect(loaded.chain).toEqual(['default', 'preset:solo-maintainer', 'policies/org.json', 'policies/node.json', '.repo-manager.json']);
+    expect(loaded.policy.id).toBe('org/baseline');
+    expect(loaded.policy.gates).toMatchObject({ failBelow: 90, maxHigh: 1, maxCritical: 0 });
+    expect(loaded.policy.branchProtection.maximumRequiredApprovals).toBe(0);
+    expect(loaded.policy.extends).toBeUndefined();
+    expect(loaded.provenance).toMatchObject({
+      'gates.failBelow': '.repo-manager.json',
+      'gates.maxHigh': 'policies/node.json',
+      'gates.maxCritical': 'default',
+      id: 'policies/org.json',
+      'branchProtection.prohibitLastPushApproval': 'preset:solo-maintainer',
+    });
+  });
+
+  it('validates overrides against the inherited policy', () => {
+    fs.writeFileSync(path.join(root, 'base.json'), JSON.stringify({
+      branchProtection: { requiredApprovals: 0, requiredStatusCheckContexts: ['ci'] },
+    }));
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({
+      extends: 'base.json',
+      branchProtection: { maximumRequiredApprovals: 0, requiredStatusCheckAppIds: { ci: 42 } },
+    }));
+
+    expect(Policy.load(root).policy.branchProtection).toMatchObject({ maximumRequiredApprovals: 0, requiredApprovals: 0 });
+  });
+
+  it('rejects inheritance cycles, escapes, and unknown presets', () => {
+    fs.writeFileSync(path.join(root, 'a.json'), JSON.stringify({ extends: 'b.json' }));
+    fs.writeFileSync(path.join(root, 'b.json'), JSON.stringify({ extends: 'a.json' }));
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({ extends: 'a.json' }));
+    expect(() => Policy.load(root)).toThrow('Policy inheritance cycle: .repo-manager.json -> a.json -> b.json -> a.json');
+
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({ extends: '../outside.json' }));
+    expect(() => Policy.load(root)).toThrow('must stay within the project root');
+
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({ extends: 'preset:../../package' }));
+    expect(() => Policy.load(root)).toThrow('Unknown policy preset');
+
+    fs.writeFileSync(path.join(root, '.repo-manager.json'), JSON.stringify({ extends: 'missing.json' }));
+    expect(() => Policy.load(root)).toThrow('Extended policy not found: missing.json');
+  });
+
   it('rejects policy paths outside the repository', () => {
     expect(() => Policy.load(root, path.join('..', 'policy.json'))).toThrow('must stay within');
   });
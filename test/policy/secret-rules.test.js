@@ -0,0 +1,67 @@
+'use strict';
+
+const SecretRules = require('../../lib/policy/SecretRules');
+
+function scan(text, security = {}, file = 'src/settings.js') {
+  return SecretRules.scanLines(SecretRules.compile(security), file, [{ line: 1, text }]);
+}
+
+describe('SecretRules', () => {
+  it('detects the built-in token formats', () => {
+    const samples = {
+      'slack-token': ['xoxb', '-', '1234567890', '-', 'abcdefghijkl'].join(''),
+      'stripe-secret-key': ['sk', '_live_', 'a1B2c3D4e5F6g7H8i9J0k1L2'].join(''),
+      'google-api-key': ['AIza', 'SyA1b2C3d4E5f6G7h8I9j0K1l2M3n4O5p6Q'].join(''),
+      'azure-storage-key': `AccountKey=${'aB3+'.repeat(21)}cD==`,
+      'npm-token': ['npm', '_', 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4o5P6q7R8'].join(''),
+      jwt: ['eyJhbGciOiJIUzI1NiJ9', 'eyJzdWIiOiIxMjM0NTY3ODkwIn0', 'dozjgNryP4J3jVmNHl0w5N_XgL0n3I9PlFUP0THsR8U'].join('.'),
+    };
+    for (const [rule, token] of Object.entries(samples)) {
+      expect(scan(`const value = "${token}";`)).toEqual([expect.objectContaining({ rule })]);
+    }
+  });
+
+  it('skips low-entropy and placeholder values for the generic rule', () => {
+    expect(scan('password: "aaaaaaaaaaaa"')).toEqual([]);
+    expect(scan('password: "${DB_PASSWORD}"')).toEqual([]);
+    expect(scan('password: "replace_me_later"')).toEqual([]);
+    const password = ['Tr0ub4dor', '&3-horse'].join('');
+    expect(scan(`password: "${password}"`)).toEqual([expect.objectContaining({ rule: 'generic-secret' })]);
+  });
+
+  it('redacts the matched secret in previews', () => {
+    const token = ['sk', '_live_', 'a1B2c3D4e5F6g7H8i9J0k1L2'].join('');
+    const [match] = scan(`stripe.key = "${token}";`);
+    expect(match.preview).not.toContain(token);
+    expect(match.preview).toMatch(/^stripe\.key = "sk_l\*+";$/);
+  });
+
+  it('adds, overrides, and disables rules from policy', () => {
+    const security = {
+      secretRules: [
+        { id: 'internal-token', name: 'Internal Token', pattern: 'itk_(?<secret>[a-z0-9]{16})', keywords: ['itk_'], allowlist: ['^0+$'] },
+      ],
+      disabledSecretRules: ['jwt'],
+    };
+    expect(scan('token = itk_a1b2c3d4e5f6g7h8', security)).toEqual([expect.objectContaining({ rule: 'internal-token', pattern: 'Internal Token' })]);
+    expect(scan('token = itk_0000000000000000', security)).toEqual([]);
+    const jwt = ['eyJhbGciOiJIUzI1NiJ9', 'eyJzdWIiOiIxMjM0NTY3ODkwIn0', 'dozjgNryP4J3jVmNHl0w5N_XgL0n3I9PlFUP0THsR8U'].join('.');
+    expect(scan(jwt, security)).toEqual([]);
+  });
+
+  it('validates policy rules', () => {
+    expect(() => SecretRules.validate({ secretRules: [{ id: 'x', name: 'X', pattern: '(' }] }))
+      .toThrow('security.secretRules[0].pattern is not a valid regular expression');
+    expect(() => SecretRules.validate({ secretRules: [{ id: 'x', name: 'X', pattern: 'x', flags: 'g' }] }))
+      .toThrow('security.secretRules[0].flags may only contain i, m, s, and u');
+    expect(() => SecretRules.validate({ secretRules: [{ id: 'x', name: 'X', pattern: 'x', severity: 'low' }] }))
+      .toThrow('Unknown security.secretRules[0] property: severity');
+    expect(() => SecretRules.validate({ disabledSecretRules: ['missing'] }))
+      .toThrow('security.disabledSecretRules references unknown rule: missing');
+  });
+
+  it('computes Shannon entropy in bits per character', () => {
+    expect(SecretRules.entropy('aaaa')).toBe(0);
+    expect(SecretRules.entropy('abcd')).toBe(2);
+  });
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Report = require('../../lib/engine/Report');
+const Suppressions = require('../../lib/policy/Suppressions');
+const Context = require('../../lib/engine/Context');
+const Cache = require('../../lib/engine/Cache');
+const LicenseChecker = require('../../lib/checkers/license');
+const DocumentationChecker = require('../../lib/checkers/documentation');
+
+function entry(overrides = {}) {
+  return {
+    checker: 'security',
+    id: 'sec-010',
+    file: 'test/data/sample.js',
+    justification: 'Synthetic credential used by parser tests',
+    owner: '@security-team',
+    expires: '2099-01-01',
+    ...overrides,
+  };
+}
+
+function securityResults() {
+  return [{
+    checker: 'security',
+    score: 50,
+    findings: [
+      { checker: 'security', id: 'sec-010', severity: 'critical', message: 'Possible AWS Key', file: 'test/data/sample.js', line: 3, penalty: 25 },
+      { checker: 'security', id: 'sec-010', severity: 'critical', message: 'Possible AWS Key', file: 'src/config.js', line: 7, penalty: 25 },
+    ],
+    metadata: {},
+  }];
+}
+
+const policy = { id: 'test', version: '1.0.0', gates: { maxCritical: 0, checkerMinimums: { security: 70 } } };
+
+describe('Suppressions', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-suppressions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('loads a validated suppressions file from inside the project root', () => {
+    fs.writeFileSync(path.join(root, 'suppressions.json'), JSON.stringify({ schemaVersion: 1, suppressions: [entry()] }));
+    expect(Suppressions.load(root, 'suppressions.json')).toEqual({ source: 'suppressions.json', entries: [entry()] });
+    expect(Suppressions.load(root, undefined)).toEqual({ source: null, entries: [] });
+    expect(() => Suppressions.load(root, '../suppressions.json')).toThrow('must stay within the project root');
+    expect(() => Suppressions.load(root, 'missing.json')).toThrow('Suppressions file not found');
+  });
+
+  it('requires accountable, expiring entries', () => {
+    const validate = suppressions => Suppressions.validate({ schemaVersion: 1, suppressions });
+    expect(() => validate([entry()])).not.toThrow();
+    expect(() => validate([entry({ justification: '' })])).toThrow('justification must be a non-empty string');
+    expect(() => validate([entry({ owner: undefined })])).toThrow('owner must be a non-empty string');
+    expect(() => validate([entry({ expires: '2099-02-30' })])).toThrow('expires must be a YYYY-MM-DD date');
+    expect(() => validate([entry({ file: undefined })])).toThrow('file must be a relative path');
+    expect(() => validate([entry({ file: null, line: 3 })])).toThrow('line must be a positive integer');
+    expect(() => validate([entry({ fingerprint: 'abc' })])).toThrow('fingerprint must be a report finding fingerprint');
+    expect(() => validate([entry({ reason: 'x' })])).toThrow('Unknown suppressions[0] property: reason');
+  });
+
+  it('excludes suppressed findings from scoring and gates while listing them', () => {
+    const report = Report.aggregate(securityResults(), {}, {
+      policy: {
+        ...policy,
+        gates: { ...policy.gates, maxCritical: 1 },
+      },
+      suppressions: { source: 'suppressions.json', entries: [entry({ line: 3 })] },
+    });
+
+    expect(report.summary.by_severity.critical).toBe(1);
+    expect(report.summary.suppressed).toBe(1);
+    expect(report.checkers.security.score).toBe(75);
+    expect(report.checkers.security.metadata.unsuppressedScore).toBe(50);
+    expect(report.checkers.security.findings.map(finding => finding.file)).toEqual(['src/config.js']);
+    expect(report.checkers.security.suppressedFindings[0].suppression.owner).toBe('@security-team');
+    expect(report.suppressions.suppressed[0]).toMatchObject({ id: 'sec-010', file: 'test/data/sample.js', line: 3 });
+    expect(report.status).toBe('pass');
+  });
+
+  it('restores exactly the penalty a suppressed finding recorded, from the unclamped score', () => {
+    const results = [
+      {
+        checker: 'security',
+        score: 0,
+        rawScore: -30,
+        findings: [
+          { checker: 'security', id: 'sec-013', severity: 'high', message: 'Audit failed', file: 'package-lock.json', penalty: 30 },
+          { checker: 'security', id: 'sec-011', severity: 'critical', message: '4 critical CVEs', file: null, penalty: 100 },
+        ],
+        metadata: {},
+      },
+      {
+        checker: 'documentation',
+        score: 60,
+        findings: [{ checker: 'documentation', id: 'doc-001', severity: 'critical', message: 'README.md is missing', file: 'README.md', penalty: 0 }],
+        metadata: {},
+      },
+    ];
+    const report = Report.aggregate(results, {}, {
+      policy,
+      suppressions: {
+        source: 'suppressions.json',
+        entries: [
+          entry({ id: 'sec-013', file: 'package-lock.json' }),
+          entry({ checker: 'documentation', id: 'doc-001', file: 'README.md' }),
+        ],
+      },
+    });
+
+    expect(report.checkers.security.score).toBe(0);
+    expect(report.checkers.documentation.score).toBe(60);
+    expect(report.checkers.documentation.metadata.unsuppressedScore).toBe(60);
+  });
+
+  it('raises license and documentation scores when their findings are suppressed', async () => {
+    const projectRoot = path.join(__dirname, '..', 'fixtures', 'insecure-project');
+    const context = new Context({
+      projectRoot,
+      github: null,
+      packageJson: Context.readPackageJson(projectRoot),
+      gitInfo: null,
+      config: {},
+      cache: new Cache(),
+    });
+    const results = [await new LicenseChecker().check(context), await new DocumentationChecker().check(context)];
+    const waive = ({ checker, id, file }) => entry({ checker, id, file });
+    const suppressOne = Report.aggregate(results, {}, {
+      policy,
+      suppressions: { source: 'suppressions.json', entries: [entry({ checker: 'documentation', id: 'doc-011', file: 'LICENSE' })] },
+    });
+    const suppressAll = Report.aggregate(results, {}, {
+      policy,
+      suppressions: {
+        source: 'suppressions.json',
+        entries: results.flatMap(result => result.findings.filter(finding => finding.severity !== 'info').map(waive)),
+      },
+    });
+
+    expect(results.map(result => result.score)).toEqual([0, expect.any(Number)]);
+    expect(suppressOne.checkers.documentation.score).toBe(results[1].score + 25);
+    expect(suppressAll.checkers.license.score).toBe(100);
+    expect(suppressAll.checkers.documentation.score).toBeGreaterThan(results[1].score);
+    expect(suppressAll.score).toBeGreaterThan(Report.aggregate(results, {}, { policy }).score);
+  });
+
+  it('matches by fingerprint and reports unused entries', () => {
+    const fingerprinted = Report.aggregate(securityResults());
+    const fingerprint = fingerprinted.checkers.security.findings[1].fingerprint;
+    const stale = entry({ file: 'removed.js' });
+    const report = Report.aggregate(securityResults(), {}, {
+      policy,
+      suppressions: { source: 'suppressions.json', entries: [entry({ file: 'src/config.js', fingerprint }), stale] },
+    });
+
+    expect(report.suppressions.suppressed.map(item => item.file)).toEqual(['src/config.js']);
+    expect(report.suppressions.unused).toEqual([stale]);
+  });
+
+  it('reactivates findings whose suppressions have expired', () => {
+    const report = Report.aggregate(securityResults(), {}, {
+      policy,
+      suppressions: { source: 'suppressions.json', entries: [entry({ expires: '2026-01-31' })] },
+      now: new Date('2026-02-01T00:00:00Z'),
+    });
+
+    expect(report.summary.suppressed).toBe(0);
+    expect(report.summary.by_severity.critical).toBe(2);
+    expect(report.suppressions.expired[0]).toMatchObject({ id: 'sec-010', owner: '@security-team', expires: '2026-01-31' });
+    expect(report.checkers.security.findings[0].expiredSuppression.expires).toBe('2026-01-31');
+    expect(report.status).toBe('fail');
+  });
+
+  it('parses inline pragmas on the same or preceding line', () => {
+    const lines = [
+      '// repo-manager:ignore sec-010, ci-005 reason="synthetic key"',
+      'const key = "value";',
+      "const other = 'value'; // repo-manager:ignore sec-010 reason='parser fixture'",
+      '// repo-manager:ignore sec-010',
+      'const last = "value";',
+    ];
+    expect(Suppressions.inline(lines, 1, 'sec-010', 'a.js')).toEqual({ type: 'inline', file: 'a.js', line: 1, reason: 'synthetic key' });
+    expect(Suppressions.inline(lines, 2, 'sec-010', 'a.js')).toMatchObject({ line: 3, reason: 'parser fixture' });
+    expect(Suppressions.inline(lines, 1, 'sec-011', 'a.js')).toBeNull();
+    expect(Suppressions.inline(lines, 4, 'sec-010', 'a.js')).toBeNull();
+  });
+
+  it('suppresses findings carrying inline waivers and records the pragma', () => {
+    const results = securityResults();
+    results[0].findings[0].inlineSuppression = { type: 'inline', file: 'test/data/sample.js', line: 2, reason: 'synthetic key' };
+    const report = Report.aggregate(results, {}, { policy: { ...policy, gates: { ...policy.gates, maxCritical: 1 } } });
+
+    expect(report.summary.suppressed).toBe(1);
+    expect(report.checkers.security.score).toBe(75);
+    expect(report.suppressions.suppressed[0]).toMatchObject({
+      id: 'sec-010',
+      file: 'test/data/sample.js',
+      line: 3,
+      justification: 'synthetic key',
+      owner: null,
+      pragma: { file: 'test/data/sample.js', line: 2 },
+    });
+    expect(report.status).toBe('pass');
+  });
+});
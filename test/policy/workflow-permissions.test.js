@@ -0,0 +1,70 @@
+'use strict';
+
+const Workflow = require('../../lib/utils/workflow');
+const WorkflowPermissions = require('../../lib/policy/WorkflowPermissions');
+
+function jobs(steps) {
+  return Workflow.parse(['on: push', 'jobs:', '  build:', '    steps:', ...steps.map(step => `      ${step}`)].join('\n')).jobs;
+}
+
+describe('WorkflowPermissions', () => {
+  it('reads scalar and per-scope permissions', () => {
+    const workflow = Workflow.parse([
+      'permissions:',
+      '  contents: write',
+      '  id-token: none',
+      'jobs:',
+      '  a:',
+      '    permissions: read-all',
+    ].join('\n'));
+    const top = WorkflowPermissions.read(workflow.permissions);
+    expect(top.line).toBe(1);
+    expect(WorkflowPermissions.levelOf(top, 'contents')).toBe('write');
+    expect(WorkflowPermissions.levelOf(top, 'issues')).toBe('none');
+    expect(top.scopes.get('contents')).toEqual({ level: 'write', line: 2 });
+    expect(WorkflowPermissions.levelOf(WorkflowPermissions.read(workflow.jobs[0].permissions), 'issues')).toBe('read');
+  });
+
+  it('combines the policy for several triggers by taking the strictest level', () => {
+    const cicd = {
+      allowedPermissions: {
+        pull_request_target: { contents: 'read', 'pull-requests': 'write' },
+        workflow_run: { contents: 'write', 'pull-requests': 'read' },
+      },
+    };
+    const allowed = WorkflowPermissions.allowedFor(['pull_request_target', 'workflow_run', 'push'], cicd);
+    expect(allowed.get('contents')).toBe('read');
+    expect(allowed.get('pull-requests')).toBe('read');
+    expect(allowed.get('issues')).toBe('none');
+    expect(WorkflowPermissions.allowedFor(['push'], cicd)).toBeNull();
+  });
+
+  it('infers write scopes from known actions and commands', () => {
+    expect([...WorkflowPermissions.writeNeeds(jobs([
+      '- uses: actions/checkout@v4',
+      '- run: git push origin HEAD:main',
+      '- uses: github/codeql-action/upload-sarif@v3',
+    ]))].sort()).toEqual(['contents', 'security-events']);
+    expect([...WorkflowPermissions.writeNeeds(jobs(['- run: npm test']))]).toEqual([]);
+  });
+
+  it('gives up when token use cannot be inferred', () => {
+    expect(WorkflowPermissions.writeNeeds(jobs(['- uses: actions/github-script@v7']))).toBeNull();
+    expect(WorkflowPermissions.writeNeeds(jobs(['- run: gh api repos/o/r/labels']))).toBeNull();
+    expect(WorkflowPermissions.writeNeeds(jobs(['- uses: ./.github/actions/release']))).toBeNull();
+    expect(WorkflowPermissions.writeNeeds(jobs([
+      '- uses: octo/custom-action@v1',
+      '  with:',
+      '    token: ${{ secrets.GITHUB_TOKEN }}',
+    ]))).toBeNull();
+  });
+
+  it('validates the policy section', () => {
+    expect(() => WorkflowPermissions.validate({ allowedPermissions: [] }))
+      .toThrow('cicd.allowedPermissions must be an object keyed by trigger');
+    expect(() => WorkflowPermissions.validate({ allowedPermissions: { push: { content: 'read' } } }))
+      .toThrow('Unknown cicd.allowedPermissions.push property: content');
+    expect(() => WorkflowPermissions.validate({ allowedPermissions: { push: { contents: 'admin' } } }))
+      .toThrow('cicd.allowedPermissions.push.contents must be read, write, or none');
+  });
+});
@@ -0,0 +1,17 @@
+'use strict';
+
+const Format = require('../../lib/utils/format');
+
+describe('format', () => {
+  it('signs deltas and marks unknown values', () => {
+    expect(Format.signed(5)).toBe('+5');
+    expect(Format.signed(-3)).toBe('-3');
+    expect(Format.signed(0)).toBe('0');
+    expect(Format.signed(null)).toBe('n/a');
+  });
+
+  it('lists non-zero severity counts, most severe first', () => {
+    expect(Format.severityBreakdown({ low: 2, critical: 1, high: 0 })).toBe('1 critical, 2 low');
+    expect(Format.severityBreakdown({})).toBe('');
+  });
+});
@@ -0,0 +1,211 @@
+'use strict';
+
+const path = require('path');
+const Lockfiles = require('../../lib/utils/lockfiles');
+const Context = require('../../lib/engine/Context');
+const Cache = require('../../lib/engine/Cache');
+
+describe('lockfiles', () => {
+  it('builds the graph of a classic yarn.lock with direct dependencies from package.json', () => {
+    const graph = Lockfiles.parseYarnLock([
+      '# yarn lockfile v1',
+      '',
+      '"@babel/code-frame@^7.0.0", "@babel/code-frame@^7.10.4":',
+      '  version "7.12.13"',
+      '  integrity sha512-abc==',
+      '  dependencies:',
+      '    "@babel/highlight" "^7.12.13"',
+      '',
+      '"@babel/highlight@^7.12.13":',
+      '  version "7.13.10"',
+      '',
+      '"string-width-cjs@npm:string-width@^4.2.0":',
+      '  version "4.2.3"',
+    ].join('\n'), [{ dependencies: { '@babel/code-frame': '^7.10.4' }, devDependencies: { 'string-width-cjs': 'npm:string-width@^4.2.0' } }]);
+
+    expect(graph).toEqual({
+      manager: 'yarn-classic',
+      packages: [
+        { id: '@babel/code-frame@7.12.13', name: '@babel/code-frame', version: '7.12.13', dependencies: ['@babel/highlight@7.13.10'] },
+        { id: '@babel/highlight@7.13.10', name: '@babel/highlight', version: '7.13.10', dependencies: [] },
+        { id: 'string-width@4.2.3', name: 'string-width', version: '4.2.3', dependencies: [] },
+      ],
+      direct: ['@babel/code-frame@7.12.13', 'string-width@4.2.3'],
+    });
+  });
+
+  it('builds the graph of a berry yarn.lock from its workspace entries', () => {
+    const graph = Lockfiles.parseYarnLock([
+      '__metadata:',
+      '  version: 8',
+      '  cacheKey: 10c0',
+      '',
+      '"lodash@npm:^4.17.15, lodash@npm:^4.17.19":',
+      '  version: 4.17.15',
+      '  resolution: "lodash@npm:4.17.15"',
+      '  languageName: node',
+      '  linkType: hard',
+      '',
+      '"minimist@npm:1.2.5":',
+      '  version: 1.2.5',
+      '  resolution: "minimist@npm:1.2.5"',
+      '  dependencies:',
+      '    lodash: "npm:^4.17.19"',
+      '  dependenciesMeta:',
+      '    fsevents:',
+      '      optional: true',
+      '',
+      '"demo@workspace:.":',
+      '  version: 0.0.0-use.local',
+      '  resolution: "demo@workspace:."',
+      '  dependencies:',
+      '    minimist: "npm:1.2.5"',
+      '  linkType: soft',
+    ].join('\n'));
+
+    expect(graph.manager).toBe('yarn-berry');
+    expect(graph.packages.map(({ id, dependencies }) => ({ id, dependencies }))).toEqual([
+      { id: 'lodash@4.17.15', dependencies: [] },
+      { id: 'minimist@1.2.5', dependencies: ['lodash@4.17.15'] },
+    ]);
+    expect(graph.direct).toEqual(['minimist@1.2.5']);
+  });
+
+  it('reports yarn.lock syntax errors with their line', () => {
+    expect(() => Lockfiles.parseYarnLock('lodash@^4.17.15:\n  version "4.17.15\n'))
+      .toThrow(new Lockfiles.LockfileError('Invalid quoted string "4.17.15', 2));
+    expect(() => Lockfiles.parseYarnLock('lodash@^4.17.15\n')).toThrow('Expected an entry header, found lodash@^4.17.15 (line 1)');
+  });
+
+  it('builds the graph of pnpm v9 lock files from packages and snapshots', () => {
+    const graph = Lockfiles.parsePnpmLock([
+      "lockfileVersion: '9.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      react-dom:',
+      '        specifier: ^18.2.0',
+      '        version: 18.2.0(react@18.2.0)',
+      '      strip:',
+      '        specifier: npm:strip-ansi@^6.0.1',
+      '        version: strip-ansi@6.0.1',
+      '  packages/ui:',
+      '    dependencies:',
+      '      demo-core:',
+      '        specifier: workspace:*',
+      '        version: link:../core',
+      'packages:',
+      "  '@types/node@20.1.0':",
+      '    resolution: {integrity: sha512-a}',
+      '  react-dom@18.2.0:',
+      '    resolution: {integrity: sha512-b}',
+      '  react@18.2.0:',
+      '    resolution: {integrity: sha512-c}',
+      '  strip-ansi@6.0.1:',
+      '    resolution: {integrity: sha512-d}',
+      'snapshots:',
+      '  react-dom@18.2.0(react@18.2.0):',
+      '    dependencies:',
+      '      react: 18.2.0',
+      '  react@18.2.0: {}',
+    ].join('\n'));
+
+    expect(graph.packages.map(({ id, dependencies }) => ({ id, dependencies }))).toEqual([
+      { id: '@types/node@20.1.0', dependencies: [] },
+      { id: 'react-dom@18.2.0', dependencies: ['react@18.2.0'] },
+      { id: 'react@18.2.0', dependencies: [] },
+      { id: 'strip-ansi@6.0.1', dependencies: [] },
+    ]);
+    expect(graph.direct).toEqual(['react-dom@18.2.0', 'strip-ansi@6.0.1']);
+  });
+
+  it('reads legacy pnpm v5 and v6 package keys', () => {
+    const v5 = Lockfiles.parsePnpmLock([
+      'lockfileVersion: 5.4',
+      'dependencies:',
+      '  react-dom: 18.2.0_react@18.2.0',
+      'packages:',
+      '  /react-dom/18.2.0_react@18.2.0:',
+      '    dependencies:',
+      '      react: 18.2.0',
+      '  /react/18.2.0:',
+      '    dev: false',
+      '  /@types/node/20.1.0:',
+      '    dev: true',
+    ].join('\n'));
+    expect(v5.packages.map(pkg => pkg.id)).toEqual(['@types/node@20.1.0', 'react-dom@18.2.0', 'react@18.2.0']);
+    expect(v5.direct).toEqual(['react-dom@18.2.0']);
+
+    const v6 = Lockfiles.parsePnpmLock([
+      "lockfileVersion: '6.0'",
+      'devDependencies:',
+      "  '@types/node':",
+      '    specifier: ^20.0.0',
+      '    version: 20.1.0',
+      'packages:',
+      '  /@types/node@20.1.0:',
+      '    dependencies:',
+      '      undici-types: 5.26.5',
+      '  /undici-types@5.26.5:',
+      '    dev: true',
+    ].join('\n'));
+    expect(v6.packages.map(({ id, dependencies }) => ({ id, dependencies }))).toEqual([
+      { id: '@types/node@20.1.0', dependencies: ['undici-types@5.26.5'] },
+      { id: 'undici-types@5.26.5', dependencies: [] },
+    ]);
+    expect(v6.direct).toEqual(['@types/node@20.1.0']);
+  });
+
+  it('resolves package-lock.json dependencies from the nearest node_modules', () => {
+    const graph = Lockfiles.parsePackageLock(JSON.stringify({
+      name: 'demo',
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'demo', dependencies: { a: '^1.0.0', ui: '*' }, devDependencies: { b: '^2.0.0' } },
+        'node_modules/a': { version: '1.0.0', dependencies: { c: '^1.0.0' } },
+        'node_modules/b': { version: '2.0.0', dependencies: { c: '^2.0.0' } },
+        'node_modules/b/node_modules/c': { version: '2.1.0' },
+        'node_modules/c': { version: '1.5.0' },
+        'node_modules/sw': { name: 'string-width', version: '4.2.3' },
+        'node_modules/ui': { resolved: 'packages/ui', link: true },
+        'packages/ui': { name: 'ui', version: '1.0.0', dependencies: { sw: 'npm:string-width@^4.2.0' } },
+      },
+    }));
+
+    expect(graph.manager).toBe('npm');
+    expect(graph.packages.map(({ id, dependencies }) => ({ id, dependencies }))).toEqual([
+      { id: 'a@1.0.0', dependencies: ['c@1.5.0'] },
+      { id: 'b@2.0.0', dependencies: ['c@2.1.0'] },
+      { id: 'c@1.5.0', dependencies: [] },
+      { id: 'c@2.1.0', dependencies: [] },
+      { id: 'string-width@4.2.3', dependencies: [] },
+    ]);
+    expect(graph.direct).toEqual(['a@1.0.0', 'b@2.0.0', 'string-width@4.2.3']);
+
+    const v1 = Lockfiles.parsePackageLock(JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: {
+        a: { version: '1.0.0', requires: { c: '^1.0.0' } },
+        b: { version: '2.0.0', dev: true, requires: { c: '^2.0.0' }, dependencies: { c: { version: '2.1.0' } } },
+        c: { version: '1.5.0' },
+      },
+    }), [{ dependencies: { a: '^1.0.0' } }]);
+    expect(v1.packages.map(({ id, dependencies }) => ({ id, dependencies }))).toEqual([
+      { id: 'a@1.0.0', dependencies: ['c@1.5.0'] },
+      { id: 'b@2.0.0', dependencies: ['c@2.1.0'] },
+      { id: 'c@1.5.0', dependencies: [] },
+      { id: 'c@2.1.0', dependencies: [] },
+    ]);
+    expect(v1.direct).toEqual(['a@1.0.0']);
+  });
+
+  it('reads the lock file of a project', () => {
+    const projectRoot = path.join(__dirname, '..', 'fixtures', 'yarn-project');
+    const context = new Context({ projectRoot, github: null, packageJson: Context.readPackageJson(projectRoot), gitInfo: null, config: {}, cache: new Cache() });
+
+    const graph = Lockfiles.read(context);
+
+    expect(graph.file).toBe('yarn.lock');
+    expect(graph.direct).toEqual(['lodash@4.17.15', 'minimist@1.2.0']);
+  });
+});
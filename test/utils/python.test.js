@@ -0,0 +1,72 @@
+'use strict';
+
+const Python = require('../../lib/utils/python');
+const toml = require('../../lib/utils/toml');
+
+describe('python', () => {
+  it('parses requirement pins, options, and continuations', () => {
+    const { requirements, includes } = Python.parseRequirements([
+      '# runtime',
+      '-r base.txt',
+      '--index-url https://pypi.org/simple',
+      'Django==3.2.4 \\',
+      '    --hash=sha256:abc',
+      'requests>=2.20  # HTTP',
+      'typing_extensions===4.12.2; python_version < "3.11"',
+      'black==24.*',
+      'tool @ git+https://github.com/org/tool@0123456789abcdef0123456789abcdef01234567',
+      '-e ./local',
+    ].join('\n'));
+
+    expect(includes).toEqual(['base.txt']);
+    expect(requirements).toEqual([
+      { name: 'django', specifier: '==3.2.4', pinned: true, version: '3.2.4', line: 4 },
+      { name: 'requests', specifier: '>=2.20', pinned: false, version: null, line: 6 },
+      { name: 'typing-extensions', specifier: '===4.12.2', pinned: true, version: '4.12.2', line: 7 },
+      { name: 'black', specifier: '==24.*', pinned: false, version: null, line: 8 },
+      { name: 'tool', specifier: '@ git+https://github.com/org/tool@0123456789abcdef0123456789abcdef01234567', pinned: true, version: null, line: 9 },
+      { name: null, specifier: '-e ./local', pinned: false, version: null, line: 10 },
+    ]);
+  });
+
+  it('reads PEP 621 and Poetry metadata', () => {
+    const pep621 = toml.parse([
+      '[project]',
+      'name = "demo"',
+      'requires-python = ">=3.10"',
+      'classifiers = ["License :: OSI Approved :: Apache Software License"]',
+      'dependencies = ["Requests[socks]>=2", "zope.interface"]',
+    ].join('\n'));
+    expect(Python.projectMetadata(pep621)).toEqual({
+      table: 'project',
+      name: 'demo',
+      license: { value: 'Apache-2.0', file: null, key: 'project.classifiers' },
+      requiresPython: '>=3.10',
+      dependencies: ['requests', 'zope-interface'],
+    });
+
+    const poetry = toml.parse([
+      '[tool.poetry]',
+      'name = "demo"',
+      'license = "MIT"',
+      '[tool.poetry.dependencies]',
+      'python = "^3.11"',
+      'Flask = "^3.0"',
+    ].join('\n'));
+    expect(Python.projectMetadata(poetry)).toEqual({
+      table: 'tool.poetry',
+      name: 'demo',
+      license: { value: 'MIT', file: null, key: 'tool.poetry.license' },
+      requiresPython: '^3.11',
+      dependencies: ['flask'],
+    });
+  });
+
+  it('orders versions by PEP 440', () => {
+    const ordered = ['1.0.dev1', '1.0a1', '1.0b2', '1.0rc1', '1.0', '1.0.post1', '1.0.1', '1!0.1'];
+    const shuffled = [...ordered].reverse();
+    expect(shuffled.sort(Python.compareVersions)).toEqual(ordered);
+    expect(Python.compareVersions('2.0', '2.0.0')).toBe(0);
+    expect(Python.compareVersions('3.2', '3.10')).toBeLessThan(0);
+  });
+});
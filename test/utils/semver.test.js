@@ -0,0 +1,53 @@
+'use strict';
+
+const Semver = require('../../lib/utils/semver');
+
+describe('semver', () => {
+  it('orders versions with prerelease precedence', () => {
+    const versions = ['1.0.0', '1.0.0-rc.1', '1.0.0-beta.11', '1.0.0-beta.2', '1.0.0-alpha', '0.9.12', '1.0.0-alpha.1'];
+    expect([...versions].sort(Semver.compare)).toEqual([
+      '0.9.12', '1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0',
+    ]);
+  });
+
+  it.each([
+    ['4.17.20', '<4.17.21', true],
+    ['4.17.21', '<4.17.21', false],
+    ['1.9.0', '^1.2.3', true],
+    ['2.0.0', '^1.2.3', false],
+    ['0.2.9', '^0.2.3', true],
+    ['0.3.0', '^0.2.3', false],
+    ['0.0.4', '^0.0.3', false],
+    ['1.2.9', '~1.2.3', true],
+    ['1.3.0', '~1.2.3', false],
+    ['1.5.0', '1.x', true],
+    ['2.0.0', '1.x', false],
+    ['2.3.9', '1.2.3 - 2.3', true],
+    ['2.4.0', '1.2.3 - 2.3', false],
+    ['1.2.7', '<0.2.4 || >=1.0.0 <1.2.6', false],
+    ['1.2.5', '<0.2.4 || >=1.0.0 < 1.2.6', true],
+    ['2.0.0', '>1', true],
+    ['1.9.9', '<=1', true],
+    ['1.0.0', '<1', false],
+    ['3.1.4', '*', true],
+    ['1.2.3-beta.1', '*', false],
+    ['1.2.3-beta.2', '>=1.2.3-beta.1 <1.3.0', true],
+    ['1.2.4-beta.2', '>=1.2.3-beta.1 <1.3.0', false],
+  ])('%s satisfies %s: %s', (version, range, expected) => {
+    expect(Semver.satisfies(version, range)).toBe(expected);
+  });
+
+  it('rejects malformed ranges', () => {
+    expect(Semver.validRange('>=1.0.0 <2')).toBe(true);
+    expect(Semver.validRange('>=latest')).toBe(false);
+    expect(() => Semver.satisfies('1.0.0', 'next')).toThrow('Invalid semver range: next');
+  });
+
+  it('reads partial versions such as action tags', () => {
+    expect(Semver.coerce('v4')).toEqual({ major: 4, minor: 0, patch: 0, prerelease: [] });
+    expect(Semver.coerce('4.1.2-beta.1')).toEqual({ major: 4, minor: 1, patch: 2, prerelease: ['beta', '1'] });
+    expect(Semver.coerce('main')).toBeNull();
+    expect(Semver.compareParsed(Semver.coerce('4.1'), Semver.coerce('v4.0.9'))).toBeGreaterThan(0);
+    expect(Semver.compareParsed(Semver.coerce('v4.1.2-beta'), Semver.coerce('v4.1.2'))).toBeLessThan(0);
+  });
+});
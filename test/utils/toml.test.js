@@ -0,0 +1,83 @@
+'use strict';
+
+const toml = require('../../lib/utils/toml');
+
+describe('toml', () => {
+  it('parses tables, dotted keys, inline tables, and multi-line arrays', () => {
+    const { value, lines } = toml.parse([
+      '[project]',
+      'name = "demo"',
+      'license = { text = "MIT" }',
+      'urls.homepage = \'https://example.com\'',
+      'dependencies = [',
+      '  "requests>=2",  # HTTP',
+      '  "click",',
+      ']',
+      '',
+      '[tool.poetry.dependencies]',
+      'python = "^3.10"',
+    ].join('\n'));
+
+    expect(value).toEqual({
+      project: {
+        name: 'demo',
+        license: { text: 'MIT' },
+        urls: { homepage: 'https://example.com' },
+        dependencies: ['requests>=2', 'click'],
+      },
+      tool: { poetry: { dependencies: { python: '^3.10' } } },
+    });
+    expect(lines.get('project')).toBe(1);
+    expect(lines.get('project.license')).toBe(3);
+    expect(lines.get('tool.poetry.dependencies.python')).toBe(11);
+  });
+
+  it('collects arrays of tables with their sub-tables', () => {
+    const { value, lines } = toml.parse([
+      '[[package]]',
+      'name = "a"',
+      '[package.dependencies]',
+      'b = ">=1"',
+      '[[package]]',
+      'name = "b"',
+    ].join('\n'));
+
+    expect(value.package).toEqual([{ name: 'a', dependencies: { b: '>=1' } }, { name: 'b' }]);
+    expect(lines.get('package.1.name')).toBe(6);
+  });
+
+  it('reads strings, numbers, booleans, and dates', () => {
+    const { value } = toml.parse([
+      'basic = "tab\\there \\u00e9"',
+      'literal = \'C:\\path\'',
+      'multi = """',
+      'one \\',
+      '  two"""',
+      'raw = \'\'\'',
+      'line\'\'\'',
+      'int = 1_000',
+      'hex = 0xff',
+      'float = -1.5e3',
+      'flag = true',
+      'when = 2026-10-19T08:00:00Z',
+    ].join('\n'));
+
+    expect(value).toEqual({
+      basic: 'tab\there é',
+      literal: 'C:\\path',
+      multi: 'one two',
+      raw: 'line',
+      int: 1000,
+      hex: 255,
+      float: -1500,
+      flag: true,
+      when: '2026-10-19T08:00:00Z',
+    });
+  });
+
+  it('rejects duplicate keys and tables with the line number', () => {
+    expect(() => toml.parse('a = 1\na = 2')).toThrow(new toml.TomlError('Key a is defined more than once', 2));
+    expect(() => toml.parse('[a]\n[a]')).toThrow('Table [a] is defined more than once (line 2)');
+    expect(() => toml.parse('a = "open')).toThrow(toml.TomlError);
+  });
+});
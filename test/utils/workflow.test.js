@@ -0,0 +1,52 @@
+'use strict';
+
+const Workflow = require('../../lib/utils/workflow');
+
+describe('Workflow', () => {
+  it('reads triggers, permissions, jobs, and steps with their lines', () => {
+    const workflow = Workflow.parse([
+      'name: CI',
+      'on: [push, pull_request]',
+      'jobs:',
+      '  lint:',
+      '    permissions:',
+      '      contents: read',
+      '    runs-on: ubuntu-latest',
+      '    steps:',
+      '      - uses: actions/checkout@v4',
+      '      - name: Lint',
+      '        run: npm run lint',
+      '  release:',
+      '    uses: ./.github/workflows/release.yml',
+    ].join('\n'));
+
+    expect(workflow.kind).toBe('workflow');
+    expect(workflow.triggers).toEqual([
+      { event: 'push', line: 2, config: null },
+      { event: 'pull_request', line: 2, config: null },
+    ]);
+    expect(workflow.permissions).toBeNull();
+    expect(workflow.jobs.map(job => [job.id, job.line, Boolean(job.permissions)])).toEqual([['lint', 4, true], ['release', 12, false]]);
+    expect(workflow.jobs[0].steps.map(step => [step.line, step.name, step.uses && step.uses.value])).toEqual([
+      [9, null, 'actions/checkout@v4'],
+      [10, 'Lint', null],
+    ]);
+    expect(workflow.jobs[1].uses.line).toBe(13);
+  });
+
+  it('treats a composite action as a single unnamed job', () => {
+    const action = Workflow.parse([
+      'name: Setup',
+      'runs:',
+      '  using: composite',
+      '  steps:',
+      '    - run: echo hi',
+      '      shell: bash',
+    ].join('\n'));
+
+    expect(action.kind).toBe('action');
+    expect(action.jobs).toHaveLength(1);
+    expect(action.jobs[0]).toMatchObject({ id: null, line: 2 });
+    expect(Workflow.contentLines(action.jobs[0].steps[0].run)).toEqual([5]);
+  });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Workspaces = require('../../lib/utils/workspaces');
+const Context = require('../../lib/engine/Context');
+const Cache = require('../../lib/engine/Cache');
+
+describe('workspaces', () => {
+  let root;
+
+  function buildContext(files, config = {}) {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-workspaces-'));
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    return new Context({
+      projectRoot: root,
+      github: null,
+      packageJson: Context.readPackageJson(root),
+      gitInfo: null,
+      config,
+      cache: new Cache(),
+    });
+  }
+
+  afterEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+    root = null;
+  });
+
+  it('discovers npm workspaces and honours negated globs', () => {
+    const context = buildContext({
+      'package.json': { name: 'monorepo', workspaces: ['packages/*', '!packages/legacy', '../outside/*'] },
+      'packages/ui/package.json': { name: '@acme/ui' },
+      'packages/api/package.json': { name: '@acme/api' },
+      'packages/legacy/package.json': { name: '@acme/legacy' },
+      'packages/docs/README.md': '# Not a package\n',
+      'packages/ui/node_modules/dep/package.json': { name: 'dep' },
+    });
+
+    expect(Workspaces.discover(context).map(({ name, path: dir }) => ({ name, path: dir }))).toEqual([
+      { name: '@acme/api', path: 'packages/api' },
+      { name: '@acme/ui', path: 'packages/ui' },
+    ]);
+  });
+
+  it('reads pnpm-workspace.yaml and yarn\'s object form', () => {
+    const pnpm = buildContext({
+      'package.json': { name: 'monorepo' },
+      'pnpm-workspace.yaml': 'packages:\n  - "apps/*"\n  - tools/cli\n',
+      'apps/web/package.json': { name: 'web' },
+      'tools/cli/package.json': {},
+    });
+    expect(Workspaces.discover(pnpm).map(pkg => pkg.name)).toEqual(['web', 'tools/cli']);
+    fs.rmSync(root, { recursive: true, force: true });
+
+    const yarn = buildContext({ 'package.json': { name: 'monorepo', workspaces: { packages: ['libs/*'] } } });
+    expect(Workspaces.patterns(yarn)).toEqual(['libs/*']);
+  });
+
+  it('returns no packages when workspace evaluation is disabled', () => {
+    const context = buildContext({
+      'package.json': { name: 'monorepo', workspaces: ['packages/*'] },
+      'packages/ui/package.json': { name: '@acme/ui' },
+    }, { workspaces: { enabled: false } });
+
+    expect(Workspaces.discover(context)).toEqual([]);
+  });
+
+  it('applies per-package overrides by name or path and averages the penalty', () => {
+    const context = buildContext({
+      'package.json': { name: 'monorepo', workspaces: ['packages/*', 'examples/*'] },
+      'packages/ui/package.json': { name: '@acme/ui' },
+      'packages/api/package.json': { name: '@acme/api' },
+      'examples/basic/package.json': { name: 'basic-example' },
+    }, {
+      workspaces: {
+        packages: {
+          'examples/*': { enabled: false },
+          '@acme/api': { disabledFindings: ['x-002'] },
+        },
+      },
+    });
+    const check = pkg => [
+      { id: 'x-001', message: `${pkg.name}: first`, penalty: 10 },
+      { id: 'x-002', message: `${pkg.name}: second`, penalty: 20 },
+    ];
+
+    const result = Workspaces.evaluate(context, check);
+
+    expect(result.packages).toEqual([
+      { name: 'basic-example', path: 'examples/basic', enabled: false, score: null, findings: [] },
+      { name: '@acme/api', path: 'packages/api', enabled: true, score: 90, findings: ['x-001'] },
+      { name: '@acme/ui', path: 'packages/ui', enabled: true, score: 70, findings: ['x-001', 'x-002'] },
+    ]);
+    expect(result.findings.map(finding => finding.message)).toEqual(['@acme/api: first', '@acme/ui: first', '@acme/ui: second']);
+    expect(result.findings.map(finding => finding.penalty)).toEqual([5, 5, 10]);
+    expect(result.penalty).toBe(20);
+  });
+});
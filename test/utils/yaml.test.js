@@ -0,0 +1,100 @@
+'use strict';
+
+const yaml = require('../../lib/utils/yaml');
+
+function load(lines) {
+  return yaml.toJS(yaml.parse(lines.join('\n')));
+}
+
+describe('yaml', () => {
+  it('parses block mappings, sequences, and compact sequence entries', () => {
+    expect(load([
+      'name: CI',
+      'on:',
+      '  push:',
+      '    branches: [main, "release/*"]',
+      'jobs:',
+      '  test:',
+      '    steps:',
+      '    - uses: actions/checkout@v4',
+      '      with: { fetch-depth: 0 }',
+      '    - run: npm test',
+    ])).toEqual({
+      name: 'CI',
+      on: { push: { branches: ['main', 'release/*'] } },
+      jobs: { test: { steps: [{ uses: 'actions/checkout@v4', with: { 'fetch-depth': 0 } }, { run: 'npm test' }] } },
+    });
+  });
+
+  it('keeps `on` and other YAML 1.1 booleans as strings', () => {
+    expect(load(['on: yes', 'off: no'])).toEqual({ on: 'yes', off: 'no' });
+  });
+
+  it('reads literal and folded block scalars with chomping indicators', () => {
+    expect(load([
+      'literal: |',
+      '  echo one',
+      '    indented',
+      '',
+      'folded: >-',
+      '  one',
+      '  two',
+      '',
+      '  three',
+      'keep: |+',
+      '  text',
+      '',
+      'end: true',
+    ])).toEqual({ literal: 'echo one\n  indented\n', folded: 'one two\nthree', keep: 'text\n\n', end: true });
+  });
+
+  it('reads multi-line plain and quoted scalars', () => {
+    expect(load([
+      'plain: first',
+      '  second',
+      'double: "a\\tb',
+      '  c"',
+      'single: \'it\'\'s # not a comment\'',
+    ])).toEqual({ plain: 'first second', double: 'a\tb c', single: 'it\'s # not a comment' });
+  });
+
+  it('resolves anchors, aliases, and merge keys', () => {
+    expect(load([
+      'defaults: &defaults',
+      '  runs-on: ubuntu-latest',
+      '  timeout-minutes: 10',
+      'job:',
+      '  <<: *defaults',
+      '  timeout-minutes: 30',
+      'list: [*defaults]',
+    ])).toEqual({
+      defaults: { 'runs-on': 'ubuntu-latest', 'timeout-minutes': 10 },
+      job: { 'runs-on': 'ubuntu-latest', 'timeout-minutes': 30 },
+      list: [{ 'runs-on': 'ubuntu-latest', 'timeout-minutes': 10 }],
+    });
+  });
+
+  it('records the source lines each node spans', () => {
+    const root = yaml.parse([
+      '# comment',
+      'jobs:',
+      '  build:',
+      '    steps:',
+      '      - run: |',
+      '          npm ci',
+      '          npm test',
+      '      - uses: actions/checkout@v4',
+    ].join('\n'));
+    const steps = yaml.get(yaml.get(yaml.get(root, 'jobs'), 'build'), 'steps');
+    const run = yaml.get(steps.items[0], 'run');
+    expect(run).toMatchObject({ line: 5, contentLine: 6, endLine: 7, style: 'literal' });
+    expect(yaml.get(steps.items[1], 'uses')).toMatchObject({ line: 8, value: 'actions/checkout@v4' });
+    expect(steps).toMatchObject({ line: 5, endLine: 8 });
+  });
+
+  it('reports syntax errors with the line number', () => {
+    expect(() => yaml.parse('a: 1\n  b: 2\n')).toThrow(new yaml.YamlError('Unexpected content; check the indentation', 2));
+    expect(() => yaml.parse('a: [1, 2\n')).toThrow('Unterminated flow collection (line 1)');
+    expect(() => yaml.parse('a: *missing\n')).toThrow('Unknown alias *missing');
+  });
+});
@@ -1,6 +1,8 @@
 'use strict';
 
+const { spawnSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 const projectRoot = path.join(__dirname, '..', '..');
@@ -17,6 +19,64 @@ describe('workflow control configuration', () => {
         expect(action).toContain('ARGS+=(--fail-below "$INPUT_FAIL_BELOW")');
     });
 
+    it('publishes the Markdown report without jq glue', () => {
+        const action = fs.readFileSync(
+            path.join(projectRoot, 'action.yml'),
+            'utf8'
+        );
+
+        expect(action).not.toMatch(/\bjq\b/);
+        expect(action).toContain(
+            'repo-manager render "$REPORT_FILE" --format markdown --output "$MARKDOWN_FILE"'
+        );
+        expect(action).toContain('cat "$MARKDOWN_FILE" >> "$GITHUB_STEP_SUMMARY"');
+        expect(action).toContain('comment-file must be a relative path inside the workspace');
+    });
+
+    it('keeps the check exit status when it fails before printing a report', () => {
+        const action = fs.readFileSync(
+            path.join(projectRoot, 'action.yml'),
+            'utf8'
+        );
+        const script = action
+            .slice(action.indexOf('run: |', action.indexOf('id: check')))
+            .split('\n')
+            .slice(1)
+            .map(line => line.slice(14))
+            .join('\n');
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-manager-action-'));
+        try {
+            const bin = path.join(root, 'bin');
+            fs.mkdirSync(bin);
+            fs.writeFileSync(
+                path.join(bin, 'repo-manager'),
+                '#!/bin/sh\necho "Configuration error" >&2\nexit 3\n',
+                { mode: 0o755 }
+            );
+            const env = {
+                ...process.env,
+                PATH: `${bin}${path.delimiter}${process.env.PATH}`,
+                GITHUB_OUTPUT: path.join(root, 'output'),
+                GITHUB_STEP_SUMMARY: path.join(root, 'summary'),
+                INPUT_FORMAT: 'cli',
+                INPUT_FAIL_BELOW: '',
+                INPUT_ONLY: '',
+                INPUT_SUMMARY: 'true',
+                INPUT_COMMENT_FILE: 'comment.md',
+            };
+
+            const result = spawnSync('bash', ['-c', script], { cwd: root, env, encoding: 'utf8' });
+
+            expect(result.status).toBe(3);
+            expect(result.stderr).toContain('repo-manager check did not produce a JSON report (exit status 3)');
+            expect(fs.readFileSync(env.GITHUB_OUTPUT, 'utf8')).toBe('');
+            expect(fs.existsSync(env.GITHUB_STEP_SUMMARY)).toBe(false);
+            expect(fs.existsSync(path.join(root, 'comment.md'))).toBe(false);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+
     it('uses the moderate threshold for both npm audit invocations', () => {
         const workflow = fs.readFileSync(
             path.join(projectRoot, '.github', 'workflows', 'security.yml'),